@@ -0,0 +1,95 @@
+// Permission matrix: each permission lists the roles allowed to use it.
+// Permissions are named `<route group>:<action>` so they can double as
+// scopes for machine clients.
+const PERMISSIONS = {
+  // Current stock levels and the real-time event stream
+  'stocks:read': ['admin', 'manager', 'staff'],
+  // Recording sales, restocks and adjustments
+  'stocks:write': ['admin', 'manager', 'staff'],
+  // Historical aggregation, trends, restock patterns and statistics
+  'stocks:analytics': ['admin', 'manager'],
+
+  'timeseries:read': ['admin', 'manager', 'staff'],
+  'timeseries:write': ['admin', 'manager', 'staff'],
+  // Trend, cycle, anomaly, forecast and statistics endpoints
+  'timeseries:analytics': ['admin', 'manager'],
+
+  // Products, shelves, cameras, current shelf stock and the dashboard
+  'cv:read': ['admin', 'manager', 'staff'],
+  // Shelf stock history and image processing queue statistics
+  'cv:analytics': ['admin', 'manager'],
+  // The product catalogue is shared by every store
+  'products:manage': ['admin'],
+  'cameras:manage': ['admin', 'manager'],
+  'planograms:manage': ['admin', 'manager'],
+  'cameras:heartbeat': ['admin'],
+  'images:upload': ['admin', 'manager', 'staff'],
+  // Confirming or correcting low-confidence readings in the review queue
+  'cv:review': ['admin', 'manager', 'staff'],
+  // COCO / Pascal VOC training dataset exports
+  'datasets:export': ['admin', 'manager'],
+
+  // The store / zone / aisle hierarchy and placing shelves in it
+  'locations:read': ['admin', 'manager', 'staff'],
+  'locations:manage': ['admin', 'manager'],
+  // Side-by-side counts for every store; admins not tied to a store see them all
+  'stores:overview': ['admin'],
+
+  'alerts:read': ['admin', 'manager', 'staff'],
+  'alerts:acknowledge': ['admin', 'manager', 'staff'],
+  'alerts:resolve': ['admin', 'manager'],
+  'alerts:configure': ['admin', 'manager'],
+  'alerts:analytics': ['admin', 'manager'],
+
+  // Creating users, changing roles, deactivating and issuing password resets
+  'users:manage': ['admin'],
+
+  // Issuing, rotating and revoking API keys for machine clients
+  'apikeys:manage': ['admin'],
+
+  // Querying the audit log of mutating requests
+  'audit:read': ['admin', 'manager'],
+
+  // Destructive operations such as seeding and clearing collections
+  'data:admin': ['admin']
+};
+
+const ROLES = ['admin', 'manager', 'staff'];
+
+// Permissions that may be granted to API keys. Anything that acts on behalf of
+// a person (acknowledging alerts, managing users) stays with user accounts.
+const API_KEY_SCOPES = [
+  'stocks:read',
+  'stocks:write',
+  'stocks:analytics',
+  'timeseries:read',
+  'timeseries:write',
+  'timeseries:analytics',
+  'cv:read',
+  'cv:analytics',
+  'cameras:heartbeat',
+  'images:upload',
+  'datasets:export',
+  'locations:read',
+  'alerts:read',
+  'alerts:analytics'
+];
+
+// Check whether a role is granted a permission
+function roleHasPermission(role, permission) {
+  const allowedRoles = PERMISSIONS[permission];
+  return Boolean(allowedRoles && allowedRoles.includes(role));
+}
+
+// List every permission granted to a role
+function getRolePermissions(role) {
+  return Object.keys(PERMISSIONS).filter(permission => roleHasPermission(role, permission));
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  API_KEY_SCOPES,
+  roleHasPermission,
+  getRolePermissions
+};
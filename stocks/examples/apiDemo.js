@@ -1,5 +1,12 @@
+const crypto = require('crypto');
 const axios = require('axios');
 
+// Machine clients authenticate with an API key (scopes: stocks:write, stocks:read and stocks:analytics).
+// Create one with POST /api/api-keys and export it as STOCK_API_KEY.
+const api = axios.create({
+  headers: { 'X-API-Key': process.env.STOCK_API_KEY }
+});
+
 const BASE_URL = 'http://localhost:3000/api/stocks';
 
 // Example usage of the Stock Tracking API
@@ -21,18 +28,21 @@ async function demonstrateAPI() {
     ];
 
     for (const change of stockChanges) {
-      const response = await axios.post(`${BASE_URL}/update`, change);
+      // A fresh key per change; resending it on a retry cannot record the change twice
+      const response = await api.post(`${BASE_URL}/update`, change, {
+        headers: { 'Idempotency-Key': crypto.randomUUID() }
+      });
       console.log(`   Recorded: ${change.change} units (${change.reason}) - Stock Level: ${response.data.data.stockLevel}`);
     }
 
     // 2. Get current stock level
     console.log('\n2. Getting current stock level...');
-    const currentResponse = await axios.get(`${BASE_URL}/current?productId=PROD001`);
+    const currentResponse = await api.get(`${BASE_URL}/current?productId=PROD001`);
     console.log(`   Current stock level: ${currentResponse.data.data.currentStockLevel}`);
 
     // 3. Get historical data
     console.log('\n3. Getting historical data (daily aggregation)...');
-    const historyResponse = await axios.get(`${BASE_URL}/history?productId=PROD001&period=daily`);
+    const historyResponse = await api.get(`${BASE_URL}/history?productId=PROD001&period=daily`);
     console.log(`   Found ${historyResponse.data.data.length} daily records`);
     
     if (historyResponse.data.data.length > 0) {
@@ -44,7 +54,7 @@ async function demonstrateAPI() {
 
     // 4. Get trend analysis
     console.log('\n4. Getting trend analysis...');
-    const trendResponse = await axios.get(`${BASE_URL}/trend?productId=PROD001&period=daily&window=3`);
+    const trendResponse = await api.get(`${BASE_URL}/trend?productId=PROD001&period=daily&window=3`);
     console.log(`   Trend: ${trendResponse.data.trend}`);
     console.log(`   Moving average window: ${trendResponse.data.window}`);
     
@@ -57,7 +67,7 @@ async function demonstrateAPI() {
 
     // 5. Analyze restocking pattern
     console.log('\n5. Analyzing restocking pattern...');
-    const patternResponse = await axios.get(`${BASE_URL}/restock-pattern?productId=PROD001`);
+    const patternResponse = await api.get(`${BASE_URL}/restock-pattern?productId=PROD001`);
     console.log(`   Pattern type: ${patternResponse.data.pattern}`);
     console.log(`   Average interval: ${patternResponse.data.averageInterval ? patternResponse.data.averageInterval.toFixed(2) + ' days' : 'N/A'}`);
     console.log(`   Confidence: ${(patternResponse.data.confidence * 100).toFixed(1)}%`);
@@ -1,5 +1,12 @@
+const crypto = require('crypto');
 const axios = require('axios');
 
+// Machine clients authenticate with an API key (scopes: timeseries:write).
+// Create one with POST /api/api-keys and export it as STOCK_API_KEY.
+const api = axios.create({
+  headers: { 'X-API-Key': process.env.STOCK_API_KEY }
+});
+
 const API_BASE_URL = 'http://localhost:3000/api/timeseries';
 
 async function continuousRealTimeUpdates() {
@@ -33,11 +40,13 @@ async function continuousRealTimeUpdates() {
           break;
       }
       
-      const response = await axios.post(`${API_BASE_URL}/record`, {
+      const response = await api.post(`${API_BASE_URL}/record`, {
         productId: productId,
         change: change,
         reason: reason,
         timestamp: new Date().toISOString()
+      }, {
+        headers: { 'Idempotency-Key': crypto.randomUUID() }
       });
       
       updateCount++;
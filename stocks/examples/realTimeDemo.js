@@ -1,5 +1,12 @@
+const crypto = require('crypto');
 const axios = require('axios');
 
+// Machine clients authenticate with an API key (scopes: timeseries:write and stocks:read).
+// Create one with POST /api/api-keys and export it as STOCK_API_KEY.
+const api = axios.create({
+  headers: { 'X-API-Key': process.env.STOCK_API_KEY }
+});
+
 const API_BASE_URL = 'http://localhost:3000/api/timeseries';
 
 async function demonstrateRealTimeUpdates() {
@@ -11,11 +18,13 @@ async function demonstrateRealTimeUpdates() {
   // Function to record a stock change
   async function recordStockChange(productId, change, reason) {
     try {
-      const response = await axios.post(`${API_BASE_URL}/record`, {
+      const response = await api.post(`${API_BASE_URL}/record`, {
         productId: productId,
         change: change,
         reason: reason,
         timestamp: new Date().toISOString()
+      }, {
+        headers: { 'Idempotency-Key': crypto.randomUUID() }
       });
       
       console.log(`📝 Recorded: ${productId} ${change > 0 ? '+' : ''}${change} (${reason})`);
@@ -34,7 +43,7 @@ async function demonstrateRealTimeUpdates() {
   // Function to get current stock level
   async function getCurrentStock(productId) {
     try {
-      const response = await axios.get(`http://localhost:3000/api/stocks/current?productId=${productId}`);
+      const response = await api.get(`http://localhost:3000/api/stocks/current?productId=${productId}`);
       return response.data.data.currentStockLevel;
     } catch (error) {
       console.error(`❌ Error getting current stock for ${productId}:`, error.message);
@@ -0,0 +1,100 @@
+const AuditLog = require('../models/AuditLog');
+const getRequestContext = require('../utils/requestContext');
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Token exchanges are tracked by the Session collection instead
+const EXCLUDED_PREFIXES = ['/api/auth'];
+
+// Never persist secrets that arrive in request bodies
+const REDACTED_FIELDS = ['password', 'currentPassword', 'newPassword', 'refreshToken', 'resetToken', 'secret'];
+
+// Entity type reported when a route does not describe its own change
+const ROUTE_GROUP_ENTITIES = {
+  '/api/stocks': 'StockHistory',
+  '/api/timeseries': 'StockTimeSeries',
+  '/api/cv': 'ComputerVision',
+  '/api/users': 'User',
+  '/api/api-keys': 'ApiKey',
+  '/api/alert-rules': 'AlertRule',
+  '/api/escalation-policies': 'EscalationPolicy',
+  '/api/notifications': 'NotificationSubscription'
+};
+
+function redactPayload(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return body || null;
+
+  const payload = { ...body };
+  for (const field of REDACTED_FIELDS) {
+    if (payload[field] !== undefined) payload[field] = '[REDACTED]';
+  }
+  return payload;
+}
+
+function resolveRoute(req) {
+  return req.route ? `${req.baseUrl}${req.route.path}` : req.originalUrl.split('?')[0];
+}
+
+function resolveDefaultEntity(req) {
+  const group = Object.keys(ROUTE_GROUP_ENTITIES).find(prefix => req.originalUrl.startsWith(prefix));
+  return {
+    entityType: group ? ROUTE_GROUP_ENTITIES[group] : 'Request',
+    entityId: (req.params && req.params.id) || (req.body && req.body.productId) || null
+  };
+}
+
+// Let a route describe what it changed so the audit entry carries a before/after diff.
+// Routes taking large bodies can pass a summary to log instead of the payload.
+function setAuditDetails(res, { entityType, entityId, before = null, after = null, payload }) {
+  res.locals.audit = { entityType, entityId, before, after, payload };
+}
+
+// Let high-frequency routes (camera heartbeats) opt out when nothing changed
+function skipAudit(res) {
+  res.locals.skipAudit = true;
+}
+
+// Record actor, route, payload, diff, IP and time of every mutating request
+function auditMutations(req, res, next) {
+  if (!MUTATING_METHODS.includes(req.method) ||
+      EXCLUDED_PREFIXES.some(prefix => req.originalUrl.startsWith(prefix))) {
+    return next();
+  }
+
+  res.on('finish', () => {
+    if (res.locals.skipAudit) return;
+
+    const details = res.locals.audit || resolveDefaultEntity(req);
+    const route = resolveRoute(req);
+
+    AuditLog.record({
+      actorId: req.user ? req.user._id : null,
+      apiKeyId: req.apiKey ? req.apiKey._id : null,
+      action: `${req.method} ${route}`,
+      entityType: details.entityType,
+      entityId: details.entityId,
+      changes: {
+        before: details.before || null,
+        after: details.after || null
+      },
+      method: req.method,
+      route,
+      path: req.originalUrl,
+      statusCode: res.statusCode,
+      payload: details.payload !== undefined ? details.payload : redactPayload(req.body),
+      // The listener runs outside the request's store scope, so stamp it here
+      storeId: req.storeScope ? req.storeScope.storeId : null,
+      ...getRequestContext(req)
+    }).catch(error => {
+      console.error('Error writing audit log:', error.message);
+    });
+  });
+
+  next();
+}
+
+module.exports = {
+  auditMutations,
+  setAuditDetails,
+  skipAudit
+};
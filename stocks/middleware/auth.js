@@ -0,0 +1,161 @@
+const authService = require('../services/authService');
+const apiKeyService = require('../services/apiKeyService');
+const locationService = require('../services/locationService');
+const { roleHasPermission } = require('../config/permissions');
+const { runInStore, runCrossStore } = require('../utils/tenantContext');
+
+// Pull the bearer token out of the Authorization header. EventSource cannot
+// set headers, so event streams may pass the token as ?access_token= instead.
+function extractBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme === 'Bearer' && token) return token;
+
+  const acceptsEventStream = (req.headers.accept || '').includes('text/event-stream');
+  if (acceptsEventStream && req.query && req.query.access_token) {
+    return req.query.access_token;
+  }
+
+  return null;
+}
+
+function sendAuthError(res, error) {
+  res.status(error.statusCode || 401).json({
+    success: false,
+    error: error.message
+  });
+}
+
+// Run the rest of the request scoped to the caller's store. Admins who are not
+// assigned to a store see every store, or one store when they send X-Store-Id.
+async function enterStoreScope(req, res, next) {
+  const principal = req.user || req.apiKey;
+  const assignedStoreId = principal.storeId ? String(principal.storeId) : null;
+  const requestedStoreId = req.get('x-store-id') || null;
+  const crossStore = Boolean(req.user && req.user.role === 'admin' && !assignedStoreId);
+
+  if (requestedStoreId && !crossStore && requestedStoreId !== assignedStoreId) {
+    return res.status(403).json({
+      success: false,
+      error: 'Not allowed to act for another store'
+    });
+  }
+
+  if (crossStore && !requestedStoreId) {
+    req.storeScope = { storeId: null, crossStore: true };
+    return runCrossStore(next);
+  }
+
+  const storeId = requestedStoreId || assignedStoreId;
+  if (crossStore) {
+    if (!/^[a-f\d]{24}$/i.test(storeId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'X-Store-Id must be a valid location ID'
+      });
+    }
+
+    try {
+      await locationService.getStore(storeId);
+    } catch (error) {
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  req.storeScope = { storeId, crossStore: false };
+  runInStore(storeId, next);
+}
+
+// Require a valid user access token and attach the user and session to the request
+async function authenticateUser(req, res, next) {
+  const token = extractBearerToken(req);
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  try {
+    const { user, session } = await authService.verifyAccessToken(token);
+    req.user = user;
+    req.authSession = session;
+  } catch (error) {
+    return sendAuthError(res, error);
+  }
+
+  await enterStoreScope(req, res, next);
+}
+
+// Accept either a user access token or a machine client's X-API-Key header
+async function authenticate(req, res, next) {
+  const rawKey = req.get('x-api-key');
+
+  if (!rawKey || extractBearerToken(req)) {
+    return authenticateUser(req, res, next);
+  }
+
+  try {
+    req.apiKey = await apiKeyService.verifyKey(rawKey, req.ip);
+  } catch (error) {
+    return sendAuthError(res, error);
+  }
+
+  await enterStoreScope(req, res, next);
+}
+
+// Only let through users whose role grants the permission, or API keys
+// that were issued with it as a scope
+function authorize(permission) {
+  return (req, res, next) => {
+    if (req.apiKey) {
+      if (!req.apiKey.hasScope(permission)) {
+        return res.status(403).json({
+          success: false,
+          error: `API key is not scoped for '${permission}'`
+        });
+      }
+      return next();
+    }
+
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    if (!roleHasPermission(req.user.role, permission)) {
+      return res.status(403).json({
+        success: false,
+        error: `Role '${req.user.role}' is not allowed to perform '${permission}'`
+      });
+    }
+
+    next();
+  };
+}
+
+// Stock balances are kept per store, so a cross-store admin has to name one
+function requireStore(req, res, next) {
+  if (req.storeScope && req.storeScope.crossStore) {
+    return res.status(400).json({
+      success: false,
+      error: 'X-Store-Id is required to read or change stock as a cross-store admin'
+    });
+  }
+
+  next();
+}
+
+module.exports = {
+  authenticate,
+  authenticateUser,
+  authorize,
+  requireStore,
+  extractBearerToken
+};
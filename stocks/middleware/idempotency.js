@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { skipAudit } = require('./audit');
+
+const MAX_KEY_LENGTH = 255;
+
+function getRetentionMs() {
+  return (parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+}
+
+function getProcessingTimeoutMs() {
+  return (parseInt(process.env.IDEMPOTENCY_PROCESSING_TIMEOUT_SECONDS) || 60) * 1000;
+}
+
+function resolveOwner(req) {
+  return req.apiKey ? `apikey:${req.apiKey._id}` : `user:${req.user._id}`;
+}
+
+// JSON with object keys sorted, so the same payload always hashes the same
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function hashRequest(req) {
+  return crypto.createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path} ${canonicalJson(req.body)}`)
+    .digest('hex');
+}
+
+// Replay the stored response for retries that send the same Idempotency-Key.
+// The response is stored before it is sent, so a retry never finds the first
+// request still running once the client has its answer. Server errors are not
+// stored, leaving the key free for another attempt. A key left processing for
+// longer than IDEMPOTENCY_PROCESSING_TIMEOUT_SECONDS (a crash or a request
+// that never answered) is taken over by the next retry.
+async function idempotent(req, res, next) {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return next();
+
+  try {
+    if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters`
+      });
+    }
+
+    const requestHash = hashRequest(req);
+    const { record, created } = await IdempotencyKey.claim({
+      key,
+      owner: resolveOwner(req),
+      requestHash,
+      expiresAt: new Date(Date.now() + getRetentionMs()),
+      staleBefore: new Date(Date.now() - getProcessingTimeoutMs())
+    });
+
+    if (!created) {
+      if (record.requestHash !== requestHash) {
+        return res.status(409).json({
+          success: false,
+          error: 'Idempotency-Key was already used for a different request'
+        });
+      }
+      if (record.status !== 'completed') {
+        return res.status(409).json({
+          success: false,
+          error: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+
+      // Nothing changes on a replay
+      skipAudit(res);
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.responseStatus).json(record.responseBody);
+    }
+
+    // Matching on lockedAt leaves the key alone once a retry has taken it over
+    const held = { _id: record._id, lockedAt: record.lockedAt };
+    const sendJson = res.json.bind(res);
+    res.json = body => {
+      res.locals.idempotencySettled = true;
+      const settle = res.statusCode >= 500
+        ? IdempotencyKey.deleteOne(held)
+        : IdempotencyKey.updateOne(held, {
+          status: 'completed',
+          responseStatus: res.statusCode,
+          // Stored as plain JSON, the way the client receives it
+          responseBody: JSON.parse(JSON.stringify(body))
+        });
+      settle
+        .catch(error => console.error('Error storing idempotent response:', error.message))
+        .then(() => sendJson(body));
+      return res;
+    };
+
+    // Free the key if the request ended without a JSON response
+    res.on('finish', () => {
+      if (res.locals.idempotencySettled) return;
+      IdempotencyKey.deleteOne(held).catch(error => {
+        console.error('Error releasing idempotency key:', error.message);
+      });
+    });
+
+    next();
+  } catch (error) {
+    console.error('Error checking idempotency key:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+module.exports = {
+  idempotent
+};
@@ -1,4 +1,27 @@
 const mongoose = require('mongoose');
+const tenantScope = require('./plugins/tenantScope');
+
+const commentSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2000
+  },
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
 
 const alertSchema = new mongoose.Schema({
   stockId: {
@@ -52,6 +75,86 @@ const alertSchema = new mongoose.Schema({
     ref: 'User',
     default: null
   },
+  reopenedAt: {
+    type: Date,
+    default: null
+  },
+  reopenedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Hidden from active views until this time
+  snoozedUntil: {
+    type: Date,
+    default: null
+  },
+  snoozedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  assignedAt: {
+    type: Date,
+    default: null
+  },
+  // Threaded discussion; replies point at their parent comment
+  comments: [commentSchema],
+  // Subject of rule-driven alerts. productId is a string because time-series
+  // records identify products by SKU-like keys rather than Product IDs.
+  shelfId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shelf',
+    default: null
+  },
+  productId: {
+    type: String,
+    default: null,
+    index: true
+  },
+  ruleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AlertRule',
+    default: null
+  },
+  // Subject of camera_offline alerts
+  cameraId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Camera',
+    default: null
+  },
+  // Where the shelf, camera or time-series record was when the alert was raised
+  locationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    default: null,
+    index: true
+  },
+  // Identifies "the same problem" so repeat readings update one open alert
+  dedupKey: {
+    type: String,
+    default: null,
+    index: true
+  },
+  occurrences: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  lastTriggeredAt: {
+    type: Date,
+    default: Date.now
+  },
   metadata: {
     type: mongoose.Schema.Types.Mixed,
     default: {}
@@ -70,19 +173,40 @@ const alertSchema = new mongoose.Schema({
   timestamps: false // We use our own timestamp fields
 });
 
+alertSchema.plugin(tenantScope);
+
 // Indexes
 alertSchema.index({ stockId: 1 });
 alertSchema.index({ resolved: 1 });
 alertSchema.index({ createdAt: -1 });
 alertSchema.index({ acknowledgedBy: 1 });
 alertSchema.index({ resolvedBy: 1 });
+alertSchema.index({ assignedTo: 1, resolved: 1 });
+// At most one open alert per problem, so readings racing to raise it cannot both succeed
+alertSchema.index({ storeId: 1, dedupKey: 1 }, {
+  unique: true,
+  partialFilterExpression: { resolved: false, dedupKey: { $type: 'string' } }
+});
 
 // Update updatedAt on save
 alertSchema.pre('save', function(next) {
+  this.$locals.wasNew = this.isNew;
   this.updatedAt = Date.now();
   next();
 });
 
+// Queue notifications for subscribers of new alerts
+alertSchema.post('save', async function(doc) {
+  if (!doc.$locals.wasNew) return;
+  try {
+    // Required lazily: the notification service itself depends on this model
+    const notificationService = require('../services/notificationService');
+    await notificationService.notifyAlert(doc, 'alert.created');
+  } catch (error) {
+    console.error('Error queueing alert notifications:', error.message);
+  }
+});
+
 // Virtual for populated stock info
 alertSchema.virtual('stock', {
   ref: 'StockLevel',
@@ -111,6 +235,7 @@ alertSchema.virtual('resolvedByUser', {
 alertSchema.methods.getAlertInfo = function() {
   return {
     alertId: this._id,
+    storeId: this.storeId,
     stockId: this.stockId,
     alertType: this.alertType,
     message: this.message,
@@ -121,25 +246,131 @@ alertSchema.methods.getAlertInfo = function() {
     resolved: this.resolved,
     resolvedAt: this.resolvedAt,
     resolvedBy: this.resolvedBy,
+    reopenedAt: this.reopenedAt,
+    reopenedBy: this.reopenedBy,
+    snoozedUntil: this.snoozedUntil,
+    snoozed: this.isSnoozed(),
+    assignedTo: this.assignedTo,
+    assignedAt: this.assignedAt,
+    commentCount: this.comments.length,
+    shelfId: this.shelfId,
+    productId: this.productId,
+    ruleId: this.ruleId,
+    cameraId: this.cameraId,
+    locationId: this.locationId,
+    occurrences: this.occurrences,
+    lastTriggeredAt: this.lastTriggeredAt,
+    metadata: this.metadata,
     tags: this.tags,
     createdAt: this.createdAt,
     updatedAt: this.updatedAt
   };
 };
 
-// Instance method to acknowledge alert
+// Instance method to acknowledge an open alert. The update only matches while
+// the alert is still unacknowledged and open, so it resolves to null when a
+// concurrent request got there first.
 alertSchema.methods.acknowledge = async function(userId) {
-  this.acknowledged = true;
-  this.acknowledgedBy = userId;
-  this.acknowledgedAt = new Date();
-  return await this.save();
+  const now = new Date();
+  return await this.constructor.findOneAndUpdate(
+    { _id: this._id, acknowledged: false, resolved: false },
+    { $set: { acknowledged: true, acknowledgedBy: userId, acknowledgedAt: now, updatedAt: now } },
+    { new: true }
+  );
 };
 
-// Instance method to resolve alert
+// Instance method to resolve an open alert; null when it was already resolved
 alertSchema.methods.resolve = async function(userId) {
+  const now = new Date();
+  return await this.constructor.findOneAndUpdate(
+    { _id: this._id, resolved: false },
+    { $set: { resolved: true, resolvedBy: userId, resolvedAt: now, updatedAt: now } },
+    { new: true }
+  );
+};
+
+// Instance method to reopen a resolved alert; it needs acknowledging again.
+// Null when another request reopened it first.
+alertSchema.methods.reopen = async function(userId) {
+  const now = new Date();
+  return await this.constructor.findOneAndUpdate(
+    { _id: this._id, resolved: true },
+    {
+      $set: {
+        resolved: false,
+        resolvedBy: null,
+        resolvedAt: null,
+        acknowledged: false,
+        acknowledgedBy: null,
+        acknowledgedAt: null,
+        reopenedBy: userId,
+        reopenedAt: now,
+        // Escalation starts over from the reopen time; earlier steps stay in the history
+        'metadata.escalationLevel': 0,
+        updatedAt: now
+      }
+    },
+    { new: true }
+  );
+};
+
+// Instance method to snooze an open alert until a given time (null clears a
+// running snooze). Null when the alert was resolved, or its snooze ran out or
+// was cleared, in the meantime.
+alertSchema.methods.snooze = async function(userId, until) {
+  const now = new Date();
+  return await this.constructor.findOneAndUpdate(
+    { _id: this._id, resolved: false, ...(until ? {} : { snoozedUntil: { $gt: now } }) },
+    { $set: { snoozedUntil: until, snoozedBy: until ? userId : null, updatedAt: now } },
+    { new: true }
+  );
+};
+
+// Instance method to check whether alert is currently snoozed
+alertSchema.methods.isSnoozed = function() {
+  return !!this.snoozedUntil && this.snoozedUntil > new Date();
+};
+
+// Instance method to assign an open alert to a user (null unassigns); null
+// when the alert was resolved in the meantime
+alertSchema.methods.assign = async function(assigneeId, assignedBy) {
+  const now = new Date();
+  return await this.constructor.findOneAndUpdate(
+    { _id: this._id, resolved: false },
+    {
+      $set: {
+        assignedTo: assigneeId,
+        assignedBy: assigneeId ? assignedBy : null,
+        assignedAt: assigneeId ? now : null,
+        updatedAt: now
+      }
+    },
+    { new: true }
+  );
+};
+
+// Instance method to add a comment, optionally as a reply. Resolves to the
+// updated alert and the new comment, or null when the alert (or the parent
+// comment) is gone.
+alertSchema.methods.addComment = async function(userId, text, parentId = null) {
+  const commentId = new mongoose.Types.ObjectId();
+  const alert = await this.constructor.findOneAndUpdate(
+    { _id: this._id, ...(parentId ? { 'comments._id': parentId } : {}) },
+    {
+      $push: { comments: { _id: commentId, userId, text, parentId } },
+      $set: { updatedAt: new Date() }
+    },
+    { new: true, runValidators: true }
+  );
+  return alert ? { alert, comment: alert.comments.id(commentId) } : null;
+};
+
+// Instance method to resolve an alert whose condition has cleared by itself
+alertSchema.methods.autoResolve = async function(reason) {
   this.resolved = true;
-  this.resolvedBy = userId;
+  this.resolvedBy = null;
   this.resolvedAt = new Date();
+  this.metadata = { ...this.metadata, autoResolved: true, resolution: reason };
   return await this.save();
 };
 
@@ -149,6 +380,11 @@ alertSchema.statics.createAlert = async function(alertData) {
   return await alert.save();
 };
 
+// Static method to find the open alert for a dedup key
+alertSchema.statics.findOpenByDedupKey = function(dedupKey) {
+  return this.findOne({ dedupKey, resolved: false });
+};
+
 // Static method to find unacknowledged alerts
 alertSchema.statics.findUnacknowledgedAlerts = function() {
   return this.find({ acknowledged: false, resolved: false })
@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+const tenantScope = require('./plugins/tenantScope');
+
+const LEVEL_ALERT_TYPES = ['low_stock', 'out_of_stock', 'high_stock', 'anomaly'];
+
+const alertRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Targeting: leave all three empty for a store-wide rule
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    default: null
+  },
+  category: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  shelfId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shelf',
+    default: null
+  },
+  // Unit thresholds; fall back to Product.minStockLevel/maxStockLevel when unset
+  minStockLevel: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  maxStockLevel: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  // Percentage thresholds for shelf readings
+  minStockPercentage: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: null
+  },
+  maxStockPercentage: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: null
+  },
+  // Z-score of a stock change above which an anomaly alert is raised
+  anomalyZScore: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  alertTypes: {
+    type: [{ type: String, enum: LEVEL_ALERT_TYPES }],
+    default: undefined // Unset means "inherit"
+  },
+  severities: {
+    low_stock: { type: String, enum: ['low', 'medium', 'high', 'critical'] },
+    out_of_stock: { type: String, enum: ['low', 'medium', 'high', 'critical'] },
+    high_stock: { type: String, enum: ['low', 'medium', 'high', 'critical'] },
+    anomaly: { type: String, enum: ['low', 'medium', 'high', 'critical'] }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false // We use our own timestamp fields
+});
+
+alertRuleSchema.plugin(tenantScope);
+
+// Indexes
+alertRuleSchema.index({ isActive: 1, productId: 1 });
+alertRuleSchema.index({ isActive: 1, shelfId: 1 });
+alertRuleSchema.index({ isActive: 1, category: 1 });
+
+// Reject thresholds that can never be satisfied
+alertRuleSchema.pre('validate', function(next) {
+  if (this.minStockLevel != null && this.maxStockLevel != null &&
+      this.minStockLevel > this.maxStockLevel) {
+    this.invalidate('minStockLevel', 'minStockLevel must not exceed maxStockLevel');
+  }
+  if (this.minStockPercentage != null && this.maxStockPercentage != null &&
+      this.minStockPercentage > this.maxStockPercentage) {
+    this.invalidate('minStockPercentage', 'minStockPercentage must not exceed maxStockPercentage');
+  }
+  next();
+});
+
+// Update updatedAt on save
+alertRuleSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Virtual for how specific the rule is; more specific rules win
+alertRuleSchema.virtual('specificity').get(function() {
+  if (this.shelfId && this.productId) return 4;
+  if (this.productId) return 3;
+  if (this.shelfId) return 2;
+  if (this.category) return 1;
+  return 0;
+});
+
+// Instance method to get rule info
+alertRuleSchema.methods.getRuleInfo = function() {
+  return {
+    ruleId: this._id,
+    name: this.name,
+    description: this.description,
+    productId: this.productId,
+    category: this.category,
+    shelfId: this.shelfId,
+    minStockLevel: this.minStockLevel,
+    maxStockLevel: this.maxStockLevel,
+    minStockPercentage: this.minStockPercentage,
+    maxStockPercentage: this.maxStockPercentage,
+    anomalyZScore: this.anomalyZScore,
+    alertTypes: this.alertTypes,
+    severities: this.severities,
+    isActive: this.isActive,
+    specificity: this.specificity,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Static method to find active rules that apply to a product/shelf, least specific first
+alertRuleSchema.statics.findApplicableRules = async function({ productId, category, shelfId }) {
+  const rules = await this.find({
+    isActive: true,
+    $and: [
+      { $or: [{ productId: null }, ...(productId ? [{ productId }] : [])] },
+      { $or: [{ category: null }, ...(category ? [{ category }] : [])] },
+      { $or: [{ shelfId: null }, ...(shelfId ? [{ shelfId }] : [])] }
+    ]
+  });
+
+  return rules.sort((a, b) => a.specificity - b.specificity);
+};
+
+alertRuleSchema.statics.ALERT_TYPES = LEVEL_ALERT_TYPES;
+
+module.exports = mongoose.model('AlertRule', alertRuleSchema);
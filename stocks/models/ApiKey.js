@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+const tenantScope = require('./plugins/tenantScope');
+const crypto = require('crypto');
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Public part of the key, shown in listings so keys can be told apart
+  prefix: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Hash of the key replaced by the last rotation, accepted until previousKeyExpiresAt
+  previousKeyHash: {
+    type: String,
+    default: null,
+    index: true
+  },
+  previousKeyExpiresAt: {
+    type: Date,
+    default: null
+  },
+  scopes: [{
+    type: String,
+    required: true
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  lastUsedIp: {
+    type: String,
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false // We use our own timestamp fields
+});
+
+apiKeySchema.plugin(tenantScope);
+
+// Update updatedAt on save
+apiKeySchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Instance method to check whether the key can still be used
+apiKeySchema.methods.isUsable = function() {
+  return this.isActive && !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// Instance method to check a scope
+apiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// Instance method to get API key info (never includes hashes)
+apiKeySchema.methods.getApiKeyInfo = function() {
+  return {
+    apiKeyId: this._id,
+    storeId: this.storeId,
+    name: this.name,
+    description: this.description,
+    prefix: this.prefix,
+    scopes: this.scopes,
+    createdBy: this.createdBy,
+    isActive: this.isActive,
+    revokedAt: this.revokedAt,
+    expiresAt: this.expiresAt,
+    rotatedAt: this.rotatedAt,
+    lastUsedAt: this.lastUsedAt,
+    lastUsedIp: this.lastUsedIp,
+    createdAt: this.createdAt
+  };
+};
+
+// Static method to generate a raw key and the values stored for it
+apiKeySchema.statics.generateKey = function() {
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const secret = crypto.randomBytes(24).toString('hex');
+  const key = `sk_${prefix}_${secret}`;
+  return { key, prefix, keyHash: this.hashKey(key) };
+};
+
+// Static method to hash a raw key for storage
+apiKeySchema.statics.hashKey = function(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+// Static method to find a key by its raw value, honouring the rotation grace period
+apiKeySchema.statics.findByRawKey = function(key) {
+  const keyHash = this.hashKey(key);
+  return this.findOne({
+    $or: [
+      { keyHash },
+      { previousKeyHash: keyHash, previousKeyExpiresAt: { $gt: new Date() } }
+    ]
+  });
+};
+
+// Static method to find keys not used since a given date
+apiKeySchema.statics.findStaleKeys = function(unusedSince) {
+  return this.find({
+    isActive: true,
+    $or: [
+      { lastUsedAt: { $lt: unusedSince } },
+      { lastUsedAt: null, createdAt: { $lt: unusedSince } }
+    ]
+  }).sort({ lastUsedAt: 1 });
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
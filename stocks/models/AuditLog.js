@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+const tenantScope = require('./plugins/tenantScope');
+
+const auditLogSchema = new mongoose.Schema({
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null // Null for system actions and API key requests
+  },
+  apiKeyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null
+  },
+  action: {
+    type: String,
+    required: true,
+    trim: true,
+    index: true
+  },
+  entityType: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  entityId: {
+    type: String,
+    default: null
+  },
+  changes: {
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null }
+  },
+  // Request details, set for entries written by the audit middleware
+  method: {
+    type: String,
+    enum: ['POST', 'PUT', 'PATCH', 'DELETE']
+  },
+  route: {
+    type: String,
+    trim: true
+  },
+  path: {
+    type: String,
+    trim: true
+  },
+  statusCode: {
+    type: Number
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  ipAddress: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+}, {
+  timestamps: false // We use our own timestamp field
+});
+
+auditLogSchema.plugin(tenantScope);
+
+// Compound indexes for efficient queries
+auditLogSchema.index({ actorId: 1, timestamp: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1, timestamp: -1 });
+
+// Virtual for populated actor info
+auditLogSchema.virtual('actor', {
+  ref: 'User',
+  localField: 'actorId',
+  foreignField: '_id',
+  justOne: true
+});
+
+// Instance method to get audit entry info
+auditLogSchema.methods.getAuditInfo = function() {
+  return {
+    auditId: this._id,
+    storeId: this.storeId,
+    actorId: this.actorId,
+    apiKeyId: this.apiKeyId,
+    action: this.action,
+    entityType: this.entityType,
+    entityId: this.entityId,
+    changes: this.changes,
+    method: this.method,
+    route: this.route,
+    path: this.path,
+    statusCode: this.statusCode,
+    payload: this.payload,
+    ipAddress: this.ipAddress,
+    userAgent: this.userAgent,
+    metadata: this.metadata,
+    timestamp: this.timestamp
+  };
+};
+
+// Static method to record an audit entry
+auditLogSchema.statics.record = async function(entry) {
+  const auditEntry = new this({
+    ...entry,
+    entityId: entry.entityId ? entry.entityId.toString() : null
+  });
+  return await auditEntry.save();
+};
+
+// Static method to query the audit log with optional filters
+auditLogSchema.statics.search = async function(filters = {}, { page = 1, limit = 50 } = {}) {
+  const matchStage = {};
+
+  if (filters.actorId) matchStage.actorId = filters.actorId;
+  if (filters.apiKeyId) matchStage.apiKeyId = filters.apiKeyId;
+  if (filters.action) matchStage.action = filters.action;
+  if (filters.entityType) matchStage.entityType = filters.entityType;
+  if (filters.entityId) matchStage.entityId = filters.entityId.toString();
+  if (filters.method) matchStage.method = filters.method;
+
+  if (filters.from || filters.to) {
+    matchStage.timestamp = {};
+    if (filters.from) matchStage.timestamp.$gte = new Date(filters.from);
+    if (filters.to) matchStage.timestamp.$lte = new Date(filters.to);
+  }
+
+  const [entries, total] = await Promise.all([
+    this.find(matchStage)
+      .populate('actorId', 'username email role')
+      .sort({ timestamp: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    this.countDocuments(matchStage)
+  ]);
+
+  return { entries, total, page, limit };
+};
+
+// Static method to find the history of one entity
+auditLogSchema.statics.findByEntity = function(entityType, entityId) {
+  return this.find({ entityType, entityId: entityId.toString() })
+    .populate('actorId', 'username email role')
+    .sort({ timestamp: -1 });
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
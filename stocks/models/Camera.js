@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const tenantScope = require('./plugins/tenantScope');
 
 const cameraSchema = new mongoose.Schema({
   name: {
@@ -12,6 +13,12 @@ const cameraSchema = new mongoose.Schema({
     trim: true,
     maxlength: 100
   },
+  // Store, zone or aisle the camera covers
+  locationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    default: null
+  },
   rtspUrl: {
     type: String,
     trim: true,
@@ -41,6 +48,31 @@ const cameraSchema = new mongoose.Schema({
     min: 1,
     max: 60
   },
+  // Liveness: workers POST heartbeats; the watchdog marks silent cameras offline
+  lastHeartbeatAt: {
+    type: Date,
+    default: null
+  },
+  lastHeartbeatIp: {
+    type: String,
+    default: null
+  },
+  // Seconds of silence before going offline; null uses CAMERA_OFFLINE_AFTER_SECONDS
+  heartbeatTimeoutSeconds: {
+    type: Number,
+    min: 10,
+    default: null
+  },
+  // Latest health details reported with a heartbeat (fps, temperature, firmware, ...)
+  health: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Stock detector for images from this camera's shelves, unless a shelf sets its own
+  detector: {
+    name: { type: String, default: null },
+    options: { type: mongoose.Schema.Types.Mixed, default: {} }
+  },
   metadata: {
     type: mongoose.Schema.Types.Mixed,
     default: {}
@@ -57,9 +89,12 @@ const cameraSchema = new mongoose.Schema({
   timestamps: true
 });
 
+cameraSchema.plugin(tenantScope);
+
 // Indexes
 cameraSchema.index({ name: 1 });
 cameraSchema.index({ location: 1 });
+cameraSchema.index({ locationId: 1 });
 cameraSchema.index({ isActive: 1 });
 cameraSchema.index({ status: 1 });
 
@@ -73,17 +108,32 @@ cameraSchema.pre('save', function(next) {
 cameraSchema.methods.getCameraInfo = function() {
   return {
     cameraId: this._id,
+    storeId: this.storeId,
     name: this.name,
     location: this.location,
+    locationId: this.locationId,
     rtspUrl: this.rtspUrl,
     isActive: this.isActive,
     status: this.status,
     resolution: this.resolution,
     fps: this.fps,
-    createdAt: this.createdAt
+    lastHeartbeatAt: this.lastHeartbeatAt,
+    heartbeatTimeoutSeconds: this.heartbeatTimeoutSeconds,
+    health: this.health,
+    detector: this.detector,
+    metadata: this.metadata,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
   };
 };
 
+// Instance method to check whether a camera has been silent for too long
+cameraSchema.methods.isSilent = function(now, defaultTimeoutSeconds) {
+  const timeoutSeconds = this.heartbeatTimeoutSeconds || defaultTimeoutSeconds;
+  const lastSeen = this.lastHeartbeatAt || this.createdAt;
+  return now - lastSeen > timeoutSeconds * 1000;
+};
+
 // Static method to find active cameras
 cameraSchema.statics.findActiveCameras = function() {
   return this.find({ isActive: true, status: 'online' });
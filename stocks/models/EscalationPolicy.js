@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const tenantScope = require('./plugins/tenantScope');
+
+const SEVERITY_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+const escalationStepSchema = new mongoose.Schema({
+  // Minutes the alert has been open and unacknowledged before this step fires
+  afterMinutes: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  notifyRoles: {
+    type: [{ type: String, enum: ['admin', 'manager', 'staff'] }],
+    default: []
+  },
+  bumpSeverity: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+const escalationPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Empty means "any"
+  alertTypes: {
+    type: [{
+      type: String,
+      enum: ['low_stock', 'out_of_stock', 'high_stock', 'anomaly', 'system_error', 'camera_offline']
+    }],
+    default: []
+  },
+  severities: {
+    type: [{ type: String, enum: SEVERITY_LEVELS }],
+    default: []
+  },
+  steps: {
+    type: [escalationStepSchema],
+    validate: {
+      validator: steps => steps.length > 0,
+      message: 'An escalation policy needs at least one step'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false // We use our own timestamp fields
+});
+
+escalationPolicySchema.plugin(tenantScope);
+
+// Indexes
+escalationPolicySchema.index({ isActive: 1, createdAt: 1 });
+
+// Keep steps in firing order
+escalationPolicySchema.pre('save', function(next) {
+  this.steps.sort((a, b) => a.afterMinutes - b.afterMinutes);
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Instance method to check whether the policy covers an alert
+escalationPolicySchema.methods.matches = function(alertType, severity) {
+  return (this.alertTypes.length === 0 || this.alertTypes.includes(alertType)) &&
+    (this.severities.length === 0 || this.severities.includes(severity));
+};
+
+// Instance method to get policy info
+escalationPolicySchema.methods.getPolicyInfo = function() {
+  return {
+    policyId: this._id,
+    name: this.name,
+    description: this.description,
+    alertTypes: this.alertTypes,
+    severities: this.severities,
+    steps: this.steps,
+    isActive: this.isActive,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Static method to find the policy for an alert; the oldest matching active policy wins
+escalationPolicySchema.statics.findForAlert = async function(alertType, severity) {
+  const policies = await this.find({ isActive: true }).sort({ createdAt: 1 });
+  return policies.find(policy => policy.matches(alertType, severity)) || null;
+};
+
+// Static method to raise a severity by one level, capped at critical
+escalationPolicySchema.statics.bumpSeverity = function(severity) {
+  const index = SEVERITY_LEVELS.indexOf(severity);
+  return SEVERITY_LEVELS[Math.min(index + 1, SEVERITY_LEVELS.length - 1)];
+};
+
+module.exports = mongoose.model('EscalationPolicy', escalationPolicySchema);
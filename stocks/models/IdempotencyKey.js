@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const tenantScope = require('./plugins/tenantScope');
+
+// A client-supplied Idempotency-Key and the response to the first request
+// that used it, replayed for retries until expiresAt
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  // The user or API key that sent the request, e.g. "user:<id>"
+  owner: {
+    type: String,
+    required: true
+  },
+  // Hash of the method, route and body the key was first used with
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  // When the request holding a processing key started; a retry may take over
+  // the key once this is older than the processing timeout
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  responseStatus: {
+    type: Number,
+    default: null
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: false // We use our own timestamp fields
+});
+
+idempotencyKeySchema.plugin(tenantScope);
+
+idempotencyKeySchema.index({ storeId: 1, owner: 1, key: 1 }, { unique: true });
+// Let MongoDB purge keys once their retention window has passed
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Instance method to get idempotency key info
+idempotencyKeySchema.methods.getIdempotencyKeyInfo = function() {
+  return {
+    idempotencyKeyId: this._id,
+    storeId: this.storeId,
+    key: this.key,
+    owner: this.owner,
+    status: this.status,
+    lockedAt: this.lockedAt,
+    responseStatus: this.responseStatus,
+    createdAt: this.createdAt,
+    expiresAt: this.expiresAt
+  };
+};
+
+// Static method to claim a key for a new request. Resolves to the new record,
+// or to the earlier one (created: false) when the key is already in use.
+// Keys past their retention window that MongoDB has not purged yet are reused,
+// and a retry of the same request takes over a key still processing since
+// before staleBefore.
+idempotencyKeySchema.statics.claim = async function({ key, owner, requestHash, expiresAt, staleBefore }) {
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      const record = await this.create({ key, owner, requestHash, lockedAt: new Date(), expiresAt });
+      return { record, created: true };
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+
+    const existing = await this.findOne({ owner, key });
+    if (existing && existing.expiresAt > new Date()) {
+      const abandoned = existing.status === 'processing' &&
+        existing.requestHash === requestHash &&
+        staleBefore && existing.lockedAt < staleBefore;
+      if (abandoned) {
+        // Only one retry wins the key; the others see it processing again
+        const record = await this.findOneAndUpdate(
+          { _id: existing._id, status: 'processing', lockedAt: existing.lockedAt },
+          { $set: { lockedAt: new Date(), expiresAt } },
+          { new: true }
+        );
+        if (record) return { record, created: true };
+      }
+      return { record: existing, created: false };
+    }
+    if (existing) {
+      await this.deleteOne({ _id: existing._id, expiresAt: existing.expiresAt });
+    }
+  }
+
+  throw new Error('Could not claim idempotency key');
+};
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const tenantScope = require('./plugins/tenantScope');
 
 const imageSchema = new mongoose.Schema({
   shelfId: {
@@ -37,6 +38,11 @@ const imageSchema = new mongoose.Schema({
     width: { type: Number },
     height: { type: Number }
   },
+  // SHA-256 of the file contents; identical uploads to the same store are rejected
+  contentHash: {
+    type: String,
+    default: undefined
+  },
   uploadTime: {
     type: Date,
     default: Date.now
@@ -62,6 +68,23 @@ const imageSchema = new mongoose.Schema({
     }],
     annotations: [String]
   },
+  // Human-verified labels from the review queue, kept as detector training data
+  labels: {
+    status: {
+      type: String,
+      enum: ['unreviewed', 'confirmed', 'corrected'],
+      default: 'unreviewed'
+    },
+    stockPercentage: { type: Number, min: 0, max: 100 },
+    boundingBoxes: [{
+      x: Number,
+      y: Number,
+      width: Number,
+      height: Number
+    }],
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: { type: Date }
+  },
   metadata: {
     type: mongoose.Schema.Types.Mixed,
     default: {}
@@ -83,6 +106,8 @@ const imageSchema = new mongoose.Schema({
   timestamps: true
 });
 
+imageSchema.plugin(tenantScope);
+
 // Indexes
 imageSchema.index({ shelfId: 1 });
 imageSchema.index({ productId: 1 });
@@ -91,13 +116,28 @@ imageSchema.index({ uploadTime: -1 });
 imageSchema.index({ processed: 1 });
 imageSchema.index({ processingStatus: 1 });
 imageSchema.index({ isActive: 1 });
+imageSchema.index({ storeId: 1, contentHash: 1 }, { unique: true, partialFilterExpression: { contentHash: { $type: 'string' } } });
+imageSchema.index({ 'labels.status': 1 });
 
 // Update updatedAt on save
 imageSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
+  this.$locals.wasNew = this.isNew;
   next();
 });
 
+// Queue new pending images for the processing worker
+imageSchema.post('save', async function(doc) {
+  if (!doc.$locals.wasNew || !doc.isActive || doc.processingStatus !== 'pending') return;
+  try {
+    // Required lazily: the job service itself depends on this model
+    const imageJobService = require('../services/imageJobService');
+    await imageJobService.enqueue(doc);
+  } catch (error) {
+    console.error('Error queueing image for processing:', error.message);
+  }
+});
+
 // Virtual for populated shelf info
 imageSchema.virtual('shelf', {
   ref: 'Shelf',
@@ -126,16 +166,23 @@ imageSchema.methods.getImageInfo = function() {
     fileSize: this.fileSize,
     mimeType: this.mimeType,
     dimensions: this.dimensions,
+    contentHash: this.contentHash,
     uploadTime: this.uploadTime,
     processed: this.processed,
     processingStatus: this.processingStatus,
     processingResults: this.processingResults,
+    labels: this.labels,
     tags: this.tags,
     isActive: this.isActive,
     createdAt: this.createdAt
   };
 };
 
+// Static method to find an image by content hash
+imageSchema.statics.findByContentHash = function(contentHash) {
+  return this.findOne({ contentHash });
+};
+
 // Static method to find unprocessed images
 imageSchema.statics.findUnprocessedImages = function() {
   return this.find({ processed: false, isActive: true }).populate('shelfId productId');
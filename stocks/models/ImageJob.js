@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+const tenantScope = require('./plugins/tenantScope');
+
+const imageJobSchema = new mongoose.Schema({
+  // One job per image; retries reuse the same job
+  imageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Image',
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued',
+    index: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  availableAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Worker currently holding the job and when its lock runs out
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lockExpiresAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  stockLevelId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockLevel',
+    default: null
+  },
+  durationMs: {
+    type: Number,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false // We use our own timestamp fields
+});
+
+imageJobSchema.plugin(tenantScope);
+
+// Indexes
+imageJobSchema.index({ status: 1, availableAt: 1 });
+imageJobSchema.index({ status: 1, lockExpiresAt: 1 });
+
+// Update updatedAt on save
+imageJobSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Instance method to get job info
+imageJobSchema.methods.getJobInfo = function() {
+  return {
+    jobId: this._id,
+    imageId: this.imageId,
+    status: this.status,
+    attempts: this.attempts,
+    maxAttempts: this.maxAttempts,
+    availableAt: this.availableAt,
+    lockedBy: this.lockedBy,
+    lockExpiresAt: this.lockExpiresAt,
+    lastError: this.lastError,
+    stockLevelId: this.stockLevelId,
+    durationMs: this.durationMs,
+    completedAt: this.completedAt,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Static method to queue an image once; existing jobs are returned unchanged
+imageJobSchema.statics.enqueue = function(imageId, { maxAttempts } = {}) {
+  const defaults = { status: 'queued', availableAt: new Date(), createdAt: new Date() };
+  if (maxAttempts) defaults.maxAttempts = maxAttempts;
+
+  return this.findOneAndUpdate(
+    { imageId },
+    { $setOnInsert: defaults },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Static method to atomically claim the next queued job that is due by dueBy.
+// The lock runs for timeoutMs from now, the time of the claim.
+imageJobSchema.statics.claimNext = function(workerId, { now = new Date(), dueBy = now, timeoutMs }) {
+  return this.findOneAndUpdate(
+    { status: 'queued', availableAt: { $lte: dueBy } },
+    {
+      $set: {
+        status: 'processing',
+        lockedBy: workerId,
+        lockedAt: now,
+        lockExpiresAt: new Date(now.getTime() + timeoutMs),
+        updatedAt: now
+      },
+      $inc: { attempts: 1 }
+    },
+    { new: true, sort: { availableAt: 1 } }
+  );
+};
+
+module.exports = mongoose.model('ImageJob', imageJobSchema);
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const tenantScope = require('./plugins/tenantScope');
+
+// Levels of the hierarchy, top first; shelves hang off aisles
+const LOCATION_TYPES = ['store', 'zone', 'aisle'];
+
+const locationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // Short human key such as "S01" or "S01-Z2", unique when set
+  code: {
+    type: String,
+    trim: true,
+    maxlength: 50,
+    default: undefined
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: LOCATION_TYPES
+  },
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    default: null
+  },
+  // Every location above this one, store first; lets a subtree be found with one query
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location'
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+locationSchema.plugin(tenantScope);
+
+// Indexes
+locationSchema.index({ code: 1 }, { unique: true, sparse: true });
+locationSchema.index({ parentId: 1, name: 1 });
+locationSchema.index({ ancestors: 1 });
+locationSchema.index({ type: 1, isActive: 1 });
+
+// A store is its own tenant; zones and aisles belong to the store above them
+locationSchema.pre('validate', function(next) {
+  this.storeId = this.type === 'store' ? this._id : (this.ancestors[0] || null);
+  next();
+});
+
+// Update updatedAt on save
+locationSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Instance method to get location info
+locationSchema.methods.getLocationInfo = function() {
+  return {
+    locationId: this._id,
+    storeId: this.storeId,
+    name: this.name,
+    code: this.code || null,
+    type: this.type,
+    parentId: this.parentId,
+    ancestors: this.ancestors,
+    isActive: this.isActive,
+    metadata: this.metadata,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Static method to get the IDs of a location and everything below it
+locationSchema.statics.findSubtreeIds = async function(locationId) {
+  const descendants = await this.find({ ancestors: locationId }, { _id: 1 });
+  return [new mongoose.Types.ObjectId(String(locationId)), ...descendants.map(location => location._id)];
+};
+
+locationSchema.statics.LOCATION_TYPES = LOCATION_TYPES;
+
+module.exports = mongoose.model('Location', locationSchema);
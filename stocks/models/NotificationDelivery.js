@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const tenantScope = require('./plugins/tenantScope');
+
+const notificationDeliverySchema = new mongoose.Schema({
+  alertId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert',
+    default: null, // Null for test notifications
+    index: true
+  },
+  subscriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NotificationSubscription',
+    required: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  channel: {
+    type: String,
+    required: true
+  },
+  target: {
+    type: String,
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed'],
+    default: 'pending',
+    index: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  // HTTP status or SMTP response of the last attempt
+  response: {
+    type: String,
+    default: null
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false // We use our own timestamp fields
+});
+
+notificationDeliverySchema.plugin(tenantScope);
+
+// Indexes
+notificationDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Update updatedAt on save
+notificationDeliverySchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Instance method to get delivery info
+notificationDeliverySchema.methods.getDeliveryInfo = function() {
+  return {
+    deliveryId: this._id,
+    alertId: this.alertId,
+    subscriptionId: this.subscriptionId,
+    userId: this.userId,
+    channel: this.channel,
+    target: this.target,
+    event: this.event,
+    status: this.status,
+    attempts: this.attempts,
+    maxAttempts: this.maxAttempts,
+    nextAttemptAt: this.nextAttemptAt,
+    lastError: this.lastError,
+    response: this.response,
+    sentAt: this.sentAt,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Static method to atomically claim the next delivery that is due
+notificationDeliverySchema.statics.claimNextDue = function(now = new Date()) {
+  return this.findOneAndUpdate(
+    { status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { status: 'sending', updatedAt: now }, $inc: { attempts: 1 } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+module.exports = mongoose.model('NotificationDelivery', notificationDeliverySchema);
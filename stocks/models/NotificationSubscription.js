@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const tenantScope = require('./plugins/tenantScope');
+
+const CHANNELS = ['email', 'webhook', 'slack', 'teams'];
+const EVENTS = ['alert.created', 'alert.escalated'];
+
+const notificationSubscriptionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  channel: {
+    type: String,
+    required: true,
+    enum: CHANNELS
+  },
+  // Email address for email, URL for webhook/slack/teams
+  target: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // HMAC signing secret for webhooks
+  secret: {
+    type: String,
+    default: null
+  },
+  // Empty means "any"
+  severities: {
+    type: [{ type: String, enum: ['low', 'medium', 'high', 'critical'] }],
+    default: []
+  },
+  alertTypes: {
+    type: [{
+      type: String,
+      enum: ['low_stock', 'out_of_stock', 'high_stock', 'anomaly', 'system_error', 'camera_offline']
+    }],
+    default: []
+  },
+  events: {
+    type: [{ type: String, enum: EVENTS }],
+    default: EVENTS
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false // We use our own timestamp fields
+});
+
+notificationSubscriptionSchema.plugin(tenantScope);
+
+// Indexes
+notificationSubscriptionSchema.index({ isActive: 1, events: 1 });
+
+// Update updatedAt on save
+notificationSubscriptionSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Instance method to check whether an alert event should be delivered
+notificationSubscriptionSchema.methods.matches = function(event, alertType, severity) {
+  return this.isActive &&
+    this.events.includes(event) &&
+    (this.alertTypes.length === 0 || this.alertTypes.includes(alertType)) &&
+    (this.severities.length === 0 || this.severities.includes(severity));
+};
+
+// Instance method to get subscription info
+notificationSubscriptionSchema.methods.getSubscriptionInfo = function() {
+  return {
+    subscriptionId: this._id,
+    userId: this.userId,
+    channel: this.channel,
+    target: this.target,
+    severities: this.severities,
+    alertTypes: this.alertTypes,
+    events: this.events,
+    isActive: this.isActive,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+notificationSubscriptionSchema.statics.CHANNELS = CHANNELS;
+notificationSubscriptionSchema.statics.EVENTS = EVENTS;
+
+module.exports = mongoose.model('NotificationSubscription', notificationSubscriptionSchema);
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const tenantScope = require('./plugins/tenantScope');
+
+// Slot coordinates are fractions (0-1) of the shelf as the camera sees it,
+// so they hold across camera resolutions
+const planogramSlotSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  x: { type: Number, required: true, min: 0, max: 1 },
+  y: { type: Number, required: true, min: 0, max: 1 },
+  width: { type: Number, required: true, min: 0, max: 1 },
+  height: { type: Number, required: true, min: 0, max: 1 },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Number of product facings the slot should show
+  facings: {
+    type: Number,
+    min: 1,
+    default: 1
+  }
+}, { _id: false });
+
+const planogramSchema = new mongoose.Schema({
+  shelfId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shelf',
+    required: true
+  },
+  // Versions are immutable; a layout change is a new version
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  // The version with the latest effectiveFrom at or before a time applies then
+  effectiveFrom: {
+    type: Date,
+    required: true
+  },
+  slots: {
+    type: [planogramSlotSchema],
+    validate: {
+      validator: slots => slots.length > 0,
+      message: 'A planogram needs at least one slot'
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false // We use our own timestamp field
+});
+
+planogramSchema.plugin(tenantScope);
+
+// Indexes
+planogramSchema.index({ shelfId: 1, version: 1 }, { unique: true });
+planogramSchema.index({ shelfId: 1, effectiveFrom: -1 });
+
+// Reject slots that leave the shelf, overlap, or reuse a name
+planogramSchema.pre('validate', function(next) {
+  const slots = this.slots || [];
+  const names = new Set();
+
+  slots.forEach((slot, index) => {
+    if (slot.x + slot.width > 1 || slot.y + slot.height > 1) {
+      this.invalidate(`slots.${index}`, `Slot '${slot.name}' extends beyond the shelf`);
+    }
+    if (names.has(slot.name)) {
+      this.invalidate(`slots.${index}.name`, `Slot name '${slot.name}' is used more than once`);
+    }
+    names.add(slot.name);
+
+    for (const other of slots.slice(index + 1)) {
+      const overlaps = slot.x < other.x + other.width && other.x < slot.x + slot.width &&
+        slot.y < other.y + other.height && other.y < slot.y + slot.height;
+      if (overlaps) {
+        this.invalidate(`slots.${index}`, `Slots '${slot.name}' and '${other.name}' overlap`);
+      }
+    }
+  });
+  next();
+});
+
+// Instance method to get planogram info
+planogramSchema.methods.getPlanogramInfo = function() {
+  return {
+    planogramId: this._id,
+    shelfId: this.shelfId,
+    version: this.version,
+    name: this.name,
+    notes: this.notes,
+    effectiveFrom: this.effectiveFrom,
+    slots: this.slots.map(slot => ({
+      name: slot.name,
+      x: slot.x,
+      y: slot.y,
+      width: slot.width,
+      height: slot.height,
+      productId: slot.productId,
+      facings: slot.facings
+    })),
+    createdBy: this.createdBy,
+    createdAt: this.createdAt
+  };
+};
+
+// Static method to find the version in effect on a shelf at a point in time
+planogramSchema.statics.findEffective = function(shelfId, at = new Date()) {
+  return this.findOne({ shelfId, effectiveFrom: { $lte: at } })
+    .sort({ effectiveFrom: -1, version: -1 });
+};
+
+module.exports = mongoose.model('Planogram', planogramSchema);
@@ -74,6 +74,16 @@ productSchema.index({ name: 1 });
 productSchema.index({ category: 1 });
 productSchema.index({ isActive: 1 });
 
+// Units below minStockLevel raise low-stock alerts and above maxStockLevel
+// high-stock ones, so the range must not be inverted
+productSchema.pre('validate', function(next) {
+  if (this.minStockLevel !== undefined && this.maxStockLevel !== undefined &&
+      this.minStockLevel > this.maxStockLevel) {
+    this.invalidate('maxStockLevel', 'maxStockLevel must be greater than or equal to minStockLevel', this.maxStockLevel);
+  }
+  next();
+});
+
 // Update updatedAt on save
 productSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
@@ -94,7 +104,9 @@ productSchema.methods.getProductInfo = function() {
     minStockLevel: this.minStockLevel,
     maxStockLevel: this.maxStockLevel,
     isActive: this.isActive,
-    createdAt: this.createdAt
+    metadata: this.metadata,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
   };
 };
 
@@ -103,21 +115,21 @@ productSchema.statics.findByCategory = function(category) {
   return this.find({ category: category, isActive: true });
 };
 
-// Static method to search products
-productSchema.statics.searchProducts = function(query) {
-  return this.find({
-    $and: [
-      { isActive: true },
-      {
-        $or: [
-          { name: { $regex: query, $options: 'i' } },
-          { category: { $regex: query, $options: 'i' } },
-          { sku: { $regex: query, $options: 'i' } },
-          { barcode: { $regex: query, $options: 'i' } }
-        ]
-      }
-    ]
+// Static method to search products. Every word of the query must appear in
+// the name, description, category, SKU or barcode; matching is case-insensitive.
+productSchema.statics.searchProducts = function(query, { category, includeInactive = false } = {}) {
+  const words = String(query).trim().split(/\s+/).filter(Boolean);
+  const conditions = words.map(word => {
+    const pattern = { $regex: word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    return {
+      $or: ['name', 'description', 'category', 'sku', 'barcode'].map(field => ({ [field]: pattern }))
+    };
   });
+
+  if (!includeInactive) conditions.push({ isActive: true });
+  if (category) conditions.push({ category });
+
+  return this.find(conditions.length > 0 ? { $and: conditions } : {});
 };
 
 module.exports = mongoose.model('Product', productSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const tenantScope = require('./plugins/tenantScope');
 
 const shelfSchema = new mongoose.Schema({
   shelfName: {
@@ -12,6 +13,12 @@ const shelfSchema = new mongoose.Schema({
     ref: 'Camera',
     default: null
   },
+  // Aisle the shelf stands in
+  locationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    default: null
+  },
   locationDescription: {
     type: String,
     trim: true
@@ -30,6 +37,11 @@ const shelfSchema = new mongoose.Schema({
     type: Number,
     min: 0
   },
+  // Stock detector for this shelf's images; overrides the camera's
+  detector: {
+    name: { type: String, default: null },
+    options: { type: mongoose.Schema.Types.Mixed, default: {} }
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -50,9 +62,12 @@ const shelfSchema = new mongoose.Schema({
   timestamps: true
 });
 
+shelfSchema.plugin(tenantScope);
+
 // Indexes
 shelfSchema.index({ shelfName: 1 });
 shelfSchema.index({ cameraId: 1 });
+shelfSchema.index({ locationId: 1 });
 shelfSchema.index({ isActive: 1 });
 
 // Update updatedAt on save
@@ -73,12 +88,15 @@ shelfSchema.virtual('camera', {
 shelfSchema.methods.getShelfInfo = function() {
   return {
     shelfId: this._id,
+    storeId: this.storeId,
     shelfName: this.shelfName,
     cameraId: this.cameraId,
+    locationId: this.locationId,
     locationDescription: this.locationDescription,
     coordinates: this.coordinates,
     dimensions: this.dimensions,
     capacity: this.capacity,
+    detector: this.detector,
     isActive: this.isActive,
     createdAt: this.createdAt
   };
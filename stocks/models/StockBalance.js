@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const tenantScope = require('./plugins/tenantScope');
+
+// Current balance of one product: the head of its stock ledger. Ledger writes
+// move it with a single atomic update, so concurrent changes cannot overwrite
+// each other.
+const stockBalanceSchema = new mongoose.Schema({
+  productId: {
+    type: String,
+    required: true
+  },
+  stockLevel: {
+    type: Number,
+    required: true,
+    default: 0
+  },
+  // Velocity and acceleration of the newest ledger entry; velocity is null
+  // until the product has one
+  velocity: {
+    type: Number,
+    default: null
+  },
+  acceleration: {
+    type: Number,
+    default: 0
+  },
+  // Velocity and acceleration from before the newest claim, put back if that
+  // claim is rolled back before another change lands
+  previousVelocity: {
+    type: Number,
+    default: null
+  },
+  previousAcceleration: {
+    type: Number,
+    default: 0
+  },
+  // Incremented by every change; each ledger entry keeps it as its sequence
+  version: {
+    type: Number,
+    default: 0
+  },
+  // Changes claimed on the balance whose ledger entries are not written yet.
+  // Backdated changes wait for it to reach zero before rewriting the ledger.
+  pending: {
+    type: Number,
+    default: 0
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false // We use our own timestamp fields
+});
+
+stockBalanceSchema.plugin(tenantScope);
+
+stockBalanceSchema.index({ storeId: 1, productId: 1 }, { unique: true });
+
+// Instance method to get balance info
+stockBalanceSchema.methods.getBalanceInfo = function() {
+  return {
+    storeId: this.storeId,
+    productId: this.productId,
+    stockLevel: this.stockLevel,
+    velocity: this.velocity,
+    acceleration: this.acceleration,
+    version: this.version,
+    pending: this.pending,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Static method to add a change to a product's balance unless it would go
+// below zero. Resolves to the updated balance, or null when the product has no
+// balance yet or the stock is insufficient. updatedAt is the server's clock, so
+// it orders changes the same way the version does. The change stays pending
+// until its ledger entry is written.
+stockBalanceSchema.statics.applyChange = function(productId, change) {
+  return this.findOneAndUpdate(
+    { productId, stockLevel: { $gte: -change } },
+    [{
+      $set: {
+        stockLevel: { $add: ['$stockLevel', change] },
+        previousVelocity: '$velocity',
+        previousAcceleration: '$acceleration',
+        velocity: { $cond: [{ $eq: ['$velocity', null] }, 0, change] },
+        acceleration: { $cond: [{ $eq: ['$velocity', null] }, 0, { $subtract: [change, '$velocity'] }] },
+        version: { $add: ['$version', 1] },
+        pending: { $add: [{ $ifNull: ['$pending', 0] }, 1] },
+        updatedAt: '$$NOW'
+      }
+    }],
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('StockBalance', stockBalanceSchema);
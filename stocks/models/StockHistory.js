@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const tenantScope = require('./plugins/tenantScope');
 
 const stockHistorySchema = new mongoose.Schema({
   productId: {
@@ -22,12 +23,21 @@ const stockHistorySchema = new mongoose.Schema({
   reason: {
     type: String,
     required: true,
-    enum: ['restock', 'sale', 'adjustment']
+    enum: ['restock', 'sale', 'adjustment', 'return', 'damage']
+  },
+  // The stock ledger entry this record mirrors
+  ledgerEntryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockTimeSeries',
+    default: null,
+    index: true
   }
 }, {
   timestamps: false // We're using our own timestamp field
 });
 
+stockHistorySchema.plugin(tenantScope);
+
 // Compound index for efficient queries
 stockHistorySchema.index({ productId: 1, timestamp: -1 });
 
@@ -41,23 +51,12 @@ stockHistorySchema.statics.getLatestStockLevel = async function(productId) {
   return latestRecord ? latestRecord.stockLevel : 0;
 };
 
-// Static method to record a stock change
+// Static method to record a stock change. Changes go through the stock
+// ledger; the returned record is the ledger entry's history mirror.
 stockHistorySchema.statics.recordStockChange = async function(productId, change, reason) {
-  const currentStockLevel = await this.getLatestStockLevel(productId);
-  const newStockLevel = currentStockLevel + change;
-  
-  if (newStockLevel < 0) {
-    throw new Error('Stock level cannot be negative');
-  }
-  
-  const stockRecord = new this({
-    productId,
-    change,
-    stockLevel: newStockLevel,
-    reason
-  });
-  
-  return await stockRecord.save();
+  const stockLedgerService = require('../services/stockLedgerService');
+  const { history } = await stockLedgerService.recordChange({ productId, change, reason });
+  return history;
 };
 
 module.exports = mongoose.model('StockHistory', stockHistorySchema);
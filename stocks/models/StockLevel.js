@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const tenantScope = require('./plugins/tenantScope');
 
 const stockLevelSchema = new mongoose.Schema({
   shelfId: {
@@ -49,6 +50,26 @@ const stockLevelSchema = new mongoose.Schema({
     default: {}
   },
   tags: [String],
+  // Slot-by-slot planogram check of the detections behind this reading;
+  // null when the shelf has no planogram
+  planogram: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Low-confidence computer vision readings wait for a person to confirm or
+  // correct them; pending and corrected readings are not trusted
+  reviewStatus: {
+    type: String,
+    enum: ['not_required', 'pending', 'confirmed', 'corrected'],
+    default: 'not_required'
+  },
+  review: {
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    reviewedAt: { type: Date, default: null },
+    // Manual reading created by a correction
+    correctionId: { type: mongoose.Schema.Types.ObjectId, ref: 'StockLevel', default: null },
+    notes: { type: String, maxlength: 1000, default: null }
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -57,12 +78,37 @@ const stockLevelSchema = new mongoose.Schema({
   timestamps: false // We use our own timestamp field
 });
 
+stockLevelSchema.plugin(tenantScope);
+
 // Compound indexes for efficient queries
 stockLevelSchema.index({ shelfId: 1, productId: 1, timestamp: -1 });
 stockLevelSchema.index({ productId: 1, timestamp: -1 });
 stockLevelSchema.index({ timestamp: -1 });
 stockLevelSchema.index({ detectionMethod: 1 });
 stockLevelSchema.index({ confidence: 1 });
+stockLevelSchema.index({ reviewStatus: 1, timestamp: -1 });
+
+// Review states whose readings are left out of current stock and alerting
+const UNTRUSTED_REVIEW_STATUSES = ['pending', 'corrected'];
+
+// Remember whether this save inserted a new reading
+stockLevelSchema.pre('save', function(next) {
+  this.$locals.wasNew = this.isNew;
+  next();
+});
+
+// Evaluate new readings against the alert rules
+stockLevelSchema.post('save', async function(doc) {
+  // Readings awaiting review are evaluated once they are confirmed
+  if (!doc.$locals.wasNew || !doc.isActive || doc.reviewStatus === 'pending') return;
+  try {
+    // Required lazily: the engine itself depends on this model
+    const alertEngineService = require('../services/alertEngineService');
+    await alertEngineService.evaluateStockLevel(doc);
+  } catch (error) {
+    console.error('Error evaluating alert rules for stock level:', error.message);
+  }
+});
 
 // Virtual for populated shelf info
 stockLevelSchema.virtual('shelf', {
@@ -101,6 +147,9 @@ stockLevelSchema.methods.getStockInfo = function() {
     imageId: this.imageId,
     timestamp: this.timestamp,
     tags: this.tags,
+    planogram: this.planogram,
+    reviewStatus: this.reviewStatus,
+    review: this.review,
     isActive: this.isActive
   };
 };
@@ -260,7 +309,7 @@ stockLevelSchema.statics.getGroupStage = function(period) {
 stockLevelSchema.statics.detectLowStock = async function(threshold = 20) {
   const pipeline = [
     {
-      $match: { isActive: true }
+      $match: { isActive: true, reviewStatus: { $nin: UNTRUSTED_REVIEW_STATUSES } }
     },
     {
       $sort: { shelfId: 1, productId: 1, timestamp: -1 }
@@ -351,4 +400,6 @@ stockLevelSchema.statics.getStockTrends = async function(shelfId, productId, sta
   };
 };
 
+stockLevelSchema.statics.UNTRUSTED_REVIEW_STATUSES = UNTRUSTED_REVIEW_STATUSES;
+
 module.exports = mongoose.model('StockLevel', stockLevelSchema);
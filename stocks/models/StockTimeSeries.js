@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const tenantScope = require('./plugins/tenantScope');
 
 // Time-series schema optimized for stock tracking
 const stockTimeSeriesSchema = new mongoose.Schema({
@@ -20,6 +21,13 @@ const stockTimeSeriesSchema = new mongoose.Schema({
     default: 'warehouse',
     index: true
   },
+  // Store, zone or aisle the change happened in
+  locationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    default: null,
+    index: true
+  },
   
   // Measurements (the actual time-series data)
   stockLevel: {
@@ -45,6 +53,12 @@ const stockTimeSeriesSchema = new mongoose.Schema({
     type: Number, // Rate of change of velocity
     default: 0
   },
+  // Position in the product's ledger (its StockBalance version); orders
+  // entries that share a timestamp
+  sequence: {
+    type: Number,
+    default: null
+  },
   
   // Metadata for analysis
   seasonality: {
@@ -76,16 +90,38 @@ const stockTimeSeriesSchema = new mongoose.Schema({
   timestamps: false // We use our own timestamp field
 });
 
+stockTimeSeriesSchema.plugin(tenantScope);
+
 // Compound indexes for efficient queries
 stockTimeSeriesSchema.index({ productId: 1, timestamp: -1 });
 stockTimeSeriesSchema.index({ timestamp: -1, productId: 1 });
 stockTimeSeriesSchema.index({ reason: 1, timestamp: -1 });
 
+// Remember whether this save inserted a new record
+stockTimeSeriesSchema.pre('save', function(next) {
+  this.$locals.wasNew = this.isNew;
+  next();
+});
+
+// Evaluate new records against the alert rules
+stockTimeSeriesSchema.post('save', async function(doc) {
+  if (!doc.$locals.wasNew) return;
+  try {
+    // Required lazily: the engine itself depends on this model
+    const alertEngineService = require('../services/alertEngineService');
+    await alertEngineService.evaluateTimeSeriesRecord(doc);
+  } catch (error) {
+    console.error('Error evaluating alert rules for time-series record:', error.message);
+  }
+});
+
 // Static methods for time-series operations
-stockTimeSeriesSchema.statics.getTimeSeriesData = async function(productId, startTime, endTime, granularity = '1h') {
+// (filter narrows the records further, e.g. to a location subtree)
+stockTimeSeriesSchema.statics.getTimeSeriesData = async function(productId, startTime, endTime, granularity = '1h', filter = {}) {
   const pipeline = [
     {
       $match: {
+        ...filter,
         productId: productId,
         timestamp: {
           $gte: new Date(startTime),
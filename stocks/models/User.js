@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
+const tenantScope = require('./plugins/tenantScope');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -37,6 +39,14 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date
   },
+  passwordResetTokenHash: {
+    type: String,
+    default: null
+  },
+  passwordResetExpiresAt: {
+    type: Date,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -49,6 +59,8 @@ const userSchema = new mongoose.Schema({
   timestamps: true
 });
 
+userSchema.plugin(tenantScope);
+
 // Indexes
 userSchema.index({ role: 1 });
 
@@ -80,6 +92,7 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
 userSchema.methods.getPublicProfile = function() {
   return {
     userId: this._id,
+    storeId: this.storeId,
     username: this.username,
     email: this.email,
     role: this.role,
@@ -89,6 +102,22 @@ userSchema.methods.getPublicProfile = function() {
   };
 };
 
+// Instance method to issue a one-time password reset token.
+// Only the hash is stored; the raw token is returned to the caller once.
+userSchema.methods.createPasswordResetToken = function(ttlMinutes = 60) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetTokenHash = crypto.createHash('sha256').update(token).digest('hex');
+  this.passwordResetExpiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
+  return token;
+};
+
+// Instance method to set a new password and clear any pending reset token
+userSchema.methods.setPassword = function(newPassword) {
+  this.password_hash = newPassword; // Hashed by the pre-save hook
+  this.passwordResetTokenHash = null;
+  this.passwordResetExpiresAt = null;
+};
+
 // Static method to create user
 userSchema.statics.createUser = async function(userData) {
   const user = new this(userData);
@@ -105,4 +134,12 @@ userSchema.statics.findByUsernameOrEmail = function(identifier) {
   });
 };
 
+// Static method to find the user owning a valid password reset token
+userSchema.statics.findByPasswordResetToken = function(token) {
+  return this.findOne({
+    passwordResetTokenHash: crypto.createHash('sha256').update(token).digest('hex'),
+    passwordResetExpiresAt: { $gt: new Date() }
+  });
+};
+
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const HttpError = require('../../utils/httpError');
+const { getStoreScope } = require('../../utils/tenantContext');
+
+// Query operations that take a filter; each gets the active store added to it
+const FILTERED_QUERIES = [
+  'countDocuments',
+  'deleteMany',
+  'deleteOne',
+  'distinct',
+  'find',
+  'findOne',
+  'findOneAndDelete',
+  'findOneAndReplace',
+  'findOneAndUpdate',
+  'replaceOne',
+  'updateMany',
+  'updateOne'
+];
+
+// Mongoose plugin giving a model a storeId and confining every read and write
+// to the store of the active tenant scope (see utils/tenantContext).
+// A null storeId is the unassigned store, which holds data from before stores existed.
+function tenantScope(schema) {
+  schema.add({
+    storeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Location',
+      default: null,
+      index: true
+    }
+  });
+
+  schema.pre(FILTERED_QUERIES, function(next) {
+    const scope = getStoreScope();
+    // A top-level condition also becomes the storeId of upserted documents
+    if (scope) this.where({ storeId: scope.storeId });
+    next();
+  });
+
+  schema.pre('aggregate', function(next) {
+    const scope = getStoreScope();
+    if (scope) this.pipeline().unshift({ $match: { storeId: scope.storeId } });
+    next();
+  });
+
+  schema.pre('insertMany', function(next, docs) {
+    const scope = getStoreScope();
+    if (scope) {
+      for (const doc of [].concat(docs)) {
+        doc.storeId = scope.storeId;
+      }
+    }
+    next();
+  });
+
+  // New documents join the active store; existing ones cannot leave it
+  schema.pre('save', function(next) {
+    const scope = getStoreScope();
+    if (!scope) return next();
+
+    if (this.isNew) {
+      this.storeId = scope.storeId;
+    } else if (String(this.storeId || null) !== String(scope.storeId || null)) {
+      return next(new HttpError(403, 'Record belongs to another store'));
+    }
+    next();
+  });
+}
+
+module.exports = tenantScope;
@@ -0,0 +1,226 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const AlertRule = require('../models/AlertRule');
+const { authenticate, authorize } = require('../middleware/auth');
+const { setAuditDetails } = require('../middleware/audit');
+
+const router = express.Router();
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const RULE_FIELDS = [
+  'name', 'description', 'productId', 'category', 'shelfId',
+  'minStockLevel', 'maxStockLevel', 'minStockPercentage', 'maxStockPercentage',
+  'anomalyZScore', 'alertTypes', 'severities', 'isActive'
+];
+
+const ruleValidators = [
+  body('productId').optional({ nullable: true }).isMongoId().withMessage('Product ID must be a valid ID'),
+  body('shelfId').optional({ nullable: true }).isMongoId().withMessage('Shelf ID must be a valid ID'),
+  body('category').optional({ nullable: true }).isString(),
+  body(['minStockLevel', 'maxStockLevel']).optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Stock levels must be non-negative numbers'),
+  body(['minStockPercentage', 'maxStockPercentage']).optional({ nullable: true }).isFloat({ min: 0, max: 100 }).withMessage('Stock percentages must be between 0 and 100'),
+  body('anomalyZScore').optional({ nullable: true }).isFloat({ min: 1 }).withMessage('Anomaly z-score must be at least 1'),
+  body('alertTypes').optional().isArray().withMessage('Alert types must be an array'),
+  body('alertTypes.*').isIn(AlertRule.ALERT_TYPES).withMessage(`Alert types must be one of: ${AlertRule.ALERT_TYPES.join(', ')}`),
+  body('severities').optional().isObject().withMessage('Severities must be an object'),
+  body('severities.*').isIn(SEVERITIES).withMessage(`Severities must be one of: ${SEVERITIES.join(', ')}`),
+  body('isActive').optional().isBoolean().withMessage('isActive must be boolean')
+];
+
+function pickRuleFields(source) {
+  const fields = {};
+  for (const field of RULE_FIELDS) {
+    if (source[field] !== undefined) {
+      fields[field] = source[field];
+    }
+  }
+  return fields;
+}
+
+// Every route in this group requires an authenticated user or API key
+router.use(authenticate);
+
+// GET /api/alert-rules - List alert rules
+router.get('/', authorize('alerts:read'), [
+  query('productId').optional().isMongoId().withMessage('Product ID must be a valid ID'),
+  query('shelfId').optional().isMongoId().withMessage('Shelf ID must be a valid ID'),
+  query('category').optional().isString(),
+  query('isActive').optional().isBoolean().withMessage('isActive must be boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { productId, shelfId, category, isActive } = req.query;
+
+    const filter = {};
+    if (productId) filter.productId = productId;
+    if (shelfId) filter.shelfId = shelfId;
+    if (category) filter.category = category;
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+    const rules = await AlertRule.find(filter).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: rules.map(rule => rule.getRuleInfo())
+    });
+  } catch (error) {
+    console.error('Error fetching alert rules:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/alert-rules/:id - Get a single alert rule
+router.get('/:id', authorize('alerts:read'), [
+  param('id').isMongoId().withMessage('Invalid alert rule ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const rule = await AlertRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: rule.getRuleInfo()
+    });
+  } catch (error) {
+    console.error('Error fetching alert rule:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/alert-rules - Create an alert rule
+router.post('/', authorize('alerts:configure'), [
+  body('name').notEmpty().withMessage('Name is required'),
+  ...ruleValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const rule = await AlertRule.create({
+      ...pickRuleFields(req.body),
+      createdBy: req.user ? req.user._id : null
+    });
+
+    setAuditDetails(res, {
+      entityType: 'AlertRule',
+      entityId: rule._id,
+      after: rule.getRuleInfo()
+    });
+
+    res.status(201).json({
+      success: true,
+      data: rule.getRuleInfo()
+    });
+  } catch (error) {
+    console.error('Error creating alert rule:', error.message);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// PATCH /api/alert-rules/:id - Update an alert rule
+router.patch('/:id', authorize('alerts:configure'), [
+  param('id').isMongoId().withMessage('Invalid alert rule ID'),
+  body('name').optional().notEmpty().withMessage('Name cannot be empty'),
+  ...ruleValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const rule = await AlertRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert rule not found'
+      });
+    }
+
+    const before = rule.getRuleInfo();
+    rule.set(pickRuleFields(req.body));
+    await rule.save();
+
+    setAuditDetails(res, {
+      entityType: 'AlertRule',
+      entityId: rule._id,
+      before,
+      after: rule.getRuleInfo()
+    });
+
+    res.json({
+      success: true,
+      data: rule.getRuleInfo()
+    });
+  } catch (error) {
+    console.error('Error updating alert rule:', error.message);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/alert-rules/:id - Delete an alert rule
+router.delete('/:id', authorize('alerts:configure'), [
+  param('id').isMongoId().withMessage('Invalid alert rule ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const rule = await AlertRule.findByIdAndDelete(req.params.id);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert rule not found'
+      });
+    }
+
+    setAuditDetails(res, {
+      entityType: 'AlertRule',
+      entityId: rule._id,
+      before: rule.getRuleInfo()
+    });
+
+    res.json({
+      success: true,
+      message: 'Alert rule deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting alert rule:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
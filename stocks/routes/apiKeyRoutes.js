@@ -0,0 +1,158 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const apiKeyService = require('../services/apiKeyService');
+const { authenticateUser, authorize } = require('../middleware/auth');
+const { API_KEY_SCOPES } = require('../config/permissions');
+
+const router = express.Router();
+
+// API keys are managed by admins only; keys cannot manage other keys
+router.use(authenticateUser, authorize('apikeys:manage'));
+
+// GET /api/api-keys - List API keys, optionally only stale ones
+router.get('/', [
+  query('unusedForDays').optional().isInt({ min: 1 }).withMessage('unusedForDays must be a positive integer'),
+  query('includeRevoked').optional().isBoolean().withMessage('includeRevoked must be boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { unusedForDays, includeRevoked } = req.query;
+
+    const keys = await apiKeyService.listKeys({
+      unusedForDays: unusedForDays === undefined ? undefined : parseInt(unusedForDays),
+      includeRevoked: includeRevoked === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: keys,
+      availableScopes: API_KEY_SCOPES
+    });
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/api-keys - Issue a new API key
+router.post('/', [
+  body('name').notEmpty().withMessage('Name is required'),
+  body('scopes').isArray({ min: 1 }).withMessage('Scopes must be a non-empty array'),
+  body('expiresAt').optional().isISO8601().withMessage('Expiry must be valid ISO8601 format'),
+  body('storeId').optional({ nullable: true }).isMongoId().withMessage('Invalid store ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, description, scopes, expiresAt, storeId } = req.body;
+
+    const apiKey = await apiKeyService.createKey(req.user, { name, description, scopes, expiresAt, storeId });
+
+    res.status(201).json({
+      success: true,
+      data: apiKey,
+      message: 'API key created. Store the key now; it cannot be shown again.'
+    });
+  } catch (error) {
+    console.error('Error creating API key:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// PATCH /api/api-keys/:id - Update an API key's name, description or scopes
+router.patch('/:id', [
+  param('id').isMongoId().withMessage('Invalid API key ID'),
+  body('scopes').optional().isArray({ min: 1 }).withMessage('Scopes must be a non-empty array')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, description, scopes } = req.body;
+
+    const apiKey = await apiKeyService.updateKey(req.params.id, { name, description, scopes });
+
+    res.json({
+      success: true,
+      data: apiKey
+    });
+  } catch (error) {
+    console.error('Error updating API key:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/api-keys/:id/rotate - Replace an API key's secret
+router.post('/:id/rotate', [
+  param('id').isMongoId().withMessage('Invalid API key ID'),
+  body('gracePeriodMinutes').optional().isInt({ min: 0, max: 10080 }).withMessage('Grace period must be between 0 and 10080 minutes')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { gracePeriodMinutes = 0 } = req.body;
+
+    const apiKey = await apiKeyService.rotateKey(req.params.id, parseInt(gracePeriodMinutes));
+
+    res.json({
+      success: true,
+      data: apiKey,
+      message: 'API key rotated. Store the new key now; it cannot be shown again.'
+    });
+  } catch (error) {
+    console.error('Error rotating API key:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/api-keys/:id - Revoke an API key
+router.delete('/:id', [
+  param('id').isMongoId().withMessage('Invalid API key ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const apiKey = await apiKeyService.revokeKey(req.user, req.params.id);
+
+    res.json({
+      success: true,
+      data: apiKey,
+      message: 'API key revoked'
+    });
+  } catch (error) {
+    console.error('Error revoking API key:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
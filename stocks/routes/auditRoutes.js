@@ -0,0 +1,85 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const AuditLog = require('../models/AuditLog');
+const { authenticateUser, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Every route in this group requires an authenticated user
+router.use(authenticateUser);
+
+// GET /api/audit - Query the audit log by user, API key, entity and date range
+router.get('/', authorize('audit:read'), [
+  query('userId').optional().isMongoId().withMessage('User ID must be a valid ID'),
+  query('apiKeyId').optional().isMongoId().withMessage('API key ID must be a valid ID'),
+  query('entityType').optional().isString(),
+  query('entityId').optional().isString(),
+  query('action').optional().isString(),
+  query('method').optional().isIn(['POST', 'PUT', 'PATCH', 'DELETE']).withMessage('Method must be POST, PUT, PATCH, or DELETE'),
+  query('from').optional().isISO8601().withMessage('From date must be valid ISO8601 format'),
+  query('to').optional().isISO8601().withMessage('To date must be valid ISO8601 format'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const {
+      userId,
+      apiKeyId,
+      entityType,
+      entityId,
+      action,
+      method,
+      from,
+      to,
+      page = 1,
+      limit = 50
+    } = req.query;
+
+    const result = await AuditLog.search(
+      { actorId: userId, apiKeyId, entityType, entityId, action, method, from, to },
+      { page: parseInt(page), limit: parseInt(limit) }
+    );
+
+    res.json({
+      success: true,
+      data: result.entries.map(entry => entry.getAuditInfo()),
+      pagination: {
+        page: result.page,
+        limit: result.limit,
+        total: result.total
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/audit/:entityType/:entityId - Get the change history of one entity
+router.get('/:entityType/:entityId', authorize('audit:read'), async (req, res) => {
+  try {
+    const { entityType, entityId } = req.params;
+    const entries = await AuditLog.findByEntity(entityType, entityId);
+
+    res.json({
+      success: true,
+      data: entries.map(entry => entry.getAuditInfo())
+    });
+  } catch (error) {
+    console.error('Error fetching entity audit history:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,124 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const authService = require('../services/authService');
+const userService = require('../services/userService');
+const { authenticateUser } = require('../middleware/auth');
+const getRequestContext = require('../utils/requestContext');
+
+const router = express.Router();
+
+// POST /api/auth/login - Exchange credentials for an access/refresh token pair
+router.post('/login', [
+  body('identifier').notEmpty().withMessage('Username or email is required'),
+  body('password').notEmpty().withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { identifier, password } = req.body;
+
+    const tokens = await authService.login(identifier, password, getRequestContext(req));
+
+    res.json({
+      success: true,
+      data: tokens
+    });
+  } catch (error) {
+    console.error('Error logging in:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/auth/refresh - Rotate the refresh token and issue a new access token
+router.post('/refresh', [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const tokens = await authService.refresh(req.body.refreshToken);
+
+    res.json({
+      success: true,
+      data: tokens
+    });
+  } catch (error) {
+    console.error('Error refreshing token:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/auth/logout - Revoke the session behind a refresh token
+router.post('/logout', [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await authService.logout(req.body.refreshToken);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/auth/password-reset - Set a new password with an admin-issued reset token
+router.post('/password-reset', [
+  body('resetToken').notEmpty().withMessage('Reset token is required'),
+  body('newPassword').isLength({ min: 8 }).withMessage('New password must be at least 8 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { resetToken, newPassword } = req.body;
+
+    await userService.resetPassword(resetToken, newPassword, getRequestContext(req));
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully'
+    });
+  } catch (error) {
+    console.error('Error resetting password:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/auth/me - Get the profile of the authenticated user
+router.get('/me', authenticateUser, (req, res) => {
+  res.json({
+    success: true,
+    data: req.user.getPublicProfile()
+  });
+});
+
+module.exports = router;
@@ -1,5 +1,6 @@
 const express = require('express');
-const { body, validationResult, query } = require('express-validator');
+const multer = require('multer');
+const { body, param, validationResult, query } = require('express-validator');
 const User = require('../models/User');
 const Camera = require('../models/Camera');
 const Shelf = require('../models/Shelf');
@@ -7,84 +8,920 @@ const Product = require('../models/Product');
 const Image = require('../models/Image');
 const StockLevel = require('../models/StockLevel');
 const Alert = require('../models/Alert');
+const Location = require('../models/Location');
+const alertService = require('../services/alertService');
+const alertAnalyticsService = require('../services/alertAnalyticsService');
+const cameraService = require('../services/cameraService');
+const imageUploadService = require('../services/imageUploadService');
+const imageJobService = require('../services/imageJobService');
+const stockDetectors = require('../services/stockDetectors');
+const reviewService = require('../services/reviewService');
+const datasetExportService = require('../services/datasetExportService');
+const planogramService = require('../services/planogramService');
+const productService = require('../services/productService');
+const locationService = require('../services/locationService');
+const HttpError = require('../utils/httpError');
+const { bindStoreScope } = require('../utils/tenantContext');
+const { authenticate, authorize } = require('../middleware/auth');
+const { setAuditDetails, skipAudit } = require('../middleware/audit');
 
 const router = express.Router();
 
-// GET /api/cv/products - Get all products
-router.get('/products', async (req, res) => {
+// Rollups count readings below this as low stock, matching StockLevel.detectLowStock
+const LOW_STOCK_PERCENTAGE = 20;
+
+const PRODUCT_UNITS = Product.schema.path('unit').enumValues;
+
+// Every route in this group requires an authenticated user or API key
+router.use(authenticate);
+
+const productValidators = [
+  body('name').optional().trim().notEmpty().isLength({ max: 50 }).withMessage('Name must be 1-50 characters'),
+  body('category').optional({ nullable: true }).trim().isLength({ max: 50 }).withMessage('Category must be at most 50 characters'),
+  body('imageUrl').optional({ nullable: true }).isURL().withMessage('Image URL must be a valid URL'),
+  body('description').optional({ nullable: true }).isString().withMessage('Description must be a string'),
+  body('sku').optional().trim().notEmpty().withMessage('SKU cannot be empty'),
+  body('barcode').optional().trim().notEmpty().withMessage('Barcode cannot be empty'),
+  body('unit').optional().isIn(PRODUCT_UNITS).withMessage(`Unit must be one of: ${PRODUCT_UNITS.join(', ')}`),
+  body('minStockLevel').optional().isFloat({ min: 0 }).withMessage('minStockLevel must be a non-negative number'),
+  body('maxStockLevel').optional().isFloat({ min: 0 }).withMessage('maxStockLevel must be a non-negative number'),
+  body('metadata').optional().isObject().withMessage('Metadata must be an object')
+];
+
+const productIdValidator = param('id').isMongoId().withMessage('Invalid product ID');
+
+// GET /api/cv/products - List products (search, category, includeInactive)
+router.get('/products', authorize('cv:read'), [
+  query('search').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Search must be 1-100 characters'),
+  query('category').optional().trim().notEmpty().withMessage('Category cannot be empty'),
+  query('includeInactive').optional().isBoolean().withMessage('includeInactive must be boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const products = await productService.listProducts({
+      search: req.query.search,
+      category: req.query.category,
+      includeInactive: req.query.includeInactive === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: products
+    });
+  } catch (error) {
+    console.error('Error fetching products:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/cv/products/categories - Categories of active products with product counts
+router.get('/products/categories', authorize('cv:read'), async (req, res) => {
+  try {
+    const categories = await productService.listCategories();
+
+    res.json({
+      success: true,
+      data: categories
+    });
+  } catch (error) {
+    console.error('Error fetching product categories:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/cv/products/:id - Get product by ID
+router.get('/products/:id', authorize('cv:read'), [productIdValidator], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const product = await productService.getProduct(req.params.id);
+
+    res.json({
+      success: true,
+      data: product.getProductInfo()
+    });
+  } catch (error) {
+    console.error('Error fetching product:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/cv/products - Add a product to the catalogue
+router.post('/products', authorize('products:manage'), [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  ...productValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const product = await productService.createProduct(req.body);
+
+    setAuditDetails(res, {
+      entityType: 'Product',
+      entityId: product._id,
+      after: product.getProductInfo()
+    });
+
+    res.status(201).json({
+      success: true,
+      data: product.getProductInfo()
+    });
+  } catch (error) {
+    console.error('Error creating product:', error.message);
+    res.status(error.statusCode || (error.name === 'ValidationError' ? 400 : 500)).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// PATCH /api/cv/products/:id - Update a product
+router.patch('/products/:id', authorize('products:manage'), [
+  productIdValidator,
+  body('isActive').not().exists().withMessage('Use DELETE to deactivate a product'),
+  ...productValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { product, before } = await productService.updateProduct(req.params.id, req.body);
+
+    setAuditDetails(res, {
+      entityType: 'Product',
+      entityId: product._id,
+      before,
+      after: product.getProductInfo()
+    });
+
+    res.json({
+      success: true,
+      data: product.getProductInfo()
+    });
+  } catch (error) {
+    console.error('Error updating product:', error.message);
+    res.status(error.statusCode || (error.name === 'ValidationError' ? 400 : 500)).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/cv/products/:id - Deactivate a product
+router.delete('/products/:id', authorize('products:manage'), [productIdValidator], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { product, before } = await productService.deactivateProduct(req.params.id);
+
+    setAuditDetails(res, {
+      entityType: 'Product',
+      entityId: product._id,
+      before,
+      after: product.getProductInfo()
+    });
+
+    res.json({
+      success: true,
+      message: 'Product deactivated'
+    });
+  } catch (error) {
+    console.error('Error deactivating product:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/cv/shelves - Get all shelves, optionally those under a location
+router.get('/shelves', authorize('cv:read'), [
+  query('locationId').optional().isMongoId().withMessage('Invalid location ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = { isActive: true };
+    if (req.query.locationId) {
+      filter._id = { $in: (await locationService.resolveScope(req.query.locationId)).shelfIds };
+    }
+
+    const shelves = await Shelf.find(filter)
+      .populate('cameraId', 'name location status')
+      .sort({ shelfName: 1 });
+    
+    res.json({
+      success: true,
+      data: shelves.map(shelf => ({
+        ...shelf.getShelfInfo(),
+        camera: shelf.cameraId
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching shelves:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/cv/shelves/:id/planograms - List planogram versions for a shelf
+router.get('/shelves/:id/planograms', authorize('cv:read'), [
+  param('id').isMongoId().withMessage('Invalid shelf ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    res.json({
+      success: true,
+      data: await planogramService.listVersions(req.params.id)
+    });
+  } catch (error) {
+    console.error('Error fetching planograms:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/cv/shelves/:id/planogram - Get the planogram in effect now, or at ?at=
+router.get('/shelves/:id/planogram', authorize('cv:read'), [
+  param('id').isMongoId().withMessage('Invalid shelf ID'),
+  query('at').optional().isISO8601().withMessage('At must be an ISO 8601 date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const planogram = await planogramService.getEffective(
+      req.params.id,
+      req.query.at ? new Date(req.query.at) : new Date()
+    );
+
+    res.json({
+      success: true,
+      data: planogram.getPlanogramInfo()
+    });
+  } catch (error) {
+    console.error('Error fetching planogram:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/cv/shelves/:id/planograms - Create a new planogram version
+router.post('/shelves/:id/planograms', authorize('planograms:manage'), [
+  param('id').isMongoId().withMessage('Invalid shelf ID'),
+  body('name').optional().isString().isLength({ max: 100 }).withMessage('Name must be at most 100 characters'),
+  body('notes').optional().isString().isLength({ max: 1000 }).withMessage('Notes must be at most 1000 characters'),
+  body('effectiveFrom').optional().isISO8601().withMessage('effectiveFrom must be an ISO 8601 date'),
+  body('slots').isArray({ min: 1 }).withMessage('At least one slot is required'),
+  body('slots.*.name').isString().trim().notEmpty().isLength({ max: 50 }).withMessage('Slot name must be 1-50 characters'),
+  body('slots.*.x').isFloat({ min: 0, max: 1 }).withMessage('Slot x must be between 0 and 1'),
+  body('slots.*.y').isFloat({ min: 0, max: 1 }).withMessage('Slot y must be between 0 and 1'),
+  body('slots.*.width').isFloat({ gt: 0, max: 1 }).withMessage('Slot width must be between 0 and 1'),
+  body('slots.*.height').isFloat({ gt: 0, max: 1 }).withMessage('Slot height must be between 0 and 1'),
+  body('slots.*.productId').isMongoId().withMessage('Slot product ID must be a valid ID'),
+  body('slots.*.facings').optional().isInt({ min: 1 }).withMessage('Facings must be a positive integer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const planogram = await planogramService.createVersion(req.user, req.params.id, {
+      name: req.body.name,
+      notes: req.body.notes,
+      effectiveFrom: req.body.effectiveFrom ? new Date(req.body.effectiveFrom) : undefined,
+      slots: req.body.slots
+    });
+
+    setAuditDetails(res, {
+      entityType: 'Planogram',
+      entityId: planogram._id,
+      after: planogram.getPlanogramInfo()
+    });
+
+    res.status(201).json({
+      success: true,
+      data: planogram.getPlanogramInfo()
+    });
+  } catch (error) {
+    console.error('Error creating planogram:', error.message);
+    res.status(error.statusCode || (error.name === 'ValidationError' ? 400 : 500)).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/cv/shelves/:id/planograms/:version - Withdraw a version that has not taken effect
+router.delete('/shelves/:id/planograms/:version', authorize('planograms:manage'), [
+  param('id').isMongoId().withMessage('Invalid shelf ID'),
+  param('version').isInt({ min: 1 }).withMessage('Version must be a positive integer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const planogram = await planogramService.deleteVersion(req.params.id, parseInt(req.params.version));
+
+    setAuditDetails(res, {
+      entityType: 'Planogram',
+      entityId: planogram._id,
+      before: planogram.getPlanogramInfo()
+    });
+
+    res.json({
+      success: true,
+      message: 'Planogram version deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting planogram:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+const cameraValidators = [
+  body('name').optional().trim().notEmpty().isLength({ max: 50 }).withMessage('Name must be 1-50 characters'),
+  body('location').optional().isLength({ max: 100 }).withMessage('Location must be at most 100 characters'),
+  body('locationId').optional({ nullable: true }).isMongoId().withMessage('Invalid location ID'),
+  body('rtspUrl').optional({ nullable: true }).matches(/^rtsp:\/\//).withMessage('RTSP URL must start with rtsp://'),
+  body('status').optional().isIn(['online', 'offline', 'maintenance']).withMessage('Status must be online, offline, or maintenance'),
+  body('fps').optional().isInt({ min: 1, max: 60 }).withMessage('FPS must be between 1 and 60'),
+  body('resolution.width').optional().isInt({ min: 1 }).withMessage('Resolution width must be a positive integer'),
+  body('resolution.height').optional().isInt({ min: 1 }).withMessage('Resolution height must be a positive integer'),
+  body('heartbeatTimeoutSeconds').optional({ nullable: true }).isInt({ min: 10 }).withMessage('Heartbeat timeout must be at least 10 seconds')
+];
+
+// GET /api/cv/cameras - Get all cameras
+router.get('/cameras', authorize('cv:read'), [
+  query('includeInactive').optional().isBoolean().withMessage('includeInactive must be boolean'),
+  query('status').optional().isIn(['online', 'offline', 'maintenance']).withMessage('Status must be online, offline, or maintenance'),
+  query('locationId').optional().isMongoId().withMessage('Invalid location ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const cameras = await cameraService.listCameras({
+      includeInactive: req.query.includeInactive === 'true',
+      status: req.query.status,
+      locationId: req.query.locationId
+    });
+
+    res.json({
+      success: true,
+      data: cameras
+    });
+  } catch (error) {
+    console.error('Error fetching cameras:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/cv/cameras/:id - Get a camera
+router.get('/cameras/:id', authorize('cv:read'), [
+  param('id').isMongoId().withMessage('Invalid camera ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const camera = await cameraService.getCamera(req.params.id);
+
+    res.json({
+      success: true,
+      data: camera.getCameraInfo()
+    });
+  } catch (error) {
+    console.error('Error fetching camera:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/cv/cameras - Register a camera
+router.post('/cameras', authorize('cameras:manage'), [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  ...cameraValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const camera = await cameraService.createCamera(req.body);
+
+    setAuditDetails(res, {
+      entityType: 'Camera',
+      entityId: camera._id,
+      after: camera.getCameraInfo()
+    });
+
+    res.status(201).json({
+      success: true,
+      data: camera.getCameraInfo()
+    });
+  } catch (error) {
+    console.error('Error creating camera:', error.message);
+    res.status(error.statusCode || (error.name === 'ValidationError' ? 400 : 500)).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// PATCH /api/cv/cameras/:id - Update a camera
+router.patch('/cameras/:id', authorize('cameras:manage'), [
+  param('id').isMongoId().withMessage('Invalid camera ID'),
+  ...cameraValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { camera, before } = await cameraService.updateCamera(req.params.id, req.body);
+
+    setAuditDetails(res, {
+      entityType: 'Camera',
+      entityId: camera._id,
+      before,
+      after: camera.getCameraInfo()
+    });
+
+    res.json({
+      success: true,
+      data: camera.getCameraInfo()
+    });
+  } catch (error) {
+    console.error('Error updating camera:', error.message);
+    res.status(error.statusCode || (error.name === 'ValidationError' ? 400 : 500)).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/cv/cameras/:id - Deactivate a camera
+router.delete('/cameras/:id', authorize('cameras:manage'), [
+  param('id').isMongoId().withMessage('Invalid camera ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { camera, before } = await cameraService.deactivateCamera(req.params.id);
+
+    setAuditDetails(res, {
+      entityType: 'Camera',
+      entityId: camera._id,
+      before,
+      after: camera.getCameraInfo()
+    });
+
+    res.json({
+      success: true,
+      message: 'Camera deactivated'
+    });
+  } catch (error) {
+    console.error('Error deactivating camera:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/cv/cameras/:id/heartbeat - Report that a camera is alive
+router.post('/cameras/:id/heartbeat', authorize('cameras:heartbeat'), [
+  param('id').isMongoId().withMessage('Invalid camera ID'),
+  body('health').optional().isObject().withMessage('Health must be an object')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { camera, previousStatus } = await cameraService.recordHeartbeat(req.params.id, {
+      health: req.body.health,
+      ipAddress: req.ip
+    });
+
+    // Routine heartbeats would flood the audit log; only status changes are kept
+    if (camera.status === previousStatus) {
+      skipAudit(res);
+    } else {
+      setAuditDetails(res, {
+        entityType: 'Camera',
+        entityId: camera._id,
+        before: { status: previousStatus },
+        after: { status: camera.status }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        cameraId: camera._id,
+        status: camera.status,
+        lastHeartbeatAt: camera.lastHeartbeatAt
+      }
+    });
+  } catch (error) {
+    console.error('Error recording camera heartbeat:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/cv/detectors - List registered stock detectors
+router.get('/detectors', authorize('cv:read'), (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      detectors: stockDetectors.listDetectors(),
+      defaultDetector: process.env.CV_DEFAULT_DETECTOR || 'edge'
+    }
+  });
+});
+
+const detectorValidators = [
+  body('name').custom(value => value === null || (typeof value === 'string' && value.trim() !== ''))
+    .withMessage('Detector name must be a string, or null to clear the assignment'),
+  body('options').optional().isObject().withMessage('Options must be an object')
+];
+
+// Assign a detector to a shelf or camera; a null name clears the assignment
+async function handleDetectorAssignment(req, res, Model, entityType) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, options = {} } = req.body;
+    if (name !== null) {
+      const problem = stockDetectors.validateAssignment({ name, options });
+      if (problem) {
+        return res.status(400).json({
+          success: false,
+          error: problem
+        });
+      }
+    }
+
+    const doc = await Model.findById(req.params.id);
+    if (!doc) {
+      return res.status(404).json({
+        success: false,
+        error: `${entityType} not found`
+      });
+    }
+
+    const before = { name: doc.detector.name, options: doc.detector.options };
+    doc.detector = name === null ? { name: null, options: {} } : { name, options };
+    await doc.save();
+
+    setAuditDetails(res, {
+      entityType,
+      entityId: doc._id,
+      before: { detector: before },
+      after: { detector: doc.detector }
+    });
+
+    res.json({
+      success: true,
+      data: entityType === 'Shelf' ? doc.getShelfInfo() : doc.getCameraInfo()
+    });
+  } catch (error) {
+    console.error(`Error assigning ${entityType.toLowerCase()} detector:`, error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// PUT /api/cv/shelves/:id/detector - Set the stock detector for a shelf
+router.put('/shelves/:id/detector', authorize('cameras:manage'), [
+  param('id').isMongoId().withMessage('Invalid shelf ID'),
+  ...detectorValidators
+], (req, res) => handleDetectorAssignment(req, res, Shelf, 'Shelf'));
+
+// PUT /api/cv/cameras/:id/detector - Set the stock detector for a camera's shelves
+router.put('/cameras/:id/detector', authorize('cameras:manage'), [
+  param('id').isMongoId().withMessage('Invalid camera ID'),
+  ...detectorValidators
+], (req, res) => handleDetectorAssignment(req, res, Camera, 'Camera'));
+
+// PUT /api/cv/shelves/:id/location - Place a shelf in an aisle (locationId: null removes it)
+router.put('/shelves/:id/location', authorize('locations:manage'), [
+  param('id').isMongoId().withMessage('Invalid shelf ID'),
+  body('locationId').exists().withMessage('locationId is required (null removes the shelf from its aisle)'),
+  body('locationId').optional({ nullable: true }).isMongoId().withMessage('Invalid location ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { shelf, before } = await locationService.assignShelf(req.params.id, req.body.locationId);
+
+    setAuditDetails(res, {
+      entityType: 'Shelf',
+      entityId: shelf._id,
+      before: { locationId: before.locationId },
+      after: { locationId: shelf.locationId }
+    });
+
+    res.json({
+      success: true,
+      data: shelf.getShelfInfo()
+    });
+  } catch (error) {
+    console.error('Error assigning shelf location:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Parse a single multipart "image" field into memory, rejecting oversized
+// files and undeclared image types before they reach the handler
+function handleImageUpload(req, res, next) {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: imageUploadService.getMaxUploadBytes(), files: 1 },
+    fileFilter: (req, file, callback) => {
+      if (!imageUploadService.isAllowedMimeType(file.mimetype)) {
+        return callback(new HttpError(415, `Unsupported MIME type '${file.mimetype}'`));
+      }
+      callback(null, true);
+    }
+  }).single('image');
+
+  upload(req, res, bindStoreScope(error => {
+    if (!error) return next();
+
+    const statusCode = error.code === 'LIMIT_FILE_SIZE' ? 413 : (error.statusCode || 400);
+    res.status(statusCode).json({
+      success: false,
+      error: error.message
+    });
+  }));
+}
+
+// POST /api/cv/shelves/:id/images - Upload a shelf image (multipart field "image")
+router.post('/shelves/:id/images', authorize('images:upload'), handleImageUpload, [
+  param('id').isMongoId().withMessage('Invalid shelf ID'),
+  body('productId').isMongoId().withMessage('Product ID must be a valid ID'),
+  body('tags').optional().isString().withMessage('Tags must be a comma-separated string'),
+  body('detection').optional().isJSON().withMessage('Detection must be a JSON object')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'An image file is required in the "image" field'
+      });
+    }
+
+    const image = await imageUploadService.storeUpload({
+      shelfId: req.params.id,
+      productId: req.body.productId,
+      file: req.file,
+      tags: req.body.tags ? req.body.tags.split(',').map(tag => tag.trim()).filter(Boolean) : [],
+      metadata: {
+        uploadedBy: req.user ? req.user._id : null,
+        apiKeyId: req.apiKey ? req.apiKey._id : null,
+        // Results computed on the camera, used by the processing worker
+        ...(req.body.detection ? { detection: JSON.parse(req.body.detection) } : {})
+      }
+    });
+
+    setAuditDetails(res, {
+      entityType: 'Image',
+      entityId: image._id,
+      after: image.getImageInfo()
+    });
+
+    res.status(201).json({
+      success: true,
+      data: image.getImageInfo()
+    });
+  } catch (error) {
+    console.error('Error uploading image:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message,
+      ...(error.existingImageId ? { existingImageId: error.existingImageId } : {})
+    });
+  }
+});
+
+// GET /api/cv/images/queue/stats - Get image processing queue statistics
+router.get('/images/queue/stats', authorize('cv:analytics'), async (req, res) => {
   try {
-    const products = await Product.find({ isActive: true }).sort({ name: 1 });
+    const stats = await imageJobService.getQueueStats();
+
     res.json({
       success: true,
-      data: products.map(product => product.getProductInfo())
+      data: stats
     });
   } catch (error) {
-    console.error('Error fetching products:', error);
-    res.status(500).json({
+    console.error('Error fetching image queue stats:', error.message);
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
   }
 });
 
-// GET /api/cv/products/:id - Get product by ID
-router.get('/products/:id', async (req, res) => {
+// GET /api/cv/images/:id/file - Download a stored image
+router.get('/images/:id/file', authorize('cv:read'), [
+  param('id').isMongoId().withMessage('Invalid image ID')
+], async (req, res) => {
   try {
-    const product = await Product.findById(req.params.id);
-    if (!product) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const image = await Image.findById(req.params.id);
+    if (!image) {
       return res.status(404).json({
         success: false,
-        error: 'Product not found'
+        error: 'Image not found'
       });
     }
-    
-    res.json({
-      success: true,
-      data: product.getProductInfo()
+
+    res.type(image.mimeType);
+    res.sendFile(imageUploadService.resolveStoredPath(image), error => {
+      if (error && !res.headersSent) {
+        res.status(404).json({
+          success: false,
+          error: 'Image file not found'
+        });
+      }
     });
   } catch (error) {
-    console.error('Error fetching product:', error);
-    res.status(500).json({
+    console.error('Error fetching image file:', error.message);
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
   }
 });
 
-// GET /api/cv/shelves - Get all shelves
-router.get('/shelves', async (req, res) => {
+// POST /api/cv/exports - Export annotated images as a COCO or Pascal VOC dataset
+router.post('/exports', authorize('datasets:export'), [
+  body('format').isIn(['coco', 'voc']).withMessage('Format must be coco or voc'),
+  body('shelfId').optional().isMongoId().withMessage('Invalid shelf ID'),
+  body('productId').optional().isMongoId().withMessage('Invalid product ID'),
+  body('from').optional().isISO8601().withMessage('From must be an ISO 8601 date'),
+  body('to').optional().isISO8601().withMessage('To must be an ISO 8601 date'),
+  body('reviewStatus').optional().isIn(['unreviewed', 'confirmed', 'corrected', 'reviewed'])
+    .withMessage('Review status must be unreviewed, confirmed, corrected or reviewed'),
+  body('copyImages').optional().isBoolean().withMessage('copyImages must be a boolean')
+], async (req, res) => {
   try {
-    const shelves = await Shelf.find({ isActive: true })
-      .populate('cameraId', 'name location status')
-      .sort({ shelfName: 1 });
-    
-    res.json({
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { format, shelfId, productId, from, to, reviewStatus, copyImages } = req.body;
+    const result = await datasetExportService.createExport({
+      format,
+      filters: { shelfId, productId, from, to, reviewStatus },
+      copyImages: copyImages === true || copyImages === 'true'
+    });
+
+    setAuditDetails(res, {
+      entityType: 'DatasetExport',
+      entityId: result.exportId,
+      after: { format, imageCount: result.imageCount, annotationCount: result.annotationCount }
+    });
+
+    res.status(201).json({
       success: true,
-      data: shelves.map(shelf => ({
-        ...shelf.getShelfInfo(),
-        camera: shelf.cameraId
-      }))
+      data: result
     });
   } catch (error) {
-    console.error('Error fetching shelves:', error);
-    res.status(500).json({
+    console.error('Error exporting dataset:', error.message);
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
   }
 });
 
-// GET /api/cv/cameras - Get all cameras
-router.get('/cameras', async (req, res) => {
+// GET /api/cv/exports - List dataset exports
+router.get('/exports', authorize('datasets:export'), async (req, res) => {
   try {
-    const cameras = await Camera.find({ isActive: true }).sort({ name: 1 });
     res.json({
       success: true,
-      data: cameras.map(camera => camera.getCameraInfo())
+      data: await datasetExportService.listExports()
     });
   } catch (error) {
-    console.error('Error fetching cameras:', error);
-    res.status(500).json({
+    console.error('Error listing dataset exports:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/cv/exports/:exportId/file?path=annotations/instances.json - Download a file from an export
+router.get('/exports/:exportId/file', authorize('datasets:export'), [
+  param('exportId').matches(/^[\w-]+$/).withMessage('Invalid export ID'),
+  query('path').isString().notEmpty().withMessage('path is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filePath = await datasetExportService.resolveExportFile(req.params.exportId, req.query.path);
+    res.sendFile(filePath, error => {
+      if (error && !res.headersSent) {
+        res.status(404).json({
+          success: false,
+          error: 'Export file not found'
+        });
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching export file:', error.message);
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -92,9 +929,12 @@ router.get('/cameras', async (req, res) => {
 });
 
 // GET /api/cv/stock/current - Get current stock levels
-router.get('/stock/current', [
+router.get('/stock/current', authorize('cv:read'), [
   query('productId').optional(),
-  query('shelfId').optional()
+  query('shelfId').optional(),
+  query('includeUnreviewed').optional().isBoolean().withMessage('includeUnreviewed must be true or false'),
+  query('locationId').optional().isMongoId().withMessage('Invalid location ID'),
+  query('rollup').optional().isIn(Location.LOCATION_TYPES).withMessage('rollup must be store, zone, or aisle')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -102,11 +942,22 @@ router.get('/stock/current', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { productId, shelfId } = req.query;
+    const { productId, shelfId, locationId, rollup } = req.query;
     const matchStage = { isActive: true };
     
     if (productId) matchStage.productId = productId;
     if (shelfId) matchStage.shelfId = shelfId;
+    if (locationId) {
+      const { shelfIds } = await locationService.resolveScope(locationId);
+      matchStage.shelfId = shelfId
+        ? { $in: shelfIds.filter(id => id.toString() === String(shelfId)) }
+        : { $in: shelfIds };
+    }
+
+    // Readings awaiting review, or replaced by a correction, are not trusted by default
+    matchStage.reviewStatus = req.query.includeUnreviewed === 'true'
+      ? { $ne: 'corrected' }
+      : { $nin: StockLevel.UNTRUSTED_REVIEW_STATUSES };
 
     // Get latest stock level for each shelf-product combination
     const pipeline = [
@@ -120,6 +971,8 @@ router.get('/stock/current', [
           latestTimestamp: { $first: '$timestamp' },
           confidence: { $first: '$confidence' },
           detectionMethod: { $first: '$detectionMethod' },
+          reviewStatus: { $first: '$reviewStatus' },
+          planogram: { $first: '$planogram' },
           shelfId: { $first: '$shelfId' },
           productId: { $first: '$productId' }
         }
@@ -152,6 +1005,23 @@ router.get('/stock/current', [
     ];
 
     const stockLevels = await StockLevel.aggregate(pipeline);
+
+    if (rollup) {
+      const groups = await locationService.groupByLevel(stockLevels, rollup, stock => stock.shelf.locationId);
+      return res.json({
+        success: true,
+        rollup,
+        data: groups.map(({ location, items }) => ({
+          location,
+          shelves: new Set(items.map(stock => stock.shelfId.toString())).size,
+          readings: items.length,
+          avgStockPercentage: Math.round(items.reduce((sum, stock) => sum + stock.latestStock, 0) / items.length * 10) / 10,
+          lowStock: items.filter(stock => stock.latestStock < LOW_STOCK_PERCENTAGE).length,
+          outOfStock: items.filter(stock => stock.latestStock === 0).length,
+          planogramIssues: items.filter(stock => stock.planogram && (stock.planogram.missing || stock.planogram.misplaced)).length
+        }))
+      });
+    }
     
     res.json({
       success: true,
@@ -159,12 +1029,15 @@ router.get('/stock/current', [
         stockId: stock._id,
         shelfId: stock.shelfId,
         productId: stock.productId,
+        locationId: stock.shelf.locationId || null,
         shelfName: stock.shelf.shelfName,
         productName: stock.product.name,
         stockPercentage: stock.latestStock,
         stockCount: stock.latestCount,
         confidence: stock.confidence,
         detectionMethod: stock.detectionMethod,
+        reviewStatus: stock.reviewStatus || 'not_required',
+        planogram: stock.planogram || null,
         lastUpdated: stock.latestTimestamp
       }))
     });
@@ -178,12 +1051,13 @@ router.get('/stock/current', [
 });
 
 // GET /api/cv/stock/history - Get stock history
-router.get('/stock/history', [
+router.get('/stock/history', authorize('cv:analytics'), [
   query('productId').optional(),
   query('shelfId').optional(),
   query('startTime').optional(),
   query('endTime').optional(),
-  query('granularity').optional()
+  query('granularity').optional(),
+  query('locationId').optional().isMongoId().withMessage('Invalid location ID')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -191,7 +1065,7 @@ router.get('/stock/history', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { productId, shelfId, startTime, endTime, granularity = '1h' } = req.query;
+    const { productId, shelfId, startTime, endTime, granularity = '1h', locationId } = req.query;
     
     if (!productId) {
       return res.status(400).json({
@@ -214,6 +1088,9 @@ router.get('/stock/history', [
     } else {
       // Get aggregated data for all shelves with this product
       const matchStage = { productId, isActive: true };
+      if (locationId) {
+        matchStage.shelfId = { $in: (await locationService.resolveScope(locationId)).shelfIds };
+      }
       
       // Add date filters if provided
       if (startTime || endTime) {
@@ -247,6 +1124,207 @@ router.get('/stock/history', [
     });
   } catch (error) {
     console.error('Error fetching stock history:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/cv/reviews - List low-confidence readings awaiting review
+router.get('/reviews', authorize('cv:review'), [
+  query('shelfId').optional().isMongoId().withMessage('Invalid shelf ID'),
+  query('productId').optional().isMongoId().withMessage('Invalid product ID'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await reviewService.listQueue({
+      shelfId: req.query.shelfId,
+      productId: req.query.productId,
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 50
+    });
+
+    res.json({
+      success: true,
+      data: result.reviews,
+      pagination: {
+        page: result.page,
+        limit: result.limit,
+        total: result.total
+      },
+      confidenceThreshold: result.confidenceThreshold
+    });
+  } catch (error) {
+    console.error('Error fetching review queue:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+const reviewIdValidator = param('id').isMongoId().withMessage('Invalid stock level ID');
+
+// GET /api/cv/reviews/:id - Get a reviewed or pending reading with its detections
+router.get('/reviews/:id', authorize('cv:review'), [reviewIdValidator], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    res.json({
+      success: true,
+      data: await reviewService.getReview(req.params.id)
+    });
+  } catch (error) {
+    console.error('Error fetching review:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+async function handleReview(req, res, action, review) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { reading, correction } = await review();
+
+    setAuditDetails(res, {
+      entityType: 'StockLevel',
+      entityId: reading._id,
+      before: { reviewStatus: 'pending' },
+      after: {
+        reviewStatus: reading.reviewStatus,
+        correctionId: correction ? correction._id : null
+      }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        reading: reading.getStockInfo(),
+        correction: correction ? correction.getStockInfo() : null
+      }
+    });
+  } catch (error) {
+    console.error(`Error ${action} reading:`, error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+const reviewNotesValidator = body('notes').optional().isString().isLength({ max: 1000 })
+  .withMessage('Notes must be at most 1000 characters');
+
+// POST /api/cv/reviews/:id/confirm - Confirm the detected reading
+router.post('/reviews/:id/confirm', authorize('cv:review'), [reviewIdValidator, reviewNotesValidator], (req, res) =>
+  handleReview(req, res, 'confirming', () => reviewService.confirm(req.user, req.params.id, { notes: req.body.notes }))
+);
+
+// POST /api/cv/reviews/:id/correct - Replace the detected reading with a manual one
+router.post('/reviews/:id/correct', authorize('cv:review'), [
+  reviewIdValidator,
+  reviewNotesValidator,
+  body('stockPercentage').isFloat({ min: 0, max: 100 }).withMessage('Stock percentage must be between 0 and 100'),
+  body('stockCount').optional().isInt({ min: 0 }).withMessage('Stock count must be a non-negative integer'),
+  body('boundingBoxes').optional().isArray().withMessage('Bounding boxes must be an array'),
+  body('boundingBoxes.*.x').isFloat({ min: 0 }).withMessage('Bounding box x must be non-negative'),
+  body('boundingBoxes.*.y').isFloat({ min: 0 }).withMessage('Bounding box y must be non-negative'),
+  body('boundingBoxes.*.width').isFloat({ gt: 0 }).withMessage('Bounding box width must be positive'),
+  body('boundingBoxes.*.height').isFloat({ gt: 0 }).withMessage('Bounding box height must be positive')
+], (req, res) =>
+  handleReview(req, res, 'correcting', () => reviewService.correct(req.user, req.params.id, {
+    stockPercentage: parseFloat(req.body.stockPercentage),
+    stockCount: req.body.stockCount,
+    boundingBoxes: req.body.boundingBoxes,
+    notes: req.body.notes
+  }))
+);
+
+// GET /api/cv/alerts/analytics/response-times - MTTA/MTTR grouped by type, severity, shelf, product or user
+router.get('/alerts/analytics/response-times', authorize('alerts:analytics'), [
+  query('groupBy').optional().isIn(['type', 'severity', 'shelf', 'product', 'user']).withMessage('groupBy must be type, severity, shelf, product, or user'),
+  query('from').optional().isISO8601().withMessage('From date must be valid ISO8601 format'),
+  query('to').optional().isISO8601().withMessage('To date must be valid ISO8601 format'),
+  query('type').optional(),
+  query('severity').optional().isIn(['low', 'medium', 'high', 'critical']).withMessage('Severity must be low, medium, high, or critical'),
+  query('includeAutoResolved').optional().isBoolean().withMessage('includeAutoResolved must be boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { groupBy = 'type', from, to, type, severity, includeAutoResolved } = req.query;
+
+    const data = await alertAnalyticsService.getResponseTimes(groupBy, {
+      from,
+      to,
+      alertType: type,
+      severity,
+      includeAutoResolved: includeAutoResolved === 'true'
+    });
+
+    res.json({
+      success: true,
+      groupBy,
+      data
+    });
+  } catch (error) {
+    console.error('Error calculating alert response times:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/cv/alerts/analytics/repeat-offenders - Shelf/product pairs that keep raising the same alert type
+router.get('/alerts/analytics/repeat-offenders', authorize('alerts:analytics'), [
+  query('from').optional().isISO8601().withMessage('From date must be valid ISO8601 format'),
+  query('to').optional().isISO8601().withMessage('To date must be valid ISO8601 format'),
+  query('type').optional(),
+  query('minAlerts').optional().isInt({ min: 1 }).withMessage('minAlerts must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { from, to, type, minAlerts = 3, limit = 20 } = req.query;
+
+    const data = await alertAnalyticsService.getRepeatOffenders({
+      from,
+      to,
+      alertType: type,
+      minAlerts: parseInt(minAlerts),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Error finding repeat offenders:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -254,12 +1332,72 @@ router.get('/stock/history', [
   }
 });
 
+// GET /api/cv/alerts/rollup - Alert counts per store, zone or aisle
+router.get('/alerts/rollup', authorize('alerts:read'), [
+  query('level').isIn(Location.LOCATION_TYPES).withMessage('Level must be store, zone, or aisle'),
+  query('locationId').optional().isMongoId().withMessage('Invalid location ID'),
+  query('resolved').optional().isBoolean().withMessage('resolved must be boolean'),
+  query('from').optional().isISO8601().withMessage('From date must be valid ISO8601 format'),
+  query('to').optional().isISO8601().withMessage('To date must be valid ISO8601 format')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { level, locationId, resolved = 'false', from, to } = req.query;
+    const matchStage = { resolved: resolved === 'true' };
+
+    if (locationId) {
+      matchStage.locationId = { $in: (await locationService.resolveScope(locationId)).locationIds };
+    }
+    if (from || to) {
+      matchStage.createdAt = {};
+      if (from) matchStage.createdAt.$gte = new Date(from);
+      if (to) matchStage.createdAt.$lte = new Date(to);
+    }
+
+    const counts = await Alert.aggregate([
+      { $match: matchStage },
+      { $group: { _id: { locationId: '$locationId', severity: '$severity' }, count: { $sum: 1 } } }
+    ]);
+
+    const groups = await locationService.groupByLevel(counts, level, row => row._id.locationId);
+
+    res.json({
+      success: true,
+      level,
+      data: groups.map(({ location, items }) => {
+        const bySeverity = { critical: 0, high: 0, medium: 0, low: 0 };
+        for (const row of items) {
+          bySeverity[row._id.severity] += row.count;
+        }
+        return {
+          location,
+          alerts: items.reduce((sum, row) => sum + row.count, 0),
+          bySeverity
+        };
+      }).sort((a, b) => b.alerts - a.alerts)
+    });
+  } catch (error) {
+    console.error('Error rolling up alerts:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // GET /api/cv/alerts - Get alerts
-router.get('/alerts', [
+router.get('/alerts', authorize('alerts:read'), [
   query('type').optional(),
   query('severity').optional(),
   query('acknowledged').optional(),
-  query('resolved').optional()
+  query('resolved').optional(),
+  query('snoozed').optional().isBoolean().withMessage('snoozed must be boolean'),
+  query('assignedTo').optional().isMongoId().withMessage('Assignee must be a valid ID'),
+  query('locationId').optional().isMongoId().withMessage('Invalid location ID')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -267,18 +1405,28 @@ router.get('/alerts', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { type, severity, acknowledged, resolved } = req.query;
+    const { type, severity, acknowledged, resolved, snoozed, assignedTo, locationId } = req.query;
     const matchStage = {};
     
+    if (locationId) {
+      matchStage.locationId = { $in: (await locationService.resolveScope(locationId)).locationIds };
+    }
+    
     if (type) matchStage.alertType = type;
     if (severity) matchStage.severity = severity;
     if (acknowledged !== undefined) matchStage.acknowledged = acknowledged === 'true';
     if (resolved !== undefined) matchStage.resolved = resolved === 'true';
+    if (assignedTo) matchStage.assignedTo = assignedTo;
+    if (snoozed === 'true') matchStage.snoozedUntil = { $gt: new Date() };
+    if (snoozed === 'false') {
+      matchStage.$or = [{ snoozedUntil: null }, { snoozedUntil: { $lte: new Date() } }];
+    }
 
     const alerts = await Alert.find(matchStage)
       .populate('stockId', 'shelfId productId stockPercentage timestamp')
       .populate('acknowledgedBy', 'username email')
       .populate('resolvedBy', 'username email')
+      .populate('assignedTo', 'username email')
       .sort({ createdAt: -1 })
       .limit(50);
 
@@ -288,42 +1436,136 @@ router.get('/alerts', [
     });
   } catch (error) {
     console.error('Error fetching alerts:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
   }
 });
 
-// POST /api/cv/alerts/:id/acknowledge - Acknowledge alert
-router.post('/alerts/:id/acknowledge', [
-  body('userId').notEmpty().withMessage('User ID is required')
-], async (req, res) => {
+// Run an alert state transition and respond with the updated alert
+async function handleAlertTransition(req, res, action, transition) {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { userId } = req.body;
-    const alert = await Alert.findById(req.params.id);
-    
-    if (!alert) {
-      return res.status(404).json({
-        success: false,
-        error: 'Alert not found'
-      });
-    }
+    const { alert, before } = await transition();
+
+    setAuditDetails(res, {
+      entityType: 'Alert',
+      entityId: alert._id,
+      before,
+      after: alertService.snapshot(alert)
+    });
 
-    await alert.acknowledge(userId);
-    
     res.json({
       success: true,
       data: alert.getAlertInfo()
     });
   } catch (error) {
-    console.error('Error acknowledging alert:', error);
-    res.status(500).json({
+    console.error(`Error ${action} alert:`, error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+const alertIdValidator = param('id').isMongoId().withMessage('Invalid alert ID');
+
+// POST /api/cv/alerts/:id/acknowledge - Acknowledge alert
+router.post('/alerts/:id/acknowledge', authorize('alerts:acknowledge'), [alertIdValidator], (req, res) =>
+  handleAlertTransition(req, res, 'acknowledging', () => alertService.acknowledge(req.user, req.params.id))
+);
+
+// POST /api/cv/alerts/:id/resolve - Resolve alert
+router.post('/alerts/:id/resolve', authorize('alerts:resolve'), [alertIdValidator], (req, res) =>
+  handleAlertTransition(req, res, 'resolving', () => alertService.resolve(req.user, req.params.id))
+);
+
+// POST /api/cv/alerts/:id/reopen - Reopen a resolved alert
+router.post('/alerts/:id/reopen', authorize('alerts:resolve'), [alertIdValidator], (req, res) =>
+  handleAlertTransition(req, res, 'reopening', () => alertService.reopen(req.user, req.params.id))
+);
+
+// POST /api/cv/alerts/:id/snooze - Snooze alert until a time (until: null clears the snooze)
+router.post('/alerts/:id/snooze', authorize('alerts:acknowledge'), [
+  alertIdValidator,
+  body('until').custom(value => value === null || (typeof value === 'string' && !isNaN(Date.parse(value))))
+    .withMessage('until must be an ISO8601 date or null')
+], (req, res) =>
+  handleAlertTransition(req, res, 'snoozing', () =>
+    alertService.snooze(req.user, req.params.id, req.body.until ? new Date(req.body.until) : null))
+);
+
+// POST /api/cv/alerts/:id/assign - Assign alert to a user (userId: null unassigns)
+router.post('/alerts/:id/assign', authorize('alerts:resolve'), [
+  alertIdValidator,
+  body('userId').custom(value => value === null || /^[0-9a-fA-F]{24}$/.test(value))
+    .withMessage('userId must be a valid user ID or null')
+], (req, res) =>
+  handleAlertTransition(req, res, 'assigning', () => alertService.assign(req.user, req.params.id, req.body.userId))
+);
+
+// GET /api/cv/alerts/:id/comments - Get alert comments as threads
+router.get('/alerts/:id/comments', authorize('alerts:read'), [alertIdValidator], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const threads = await alertService.getCommentThreads(req.params.id);
+
+    res.json({
+      success: true,
+      data: threads
+    });
+  } catch (error) {
+    console.error('Error fetching alert comments:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/cv/alerts/:id/comments - Comment on an alert or reply to a comment
+router.post('/alerts/:id/comments', authorize('alerts:acknowledge'), [
+  alertIdValidator,
+  body('text').trim().notEmpty().withMessage('Comment text is required')
+    .isLength({ max: 2000 }).withMessage('Comment text must be at most 2000 characters'),
+  body('parentId').optional({ nullable: true }).isMongoId().withMessage('Parent comment ID must be a valid ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { alert, comment } = await alertService.addComment(req.user, req.params.id, req.body.text, req.body.parentId);
+
+    setAuditDetails(res, {
+      entityType: 'Alert',
+      entityId: alert._id,
+      after: { commentId: comment._id, parentId: comment.parentId, text: comment.text }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        commentId: comment._id,
+        userId: comment.userId,
+        text: comment.text,
+        parentId: comment.parentId,
+        createdAt: comment.createdAt
+      }
+    });
+  } catch (error) {
+    console.error('Error commenting on alert:', error.message);
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -331,7 +1573,7 @@ router.post('/alerts/:id/acknowledge', [
 });
 
 // GET /api/cv/dashboard - Get dashboard data
-router.get('/dashboard', async (req, res) => {
+router.get('/dashboard', authorize('cv:read'), async (req, res) => {
   try {
     const [
       totalProducts,
@@ -381,7 +1623,7 @@ router.get('/dashboard', async (req, res) => {
 });
 
 // POST /api/cv/seed - Seed computer vision data
-router.post('/seed', async (req, res) => {
+router.post('/seed', authorize('data:admin'), async (req, res) => {
   try {
     const seedComputerVisionData = require('../scripts/seedComputerVisionData');
     await seedComputerVisionData();
@@ -0,0 +1,189 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const EscalationPolicy = require('../models/EscalationPolicy');
+const escalationService = require('../services/escalationService');
+const { authenticateUser, authorize } = require('../middleware/auth');
+const { setAuditDetails } = require('../middleware/audit');
+
+const router = express.Router();
+
+const POLICY_FIELDS = ['name', 'description', 'alertTypes', 'severities', 'steps', 'isActive'];
+
+const policyValidators = [
+  body('alertTypes').optional().isArray().withMessage('Alert types must be an array'),
+  body('severities').optional().isArray().withMessage('Severities must be an array'),
+  body('severities.*').isIn(['low', 'medium', 'high', 'critical']).withMessage('Severities must be low, medium, high, or critical'),
+  body('steps.*.afterMinutes').isInt({ min: 1 }).withMessage('Step afterMinutes must be a positive integer'),
+  body('steps.*.notifyRoles').optional().isArray().withMessage('Step notifyRoles must be an array'),
+  body('steps.*.bumpSeverity').optional().isBoolean().withMessage('Step bumpSeverity must be boolean'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be boolean')
+];
+
+function pickPolicyFields(source) {
+  const fields = {};
+  for (const field of POLICY_FIELDS) {
+    if (source[field] !== undefined) {
+      fields[field] = source[field];
+    }
+  }
+  return fields;
+}
+
+// Every route in this group requires an authenticated user
+router.use(authenticateUser);
+
+// GET /api/escalation-policies - List escalation policies
+router.get('/', authorize('alerts:read'), async (req, res) => {
+  try {
+    const policies = await EscalationPolicy.find({}).sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: policies.map(policy => policy.getPolicyInfo())
+    });
+  } catch (error) {
+    console.error('Error fetching escalation policies:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/escalation-policies - Create an escalation policy
+router.post('/', authorize('alerts:configure'), [
+  body('name').notEmpty().withMessage('Name is required'),
+  body('steps').isArray({ min: 1 }).withMessage('Steps must be a non-empty array'),
+  ...policyValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const policy = await EscalationPolicy.create({
+      ...pickPolicyFields(req.body),
+      createdBy: req.user._id
+    });
+
+    setAuditDetails(res, {
+      entityType: 'EscalationPolicy',
+      entityId: policy._id,
+      after: policy.getPolicyInfo()
+    });
+
+    res.status(201).json({
+      success: true,
+      data: policy.getPolicyInfo()
+    });
+  } catch (error) {
+    console.error('Error creating escalation policy:', error.message);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/escalation-policies/evaluate - Run the escalation scheduler now
+router.post('/evaluate', authorize('alerts:configure'), async (req, res) => {
+  try {
+    const result = await escalationService.evaluateOpenAlerts();
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error evaluating escalations:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// PATCH /api/escalation-policies/:id - Update an escalation policy
+router.patch('/:id', authorize('alerts:configure'), [
+  param('id').isMongoId().withMessage('Invalid escalation policy ID'),
+  body('name').optional().notEmpty().withMessage('Name cannot be empty'),
+  body('steps').optional().isArray({ min: 1 }).withMessage('Steps must be a non-empty array'),
+  ...policyValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const policy = await EscalationPolicy.findById(req.params.id);
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        error: 'Escalation policy not found'
+      });
+    }
+
+    const before = policy.getPolicyInfo();
+    policy.set(pickPolicyFields(req.body));
+    await policy.save();
+
+    setAuditDetails(res, {
+      entityType: 'EscalationPolicy',
+      entityId: policy._id,
+      before,
+      after: policy.getPolicyInfo()
+    });
+
+    res.json({
+      success: true,
+      data: policy.getPolicyInfo()
+    });
+  } catch (error) {
+    console.error('Error updating escalation policy:', error.message);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/escalation-policies/:id - Delete an escalation policy
+router.delete('/:id', authorize('alerts:configure'), [
+  param('id').isMongoId().withMessage('Invalid escalation policy ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const policy = await EscalationPolicy.findByIdAndDelete(req.params.id);
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        error: 'Escalation policy not found'
+      });
+    }
+
+    setAuditDetails(res, {
+      entityType: 'EscalationPolicy',
+      entityId: policy._id,
+      before: policy.getPolicyInfo()
+    });
+
+    res.json({
+      success: true,
+      message: 'Escalation policy deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting escalation policy:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
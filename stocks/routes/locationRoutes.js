@@ -0,0 +1,202 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Location = require('../models/Location');
+const locationService = require('../services/locationService');
+const { authenticate, authorize } = require('../middleware/auth');
+const { setAuditDetails } = require('../middleware/audit');
+
+const router = express.Router();
+
+const locationValidators = [
+  body('name').optional().trim().notEmpty().isLength({ max: 100 }).withMessage('Name must be 1-100 characters'),
+  body('code').optional().trim().notEmpty().isLength({ max: 50 }).withMessage('Code must be 1-50 characters'),
+  body('metadata').optional().isObject().withMessage('Metadata must be an object')
+];
+
+const locationIdValidator = param('id').isMongoId().withMessage('Invalid location ID');
+
+// Every route in this group requires an authenticated user or API key
+router.use(authenticate);
+
+// GET /api/locations - List locations (filters type, parentId, includeInactive)
+router.get('/', authorize('locations:read'), [
+  query('type').optional().isIn(Location.LOCATION_TYPES).withMessage('Type must be store, zone, or aisle'),
+  query('parentId').optional().isMongoId().withMessage('Invalid parent ID'),
+  query('includeInactive').optional().isBoolean().withMessage('includeInactive must be boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const locations = await locationService.listLocations({
+      type: req.query.type,
+      parentId: req.query.parentId,
+      includeInactive: req.query.includeInactive === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: locations
+    });
+  } catch (error) {
+    console.error('Error fetching locations:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/locations/tree - Active locations nested store > zone > aisle, optionally below ?rootId=
+router.get('/tree', authorize('locations:read'), [
+  query('rootId').optional().isMongoId().withMessage('Invalid root location ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const tree = await locationService.getTree(req.query.rootId);
+
+    res.json({
+      success: true,
+      data: tree
+    });
+  } catch (error) {
+    console.error('Error fetching location tree:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/locations/:id - Get a location with its path from the store down
+router.get('/:id', authorize('locations:read'), [locationIdValidator], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const location = await locationService.getLocation(req.params.id);
+
+    res.json({
+      success: true,
+      data: {
+        ...location.getLocationInfo(),
+        path: await locationService.getPath(location)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching location:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/locations - Create a store, or a zone or aisle under its parent
+router.post('/', authorize('locations:manage'), [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('type').isIn(Location.LOCATION_TYPES).withMessage('Type must be store, zone, or aisle'),
+  body('parentId').optional({ nullable: true }).isMongoId().withMessage('Invalid parent ID'),
+  ...locationValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const location = await locationService.createLocation(req.body);
+
+    setAuditDetails(res, {
+      entityType: 'Location',
+      entityId: location._id,
+      after: location.getLocationInfo()
+    });
+
+    res.status(201).json({
+      success: true,
+      data: location.getLocationInfo()
+    });
+  } catch (error) {
+    console.error('Error creating location:', error.message);
+    res.status(error.statusCode || (error.name === 'ValidationError' ? 400 : 500)).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// PATCH /api/locations/:id - Rename or re-code a location
+router.patch('/:id', authorize('locations:manage'), [
+  locationIdValidator,
+  body('type').not().exists().withMessage('A location\'s type cannot be changed'),
+  body('parentId').not().exists().withMessage('Locations cannot be moved; create a new one instead'),
+  ...locationValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { location, before } = await locationService.updateLocation(req.params.id, req.body);
+
+    setAuditDetails(res, {
+      entityType: 'Location',
+      entityId: location._id,
+      before,
+      after: location.getLocationInfo()
+    });
+
+    res.json({
+      success: true,
+      data: location.getLocationInfo()
+    });
+  } catch (error) {
+    console.error('Error updating location:', error.message);
+    res.status(error.statusCode || (error.name === 'ValidationError' ? 400 : 500)).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/locations/:id - Deactivate a location with nothing active in it
+router.delete('/:id', authorize('locations:manage'), [locationIdValidator], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { location, before } = await locationService.deactivateLocation(req.params.id);
+
+    setAuditDetails(res, {
+      entityType: 'Location',
+      entityId: location._id,
+      before,
+      after: location.getLocationInfo()
+    });
+
+    res.json({
+      success: true,
+      message: 'Location deactivated'
+    });
+  } catch (error) {
+    console.error('Error deactivating location:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,263 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, param, query, validationResult } = require('express-validator');
+const NotificationSubscription = require('../models/NotificationSubscription');
+const notificationService = require('../services/notificationService');
+const { authenticateUser, authorize } = require('../middleware/auth');
+const { setAuditDetails } = require('../middleware/audit');
+
+const router = express.Router();
+
+const preferenceValidators = [
+  body('severities').optional().isArray().withMessage('Severities must be an array'),
+  body('severities.*').isIn(['low', 'medium', 'high', 'critical']).withMessage('Severities must be low, medium, high, or critical'),
+  body('alertTypes').optional().isArray().withMessage('Alert types must be an array'),
+  body('events').optional().isArray({ min: 1 }).withMessage('Events must be a non-empty array'),
+  body('events.*').isIn(NotificationSubscription.EVENTS).withMessage(`Events must be one of: ${NotificationSubscription.EVENTS.join(', ')}`),
+  body('secret').optional().isString().isLength({ min: 16 }).withMessage('Secret must be at least 16 characters'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be boolean')
+];
+
+// Email targets must be addresses and HTTP integrations need a URL. POST reads
+// the channel from the body, PATCH from the stored subscription.
+function targetValidators(channelOf, { required = false } = {}) {
+  const urlTarget = body('target')
+    .if((value, { req }) => ['webhook', 'slack', 'teams'].includes(channelOf(req)));
+
+  return [
+    body('target')
+      .if((value, { req }) => channelOf(req) === 'email').optional().isEmail().withMessage('Target must be a valid email address'),
+    (required ? urlTarget : urlTarget.optional())
+      .isURL({ protocols: ['http', 'https'], require_tld: false }).withMessage('Target must be a valid http(s) URL')
+  ];
+}
+
+// Load the caller's own subscription so its channel can drive validation
+async function loadSubscription(req, res, next) {
+  try {
+    if (mongoose.isValidObjectId(req.params.id)) {
+      req.subscription = await notificationService.getOwnSubscription(req.user, req.params.id);
+    }
+    next();
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// Notifications are delivered to people, so every route requires a user
+router.use(authenticateUser);
+
+// GET /api/notifications/subscriptions - List the current user's subscriptions
+router.get('/subscriptions', authorize('alerts:read'), [
+  query('userId').optional().isMongoId().withMessage('User ID must be a valid ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const subscriptions = await notificationService.listSubscriptions(req.user, { userId: req.query.userId });
+
+    res.json({
+      success: true,
+      data: subscriptions
+    });
+  } catch (error) {
+    console.error('Error fetching subscriptions:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/notifications/subscriptions - Subscribe to alert notifications
+router.post('/subscriptions', authorize('alerts:read'), [
+  body('channel').isIn(NotificationSubscription.CHANNELS).withMessage(`Channel must be one of: ${NotificationSubscription.CHANNELS.join(', ')}`),
+  ...targetValidators(req => req.body.channel, { required: true }),
+  ...preferenceValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { channel, target, secret, severities, alertTypes, events } = req.body;
+
+    const subscription = await notificationService.createSubscription(req.user, {
+      channel, target, secret, severities, alertTypes, events
+    });
+
+    setAuditDetails(res, {
+      entityType: 'NotificationSubscription',
+      entityId: subscription.subscriptionId,
+      after: { ...subscription, secret: undefined }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: subscription
+    });
+  } catch (error) {
+    console.error('Error creating subscription:', error.message);
+    res.status(error.statusCode || (error.name === 'ValidationError' ? 400 : 500)).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// PATCH /api/notifications/subscriptions/:id - Update subscription preferences
+router.patch('/subscriptions/:id', authorize('alerts:read'), loadSubscription, [
+  param('id').isMongoId().withMessage('Invalid subscription ID'),
+  ...targetValidators(req => req.subscription && req.subscription.channel),
+  ...preferenceValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { target, secret, severities, alertTypes, events, isActive } = req.body;
+
+    const subscription = await notificationService.updateSubscription(req.user, req.params.id, {
+      target, secret, severities, alertTypes, events, isActive
+    });
+
+    res.json({
+      success: true,
+      data: subscription
+    });
+  } catch (error) {
+    console.error('Error updating subscription:', error.message);
+    res.status(error.statusCode || (error.name === 'ValidationError' ? 400 : 500)).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/notifications/subscriptions/:id - Unsubscribe
+router.delete('/subscriptions/:id', authorize('alerts:read'), [
+  param('id').isMongoId().withMessage('Invalid subscription ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await notificationService.deleteSubscription(req.user, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Subscription deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting subscription:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/notifications/subscriptions/:id/test - Send a test notification now
+router.post('/subscriptions/:id/test', authorize('alerts:read'), [
+  param('id').isMongoId().withMessage('Invalid subscription ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const delivery = await notificationService.sendTestNotification(req.user, req.params.id);
+
+    res.json({
+      success: delivery.status === 'sent',
+      data: delivery
+    });
+  } catch (error) {
+    console.error('Error sending test notification:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/notifications/deliveries - Delivery log
+router.get('/deliveries', authorize('alerts:read'), [
+  query('alertId').optional().isMongoId().withMessage('Alert ID must be a valid ID'),
+  query('status').optional().isIn(['pending', 'sending', 'sent', 'failed']).withMessage('Status must be pending, sending, sent, or failed'),
+  query('channel').optional().isIn(NotificationSubscription.CHANNELS).withMessage(`Channel must be one of: ${NotificationSubscription.CHANNELS.join(', ')}`),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { alertId, status, channel, page = 1, limit = 50 } = req.query;
+
+    const result = await notificationService.listDeliveries(req.user, {
+      alertId,
+      status,
+      channel,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: result.deliveries,
+      pagination: {
+        total: result.total,
+        page: result.page,
+        limit: result.limit
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching deliveries:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/notifications/deliveries/:id/retry - Requeue a failed delivery
+router.post('/deliveries/:id/retry', authorize('alerts:configure'), [
+  param('id').isMongoId().withMessage('Invalid delivery ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const delivery = await notificationService.retryDelivery(req.params.id);
+
+    res.json({
+      success: true,
+      data: delivery
+    });
+  } catch (error) {
+    console.error('Error retrying delivery:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
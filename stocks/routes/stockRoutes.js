@@ -1,17 +1,24 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const StockHistory = require('../models/StockHistory');
-const StockTimeSeries = require('../models/StockTimeSeries');
 const stockAnalysisService = require('../services/stockAnalysisService');
+const stockLedgerService = require('../services/stockLedgerService');
 const seedDatabase = require('../scripts/seedDatabase');
+const { canSeeStore } = require('../utils/tenantContext');
+const { authenticate, authorize, requireStore } = require('../middleware/auth');
+const { setAuditDetails } = require('../middleware/audit');
+const { idempotent } = require('../middleware/idempotency');
 
 const router = express.Router();
 
+// Every route in this group requires an authenticated user or API key
+router.use(authenticate);
+
 // POST /api/stocks/update - Record a new stock change
-router.post('/update', [
+router.post('/update', authorize('stocks:write'), requireStore, idempotent, [
   body('productId').notEmpty().withMessage('Product ID is required'),
   body('change').isNumeric().withMessage('Change must be a number'),
-  body('reason').isIn(['restock', 'sale', 'adjustment']).withMessage('Reason must be restock, sale, or adjustment')
+  body('reason').isIn(['restock', 'sale', 'adjustment', 'return', 'damage']).withMessage('Reason must be restock, sale, adjustment, return, or damage')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -21,7 +28,14 @@ router.post('/update', [
 
     const { productId, change, reason } = req.body;
     
-    const stockRecord = await StockHistory.recordStockChange(productId, change, reason);
+    const { history: stockRecord, previousStockLevel } = await stockLedgerService.recordChange({ productId, change, reason });
+
+    setAuditDetails(res, {
+      entityType: 'Product',
+      entityId: productId,
+      before: { stockLevel: previousStockLevel },
+      after: { stockLevel: stockRecord.stockLevel }
+    });
     
     // Broadcast real-time update to SSE clients
     broadcastToSSEClients({
@@ -31,7 +45,7 @@ router.post('/update', [
       newStockLevel: stockRecord.stockLevel,
       reason: reason,
       timestamp: stockRecord.timestamp
-    });
+    }, stockRecord.storeId);
     
     res.status(201).json({
       success: true,
@@ -40,7 +54,7 @@ router.post('/update', [
     });
   } catch (error) {
     console.error('Error recording stock change:', error);
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
       success: false,
       error: error.message
     });
@@ -48,7 +62,7 @@ router.post('/update', [
 });
 
 // GET /api/stocks/history - Get historical data with aggregation
-router.get('/history', [
+router.get('/history', authorize('stocks:analytics'), [
   query('productId').notEmpty().withMessage('Product ID is required'),
   query('from').optional().isISO8601().withMessage('From date must be valid ISO8601 format'),
   query('to').optional().isISO8601().withMessage('To date must be valid ISO8601 format'),
@@ -81,7 +95,7 @@ router.get('/history', [
 });
 
 // GET /api/stocks/trend - Get trend analysis with moving average
-router.get('/trend', [
+router.get('/trend', authorize('stocks:analytics'), [
   query('productId').notEmpty().withMessage('Product ID is required'),
   query('period').optional().isIn(['daily', 'weekly', 'monthly']).withMessage('Period must be daily, weekly, or monthly'),
   query('window').optional().isInt({ min: 1 }).withMessage('Window must be a positive integer')
@@ -113,7 +127,7 @@ router.get('/trend', [
 });
 
 // GET /api/stocks/restock-pattern - Analyze restocking patterns
-router.get('/restock-pattern', [
+router.get('/restock-pattern', authorize('stocks:analytics'), [
   query('productId').notEmpty().withMessage('Product ID is required')
 ], async (req, res) => {
   try {
@@ -141,7 +155,7 @@ router.get('/restock-pattern', [
 });
 
 // GET /api/stocks/current - Get current stock level for a product
-router.get('/current', [
+router.get('/current', authorize('stocks:read'), requireStore, [
   query('productId').notEmpty().withMessage('Product ID is required')
 ], async (req, res) => {
   try {
@@ -151,36 +165,14 @@ router.get('/current', [
     }
 
     const { productId } = req.query;
-    
-    // Try to get from time-series first, fallback to old model
-    let currentStock = 0;
-    let lastUpdated = new Date();
-    
-    try {
-      const latestRecord = await StockTimeSeries.findOne(
-        { productId },
-        {},
-        { sort: { timestamp: -1 } }
-      );
-      
-      if (latestRecord) {
-        currentStock = latestRecord.stockLevel;
-        lastUpdated = latestRecord.timestamp;
-      } else {
-        // Fallback to old model
-        currentStock = await StockHistory.getLatestStockLevel(productId);
-      }
-    } catch (error) {
-      console.log('Time-series not available, using fallback');
-      currentStock = await StockHistory.getLatestStockLevel(productId);
-    }
+    const balance = await stockLedgerService.getBalance(productId);
     
     res.json({
       success: true,
       data: {
         productId,
-        currentStockLevel: currentStock,
-        lastUpdated: lastUpdated
+        currentStockLevel: balance.stockLevel,
+        lastUpdated: balance.lastUpdated || new Date()
       }
     });
   } catch (error) {
@@ -193,7 +185,7 @@ router.get('/current', [
 });
 
 // POST /api/stocks/seed - Seed sample data
-router.post('/seed', async (req, res) => {
+router.post('/seed', authorize('data:admin'), async (req, res) => {
   try {
     await seedDatabase();
     res.json({
@@ -210,13 +202,20 @@ router.post('/seed', async (req, res) => {
 });
 
 // DELETE /api/stocks/clear - Clear all data
-router.delete('/clear', async (req, res) => {
+router.delete('/clear', authorize('data:admin'), async (req, res) => {
   try {
-    const result = await StockHistory.deleteMany({});
+    const result = await stockLedgerService.clear();
+    const deletedCount = result.history + result.ledger;
+
+    setAuditDetails(res, {
+      entityType: 'StockHistory',
+      entityId: null,
+      after: { deletedCount, ...result }
+    });
     res.json({
       success: true,
-      message: `Cleared ${result.deletedCount} records`,
-      deletedCount: result.deletedCount
+      message: `Cleared ${deletedCount} records`,
+      deletedCount
     });
   } catch (error) {
     console.error('Error clearing database:', error);
@@ -227,8 +226,66 @@ router.delete('/clear', async (req, res) => {
   }
 });
 
+// GET /api/stocks/ledger/consistency - Products whose ledger and history disagree
+router.get('/ledger/consistency', authorize('stocks:analytics'), [
+  query('productId').optional().notEmpty().withMessage('Product ID cannot be empty')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const report = await stockLedgerService.checkConsistency({ productId: req.query.productId });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Error checking stock ledger:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/stocks/ledger/migrate - Merge legacy stock history into the ledger
+router.post('/ledger/migrate', authorize('data:admin'), [
+  body('dryRun').optional().isBoolean().withMessage('Dry run must be boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+    const summary = await stockLedgerService.migrate({ dryRun });
+
+    if (!dryRun) {
+      setAuditDetails(res, {
+        entityType: 'StockHistory',
+        entityId: null,
+        after: summary
+      });
+    }
+    res.json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    console.error('Error migrating stock ledger:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // GET /api/stocks/stats - Get database statistics
-router.get('/stats', async (req, res) => {
+router.get('/stats', authorize('stocks:analytics'), async (req, res) => {
   try {
     const totalRecords = await StockHistory.countDocuments();
     const products = await StockHistory.distinct('productId');
@@ -255,7 +312,7 @@ router.get('/stats', async (req, res) => {
 });
 
 // GET /api/stocks/events - Server-Sent Events for real-time updates
-router.get('/events', (req, res) => {
+router.get('/events', authorize('stocks:read'), (req, res) => {
   // Set SSE headers
   res.writeHead(200, {
     'Content-Type': 'text/event-stream',
@@ -279,7 +336,9 @@ router.get('/events', (req, res) => {
     console.log('SSE client disconnected');
   });
 
-  // Store the response object for broadcasting updates
+  // Store the response object for broadcasting updates, remembering which
+  // store's updates the client may see
+  res.storeScope = req.storeScope;
   if (!global.sseClients) {
     global.sseClients = [];
   }
@@ -288,11 +347,12 @@ router.get('/events', (req, res) => {
   console.log('SSE client connected. Total clients:', global.sseClients.length);
 });
 
-// Helper function to broadcast to all SSE clients
-function broadcastToSSEClients(data) {
+// Helper function to broadcast to the SSE clients of the record's store
+function broadcastToSSEClients(data, storeId) {
   if (global.sseClients) {
     const message = `data: ${JSON.stringify(data)}\n\n`;
     global.sseClients = global.sseClients.filter(client => {
+      if (!canSeeStore(client.storeScope, storeId)) return true;
       try {
         client.write(message);
         return true;
@@ -0,0 +1,39 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const storeService = require('../services/storeService');
+const { authenticate, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Every route in this group requires an authenticated user or API key
+router.use(authenticate);
+
+// GET /api/stores/overview - Per-store shelves, cameras, open alerts, stock and recent movements
+router.get('/overview', authorize('stores:overview'), [
+  query('hours').optional().isInt({ min: 1, max: 720 }).withMessage('Hours must be between 1 and 720')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const hours = parseInt(req.query.hours) || 24;
+    const overview = await storeService.getOverview({
+      since: new Date(Date.now() - hours * 60 * 60 * 1000)
+    });
+
+    res.json({
+      success: true,
+      data: overview
+    });
+  } catch (error) {
+    console.error('Error building store overview:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -2,16 +2,30 @@ const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const StockTimeSeries = require('../models/StockTimeSeries');
 const StockLevel = require('../models/StockLevel');
+const Location = require('../models/Location');
 const timeSeriesAnalysisService = require('../services/timeSeriesAnalysisService');
+const locationService = require('../services/locationService');
+const stockLedgerService = require('../services/stockLedgerService');
+const { canSeeStore } = require('../utils/tenantContext');
+const { authenticate, authorize, requireStore } = require('../middleware/auth');
+const { setAuditDetails } = require('../middleware/audit');
+const { idempotent } = require('../middleware/idempotency');
+const HttpError = require('../utils/httpError');
+
+const MAX_BATCH_EVENTS = 5000;
 
 const router = express.Router();
 
+// Every route in this group requires an authenticated user or API key
+router.use(authenticate);
+
 // POST /api/timeseries/record - Record a time-series data point
-router.post('/record', [
+router.post('/record', authorize('timeseries:write'), requireStore, idempotent, [
   body('productId').notEmpty().withMessage('Product ID is required'),
   body('change').isNumeric().withMessage('Change must be a number'),
   body('reason').isIn(['restock', 'sale', 'adjustment', 'return', 'damage']).withMessage('Invalid reason'),
-  body('timestamp').optional().isISO8601().withMessage('Timestamp must be valid ISO8601 format')
+  body('timestamp').optional().isISO8601().withMessage('Timestamp must be valid ISO8601 format'),
+  body('locationId').optional({ nullable: true }).isMongoId().withMessage('Invalid location ID')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -19,67 +33,97 @@ router.post('/record', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { productId, change, reason, timestamp = new Date(), location = 'warehouse' } = req.body;
-    
-    // Get current stock level
-    const latestRecord = await StockTimeSeries.findOne(
-      { productId },
-      {},
-      { sort: { timestamp: -1 } }
-    );
-    
-    const currentStockLevel = latestRecord ? latestRecord.stockLevel : 0;
-    const newStockLevel = Math.max(0, currentStockLevel + change);
-    
-    // Calculate velocity and acceleration
-    const velocity = latestRecord ? change : 0;
-    const acceleration = latestRecord && latestRecord.velocity !== undefined ? 
-      change - latestRecord.velocity : 0;
+    const { productId, change, reason, timestamp, locationId = null } = req.body;
+
+    // The free-text location defaults to the hierarchy location's code or name
+    const place = locationId ? await locationService.assertAssignable(locationId) : null;
+    const location = req.body.location || (place ? place.code || place.name : 'warehouse');
     
-    const timeSeriesRecord = new StockTimeSeries({
-      timestamp: new Date(timestamp),
+    // A timestamp before the product's newest entry rewrites every later entry
+    const { entry: savedRecord, previousStockLevel, currentStockLevel, rewritten } = await stockLedgerService.recordChange({
       productId,
-      location,
-      stockLevel: newStockLevel,
       change,
       reason,
-      velocity,
-      acceleration
+      timestamp,
+      location,
+      locationId
+    });
+
+    setAuditDetails(res, {
+      entityType: 'Product',
+      entityId: productId,
+      before: { stockLevel: previousStockLevel },
+      after: { stockLevel: currentStockLevel }
     });
-    
-    const savedRecord = await timeSeriesRecord.save();
     
     // Broadcast real-time update
-    if (global.sseClients) {
-      const message = `data: ${JSON.stringify({
-        type: 'timeseries_update',
-        productId: productId,
-        change: change,
-        newStockLevel: newStockLevel,
-        reason: reason,
-        timestamp: savedRecord.timestamp,
-        velocity: velocity,
-        acceleration: acceleration
-      })}\n\n`;
-      
-      global.sseClients = global.sseClients.filter(client => {
-        try {
-          client.write(message);
-          return true;
-        } catch (error) {
-          return false;
-        }
-      });
-    }
+    broadcastToSSEClients({
+      type: 'timeseries_update',
+      productId: productId,
+      change: savedRecord.change,
+      newStockLevel: currentStockLevel,
+      reason: reason,
+      timestamp: savedRecord.timestamp,
+      velocity: savedRecord.velocity,
+      acceleration: savedRecord.acceleration,
+      rewrittenRecords: rewritten
+    }, savedRecord.storeId);
     
     res.status(201).json({
       success: true,
       data: savedRecord,
+      rewrittenRecords: rewritten,
       message: 'Time-series data recorded successfully'
     });
   } catch (error) {
     console.error('Error recording time-series data:', error);
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/timeseries/batch - Record many data points at once, as a JSON array or NDJSON
+router.post('/batch', authorize('timeseries:write'), requireStore, idempotent, async (req, res) => {
+  try {
+    const events = parseBatch(req);
+    const summary = { entityType: 'StockTimeSeries', entityId: null, payload: { events: events.length } };
+    setAuditDetails(res, summary);
+
+    const batch = await stockLedgerService.recordBatch(events);
+
+    setAuditDetails(res, {
+      ...summary,
+      after: { received: batch.received, recorded: batch.recorded, rejected: batch.rejected, rewritten: batch.rewritten }
+    });
+
+    // One update per product, with its level after the batch
+    for (const product of batch.products) {
+      broadcastToSSEClients({
+        type: 'timeseries_batch',
+        productId: product.productId,
+        newStockLevel: product.stockLevel,
+        timestamp: product.timestamp
+      }, product.storeId);
+    }
+
+    // 207 when only some events were recorded
+    const status = batch.recorded === 0 ? 400 : batch.rejected > 0 ? 207 : 201;
+    res.status(status).json({
+      success: batch.recorded > 0,
+      data: {
+        received: batch.received,
+        recorded: batch.recorded,
+        rejected: batch.rejected,
+        rewrittenRecords: batch.rewritten,
+        results: batch.results
+      },
+      message: `Recorded ${batch.recorded} of ${batch.received} events`
+    });
+  } catch (error) {
+    console.error('Error recording time-series batch:', error);
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -87,12 +131,13 @@ router.post('/record', [
 });
 
 // GET /api/timeseries/data - Get time-series data with advanced aggregation
-router.get('/data', [
+router.get('/data', authorize('timeseries:read'), [
   query('productId').notEmpty().withMessage('Product ID is required'),
   query('startTime').optional().isISO8601().withMessage('Start time must be valid ISO8601 format'),
   query('endTime').optional().isISO8601().withMessage('End time must be valid ISO8601 format'),
   query('granularity').optional().isIn(['1m', '5m', '15m', '1h', '1d', '1w', '1M']).withMessage('Invalid granularity'),
-  query('includeMetrics').optional().isBoolean().withMessage('Include metrics must be boolean')
+  query('includeMetrics').optional().isBoolean().withMessage('Include metrics must be boolean'),
+  query('locationId').optional().isMongoId().withMessage('Invalid location ID')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -105,14 +150,21 @@ router.get('/data', [
       startTime, 
       endTime, 
       granularity = '1h',
-      includeMetrics = false 
+      includeMetrics = false,
+      locationId
     } = req.query;
+
+    const filter = {};
+    if (locationId) {
+      filter.locationId = { $in: (await locationService.resolveScope(locationId)).locationIds };
+    }
     
     const data = await StockTimeSeries.getTimeSeriesData(
       productId, 
       startTime || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000), // Default: 30 days ago
       endTime || new Date(),
-      granularity
+      granularity,
+      filter
     );
     
     let metrics = null;
@@ -127,6 +179,7 @@ router.get('/data', [
         metrics: metrics,
         metadata: {
           productId,
+          locationId: locationId || null,
           granularity,
           dataPoints: data.length,
           timeRange: {
@@ -138,7 +191,73 @@ router.get('/data', [
     });
   } catch (error) {
     console.error('Error fetching time-series data:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/timeseries/rollup - Stock movements per store, zone or aisle
+router.get('/rollup', authorize('timeseries:read'), [
+  query('level').isIn(Location.LOCATION_TYPES).withMessage('Level must be store, zone, or aisle'),
+  query('locationId').optional().isMongoId().withMessage('Invalid location ID'),
+  query('productId').optional(),
+  query('startTime').optional().isISO8601().withMessage('Start time must be valid ISO8601 format'),
+  query('endTime').optional().isISO8601().withMessage('End time must be valid ISO8601 format')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { level, locationId, productId, startTime, endTime } = req.query;
+    const matchStage = {
+      timestamp: {
+        $gte: new Date(startTime || Date.now() - 30 * 24 * 60 * 60 * 1000),
+        $lte: new Date(endTime || Date.now())
+      }
+    };
+    if (productId) matchStage.productId = productId;
+    if (locationId) {
+      matchStage.locationId = { $in: (await locationService.resolveScope(locationId)).locationIds };
+    }
+
+    const rows = await StockTimeSeries.aggregate([
+      { $match: matchStage },
+      {
+        $group: {
+          _id: { locationId: '$locationId', reason: '$reason' },
+          records: { $sum: 1 },
+          netChange: { $sum: '$change' },
+          products: { $addToSet: '$productId' }
+        }
+      }
+    ]);
+
+    const groups = await locationService.groupByLevel(rows, level, row => row._id.locationId);
+
+    res.json({
+      success: true,
+      level,
+      data: groups.map(({ location, items }) => {
+        const byReason = {};
+        for (const row of items) {
+          byReason[row._id.reason] = { records: row.records, netChange: row.netChange };
+        }
+        return {
+          location,
+          records: items.reduce((sum, row) => sum + row.records, 0),
+          netChange: items.reduce((sum, row) => sum + row.netChange, 0),
+          products: new Set(items.flatMap(row => row.products)).size,
+          byReason
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Error rolling up time-series data:', error);
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -146,7 +265,7 @@ router.get('/data', [
 });
 
 // GET /api/timeseries/trend - Advanced trend analysis
-router.get('/trend', [
+router.get('/trend', authorize('timeseries:analytics'), [
   query('productId').notEmpty().withMessage('Product ID is required'),
   query('startTime').optional().isISO8601().withMessage('Start time must be valid ISO8601 format'),
   query('endTime').optional().isISO8601().withMessage('End time must be valid ISO8601 format'),
@@ -250,7 +369,7 @@ router.get('/trend', [
 });
 
 // GET /api/timeseries/cycles - Cycle detection analysis
-router.get('/cycles', [
+router.get('/cycles', authorize('timeseries:analytics'), [
   query('productId').notEmpty().withMessage('Product ID is required'),
   query('startTime').optional().isISO8601().withMessage('Start time must be valid ISO8601 format'),
   query('endTime').optional().isISO8601().withMessage('End time must be valid ISO8601 format'),
@@ -346,7 +465,7 @@ router.get('/cycles', [
 });
 
 // GET /api/timeseries/anomalies - Anomaly detection
-router.get('/anomalies', [
+router.get('/anomalies', authorize('timeseries:analytics'), [
   query('productId').notEmpty().withMessage('Product ID is required'),
   query('startTime').optional().isISO8601().withMessage('Start time must be valid ISO8601 format'),
   query('endTime').optional().isISO8601().withMessage('End time must be valid ISO8601 format'),
@@ -386,7 +505,7 @@ router.get('/anomalies', [
 });
 
 // GET /api/timeseries/forecast - Forecasting
-router.get('/forecast', [
+router.get('/forecast', authorize('timeseries:analytics'), [
   query('productId').notEmpty().withMessage('Product ID is required'),
   query('horizon').optional().isInt({ min: 1, max: 30 }).withMessage('Horizon must be between 1 and 30'),
   query('method').optional().isIn(['arima', 'exponential_smoothing', 'linear_trend']).withMessage('Invalid forecast method')
@@ -423,7 +542,7 @@ router.get('/forecast', [
 });
 
 // GET /api/timeseries/moving-average - Moving average analysis
-router.get('/moving-average', [
+router.get('/moving-average', authorize('timeseries:analytics'), [
   query('productId').notEmpty().withMessage('Product ID is required'),
   query('window').optional().isInt({ min: 2, max: 100 }).withMessage('Window must be between 2 and 100'),
   query('startTime').optional().isISO8601().withMessage('Start time must be valid ISO8601 format'),
@@ -470,7 +589,7 @@ router.get('/moving-average', [
 });
 
 // GET /api/timeseries/statistics - Comprehensive statistics
-router.get('/statistics', [
+router.get('/statistics', authorize('timeseries:analytics'), [
   query('productId').notEmpty().withMessage('Product ID is required'),
   query('startTime').optional().isISO8601().withMessage('Start time must be valid ISO8601 format'),
   query('endTime').optional().isISO8601().withMessage('End time must be valid ISO8601 format')
@@ -506,4 +625,49 @@ router.get('/statistics', [
   }
 });
 
+// Events of a batch request: a JSON array, or one JSON object per line (NDJSON)
+function parseBatch(req) {
+  let events;
+  if (req.is('application/x-ndjson')) {
+    events = [];
+    const lines = (typeof req.body === 'string' ? req.body : '').split(/\r?\n/);
+    lines.forEach((line, lineIndex) => {
+      if (!line.trim()) return;
+      try {
+        events.push(JSON.parse(line));
+      } catch (error) {
+        throw new HttpError(400, `Line ${lineIndex + 1} is not valid JSON`);
+      }
+    });
+  } else if (Array.isArray(req.body)) {
+    events = req.body;
+  } else {
+    throw new HttpError(400, 'Expected a JSON array or NDJSON body');
+  }
+
+  if (events.length === 0) {
+    throw new HttpError(400, 'Batch must contain at least one event');
+  }
+  if (events.length > MAX_BATCH_EVENTS) {
+    throw new HttpError(413, `Batch must not contain more than ${MAX_BATCH_EVENTS} events`);
+  }
+  return events;
+}
+
+// Helper function to broadcast to the SSE clients of the record's store
+function broadcastToSSEClients(data, storeId) {
+  if (global.sseClients) {
+    const message = `data: ${JSON.stringify(data)}\n\n`;
+    global.sseClients = global.sseClients.filter(client => {
+      if (!canSeeStore(client.storeScope, storeId)) return true;
+      try {
+        client.write(message);
+        return true;
+      } catch (error) {
+        return false;
+      }
+    });
+  }
+}
+
 module.exports = router;
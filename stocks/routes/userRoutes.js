@@ -0,0 +1,318 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const userService = require('../services/userService');
+const { authenticateUser, authorize } = require('../middleware/auth');
+const { ROLES } = require('../config/permissions');
+const getRequestContext = require('../utils/requestContext');
+
+const router = express.Router();
+
+// Every route in this group requires an authenticated user
+router.use(authenticateUser);
+
+// POST /api/users/me/password - Change the authenticated user's password
+router.post('/me/password', [
+  body('currentPassword').notEmpty().withMessage('Current password is required'),
+  body('newPassword').isLength({ min: 8 }).withMessage('New password must be at least 8 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+
+    const profile = await userService.changePassword(
+      req.user,
+      currentPassword,
+      newPassword,
+      req.authSession._id,
+      getRequestContext(req)
+    );
+
+    res.json({
+      success: true,
+      data: profile,
+      message: 'Password changed successfully'
+    });
+  } catch (error) {
+    console.error('Error changing password:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/users - List users
+router.get('/', authorize('users:manage'), [
+  query('role').optional().isIn(ROLES).withMessage('Invalid role'),
+  query('isActive').optional().isBoolean().withMessage('isActive must be boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { role, isActive } = req.query;
+
+    const users = await userService.listUsers({
+      role,
+      isActive: isActive === undefined ? undefined : isActive === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: users
+    });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/users - Create a user
+router.post('/', authorize('users:manage'), [
+  body('username').isLength({ min: 3, max: 50 }).withMessage('Username must be 3-50 characters'),
+  body('email').isEmail().withMessage('A valid email is required'),
+  body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+  body('role').optional().isIn(ROLES).withMessage('Role must be admin, manager, or staff'),
+  body('storeId').optional({ nullable: true }).isMongoId().withMessage('Invalid store ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { username, email, password, role, storeId } = req.body;
+
+    const profile = await userService.createUser(
+      req.user,
+      { username, email, password, role, storeId },
+      getRequestContext(req)
+    );
+
+    res.status(201).json({
+      success: true,
+      data: profile,
+      message: 'User created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating user:', error.message);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/users/:id - Get a user by ID
+router.get('/:id', authorize('users:manage'), [
+  param('id').isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await userService.getUser(req.params.id);
+
+    res.json({
+      success: true,
+      data: user.getPublicProfile()
+    });
+  } catch (error) {
+    console.error('Error fetching user:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// PATCH /api/users/:id - Update a user's username, email or store
+router.patch('/:id', authorize('users:manage'), [
+  param('id').isMongoId().withMessage('Invalid user ID'),
+  body('username').optional().isLength({ min: 3, max: 50 }).withMessage('Username must be 3-50 characters'),
+  body('email').optional().isEmail().withMessage('A valid email is required'),
+  body('storeId').optional({ nullable: true }).isMongoId().withMessage('Invalid store ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { username, email, storeId } = req.body;
+
+    const profile = await userService.updateUser(
+      req.user,
+      req.params.id,
+      { username, email, storeId },
+      getRequestContext(req)
+    );
+
+    res.json({
+      success: true,
+      data: profile
+    });
+  } catch (error) {
+    console.error('Error updating user:', error.message);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/users/:id/role - Change a user's role
+router.put('/:id/role', authorize('users:manage'), [
+  param('id').isMongoId().withMessage('Invalid user ID'),
+  body('role').isIn(ROLES).withMessage('Role must be admin, manager, or staff')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const profile = await userService.changeRole(
+      req.user,
+      req.params.id,
+      req.body.role,
+      getRequestContext(req)
+    );
+
+    res.json({
+      success: true,
+      data: profile,
+      message: 'Role updated successfully'
+    });
+  } catch (error) {
+    console.error('Error changing role:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/users/:id/deactivate - Deactivate a user and revoke their sessions
+router.post('/:id/deactivate', authorize('users:manage'), [
+  param('id').isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const profile = await userService.setActive(req.user, req.params.id, false, getRequestContext(req));
+
+    res.json({
+      success: true,
+      data: profile,
+      message: 'User deactivated successfully'
+    });
+  } catch (error) {
+    console.error('Error deactivating user:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/users/:id/activate - Reactivate a user
+router.post('/:id/activate', authorize('users:manage'), [
+  param('id').isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const profile = await userService.setActive(req.user, req.params.id, true, getRequestContext(req));
+
+    res.json({
+      success: true,
+      data: profile,
+      message: 'User activated successfully'
+    });
+  } catch (error) {
+    console.error('Error activating user:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/users/:id/password-reset - Issue a one-time password reset token
+router.post('/:id/password-reset', authorize('users:manage'), [
+  param('id').isMongoId().withMessage('Invalid user ID'),
+  body('expiresInMinutes').optional().isInt({ min: 5, max: 1440 }).withMessage('Expiry must be between 5 and 1440 minutes')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { expiresInMinutes = 60 } = req.body;
+
+    const reset = await userService.issuePasswordReset(
+      req.user,
+      req.params.id,
+      parseInt(expiresInMinutes),
+      getRequestContext(req)
+    );
+
+    res.status(201).json({
+      success: true,
+      data: reset,
+      message: 'Password reset token issued'
+    });
+  } catch (error) {
+    console.error('Error issuing password reset:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/users/:id/audit - Get the audit trail of changes made to a user
+router.get('/:id/audit', authorize('users:manage'), [
+  param('id').isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const trail = await userService.getUserAuditTrail(req.params.id);
+
+    res.json({
+      success: true,
+      data: trail
+    });
+  } catch (error) {
+    console.error('Error fetching user audit trail:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,57 @@
+const { parseArgs } = require('util');
+const mongoose = require('mongoose');
+const stockLedgerService = require('../services/stockLedgerService');
+require('dotenv').config({ path: './config.env' });
+
+const USAGE = `Usage: npm run ledger:check -- [options]
+
+Options:
+  --product <id>          Only check this product
+
+Exits with status 1 when any product is inconsistent.`;
+
+// Report products whose ledger and stock history disagree
+async function checkStockLedger(argv = process.argv.slice(2)) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      product: { type: 'string' },
+      help: { type: 'boolean', default: false }
+    }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return null;
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/stock-tracking');
+
+    const report = await stockLedgerService.checkConsistency({ productId: values.product });
+
+    console.log(`Checked ${report.checked} products, ${report.consistent} consistent`);
+    for (const product of report.inconsistent) {
+      console.log(`❌ ${product.productId}${product.storeId ? ` (store ${product.storeId})` : ''}: ` +
+        `ledger ${product.ledgerBalance}, history ${product.historyBalance}, ` +
+        `${product.unmirroredEntries} unmirrored entries, ${product.unlinkedHistory} unlinked history records, ` +
+        `${product.brokenLinks} broken links`);
+    }
+    if (report.inconsistent.length > 0) {
+      process.exitCode = 1;
+    }
+    return report;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  checkStockLedger().catch(error => {
+    console.error('❌ Error checking stock ledger:', error.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = checkStockLedger;
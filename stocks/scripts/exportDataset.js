@@ -0,0 +1,73 @@
+const path = require('path');
+const { parseArgs } = require('util');
+const mongoose = require('mongoose');
+const datasetExportService = require('../services/datasetExportService');
+require('dotenv').config({ path: './config.env' });
+
+const USAGE = `Usage: npm run export:dataset -- --format coco|voc --out <dir> [options]
+
+Options:
+  --shelf <id>            Only images of this shelf
+  --product <id>          Only images of this product
+  --from <date>           Uploaded on or after this ISO date
+  --to <date>             Uploaded on or before this ISO date
+  --review-status <s>     unreviewed, confirmed, corrected or reviewed
+  --copy                  Copy image files into the dataset instead of referencing them`;
+
+// Export annotated shelf images as a COCO or Pascal VOC dataset directory
+async function exportDataset(argv = process.argv.slice(2)) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      format: { type: 'string' },
+      out: { type: 'string' },
+      shelf: { type: 'string' },
+      product: { type: 'string' },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      'review-status': { type: 'string' },
+      copy: { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false }
+    }
+  });
+
+  if (values.help || !values.format || !values.out) {
+    console.log(USAGE);
+    return null;
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/stock-tracking');
+
+    const result = await datasetExportService.exportDataset({
+      format: values.format,
+      outputDir: path.resolve(values.out),
+      copyImages: values.copy,
+      filters: {
+        shelfId: values.shelf,
+        productId: values.product,
+        from: values.from,
+        to: values.to,
+        reviewStatus: values['review-status']
+      }
+    });
+
+    console.log(`✅ Exported ${result.imageCount} images and ${result.annotationCount} boxes as ${result.format} to ${result.outputDir}`);
+    if (result.missingFiles.length > 0) {
+      console.log(`⚠️ Skipped ${result.missingFiles.length} images whose files are missing`);
+    }
+    return result;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  exportDataset().catch(error => {
+    console.error('❌ Error exporting dataset:', error.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = exportDataset;
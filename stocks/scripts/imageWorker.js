@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const imageJobService = require('../services/imageJobService');
+require('dotenv').config({ path: './config.env' });
+
+// Standalone image processing worker; run as many as the queue needs
+async function runImageWorker() {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/stock-tracking');
+  console.log('✅ Connected to MongoDB');
+
+  const queued = await imageJobService.enqueueUnprocessedImages();
+  console.log(`📥 ${queued} pending image(s) in the queue`);
+
+  imageJobService.start(parseInt(process.env.IMAGE_WORKER_POLL_SECONDS) || 5);
+  await imageJobService.runOnce();
+
+  const shutdown = async () => {
+    console.log('\n🛑 Stopping image worker...');
+    imageJobService.stop();
+
+    // Let the job in progress finish so it is not left locked
+    while (imageJobService.running) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+    process.exit(0);
+  };
+
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+// Run if called directly
+if (require.main === module) {
+  runImageWorker().catch(async error => {
+    console.error('❌ Image worker failed to start:', error.message);
+    await mongoose.connection.close();
+    process.exit(1);
+  });
+}
+
+module.exports = runImageWorker;
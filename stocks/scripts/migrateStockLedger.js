@@ -0,0 +1,50 @@
+const { parseArgs } = require('util');
+const mongoose = require('mongoose');
+const stockLedgerService = require('../services/stockLedgerService');
+require('dotenv').config({ path: './config.env' });
+
+const USAGE = `Usage: npm run ledger:migrate -- [options]
+
+Options:
+  --dry-run               Report what would change without writing anything`;
+
+// Merge stock history recorded before the ledger existed into the ledger
+async function migrateStockLedger(argv = process.argv.slice(2)) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      'dry-run': { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false }
+    }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return null;
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/stock-tracking');
+
+    const summary = await stockLedgerService.migrate({ dryRun: values['dry-run'] });
+
+    const verb = summary.dryRun ? 'Would create' : 'Created';
+    console.log(`✅ ${summary.products} products: ${verb} ${summary.ledgerEntriesCreated} ledger entries and ${summary.historyRecordsCreated} history records, rebalanced ${summary.recordsRebalanced} records`);
+    for (const { storeId, productId, lowestBalance } of summary.negativeBalances) {
+      console.log(`⚠️ ${productId}${storeId ? ` (store ${storeId})` : ''} goes down to ${lowestBalance}`);
+    }
+    return summary;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  migrateStockLedger().catch(error => {
+    console.error('❌ Error migrating stock ledger:', error.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = migrateStockLedger;
@@ -6,6 +6,7 @@ const Product = require('../models/Product');
 const Image = require('../models/Image');
 const StockLevel = require('../models/StockLevel');
 const Alert = require('../models/Alert');
+const EscalationPolicy = require('../models/EscalationPolicy');
 require('dotenv').config({ path: './config.env' });
 
 async function seedComputerVisionData() {
@@ -22,13 +23,15 @@ async function seedComputerVisionData() {
       Product.deleteMany({}),
       Image.deleteMany({}),
       StockLevel.deleteMany({}),
-      Alert.deleteMany({})
+      Alert.deleteMany({}),
+      EscalationPolicy.deleteMany({})
     ]);
     console.log('🗑️ Cleared existing data');
 
     // 1. Create Users
     console.log('👥 Creating users...');
-    const users = await User.insertMany([
+    // create() rather than insertMany() so the pre-save hook hashes each password
+    const users = await User.create([
       {
         username: 'admin',
         email: 'admin@stocktracking.com',
@@ -277,6 +280,30 @@ async function seedComputerVisionData() {
     const savedAlerts = await Alert.insertMany(alerts);
     console.log(`✅ Created ${savedAlerts.length} alerts`);
 
+    // 8. Create Escalation Policies
+    console.log('📣 Creating escalation policies...');
+    const escalationPolicies = await EscalationPolicy.create([
+      {
+        name: 'Critical stock alerts',
+        description: 'Unacknowledged critical alerts go to managers, then admins',
+        severities: ['critical'],
+        steps: [
+          { afterMinutes: 15, notifyRoles: ['manager'] },
+          { afterMinutes: 60, notifyRoles: ['admin'] }
+        ]
+      },
+      {
+        name: 'High stock alerts',
+        description: 'Unacknowledged high alerts go to managers and become critical after an hour',
+        severities: ['high'],
+        steps: [
+          { afterMinutes: 15, notifyRoles: ['manager'] },
+          { afterMinutes: 60, notifyRoles: ['admin'], bumpSeverity: true }
+        ]
+      }
+    ]);
+    console.log(`✅ Created ${escalationPolicies.length} escalation policies`);
+
     console.log('\n🎉 Computer Vision Data Seeding Completed!');
     console.log('==========================================');
     console.log(`👥 Users: ${users.length}`);
@@ -286,6 +313,7 @@ async function seedComputerVisionData() {
     console.log(`📸 Images: ${savedImages.length}`);
     console.log(`📊 Stock Levels: ${savedStockLevels.length}`);
     console.log(`🚨 Alerts: ${savedAlerts.length}`);
+    console.log(`📣 Escalation Policies: ${escalationPolicies.length}`);
     
     console.log('\n📋 Sample Data Created:');
     console.log('• Admin user: admin/admin123');
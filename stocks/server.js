@@ -6,26 +6,58 @@ require('dotenv').config({ path: './config.env' });
 // Import models (to ensure they're registered)
 require('./models/User');
 require('./models/Camera');
+require('./models/Location');
 require('./models/Shelf');
 require('./models/Product');
 require('./models/Image');
+require('./models/ImageJob');
+require('./models/Planogram');
 require('./models/StockLevel');
 require('./models/Alert');
 require('./models/StockHistory');
 require('./models/StockTimeSeries');
+require('./models/Session');
+require('./models/AuditLog');
+require('./models/ApiKey');
+require('./models/AlertRule');
+require('./models/EscalationPolicy');
+require('./models/NotificationSubscription');
+require('./models/NotificationDelivery');
 
 // Import routes
+const authRoutes = require('./routes/authRoutes');
+const userRoutes = require('./routes/userRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const apiKeyRoutes = require('./routes/apiKeyRoutes');
+const alertRuleRoutes = require('./routes/alertRuleRoutes');
+const escalationPolicyRoutes = require('./routes/escalationPolicyRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const locationRoutes = require('./routes/locationRoutes');
+const storeRoutes = require('./routes/storeRoutes');
+const escalationService = require('./services/escalationService');
+const notificationService = require('./services/notificationService');
+const authService = require('./services/authService');
+const cameraService = require('./services/cameraService');
+const { auditMutations } = require('./middleware/audit');
 const stockRoutes = require('./routes/stockRoutes');
 const timeSeriesRoutes = require('./routes/timeSeriesRoutes');
 const computerVisionRoutes = require('./routes/computerVisionRoutes');
 
+// Tokens signed with a missing or published secret could be forged by anyone
+authService.assertConfigured();
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
+// Stock event batches are far larger than other requests and may be NDJSON
+app.use('/api/timeseries/batch',
+  express.json({ limit: '10mb' }),
+  express.text({ type: 'application/x-ndjson', limit: '10mb' }));
 app.use(express.json());
 app.use(express.static('public'));
+app.use('/api', auditMutations);
 
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/stock-tracking', {
@@ -37,6 +69,13 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/stock-tra
   .then(() => {
     console.log('✅ Connected to MongoDB');
     console.log('📊 Database:', mongoose.connection.db.databaseName);
+
+    // Tests drive escalations, notification delivery and the camera watchdog explicitly
+    if (process.env.NODE_ENV !== 'test') {
+      escalationService.start(parseInt(process.env.ESCALATION_INTERVAL_SECONDS) || 60);
+      notificationService.start(parseInt(process.env.NOTIFICATION_INTERVAL_SECONDS) || 10);
+      cameraService.start(parseInt(process.env.CAMERA_WATCHDOG_INTERVAL_SECONDS) || 30);
+    }
   })
   .catch(err => {
     console.error('❌ MongoDB connection error:', err);
@@ -59,12 +98,24 @@ mongoose.connection.on('disconnected', () => {
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('\n🛑 Shutting down gracefully...');
+  escalationService.stop();
+  notificationService.stop();
+  cameraService.stop();
   await mongoose.connection.close();
   console.log('✅ MongoDB connection closed');
   process.exit(0);
 });
 
 // Routes
+app.use('/api/auth', authRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/alert-rules', alertRuleRoutes);
+app.use('/api/escalation-policies', escalationPolicyRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/locations', locationRoutes);
+app.use('/api/stores', storeRoutes);
 app.use('/api/stocks', stockRoutes);
 app.use('/api/timeseries', timeSeriesRoutes);
 app.use('/api/cv', computerVisionRoutes);
@@ -76,6 +127,10 @@ app.get('/health', (req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  // Client errors raised by the body parsers (malformed JSON, oversized bodies)
+  if (err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({ success: false, error: err.message });
+  }
   console.error(err.stack);
   res.status(500).json({ error: 'Something went wrong!' });
 });
@@ -0,0 +1,224 @@
+const mongoose = require('mongoose');
+const Alert = require('../models/Alert');
+const Product = require('../models/Product');
+const Shelf = require('../models/Shelf');
+const User = require('../models/User');
+
+const MS_PER_MINUTE = 60 * 1000;
+
+// Field each breakdown groups on; "user" credits whoever acknowledged or resolved
+const GROUP_FIELDS = {
+  type: { acknowledge: '$alertType', resolve: '$alertType' },
+  severity: { acknowledge: '$severity', resolve: '$severity' },
+  shelf: { acknowledge: '$shelfId', resolve: '$shelfId' },
+  product: { acknowledge: '$productId', resolve: '$productId' },
+  user: { acknowledge: '$acknowledgedBy', resolve: '$resolvedBy' }
+};
+
+class AlertAnalyticsService {
+
+  /**
+   * Mean time to acknowledge (MTTA) and mean time to resolve (MTTR) in minutes,
+   * grouped by type, severity, shelf, product or user. Clocks start when the
+   * alert was raised, or when it was last reopened.
+   */
+  async getResponseTimes(groupBy = 'type', { from, to, alertType, severity, includeAutoResolved = false } = {}) {
+    const fields = GROUP_FIELDS[groupBy];
+    const matchStage = this.buildMatchStage({ from, to, alertType, severity });
+    const startedAt = { $ifNull: ['$reopenedAt', '$createdAt'] };
+
+    const resolvedMatch = { resolved: true, resolvedAt: { $ne: null } };
+    if (!includeAutoResolved) {
+      resolvedMatch['metadata.autoResolved'] = { $ne: true };
+    }
+
+    const [result] = await Alert.aggregate([
+      { $match: matchStage },
+      {
+        $facet: {
+          total: [
+            { $group: { _id: fields.acknowledge, alerts: { $sum: 1 } } }
+          ],
+          acknowledge: [
+            { $match: { acknowledged: true, acknowledgedAt: { $ne: null } } },
+            {
+              $group: {
+                _id: fields.acknowledge,
+                count: { $sum: 1 },
+                avgMs: { $avg: { $subtract: ['$acknowledgedAt', startedAt] } },
+                maxMs: { $max: { $subtract: ['$acknowledgedAt', startedAt] } }
+              }
+            }
+          ],
+          resolve: [
+            { $match: resolvedMatch },
+            {
+              $group: {
+                _id: fields.resolve,
+                count: { $sum: 1 },
+                avgMs: { $avg: { $subtract: ['$resolvedAt', startedAt] } },
+                maxMs: { $max: { $subtract: ['$resolvedAt', startedAt] } }
+              }
+            }
+          ]
+        }
+      }
+    ]);
+
+    const groups = new Map();
+    const groupFor = key => {
+      const id = key === null || key === undefined ? null : key.toString();
+      if (!groups.has(id)) {
+        groups.set(id, {
+          key: id,
+          alerts: 0,
+          acknowledged: 0,
+          mttaMinutes: null,
+          maxTimeToAcknowledgeMinutes: null,
+          resolved: 0,
+          mttrMinutes: null,
+          maxTimeToResolveMinutes: null
+        });
+      }
+      return groups.get(id);
+    };
+
+    // Per-user rows only count the alerts that user handled
+    if (groupBy !== 'user') {
+      for (const row of result.total) {
+        groupFor(row._id).alerts = row.alerts;
+      }
+    }
+    for (const row of result.acknowledge) {
+      const group = groupFor(row._id);
+      group.acknowledged = row.count;
+      group.mttaMinutes = this.toMinutes(row.avgMs);
+      group.maxTimeToAcknowledgeMinutes = this.toMinutes(row.maxMs);
+    }
+    for (const row of result.resolve) {
+      const group = groupFor(row._id);
+      group.resolved = row.count;
+      group.mttrMinutes = this.toMinutes(row.avgMs);
+      group.maxTimeToResolveMinutes = this.toMinutes(row.maxMs);
+    }
+
+    const rows = [...groups.values()];
+    await this.attachLabels(groupBy, rows);
+
+    const volume = row => (groupBy === 'user' ? row.acknowledged + row.resolved : row.alerts);
+    return rows.sort((a, b) => volume(b) - volume(a));
+  }
+
+  /**
+   * Shelf/product pairs that keep raising the same alert type. Each alert is
+   * one episode; occurrences counts the repeat triggers folded into it.
+   */
+  async getRepeatOffenders({ from, to, alertType, minAlerts = 3, limit = 20 } = {}) {
+    const matchStage = this.buildMatchStage({ from, to, alertType });
+    matchStage.productId = { $ne: null };
+
+    const rows = await Alert.aggregate([
+      { $match: matchStage },
+      {
+        $group: {
+          _id: { shelfId: '$shelfId', productId: '$productId', alertType: '$alertType' },
+          alerts: { $sum: 1 },
+          triggers: { $sum: { $ifNull: ['$occurrences', 1] } },
+          open: { $sum: { $cond: ['$resolved', 0, 1] } },
+          firstRaisedAt: { $min: '$createdAt' },
+          lastRaisedAt: { $max: { $ifNull: ['$lastTriggeredAt', '$createdAt'] } },
+          severities: { $addToSet: '$severity' }
+        }
+      },
+      { $match: { alerts: { $gte: minAlerts } } },
+      { $sort: { alerts: -1, triggers: -1 } },
+      { $limit: limit }
+    ]);
+
+    const offenders = rows.map(row => ({
+      shelfId: row._id.shelfId,
+      productId: row._id.productId,
+      alertType: row._id.alertType,
+      alerts: row.alerts,
+      triggers: row.triggers,
+      open: row.open,
+      firstRaisedAt: row.firstRaisedAt,
+      lastRaisedAt: row.lastRaisedAt,
+      severities: row.severities
+    }));
+
+    const [shelfNames, productNames] = await Promise.all([
+      this.lookupShelfNames(offenders.map(o => o.shelfId)),
+      this.lookupProductNames(offenders.map(o => o.productId))
+    ]);
+    for (const offender of offenders) {
+      offender.shelfName = offender.shelfId ? shelfNames.get(offender.shelfId.toString()) || null : null;
+      offender.productName = productNames.get(offender.productId) || null;
+    }
+
+    return offenders;
+  }
+
+  buildMatchStage({ from, to, alertType, severity }) {
+    const matchStage = {};
+
+    if (from || to) {
+      matchStage.createdAt = {};
+      if (from) matchStage.createdAt.$gte = new Date(from);
+      if (to) matchStage.createdAt.$lte = new Date(to);
+    }
+    if (alertType) matchStage.alertType = alertType;
+    if (severity) matchStage.severity = severity;
+
+    return matchStage;
+  }
+
+  toMinutes(ms) {
+    return ms === null || ms === undefined ? null : Math.round((ms / MS_PER_MINUTE) * 10) / 10;
+  }
+
+  async attachLabels(groupBy, rows) {
+    const keys = rows.map(row => row.key).filter(Boolean);
+    let labels = new Map();
+
+    if (groupBy === 'shelf') {
+      labels = await this.lookupShelfNames(keys);
+    } else if (groupBy === 'product') {
+      labels = await this.lookupProductNames(keys);
+    } else if (groupBy === 'user') {
+      const users = await User.find({ _id: { $in: keys } }).select('username');
+      labels = new Map(users.map(user => [user._id.toString(), user.username]));
+    }
+
+    for (const row of rows) {
+      row.label = row.key === null ? null : labels.get(row.key) || row.key;
+    }
+  }
+
+  async lookupShelfNames(shelfIds) {
+    const ids = shelfIds.filter(Boolean);
+    const shelves = await Shelf.find({ _id: { $in: ids } }).select('shelfName');
+    return new Map(shelves.map(shelf => [shelf._id.toString(), shelf.shelfName]));
+  }
+
+  /**
+   * Alert productIds are Product IDs for shelf readings and SKUs for time-series records
+   */
+  async lookupProductNames(productKeys) {
+    const keys = [...new Set(productKeys.filter(Boolean))];
+    const objectIds = keys.filter(key => mongoose.Types.ObjectId.isValid(key) && key.length === 24);
+
+    const products = await Product.find({
+      $or: [{ _id: { $in: objectIds } }, { sku: { $in: keys } }]
+    }).select('name sku');
+
+    const names = new Map();
+    for (const product of products) {
+      names.set(product._id.toString(), product.name);
+      if (product.sku) names.set(product.sku, product.name);
+    }
+    return names;
+  }
+}
+
+module.exports = new AlertAnalyticsService();
@@ -0,0 +1,356 @@
+const mongoose = require('mongoose');
+const Alert = require('../models/Alert');
+const AlertRule = require('../models/AlertRule');
+const Product = require('../models/Product');
+const Shelf = require('../models/Shelf');
+const StockLevel = require('../models/StockLevel');
+const StockTimeSeries = require('../models/StockTimeSeries');
+const { runInStore } = require('../utils/tenantContext');
+
+// Alert types describing where the stock level sits; at most one is open per subject
+const LEVEL_TYPES = ['out_of_stock', 'low_stock', 'high_stock'];
+
+const DEFAULT_SEVERITIES = {
+  out_of_stock: 'critical',
+  low_stock: 'high',
+  high_stock: 'low',
+  anomaly: 'medium'
+};
+
+const DEFAULT_THRESHOLDS = {
+  minStockPercentage: 20, // Matches StockLevel.detectLowStock
+  maxStockPercentage: null,
+  anomalyZScore: 3,
+  alertTypes: AlertRule.ALERT_TYPES
+};
+
+// Minimum history before a change can be judged anomalous
+const ANOMALY_MIN_HISTORY = 10;
+const ANOMALY_HISTORY_SIZE = 30;
+
+class AlertEngineService {
+
+  /**
+   * Evaluate a new shelf reading (StockLevel) against the rules of its store
+   */
+  async evaluateStockLevel(record) {
+    return await runInStore(record.storeId, () => this.evaluateShelfReading(record));
+  }
+
+  /**
+   * Evaluate a new time-series record against the rules of its store
+   */
+  async evaluateTimeSeriesRecord(record) {
+    return await runInStore(record.storeId, () => this.evaluateTimeSeriesChange(record));
+  }
+
+  async evaluateShelfReading(record) {
+    const [product, shelf] = await Promise.all([
+      Product.findById(record.productId),
+      Shelf.findById(record.shelfId)
+    ]);
+
+    const thresholds = await this.resolveThresholds({ product, shelfId: record.shelfId });
+
+    const history = await StockLevel.find({
+      shelfId: record.shelfId,
+      productId: record.productId,
+      isActive: true,
+      reviewStatus: { $nin: StockLevel.UNTRUSTED_REVIEW_STATUSES },
+      _id: { $ne: record._id },
+      timestamp: { $lte: record.timestamp }
+    }).sort({ timestamp: -1 }).limit(ANOMALY_HISTORY_SIZE + 1);
+
+    const values = history.map(h => h.stockPercentage).reverse();
+    const previous = values.length > 0 ? values[values.length - 1] : null;
+
+    const levelType = this.classifyLevel({
+      units: record.stockCount,
+      percentage: record.stockPercentage
+    }, thresholds);
+
+    const anomaly = previous === null ? null : this.detectAnomaly(
+      record.stockPercentage - previous,
+      this.toChanges(values),
+      thresholds.anomalyZScore
+    );
+
+    const productName = product ? product.name : record.productId.toString();
+    const shelfName = shelf ? shelf.shelfName : record.shelfId.toString();
+
+    return await this.applyEvaluation({
+      subject: {
+        shelfId: record.shelfId,
+        productId: record.productId.toString(),
+        locationId: shelf ? shelf.locationId : null,
+        label: `${productName} on ${shelfName}`
+      },
+      levelType,
+      anomaly,
+      thresholds,
+      stockId: record._id,
+      reading: {
+        stockPercentage: record.stockPercentage,
+        stockCount: record.stockCount,
+        shelfName,
+        productName
+      },
+      describe: () => `${productName} on ${shelfName} is at ${record.stockPercentage}%` +
+        (record.stockCount !== undefined && record.stockCount !== null ? ` (${record.stockCount} units)` : ''),
+      tags: ['computer_vision']
+    });
+  }
+
+  async evaluateTimeSeriesChange(record) {
+    const product = await this.findProductByKey(record.productId);
+    const thresholds = await this.resolveThresholds({ product });
+
+    const history = await StockTimeSeries.find({
+      productId: record.productId,
+      _id: { $ne: record._id },
+      timestamp: { $lte: record.timestamp }
+    }).sort({ timestamp: -1 }).limit(ANOMALY_HISTORY_SIZE);
+
+    const levelType = this.classifyLevel({ units: record.stockLevel }, thresholds);
+
+    const anomaly = this.detectAnomaly(
+      record.change,
+      history.map(h => h.change),
+      thresholds.anomalyZScore
+    );
+
+    const productName = product ? product.name : record.productId;
+
+    return await this.applyEvaluation({
+      subject: {
+        shelfId: null,
+        productId: record.productId,
+        locationId: record.locationId,
+        label: productName
+      },
+      levelType,
+      anomaly,
+      thresholds,
+      stockId: null,
+      reading: {
+        stockLevel: record.stockLevel,
+        change: record.change,
+        reason: record.reason,
+        location: record.location,
+        timeSeriesId: record._id,
+        productName
+      },
+      describe: () => `${productName} stock is at ${record.stockLevel} units`,
+      tags: ['timeseries']
+    });
+  }
+
+  /**
+   * Merge product defaults and matching rules, least specific first
+   */
+  async resolveThresholds({ product, shelfId }) {
+    const thresholds = {
+      ...DEFAULT_THRESHOLDS,
+      minStockLevel: product ? product.minStockLevel : null,
+      maxStockLevel: product ? product.maxStockLevel : null,
+      severities: { ...DEFAULT_SEVERITIES },
+      ruleId: null
+    };
+
+    const rules = await AlertRule.findApplicableRules({
+      productId: product ? product._id : null,
+      category: product ? product.category : null,
+      shelfId
+    });
+
+    for (const rule of rules) {
+      for (const field of ['minStockLevel', 'maxStockLevel', 'minStockPercentage', 'maxStockPercentage', 'anomalyZScore']) {
+        if (rule[field] !== null && rule[field] !== undefined) {
+          thresholds[field] = rule[field];
+        }
+      }
+      if (rule.alertTypes && rule.alertTypes.length > 0) {
+        thresholds.alertTypes = rule.alertTypes;
+      }
+      for (const alertType of Object.keys(DEFAULT_SEVERITIES)) {
+        if (rule.severities && rule.severities[alertType]) {
+          thresholds.severities[alertType] = rule.severities[alertType];
+        }
+      }
+      thresholds.ruleId = rule._id;
+    }
+
+    return thresholds;
+  }
+
+  /**
+   * Decide which level alert (if any) a reading falls into
+   */
+  classifyLevel({ units, percentage }, thresholds) {
+    const hasUnits = units !== undefined && units !== null;
+    const hasPercentage = percentage !== undefined && percentage !== null;
+
+    if ((hasUnits && units <= 0) || (hasPercentage && percentage <= 0)) {
+      return 'out_of_stock';
+    }
+
+    if ((hasUnits && thresholds.minStockLevel !== null && units < thresholds.minStockLevel) ||
+        (hasPercentage && thresholds.minStockPercentage !== null && percentage < thresholds.minStockPercentage)) {
+      return 'low_stock';
+    }
+
+    if ((hasUnits && thresholds.maxStockLevel !== null && units > thresholds.maxStockLevel) ||
+        (hasPercentage && thresholds.maxStockPercentage !== null && percentage > thresholds.maxStockPercentage)) {
+      return 'high_stock';
+    }
+
+    return null;
+  }
+
+  /**
+   * Flag a change whose z-score against recent changes exceeds the threshold
+   */
+  detectAnomaly(change, previousChanges, zThreshold) {
+    if (!zThreshold || previousChanges.length < ANOMALY_MIN_HISTORY) {
+      return null;
+    }
+
+    const mean = previousChanges.reduce((a, b) => a + b, 0) / previousChanges.length;
+    const variance = previousChanges.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / previousChanges.length;
+    const stdDev = Math.sqrt(variance);
+
+    if (stdDev === 0) {
+      return null;
+    }
+
+    const zScore = Math.abs(change - mean) / stdDev;
+    return zScore > zThreshold ? { change, mean, stdDev, zScore } : null;
+  }
+
+  toChanges(values) {
+    const changes = [];
+    for (let i = 1; i < values.length; i++) {
+      changes.push(values[i] - values[i - 1]);
+    }
+    return changes;
+  }
+
+  /**
+   * Raise, refresh or auto-resolve alerts for one subject
+   */
+  async applyEvaluation({ subject, levelType, anomaly, thresholds, stockId, reading, describe, tags }) {
+    const result = { raised: [], updated: [], resolved: [] };
+    const enabled = type => thresholds.alertTypes.includes(type);
+
+    // Level alerts that no longer match the reading clear themselves, and an
+    // anomaly clears once a later change is back within the usual range
+    const openAlerts = await Alert.find({
+      dedupKey: { $in: [...LEVEL_TYPES, 'anomaly'].map(type => this.buildDedupKey(type, subject)) },
+      resolved: false
+    });
+
+    for (const alert of openAlerts) {
+      const isAnomaly = alert.alertType === 'anomaly';
+      const stillTriggered = isAnomaly ? Boolean(anomaly) : alert.alertType === levelType;
+      if (!stillTriggered || !enabled(alert.alertType)) {
+        await alert.autoResolve(isAnomaly
+          ? 'Stock changes returned to their usual range'
+          : 'Stock level returned within thresholds');
+        result.resolved.push(alert);
+      }
+    }
+
+    const triggered = [];
+    if (levelType && enabled(levelType)) {
+      triggered.push({ alertType: levelType, message: describe() });
+    }
+    if (anomaly && enabled('anomaly')) {
+      triggered.push({
+        alertType: 'anomaly',
+        message: `Unusual stock change for ${subject.label}: ${anomaly.change > 0 ? '+' : ''}${anomaly.change} (z-score ${anomaly.zScore.toFixed(1)})`,
+        extra: { zScore: anomaly.zScore, mean: anomaly.mean, stdDev: anomaly.stdDev }
+      });
+    }
+
+    for (const { alertType, message, extra } of triggered) {
+      const dedupKey = this.buildDedupKey(alertType, subject);
+      const metadata = {
+        ...reading,
+        ...extra,
+        thresholds: {
+          minStockLevel: thresholds.minStockLevel,
+          maxStockLevel: thresholds.maxStockLevel,
+          minStockPercentage: thresholds.minStockPercentage,
+          maxStockPercentage: thresholds.maxStockPercentage
+        }
+      };
+
+      const repeat = { message, metadata, stockId };
+      const existing = await this.bumpOpenAlert(dedupKey, repeat);
+      if (existing) {
+        result.updated.push(existing);
+        continue;
+      }
+
+      try {
+        const alert = await Alert.createAlert({
+          stockId,
+          alertType,
+          message,
+          severity: thresholds.severities[alertType],
+          shelfId: subject.shelfId,
+          productId: subject.productId,
+          locationId: subject.locationId || null,
+          ruleId: thresholds.ruleId,
+          dedupKey,
+          metadata,
+          tags: [alertType, 'automated', ...tags]
+        });
+        result.raised.push(alert);
+      } catch (error) {
+        // A concurrent reading opened the alert first; count this one on it
+        const opened = error.code === 11000 ? await this.bumpOpenAlert(dedupKey, repeat) : null;
+        if (!opened) throw error;
+        result.updated.push(opened);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Count a repeat on the open alert for a dedup key in one atomic update.
+   * Resolves to null when no alert is open.
+   */
+  async bumpOpenAlert(dedupKey, { message, metadata, stockId }) {
+    const now = new Date();
+    const $set = { message, lastTriggeredAt: now, updatedAt: now };
+    for (const [field, value] of Object.entries(metadata)) {
+      if (value !== undefined) $set[`metadata.${field}`] = value;
+    }
+    if (stockId) $set.stockId = stockId;
+
+    return await Alert.findOneAndUpdate(
+      { dedupKey, resolved: false },
+      { $inc: { occurrences: 1 }, $set },
+      { new: true }
+    );
+  }
+
+  buildDedupKey(alertType, { shelfId, productId }) {
+    return `${alertType}:${shelfId ? shelfId.toString() : '-'}:${productId}`;
+  }
+
+  /**
+   * Time-series records use free-form product keys; match them to a Product by SKU or ID
+   */
+  async findProductByKey(productKey) {
+    const conditions = [{ sku: productKey }];
+    if (mongoose.Types.ObjectId.isValid(productKey) && String(productKey).length === 24) {
+      conditions.push({ _id: productKey });
+    }
+    return await Product.findOne({ $or: conditions });
+  }
+}
+
+module.exports = new AlertEngineService();
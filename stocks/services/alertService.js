@@ -0,0 +1,200 @@
+const Alert = require('../models/Alert');
+const User = require('../models/User');
+const HttpError = require('../utils/httpError');
+
+class AlertService {
+
+  async getAlert(alertId) {
+    const alert = await Alert.findById(alertId);
+    if (!alert) {
+      throw new HttpError(404, 'Alert not found');
+    }
+    return alert;
+  }
+
+  /**
+   * Acknowledge an open alert
+   */
+  async acknowledge(user, alertId) {
+    const alert = await this.getAlert(alertId);
+
+    if (alert.resolved) {
+      throw new HttpError(409, 'Resolved alerts cannot be acknowledged');
+    }
+    if (alert.acknowledged) {
+      throw new HttpError(409, 'Alert is already acknowledged');
+    }
+
+    const before = this.snapshot(alert);
+    const acknowledged = await alert.acknowledge(user._id);
+    if (!acknowledged) {
+      throw new HttpError(409, 'Alert was acknowledged or resolved by another request');
+    }
+    return { alert: acknowledged, before };
+  }
+
+  /**
+   * Resolve an open alert
+   */
+  async resolve(user, alertId) {
+    const alert = await this.getAlert(alertId);
+
+    if (alert.resolved) {
+      throw new HttpError(409, 'Alert is already resolved');
+    }
+
+    const before = this.snapshot(alert);
+    const resolved = await alert.resolve(user._id);
+    if (!resolved) {
+      throw new HttpError(409, 'Alert is already resolved');
+    }
+    return { alert: resolved, before };
+  }
+
+  /**
+   * Reopen a resolved alert, unless the same problem already has a newer open alert
+   */
+  async reopen(user, alertId) {
+    const alert = await this.getAlert(alertId);
+
+    if (!alert.resolved) {
+      throw new HttpError(409, 'Only resolved alerts can be reopened');
+    }
+
+    if (alert.dedupKey) {
+      const openDuplicate = await Alert.findOpenByDedupKey(alert.dedupKey);
+      if (openDuplicate) {
+        throw new HttpError(409, `A newer open alert (${openDuplicate._id}) already tracks this problem`);
+      }
+    }
+
+    const before = this.snapshot(alert);
+    let reopened;
+    try {
+      reopened = await alert.reopen(user._id);
+    } catch (error) {
+      // A newer alert for the same problem was opened after the check above
+      if (error.code === 11000) {
+        throw new HttpError(409, 'A newer open alert already tracks this problem');
+      }
+      throw error;
+    }
+    if (!reopened) {
+      throw new HttpError(409, 'Alert was reopened by another request');
+    }
+    return { alert: reopened, before };
+  }
+
+  /**
+   * Snooze an open alert until a future time; null clears the snooze
+   */
+  async snooze(user, alertId, until) {
+    const alert = await this.getAlert(alertId);
+
+    if (alert.resolved) {
+      throw new HttpError(409, 'Resolved alerts cannot be snoozed');
+    }
+    if (until && until <= new Date()) {
+      throw new HttpError(400, 'Snooze time must be in the future');
+    }
+    if (!until && !alert.isSnoozed()) {
+      throw new HttpError(409, 'Alert is not snoozed');
+    }
+
+    const before = this.snapshot(alert);
+    const snoozed = await alert.snooze(user._id, until);
+    if (!snoozed) {
+      throw new HttpError(409, until ? 'Resolved alerts cannot be snoozed' : 'Alert is not snoozed');
+    }
+    return { alert: snoozed, before };
+  }
+
+  /**
+   * Assign an open alert to an active user; null unassigns
+   */
+  async assign(user, alertId, assigneeId) {
+    const alert = await this.getAlert(alertId);
+
+    if (alert.resolved) {
+      throw new HttpError(409, 'Resolved alerts cannot be assigned');
+    }
+
+    if (assigneeId) {
+      const assignee = await User.findById(assigneeId);
+      if (!assignee || !assignee.isActive) {
+        throw new HttpError(400, 'Assignee must be an active user');
+      }
+    }
+
+    const before = this.snapshot(alert);
+    const assigned = await alert.assign(assigneeId || null, user._id);
+    if (!assigned) {
+      throw new HttpError(409, 'Resolved alerts cannot be assigned');
+    }
+    return { alert: assigned, before };
+  }
+
+  /**
+   * Add a comment; replies must point at a comment on the same alert
+   */
+  async addComment(user, alertId, text, parentId) {
+    const alert = await this.getAlert(alertId);
+
+    if (parentId && !alert.comments.id(parentId)) {
+      throw new HttpError(400, 'Parent comment not found on this alert');
+    }
+
+    const added = await alert.addComment(user._id, text, parentId || null);
+    if (!added) {
+      throw new HttpError(409, 'Alert changed while commenting; retry');
+    }
+    return added;
+  }
+
+  /**
+   * Comments nested into threads, oldest first
+   */
+  async getCommentThreads(alertId) {
+    const alert = await Alert.findById(alertId).populate('comments.userId', 'username email');
+    if (!alert) {
+      throw new HttpError(404, 'Alert not found');
+    }
+
+    const nodes = new Map();
+    for (const comment of alert.comments) {
+      nodes.set(comment._id.toString(), {
+        commentId: comment._id,
+        user: comment.userId,
+        text: comment.text,
+        parentId: comment.parentId,
+        createdAt: comment.createdAt,
+        replies: []
+      });
+    }
+
+    const threads = [];
+    for (const node of nodes.values()) {
+      const parent = node.parentId ? nodes.get(node.parentId.toString()) : null;
+      if (parent) {
+        parent.replies.push(node);
+      } else {
+        threads.push(node);
+      }
+    }
+
+    return threads;
+  }
+
+  snapshot(alert) {
+    return {
+      acknowledged: alert.acknowledged,
+      acknowledgedBy: alert.acknowledgedBy,
+      resolved: alert.resolved,
+      resolvedBy: alert.resolvedBy,
+      snoozedUntil: alert.snoozedUntil,
+      assignedTo: alert.assignedTo
+    };
+  }
+}
+
+module.exports = new AlertService();
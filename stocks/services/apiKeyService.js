@@ -0,0 +1,146 @@
+const ApiKey = require('../models/ApiKey');
+const HttpError = require('../utils/httpError');
+const locationService = require('./locationService');
+const { API_KEY_SCOPES } = require('../config/permissions');
+
+class ApiKeyService {
+
+  /**
+   * Create a key; the raw key is only ever returned here and on rotation
+   */
+  async createKey(actor, { name, description, scopes, expiresAt, storeId }) {
+    this.validateScopes(scopes);
+    if (storeId) await locationService.getStore(storeId);
+
+    const { key, prefix, keyHash } = ApiKey.generateKey();
+    const apiKey = await ApiKey.create({
+      name,
+      description,
+      prefix,
+      keyHash,
+      scopes,
+      expiresAt: expiresAt ? new Date(expiresAt) : null,
+      createdBy: actor._id,
+      storeId: storeId || null
+    });
+
+    return { ...apiKey.getApiKeyInfo(), key };
+  }
+
+  /**
+   * List keys, optionally only those unused for a number of days
+   */
+  async listKeys({ unusedForDays, includeRevoked = false } = {}) {
+    let keys;
+
+    if (unusedForDays !== undefined) {
+      const unusedSince = new Date(Date.now() - unusedForDays * 24 * 60 * 60 * 1000);
+      keys = await ApiKey.findStaleKeys(unusedSince);
+    } else {
+      const filter = includeRevoked ? {} : { isActive: true };
+      keys = await ApiKey.find(filter).sort({ createdAt: -1 });
+    }
+
+    return keys.map(apiKey => apiKey.getApiKeyInfo());
+  }
+
+  async getKey(apiKeyId) {
+    const apiKey = await ApiKey.findById(apiKeyId);
+    if (!apiKey) {
+      throw new HttpError(404, 'API key not found');
+    }
+    return apiKey;
+  }
+
+  /**
+   * Replace a key's secret. The old secret keeps working for the grace period
+   * so integrations can be redeployed without downtime.
+   */
+  async rotateKey(apiKeyId, gracePeriodMinutes = 0) {
+    const apiKey = await this.getKey(apiKeyId);
+
+    if (!apiKey.isUsable()) {
+      throw new HttpError(409, 'Revoked or expired API keys cannot be rotated');
+    }
+
+    const { key, keyHash } = ApiKey.generateKey();
+
+    apiKey.previousKeyHash = gracePeriodMinutes > 0 ? apiKey.keyHash : null;
+    apiKey.previousKeyExpiresAt = gracePeriodMinutes > 0 ?
+      new Date(Date.now() + gracePeriodMinutes * 60 * 1000) : null;
+    apiKey.keyHash = keyHash;
+    apiKey.rotatedAt = new Date();
+    await apiKey.save();
+
+    // The prefix identifies the key record, so it is kept across rotations
+    return { ...apiKey.getApiKeyInfo(), key };
+  }
+
+  /**
+   * Update a key's name, description or scopes
+   */
+  async updateKey(apiKeyId, { name, description, scopes }) {
+    const apiKey = await this.getKey(apiKeyId);
+
+    if (scopes !== undefined) {
+      this.validateScopes(scopes);
+      apiKey.scopes = scopes;
+    }
+    if (name !== undefined) apiKey.name = name;
+    if (description !== undefined) apiKey.description = description;
+
+    await apiKey.save();
+    return apiKey.getApiKeyInfo();
+  }
+
+  /**
+   * Permanently disable a key
+   */
+  async revokeKey(actor, apiKeyId) {
+    const apiKey = await this.getKey(apiKeyId);
+
+    if (apiKey.revokedAt) {
+      return apiKey.getApiKeyInfo();
+    }
+
+    apiKey.isActive = false;
+    apiKey.revokedAt = new Date();
+    apiKey.revokedBy = actor._id;
+    apiKey.previousKeyHash = null;
+    apiKey.previousKeyExpiresAt = null;
+    await apiKey.save();
+
+    return apiKey.getApiKeyInfo();
+  }
+
+  /**
+   * Resolve a raw key to a usable ApiKey and record its use
+   */
+  async verifyKey(rawKey, ipAddress) {
+    const apiKey = await ApiKey.findByRawKey(rawKey);
+
+    if (!apiKey || !apiKey.isUsable()) {
+      throw new HttpError(401, 'Invalid, revoked or expired API key');
+    }
+
+    await ApiKey.updateOne(
+      { _id: apiKey._id },
+      { lastUsedAt: new Date(), lastUsedIp: ipAddress }
+    );
+
+    return apiKey;
+  }
+
+  validateScopes(scopes) {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new HttpError(400, 'At least one scope is required');
+    }
+
+    const invalidScopes = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (invalidScopes.length > 0) {
+      throw new HttpError(400, `Invalid scopes: ${invalidScopes.join(', ')}`);
+    }
+  }
+}
+
+module.exports = new ApiKeyService();
@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const HttpError = require('../utils/httpError');
+
+// The published default from config.env, only accepted in development and tests
+const DEVELOPMENT_JWT_SECRET = 'change-this-secret-in-production';
+
+class AuthService {
+
+  get jwtSecret() {
+    return process.env.JWT_SECRET || DEVELOPMENT_JWT_SECRET;
+  }
+
+  /**
+   * Refuse to run outside development and test without a private JWT_SECRET
+   */
+  assertConfigured() {
+    const secret = process.env.JWT_SECRET;
+    if (['development', 'test'].includes(process.env.NODE_ENV)) return;
+    if (!secret || secret === DEVELOPMENT_JWT_SECRET) {
+      throw new Error('JWT_SECRET must be set to a private value outside development and test');
+    }
+  }
+
+  get accessTokenTtl() {
+    return process.env.ACCESS_TOKEN_TTL || '15m';
+  }
+
+  get refreshTokenTtlDays() {
+    return parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 7;
+  }
+
+  /**
+   * Verify credentials, open a session and issue a token pair
+   */
+  async login(identifier, password, context = {}) {
+    const user = await User.findByUsernameOrEmail(identifier);
+
+    if (!user || !(await user.comparePassword(password))) {
+      throw new HttpError(401, 'Invalid username or password');
+    }
+
+    if (!user.isActive) {
+      throw new HttpError(403, 'User account is inactive');
+    }
+
+    const refreshToken = this.generateRefreshToken();
+    const session = await Session.create({
+      userId: user._id,
+      refreshTokenHash: Session.hashToken(refreshToken),
+      expiresAt: this.getRefreshExpiry(),
+      ipAddress: context.ipAddress,
+      userAgent: context.userAgent
+    });
+
+    user.lastLogin = new Date();
+    await user.save();
+
+    return this.buildTokenResponse(user, session, refreshToken);
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair, rotating the refresh token
+   */
+  async refresh(refreshToken) {
+    const session = await Session.findByRefreshToken(refreshToken);
+
+    if (!session || !session.isValid()) {
+      throw new HttpError(401, 'Invalid or expired refresh token');
+    }
+
+    const user = await User.findById(session.userId);
+
+    if (!user || !user.isActive) {
+      await session.revoke();
+      throw new HttpError(403, 'User account is inactive');
+    }
+
+    const nextRefreshToken = this.generateRefreshToken();
+    session.refreshTokenHash = Session.hashToken(nextRefreshToken);
+    session.expiresAt = this.getRefreshExpiry();
+    session.lastUsedAt = new Date();
+    await session.save();
+
+    return this.buildTokenResponse(user, session, nextRefreshToken);
+  }
+
+  /**
+   * Revoke the session behind a refresh token
+   */
+  async logout(refreshToken) {
+    const session = await Session.findByRefreshToken(refreshToken);
+
+    if (session && !session.revokedAt) {
+      await session.revoke();
+    }
+
+    return { revoked: Boolean(session) };
+  }
+
+  /**
+   * Resolve an access token to its active user and session
+   */
+  async verifyAccessToken(accessToken) {
+    let payload;
+    try {
+      payload = jwt.verify(accessToken, this.jwtSecret);
+    } catch (error) {
+      throw new HttpError(401, 'Invalid or expired access token');
+    }
+
+    const [user, session] = await Promise.all([
+      User.findById(payload.sub),
+      Session.findById(payload.sid)
+    ]);
+
+    if (!session || !session.isValid()) {
+      throw new HttpError(401, 'Session has been revoked');
+    }
+
+    if (!user || !user.isActive) {
+      throw new HttpError(403, 'User account is inactive');
+    }
+
+    return { user, session };
+  }
+
+  signAccessToken(user, session) {
+    return jwt.sign(
+      { sub: user._id.toString(), role: user.role, sid: session._id.toString() },
+      this.jwtSecret,
+      { expiresIn: this.accessTokenTtl }
+    );
+  }
+
+  generateRefreshToken() {
+    return crypto.randomBytes(48).toString('hex');
+  }
+
+  getRefreshExpiry() {
+    return new Date(Date.now() + this.refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+  }
+
+  buildTokenResponse(user, session, refreshToken) {
+    return {
+      accessToken: this.signAccessToken(user, session),
+      refreshToken,
+      tokenType: 'Bearer',
+      expiresIn: this.accessTokenTtl,
+      refreshExpiresAt: session.expiresAt,
+      user: user.getPublicProfile()
+    };
+  }
+}
+
+module.exports = new AuthService();
@@ -0,0 +1,256 @@
+const Camera = require('../models/Camera');
+const Alert = require('../models/Alert');
+const locationService = require('./locationService');
+const HttpError = require('../utils/httpError');
+const { runInStore } = require('../utils/tenantContext');
+
+const CAMERA_FIELDS = ['name', 'location', 'locationId', 'rtspUrl', 'status', 'resolution', 'fps', 'heartbeatTimeoutSeconds', 'metadata'];
+
+function pickCameraFields(source) {
+  const fields = {};
+  for (const field of CAMERA_FIELDS) {
+    if (source[field] !== undefined) {
+      fields[field] = source[field];
+    }
+  }
+  return fields;
+}
+
+class CameraService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start the offline watchdog on an interval
+   */
+  start(intervalSeconds = 30) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.runOnce(), intervalSeconds * 1000);
+    // Never keep the process alive just for the watchdog
+    this.timer.unref();
+    console.log(`📹 Camera watchdog running every ${intervalSeconds}s`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * One watchdog tick; skipped while the previous tick is still running
+   */
+  async runOnce() {
+    if (this.running) return null;
+
+    this.running = true;
+    try {
+      return await this.detectOfflineCameras();
+    } catch (error) {
+      console.error('Error checking camera heartbeats:', error.message);
+      return null;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  getDefaultTimeoutSeconds() {
+    return parseInt(process.env.CAMERA_OFFLINE_AFTER_SECONDS) || 120;
+  }
+
+  async listCameras({ includeInactive = false, status, locationId } = {}) {
+    const filter = includeInactive ? {} : { isActive: true };
+    if (status) filter.status = status;
+    if (locationId) {
+      const { locationIds } = await locationService.resolveScope(locationId);
+      filter.locationId = { $in: locationIds };
+    }
+
+    const cameras = await Camera.find(filter).sort({ name: 1 });
+    return cameras.map(camera => camera.getCameraInfo());
+  }
+
+  async getCamera(cameraId) {
+    const camera = await Camera.findById(cameraId);
+    if (!camera) {
+      throw new HttpError(404, 'Camera not found');
+    }
+    return camera;
+  }
+
+  async createCamera(data) {
+    const fields = pickCameraFields(data);
+    if (data.locationId) {
+      // The camera belongs to the store of its location, whoever registers it
+      const location = await locationService.assertAssignable(data.locationId);
+      fields.storeId = location.storeId;
+    }
+    return await Camera.create(fields);
+  }
+
+  /**
+   * Update a camera. Putting it into maintenance closes its offline alert;
+   * maintenance cameras are not watched.
+   */
+  async updateCamera(cameraId, updates) {
+    const camera = await this.getCamera(cameraId);
+    const before = camera.getCameraInfo();
+
+    if (updates.locationId) {
+      const location = await locationService.assertAssignable(updates.locationId);
+      locationService.assertSameStore(location, camera.storeId, 'Camera');
+    }
+    camera.set(pickCameraFields(updates));
+    await camera.save();
+
+    if (camera.status !== 'offline') {
+      await this.resolveOfflineAlert(camera, `Camera status set to ${camera.status}`);
+    }
+
+    return { camera, before };
+  }
+
+  /**
+   * Deactivate a camera; its history and shelf links are kept
+   */
+  async deactivateCamera(cameraId) {
+    const camera = await this.getCamera(cameraId);
+    const before = camera.getCameraInfo();
+
+    camera.isActive = false;
+    await camera.save();
+    await this.resolveOfflineAlert(camera, 'Camera deactivated');
+
+    return { camera, before };
+  }
+
+  /**
+   * Record a heartbeat. Offline cameras come back online and their offline
+   * alert is resolved; cameras in maintenance stay in maintenance.
+   */
+  async recordHeartbeat(cameraId, { health, ipAddress } = {}) {
+    const found = await this.getCamera(cameraId);
+    if (!found.isActive) {
+      throw new HttpError(409, 'Camera is deactivated');
+    }
+
+    // One atomic update, so a watchdog tick running at the same time cannot
+    // mark the camera offline over this heartbeat
+    const now = new Date();
+    const changes = {
+      lastHeartbeatAt: now,
+      lastHeartbeatIp: { $literal: ipAddress || null },
+      status: { $cond: [{ $eq: ['$status', 'offline'] }, 'online', '$status'] },
+      updatedAt: now
+    };
+    if (health) changes.health = { $literal: health };
+
+    const previous = await Camera.findOneAndUpdate(
+      { _id: found._id, isActive: true },
+      [{ $set: changes }],
+      { new: false }
+    );
+    if (!previous) {
+      throw new HttpError(409, 'Camera is deactivated');
+    }
+
+    const previousStatus = previous.status;
+    const camera = Camera.hydrate({
+      ...previous.toObject(),
+      lastHeartbeatAt: now,
+      lastHeartbeatIp: ipAddress || null,
+      status: previousStatus === 'offline' ? 'online' : previousStatus,
+      updatedAt: now,
+      ...(health ? { health } : {})
+    });
+
+    // Only the heartbeat that brought the camera back closes its alert
+    if (previousStatus === 'offline') {
+      await this.resolveOfflineAlert(camera, 'Heartbeats resumed');
+    }
+
+    return { camera, previousStatus };
+  }
+
+  /**
+   * Mark online cameras that stopped sending heartbeats as offline and raise
+   * a camera_offline alert for each
+   */
+  async detectOfflineCameras(now = new Date()) {
+    const defaultTimeout = this.getDefaultTimeoutSeconds();
+    const cameras = await Camera.find({ isActive: true, status: 'online' });
+    const silent = cameras.filter(camera => camera.isSilent(now, defaultTimeout));
+
+    const wentOffline = [];
+    for (const camera of silent) {
+      // Skip if a heartbeat arrived since the read
+      const updated = await Camera.findOneAndUpdate(
+        { _id: camera._id, status: 'online', lastHeartbeatAt: camera.lastHeartbeatAt },
+        { status: 'offline', updatedAt: now },
+        { new: true }
+      );
+      if (!updated) continue;
+
+      await runInStore(updated.storeId, () => this.raiseOfflineAlert(updated));
+      wentOffline.push(updated);
+    }
+
+    return { checked: cameras.length, wentOffline: wentOffline.map(camera => camera.getCameraInfo()) };
+  }
+
+  async raiseOfflineAlert(camera) {
+    const dedupKey = this.buildDedupKey(camera);
+    if (await Alert.findOpenByDedupKey(dedupKey)) return null;
+
+    const silentSince = camera.lastHeartbeatAt
+      ? `since ${camera.lastHeartbeatAt.toISOString()}`
+      : 'since it was registered';
+
+    let alert;
+    try {
+      alert = await Alert.createAlert({
+        alertType: 'camera_offline',
+        message: `Camera ${camera.name} is offline - no heartbeat ${silentSince}` +
+          (camera.location ? ` (${camera.location})` : ''),
+        severity: 'medium',
+        cameraId: camera._id,
+        locationId: camera.locationId,
+        dedupKey,
+        metadata: {
+          cameraName: camera.name,
+          location: camera.location,
+          lastHeartbeatAt: camera.lastHeartbeatAt
+        },
+        tags: ['system', 'camera', 'automated']
+      });
+    } catch (error) {
+      // Another watchdog tick raised it first
+      if (error.code === 11000) return null;
+      throw error;
+    }
+
+    // A heartbeat that came back before the alert existed had nothing to close
+    if (!(await Camera.exists({ _id: camera._id, status: 'offline' }))) {
+      await alert.autoResolve('Heartbeats resumed');
+    }
+    return alert;
+  }
+
+  async resolveOfflineAlert(camera, reason) {
+    const alert = await Alert.findOpenByDedupKey(this.buildDedupKey(camera));
+    if (alert) {
+      await alert.autoResolve(reason);
+    }
+    return alert;
+  }
+
+  buildDedupKey(camera) {
+    return `camera_offline:${camera._id}`;
+  }
+}
+
+module.exports = new CameraService();
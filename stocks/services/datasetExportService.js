@@ -0,0 +1,325 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const Image = require('../models/Image');
+const Product = require('../models/Product');
+const HttpError = require('../utils/httpError');
+const { getStoreScope, canSeeStore } = require('../utils/tenantContext');
+const imageUploadService = require('./imageUploadService');
+
+const FORMATS = ['coco', 'voc'];
+const REVIEW_STATUSES = ['unreviewed', 'confirmed', 'corrected', 'reviewed'];
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+class DatasetExportService {
+
+  getExportRoot() {
+    return path.resolve(process.env.DATASET_EXPORT_ROOT || 'exports');
+  }
+
+  /**
+   * Processed images matching the export filters
+   */
+  async findImages({ shelfId, productId, from, to, reviewStatus } = {}) {
+    const filter = { isActive: true, processingStatus: 'completed' };
+    if (shelfId) filter.shelfId = shelfId;
+    if (productId) filter.productId = productId;
+    if (from || to) {
+      filter.uploadTime = {};
+      if (from) filter.uploadTime.$gte = new Date(from);
+      if (to) filter.uploadTime.$lte = new Date(to);
+    }
+    if (reviewStatus === 'reviewed') {
+      filter['labels.status'] = { $in: ['confirmed', 'corrected'] };
+    } else if (reviewStatus === 'unreviewed') {
+      // Images processed before labels existed have no status at all
+      filter['labels.status'] = { $nin: ['confirmed', 'corrected'] };
+    } else if (reviewStatus) {
+      filter['labels.status'] = reviewStatus;
+    }
+
+    return await Image.find(filter).sort({ uploadTime: 1, _id: 1 });
+  }
+
+  /**
+   * Human labels win over detector output once an image has been reviewed
+   */
+  getAnnotations(image) {
+    const reviewed = image.labels && ['confirmed', 'corrected'].includes(image.labels.status);
+    const source = reviewed ? image.labels : image.processingResults;
+    return {
+      reviewStatus: reviewed ? image.labels.status : 'unreviewed',
+      stockPercentage: reviewed ? image.labels.stockPercentage : (source ? source.detectedStockLevel : null),
+      boundingBoxes: (source && source.boundingBoxes) || []
+    };
+  }
+
+  /**
+   * Write a COCO or Pascal VOC dataset directory. With copyImages the image
+   * files are copied into the dataset, otherwise it references the stored files.
+   * An export made for one store records its storeId in the manifest.
+   */
+  async exportDataset({ format, filters = {}, outputDir, copyImages = false }) {
+    if (!FORMATS.includes(format)) {
+      throw new HttpError(400, `Format must be one of: ${FORMATS.join(', ')}`);
+    }
+    if (filters.reviewStatus && !REVIEW_STATUSES.includes(filters.reviewStatus)) {
+      throw new HttpError(400, `Review status must be one of: ${REVIEW_STATUSES.join(', ')}`);
+    }
+
+    const images = await this.findImages(filters);
+    const products = await Product.find({ _id: { $in: [...new Set(images.map(image => image.productId.toString()))] } });
+    const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+    await fs.mkdir(outputDir, { recursive: true });
+
+    // Resolve each image's file, copying it into the dataset when asked
+    const imageDir = format === 'coco' ? 'images' : 'JPEGImages';
+    const entries = [];
+    const missingFiles = [];
+    for (const image of images) {
+      // Seeded images point outside the upload root and count as missing too
+      let storedPath = null;
+      try {
+        storedPath = imageUploadService.resolveStoredPath(image);
+      } catch (error) {
+        if (error.statusCode !== 404) throw error;
+      }
+      const exists = storedPath !== null && await fs.access(storedPath).then(() => true, () => false);
+      if (!exists) {
+        missingFiles.push({ imageId: image._id, filePath: image.filePath });
+        continue;
+      }
+
+      const fileName = `${image._id}${path.extname(image.filename)}`;
+      let filePath = storedPath;
+      if (copyImages) {
+        filePath = path.join(outputDir, imageDir, fileName);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.copyFile(storedPath, filePath);
+      }
+
+      entries.push({ image, fileName, filePath, product: productsById.get(image.productId.toString()) });
+    }
+
+    const files = format === 'coco'
+      ? await this.writeCoco(entries, outputDir, copyImages)
+      : await this.writeVoc(entries, outputDir, copyImages);
+
+    const scope = getStoreScope();
+    const manifest = {
+      ...(scope ? { storeId: scope.storeId } : {}),
+      format,
+      filters,
+      copyImages,
+      imageCount: entries.length,
+      annotationCount: entries.reduce((sum, entry) => sum + this.getAnnotations(entry.image).boundingBoxes.length, 0),
+      missingFiles,
+      files,
+      createdAt: new Date().toISOString()
+    };
+    await fs.writeFile(path.join(outputDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+
+    return { ...manifest, outputDir };
+  }
+
+  /**
+   * COCO object detection layout: annotations/instances.json (+ images/).
+   * Each product is one category.
+   */
+  async writeCoco(entries, outputDir, copyImages) {
+    const categories = [];
+    const categoryIds = new Map();
+    const images = [];
+    const annotations = [];
+
+    entries.forEach(({ image, fileName, filePath, product }, index) => {
+      const productKey = image.productId.toString();
+      if (!categoryIds.has(productKey)) {
+        categoryIds.set(productKey, categories.length + 1);
+        categories.push({
+          id: categories.length + 1,
+          name: product ? product.sku || product.name : productKey,
+          supercategory: product && product.category ? product.category : 'product'
+        });
+      }
+
+      const imageId = index + 1;
+      const { reviewStatus, stockPercentage, boundingBoxes } = this.getAnnotations(image);
+      images.push({
+        id: imageId,
+        file_name: copyImages ? fileName : filePath,
+        width: image.dimensions ? image.dimensions.width : null,
+        height: image.dimensions ? image.dimensions.height : null,
+        date_captured: image.uploadTime.toISOString(),
+        asset_id: image._id.toString(),
+        shelf_id: image.shelfId.toString(),
+        stock_percentage: stockPercentage,
+        review_status: reviewStatus
+      });
+
+      for (const box of boundingBoxes) {
+        annotations.push({
+          id: annotations.length + 1,
+          image_id: imageId,
+          category_id: categoryIds.get(productKey),
+          bbox: [box.x, box.y, box.width, box.height],
+          area: box.width * box.height,
+          iscrowd: 0,
+          ...(reviewStatus === 'unreviewed' && box.confidence !== undefined ? { score: box.confidence } : {})
+        });
+      }
+    });
+
+    const dataset = {
+      info: {
+        description: 'Shelf stock detections',
+        date_created: new Date().toISOString()
+      },
+      licenses: [],
+      images,
+      annotations,
+      categories
+    };
+
+    const annotationsPath = path.join('annotations', 'instances.json');
+    await fs.mkdir(path.join(outputDir, 'annotations'), { recursive: true });
+    await fs.writeFile(path.join(outputDir, annotationsPath), JSON.stringify(dataset, null, 2));
+
+    return [annotationsPath, ...(copyImages ? entries.map(entry => path.join('images', entry.fileName)) : [])];
+  }
+
+  /**
+   * Pascal VOC layout: Annotations/<id>.xml, ImageSets/Main/default.txt (+ JPEGImages/)
+   */
+  async writeVoc(entries, outputDir, copyImages) {
+    await fs.mkdir(path.join(outputDir, 'Annotations'), { recursive: true });
+    await fs.mkdir(path.join(outputDir, 'ImageSets', 'Main'), { recursive: true });
+
+    const files = [];
+    for (const entry of entries) {
+      const name = path.parse(entry.fileName).name;
+      const annotationPath = path.join('Annotations', `${name}.xml`);
+      await fs.writeFile(path.join(outputDir, annotationPath), this.buildVocXml(entry, copyImages));
+      files.push(annotationPath);
+      if (copyImages) files.push(path.join('JPEGImages', entry.fileName));
+    }
+
+    const imageSetPath = path.join('ImageSets', 'Main', 'default.txt');
+    const names = entries.map(entry => path.parse(entry.fileName).name);
+    await fs.writeFile(path.join(outputDir, imageSetPath), names.length ? `${names.join('\n')}\n` : '');
+    files.push(imageSetPath);
+
+    return files;
+  }
+
+  buildVocXml({ image, fileName, filePath, product }, copyImages) {
+    const { reviewStatus, boundingBoxes } = this.getAnnotations(image);
+    const width = image.dimensions ? image.dimensions.width : 0;
+    const height = image.dimensions ? image.dimensions.height : 0;
+    const label = product ? product.sku || product.name : image.productId.toString();
+
+    // VOC coordinates are 1-based pixel indices with inclusive max corners
+    const objects = boundingBoxes.map(box => `  <object>
+    <name>${escapeXml(label)}</name>
+    <pose>Unspecified</pose>
+    <truncated>0</truncated>
+    <difficult>0</difficult>
+    <bndbox>
+      <xmin>${Math.round(box.x) + 1}</xmin>
+      <ymin>${Math.round(box.y) + 1}</ymin>
+      <xmax>${Math.round(box.x + box.width)}</xmax>
+      <ymax>${Math.round(box.y + box.height)}</ymax>
+    </bndbox>
+  </object>
+`).join('');
+
+    return `<annotation>
+  <folder>JPEGImages</folder>
+  <filename>${escapeXml(copyImages ? fileName : path.basename(filePath))}</filename>
+  <path>${escapeXml(copyImages ? path.join('JPEGImages', fileName) : filePath)}</path>
+  <source>
+    <database>stock-tracking</database>
+    <annotation>${escapeXml(reviewStatus)}</annotation>
+  </source>
+  <size>
+    <width>${width}</width>
+    <height>${height}</height>
+    <depth>3</depth>
+  </size>
+  <segmented>0</segmented>
+${objects}</annotation>
+`;
+  }
+
+  /**
+   * Export into a new directory under DATASET_EXPORT_ROOT
+   */
+  async createExport({ format, filters, copyImages }) {
+    const exportId = `${new Date().toISOString().replace(/[:.]/g, '-')}-${format}-${crypto.randomBytes(3).toString('hex')}`;
+    const outputDir = path.join(this.getExportRoot(), exportId);
+    const manifest = await this.exportDataset({ format, filters, outputDir, copyImages });
+    return { exportId, ...manifest };
+  }
+
+  /**
+   * Exports of the current store. Cross-store exports, and those made before
+   * exports recorded a store, are only visible to cross-store admins.
+   */
+  async listExports() {
+    const root = this.getExportRoot();
+    const names = await fs.readdir(root).catch(() => []);
+
+    const exports = [];
+    for (const name of names.sort().reverse()) {
+      const manifest = await this.readManifest(name);
+      if (manifest && this.canSeeExport(manifest)) {
+        exports.push({ exportId: name, ...manifest });
+      }
+    }
+    return exports;
+  }
+
+  // Null when the directory is not an export
+  async readManifest(exportId) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.getExportRoot(), exportId, 'manifest.json'), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  canSeeExport(manifest) {
+    const scope = getStoreScope();
+    return !scope || (Object.prototype.hasOwnProperty.call(manifest, 'storeId') && canSeeStore(scope, manifest.storeId));
+  }
+
+  /**
+   * Absolute path of a file inside an export the current store may see;
+   * refuses paths that escape it
+   */
+  async resolveExportFile(exportId, filePath) {
+    const root = this.getExportRoot();
+    const exportDir = path.resolve(root, exportId);
+    const absolutePath = path.resolve(exportDir, filePath || '');
+    if (path.dirname(exportDir) !== root || !absolutePath.startsWith(exportDir + path.sep)) {
+      throw new HttpError(404, 'Export file not found');
+    }
+
+    const manifest = await this.readManifest(exportId);
+    if (!manifest || !this.canSeeExport(manifest)) {
+      throw new HttpError(404, 'Export file not found');
+    }
+    return absolutePath;
+  }
+}
+
+module.exports = new DatasetExportService();
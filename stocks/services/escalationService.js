@@ -0,0 +1,164 @@
+const EventEmitter = require('events');
+const Alert = require('../models/Alert');
+const EscalationPolicy = require('../models/EscalationPolicy');
+const User = require('../models/User');
+const { runInStore } = require('../utils/tenantContext');
+
+class EscalationService extends EventEmitter {
+  constructor() {
+    super();
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start evaluating open alerts on an interval
+   */
+  start(intervalSeconds = 60) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.runOnce(), intervalSeconds * 1000);
+    // Never keep the process alive just for the scheduler
+    this.timer.unref();
+    console.log(`⏰ Alert escalation scheduler running every ${intervalSeconds}s`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * One scheduler tick; skipped while the previous tick is still running
+   */
+  async runOnce() {
+    if (this.running) return null;
+
+    this.running = true;
+    try {
+      return await this.evaluateOpenAlerts();
+    } catch (error) {
+      console.error('Error evaluating alert escalations:', error.message);
+      return null;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Escalate every open, unacknowledged and unsnoozed alert that is due
+   */
+  async evaluateOpenAlerts(now = new Date()) {
+    const alerts = await Alert.find({
+      resolved: false,
+      acknowledged: false,
+      $or: [{ snoozedUntil: null }, { snoozedUntil: { $lte: now } }]
+    });
+
+    const escalations = [];
+    for (const alert of alerts) {
+      // Policies and on-call users come from the alert's own store
+      const steps = await runInStore(alert.storeId, () => this.evaluateAlert(alert, now));
+      escalations.push(...steps.map(step => ({ alertId: alert._id, ...step })));
+    }
+
+    return { evaluated: alerts.length, escalations };
+  }
+
+  /**
+   * Fire every step of the alert's policy that is due and record it in the
+   * alert's escalation history
+   */
+  async evaluateAlert(alert, now = new Date()) {
+    const metadata = alert.metadata || {};
+    const policy = await this.resolvePolicy(alert);
+    if (!policy) return [];
+
+    const previousLevel = metadata.escalationLevel || 0;
+    const minutesOpen = (now - (alert.reopenedAt || alert.createdAt)) / 60000;
+    const history = [...(metadata.escalationHistory || [])];
+    const fired = [];
+
+    let level = previousLevel;
+    let severity = alert.severity;
+
+    while (level < policy.steps.length && minutesOpen >= policy.steps[level].afterMinutes) {
+      const step = policy.steps[level];
+      const toSeverity = step.bumpSeverity ? EscalationPolicy.bumpSeverity(severity) : severity;
+
+      const recipients = step.notifyRoles.length > 0
+        ? await User.find({ role: { $in: step.notifyRoles }, isActive: true }).select('_id')
+        : [];
+
+      const entry = {
+        step: level + 1,
+        policyId: policy._id,
+        policyName: policy.name,
+        escalatedAt: now,
+        minutesOpen: Math.floor(minutesOpen),
+        notifyRoles: step.notifyRoles,
+        notifiedUserIds: recipients.map(user => user._id),
+        fromSeverity: severity,
+        toSeverity
+      };
+
+      history.push(entry);
+      fired.push(entry);
+      severity = toSeverity;
+      level++;
+    }
+
+    if (fired.length === 0) return [];
+
+    // Only write if nobody acknowledged or escalated the alert since we read it
+    const result = await Alert.updateOne({
+      _id: alert._id,
+      resolved: false,
+      acknowledged: false,
+      'metadata.escalationLevel': previousLevel === 0 ? { $in: [null, 0] } : previousLevel
+    }, {
+      $set: {
+        severity,
+        'metadata.escalationPolicyId': policy._id,
+        'metadata.escalationLevel': level,
+        'metadata.escalationHistory': history,
+        updatedAt: now
+      }
+    });
+
+    if (result.modifiedCount === 0) return [];
+
+    alert.severity = severity;
+    alert.metadata = {
+      ...metadata,
+      escalationPolicyId: policy._id,
+      escalationLevel: level,
+      escalationHistory: history
+    };
+
+    for (const entry of fired) {
+      this.emit('escalated', { alert, escalation: entry });
+    }
+
+    return fired;
+  }
+
+  /**
+   * Alerts stay on the policy that first escalated them; otherwise pick the
+   * first matching active policy
+   */
+  async resolvePolicy(alert) {
+    const policyId = alert.metadata && alert.metadata.escalationPolicyId;
+
+    if (policyId) {
+      const policy = await EscalationPolicy.findById(policyId);
+      return policy && policy.isActive ? policy : null;
+    }
+
+    return await EscalationPolicy.findForAlert(alert.alertType, alert.severity);
+  }
+}
+
+module.exports = new EscalationService();
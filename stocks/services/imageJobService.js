@@ -0,0 +1,304 @@
+const os = require('os');
+const Image = require('../models/Image');
+const ImageJob = require('../models/ImageJob');
+const StockLevel = require('../models/StockLevel');
+const { detectStock } = require('./stockDetectors');
+const reviewService = require('./reviewService');
+const planogramService = require('./planogramService');
+const { runInStore } = require('../utils/tenantContext');
+
+class ImageJobService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.processor = detectStock;
+  }
+
+  /**
+   * Poll the queue on an interval
+   */
+  start(intervalSeconds = 5) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.runOnce(), intervalSeconds * 1000);
+    // Never keep the process alive just for the poller
+    this.timer.unref();
+    console.log(`🖼️ Image worker ${this.workerId} polling every ${intervalSeconds}s`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * One worker tick; skipped while the previous tick is still running
+   */
+  async runOnce() {
+    if (this.running) return null;
+
+    this.running = true;
+    try {
+      return await this.processQueue();
+    } catch (error) {
+      console.error('Error processing image jobs:', error.message);
+      return null;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Replace the function that turns an Image into processing results;
+   * null restores the detector registry
+   */
+  setProcessor(processor) {
+    this.processor = processor || detectStock;
+  }
+
+  getTimeoutMs() {
+    return (parseInt(process.env.IMAGE_JOB_TIMEOUT_SECONDS) || 120) * 1000;
+  }
+
+  getMaxAttempts() {
+    return parseInt(process.env.IMAGE_JOB_MAX_ATTEMPTS) || 3;
+  }
+
+  /**
+   * 15s, 30s, 60s, ... between attempts by default
+   */
+  getBackoffMs(attempts) {
+    const baseSeconds = parseInt(process.env.IMAGE_JOB_RETRY_BASE_SECONDS) || 15;
+    return baseSeconds * 1000 * Math.pow(2, attempts - 1);
+  }
+
+  async enqueue(image) {
+    return await runInStore(image.storeId, () =>
+      ImageJob.enqueue(image._id, { maxAttempts: this.getMaxAttempts() })
+    );
+  }
+
+  /**
+   * Queue pending images that were stored before the queue existed or
+   * whose job was lost
+   */
+  async enqueueUnprocessedImages() {
+    const images = await Image.findUnprocessedImages();
+    const pending = images.filter(image => image.processingStatus === 'pending');
+
+    for (const image of pending) {
+      await this.enqueue(image);
+    }
+    return pending.length;
+  }
+
+  /**
+   * Release jobs whose worker timed out, then process every job that is due
+   */
+  async processQueue(now = new Date()) {
+    const summary = { completed: 0, retried: 0, failed: 0, abandoned: 0, timedOut: 0 };
+
+    const expired = await ImageJob.find({ status: 'processing', lockExpiresAt: { $lte: now } });
+    for (const job of expired) {
+      const outcome = await this.failJob(job, new Error(`Timed out on worker ${job.lockedBy}`));
+      if (outcome !== 'abandoned') summary.timedOut++;
+    }
+
+    // Jobs due at the start of the tick are claimed, each locked from the
+    // moment it is claimed so a long tick cannot hand out stale locks
+    let job;
+    while ((job = await ImageJob.claimNext(this.workerId, { now: new Date(), dueBy: now, timeoutMs: this.getTimeoutMs() }))) {
+      const outcome = await this.processJob(job);
+      summary[outcome]++;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Run the processor for a claimed job and record its StockLevel
+   */
+  async processJob(job) {
+    const startedAt = Date.now();
+    const image = await Image.findById(job.imageId);
+
+    if (!image || !image.isActive) {
+      return await this.failJob(job, new Error('Image no longer exists'), { permanent: true });
+    }
+
+    // The reading, its alerts and the job updates all belong to the image's store
+    return await runInStore(image.storeId, () => this.runJob(job, image, startedAt));
+  }
+
+  async runJob(job, image, startedAt) {
+    try {
+      await Image.updateProcessingStatus(image._id, 'processing');
+      const results = this.normalizeResults(
+        await this.withTimeout(Promise.resolve().then(() => this.processor(image)), this.getTimeoutMs())
+      );
+
+      // The lock may have expired and the job been handed to another worker
+      if (!(await ImageJob.exists(this.lockFilter(job)))) {
+        return 'abandoned';
+      }
+
+      const stockLevel = await this.recordStockLevel(image, results, job);
+      await Image.updateProcessingStatus(image._id, 'completed', results);
+
+      await ImageJob.updateOne(this.lockFilter(job), {
+        $set: {
+          status: 'completed',
+          stockLevelId: stockLevel._id,
+          lastError: null,
+          lockedBy: null,
+          lockedAt: null,
+          lockExpiresAt: null,
+          durationMs: Date.now() - startedAt,
+          completedAt: new Date(),
+          updatedAt: new Date()
+        }
+      });
+      return 'completed';
+    } catch (error) {
+      return await this.failJob(job, error);
+    }
+  }
+
+  /**
+   * Requeue with backoff while attempts remain, otherwise fail the job and
+   * its image. Returns 'abandoned' if the job is no longer held by this lock.
+   */
+  async failJob(job, error, { permanent = false } = {}) {
+    const now = new Date();
+    const retry = !permanent && job.attempts < job.maxAttempts;
+
+    const updated = await ImageJob.findOneAndUpdate(this.lockFilter(job), {
+      $set: {
+        status: retry ? 'queued' : 'failed',
+        availableAt: retry ? new Date(now.getTime() + this.getBackoffMs(job.attempts)) : job.availableAt,
+        lastError: error.message,
+        lockedBy: null,
+        lockedAt: null,
+        lockExpiresAt: null,
+        completedAt: retry ? null : now,
+        updatedAt: now
+      }
+    }, { new: true });
+    if (!updated) return 'abandoned';
+
+    await Image.updateProcessingStatus(job.imageId, retry ? 'pending' : 'failed');
+    return retry ? 'retried' : 'failed';
+  }
+
+  /**
+   * Write the reading for a processed image; a retry after a partial
+   * failure reuses the reading already written
+   */
+  async recordStockLevel(image, results, job) {
+    const existing = await StockLevel.findOne({ imageId: image._id });
+    if (existing) return existing;
+
+    const planogram = await planogramService.evaluateReading({
+      shelfId: image.shelfId,
+      productId: image.productId,
+      timestamp: image.uploadTime,
+      boundingBoxes: results.boundingBoxes,
+      dimensions: image.dimensions
+    });
+
+    return await StockLevel.create({
+      shelfId: image.shelfId,
+      productId: image.productId,
+      stockPercentage: results.detectedStockLevel,
+      detectionMethod: 'computer_vision',
+      confidence: results.confidence,
+      imageId: image._id,
+      timestamp: image.uploadTime,
+      planogram,
+      reviewStatus: reviewService.needsReview(results.confidence) ? 'pending' : 'not_required',
+      metadata: {
+        imageJobId: job._id,
+        detector: results.detector,
+        boundingBoxCount: results.boundingBoxes.length
+      }
+    });
+  }
+
+  normalizeResults(results) {
+    const detectedStockLevel = Number(results && results.detectedStockLevel);
+    if (!Number.isFinite(detectedStockLevel) || detectedStockLevel < 0 || detectedStockLevel > 100) {
+      throw new Error('Processor returned an invalid detectedStockLevel');
+    }
+
+    const confidence = results.confidence === undefined ? 1 : Number(results.confidence);
+    if (!Number.isFinite(confidence) || confidence < 0 || confidence > 1) {
+      throw new Error('Processor returned an invalid confidence');
+    }
+
+    return {
+      detectedStockLevel,
+      confidence,
+      boundingBoxes: results.boundingBoxes || [],
+      annotations: results.annotations || [],
+      detector: results.detector || null
+    };
+  }
+
+  withTimeout(promise, timeoutMs) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Processing timed out after ${timeoutMs / 1000}s`)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  lockFilter(job) {
+    return { _id: job._id, status: 'processing', lockedBy: job.lockedBy, lockedAt: job.lockedAt };
+  }
+
+  /**
+   * Queue depth, lag, throughput and worker activity
+   */
+  async getQueueStats(now = new Date()) {
+    const hourAgo = new Date(now.getTime() - 60 * 60 * 1000);
+
+    const [byStatus, oldestQueued, retrying, expiredLocks, workers, lastHour] = await Promise.all([
+      ImageJob.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+      ImageJob.findOne({ status: 'queued' }).sort({ createdAt: 1 }),
+      ImageJob.countDocuments({ status: 'queued', attempts: { $gt: 0 } }),
+      ImageJob.countDocuments({ status: 'processing', lockExpiresAt: { $lte: now } }),
+      ImageJob.distinct('lockedBy', { status: 'processing' }),
+      ImageJob.aggregate([
+        { $match: { status: { $in: ['completed', 'failed'] }, completedAt: { $gte: hourAgo } } },
+        { $group: { _id: '$status', count: { $sum: 1 }, avgDurationMs: { $avg: '$durationMs' } } }
+      ])
+    ]);
+
+    const counts = { queued: 0, processing: 0, completed: 0, failed: 0 };
+    for (const { _id, count } of byStatus) counts[_id] = count;
+
+    const completedLastHour = lastHour.find(group => group._id === 'completed');
+    const failedLastHour = lastHour.find(group => group._id === 'failed');
+
+    return {
+      counts: { ...counts, total: Object.values(counts).reduce((sum, count) => sum + count, 0) },
+      retrying,
+      expiredLocks,
+      oldestQueuedAt: oldestQueued ? oldestQueued.createdAt : null,
+      queueLagSeconds: oldestQueued ? Math.round((now - oldestQueued.createdAt) / 1000) : 0,
+      activeWorkers: workers.filter(Boolean),
+      lastHour: {
+        completed: completedLastHour ? completedLastHour.count : 0,
+        failed: failedLastHour ? failedLastHour.count : 0,
+        avgDurationMs: completedLastHour && completedLastHour.avgDurationMs !== null
+          ? Math.round(completedLastHour.avgDurationMs)
+          : null
+      }
+    };
+  }
+}
+
+module.exports = new ImageJobService();
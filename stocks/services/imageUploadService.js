@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { imageSize } = require('image-size');
+const Image = require('../models/Image');
+const Shelf = require('../models/Shelf');
+const Product = require('../models/Product');
+const HttpError = require('../utils/httpError');
+
+// image-size type -> MIME type and file extension
+const SUPPORTED_TYPES = {
+  jpg: { mimeType: 'image/jpeg', extension: 'jpg' },
+  png: { mimeType: 'image/png', extension: 'png' },
+  webp: { mimeType: 'image/webp', extension: 'webp' }
+};
+
+const ALLOWED_MIME_TYPES = Object.values(SUPPORTED_TYPES).map(type => type.mimeType);
+
+class ImageUploadService {
+
+  getUploadRoot() {
+    return path.resolve(process.env.IMAGE_UPLOAD_ROOT || 'uploads');
+  }
+
+  getMaxUploadBytes() {
+    return (parseFloat(process.env.IMAGE_MAX_UPLOAD_MB) || 10) * 1024 * 1024;
+  }
+
+  isAllowedMimeType(mimeType) {
+    return ALLOWED_MIME_TYPES.includes(mimeType);
+  }
+
+  /**
+   * Store an uploaded shelf image and create a pending Image document.
+   * The declared MIME type must match the file contents.
+   */
+  async storeUpload({ shelfId, productId, file, tags = [], metadata = {} }) {
+    const [shelf, product] = await Promise.all([
+      Shelf.findById(shelfId),
+      Product.findById(productId)
+    ]);
+    if (!shelf) throw new HttpError(404, 'Shelf not found');
+    if (!product) throw new HttpError(404, 'Product not found');
+
+    const { type, dimensions } = this.inspectImage(file.buffer);
+    if (type.mimeType !== file.mimetype) {
+      throw new HttpError(415, `File content is ${type.mimeType} but was uploaded as ${file.mimetype}`);
+    }
+
+    const contentHash = crypto.createHash('sha256').update(file.buffer).digest('hex');
+    const duplicate = await Image.findByContentHash(contentHash);
+    if (duplicate) {
+      throw this.duplicateError(duplicate);
+    }
+
+    // Content-addressed layout: <root>/<shelfId>/<yyyy-mm-dd>/<hash>.<ext>
+    const day = new Date().toISOString().slice(0, 10);
+    const filename = `${contentHash}.${type.extension}`;
+    const relativePath = path.join(shelf._id.toString(), day, filename);
+    const absolutePath = path.join(this.getUploadRoot(), relativePath);
+
+    await this.writeFileAtomically(absolutePath, file.buffer);
+
+    try {
+      return await Image.create({
+        // Cross-store admins have no store of their own; the image joins the shelf's
+        storeId: shelf.storeId,
+        shelfId: shelf._id,
+        productId: product._id,
+        filename,
+        originalFilename: file.originalname,
+        filePath: relativePath,
+        fileSize: file.size,
+        mimeType: type.mimeType,
+        dimensions,
+        contentHash,
+        processingStatus: 'pending',
+        processed: false,
+        tags,
+        metadata
+      });
+    } catch (error) {
+      // Lost a race with an identical upload; the file on disk is the same content
+      if (error.code === 11000) {
+        const existing = await Image.findByContentHash(contentHash);
+        if (existing && existing.filePath !== relativePath) {
+          await fs.rm(absolutePath, { force: true });
+        }
+        throw this.duplicateError(existing);
+      }
+      await fs.rm(absolutePath, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Read the real image type and pixel size from the file header
+   */
+  inspectImage(buffer) {
+    let info;
+    try {
+      info = imageSize(buffer);
+    } catch (error) {
+      throw new HttpError(415, 'File is not a supported image');
+    }
+
+    const type = SUPPORTED_TYPES[info.type];
+    if (!type) {
+      throw new HttpError(415, `Unsupported image type '${info.type}'. Allowed: ${ALLOWED_MIME_TYPES.join(', ')}`);
+    }
+
+    // EXIF orientations 5-8 are rotated by 90 degrees
+    const rotated = info.orientation >= 5 && info.orientation <= 8;
+    return {
+      type,
+      dimensions: {
+        width: rotated ? info.height : info.width,
+        height: rotated ? info.width : info.height
+      }
+    };
+  }
+
+  async writeFileAtomically(absolutePath, buffer) {
+    await fs.mkdir(path.dirname(absolutePath), { recursive: true });
+    const tempPath = `${absolutePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tempPath, buffer);
+    await fs.rename(tempPath, absolutePath);
+  }
+
+  /**
+   * Absolute path of a stored image; refuses paths that escape the upload root
+   */
+  resolveStoredPath(image) {
+    const root = this.getUploadRoot();
+    const absolutePath = path.resolve(root, image.filePath);
+    if (!absolutePath.startsWith(root + path.sep)) {
+      throw new HttpError(404, 'Image file not found');
+    }
+    return absolutePath;
+  }
+
+  duplicateError(existing) {
+    const error = new HttpError(409, 'This image has already been uploaded');
+    error.existingImageId = existing ? existing._id : null;
+    return error;
+  }
+}
+
+module.exports = new ImageUploadService();
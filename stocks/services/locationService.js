@@ -0,0 +1,265 @@
+const Location = require('../models/Location');
+const Shelf = require('../models/Shelf');
+const Camera = require('../models/Camera');
+const HttpError = require('../utils/httpError');
+const { isCrossStore } = require('../utils/tenantContext');
+
+const LOCATION_FIELDS = ['name', 'code', 'metadata'];
+
+function pickLocationFields(source) {
+  const fields = {};
+  for (const field of LOCATION_FIELDS) {
+    if (source[field] !== undefined) {
+      fields[field] = source[field];
+    }
+  }
+  return fields;
+}
+
+class LocationService {
+
+  async listLocations({ type, parentId, includeInactive = false } = {}) {
+    const filter = includeInactive ? {} : { isActive: true };
+    if (type) filter.type = type;
+    if (parentId) filter.parentId = parentId;
+
+    const locations = await Location.find(filter).sort({ name: 1 });
+    return locations.map(location => location.getLocationInfo());
+  }
+
+  /**
+   * Active locations as nested trees, one per store, or below a single location
+   */
+  async getTree(rootId = null) {
+    const filter = { isActive: true };
+    if (rootId) {
+      const root = await this.getLocation(rootId);
+      filter._id = { $in: await Location.findSubtreeIds(root._id) };
+    }
+
+    const locations = await Location.find(filter).sort({ name: 1 });
+    const nodes = new Map(locations.map(location => [
+      location._id.toString(),
+      { ...location.getLocationInfo(), children: [] }
+    ]));
+
+    const roots = [];
+    for (const node of nodes.values()) {
+      const parent = node.parentId ? nodes.get(node.parentId.toString()) : null;
+      if (parent) {
+        parent.children.push(node);
+      } else {
+        roots.push(node);
+      }
+    }
+    return roots;
+  }
+
+  async getLocation(locationId) {
+    const location = await Location.findById(locationId);
+    if (!location) {
+      throw new HttpError(404, 'Location not found');
+    }
+    return location;
+  }
+
+  /**
+   * The location with its ancestors, store first
+   */
+  async getPath(location) {
+    const ancestors = await Location.find({ _id: { $in: location.ancestors } });
+    const byId = new Map(ancestors.map(ancestor => [ancestor._id.toString(), ancestor]));
+
+    return [...location.ancestors.map(id => byId.get(id.toString())).filter(Boolean), location]
+      .map(({ _id, name, code, type }) => ({ locationId: _id, name, code: code || null, type }));
+  }
+
+  /**
+   * Create a location under a parent one level up (stores have no parent)
+   */
+  async createLocation({ type, parentId, ...data }) {
+    const level = Location.LOCATION_TYPES.indexOf(type);
+    let ancestors = [];
+
+    if (level === 0) {
+      if (parentId) {
+        throw new HttpError(400, 'Stores cannot have a parent location');
+      }
+      if (!isCrossStore()) {
+        throw new HttpError(403, 'Only cross-store admins can open a store');
+      }
+    } else {
+      if (!parentId) {
+        throw new HttpError(400, `A ${type} needs a parent ${Location.LOCATION_TYPES[level - 1]}`);
+      }
+      const parent = await this.getLocation(parentId);
+      if (parent.type !== Location.LOCATION_TYPES[level - 1]) {
+        throw new HttpError(400, `A ${type} must be placed in a ${Location.LOCATION_TYPES[level - 1]}, not a ${parent.type}`);
+      }
+      if (!parent.isActive) {
+        throw new HttpError(400, 'Parent location is inactive');
+      }
+      ancestors = [...parent.ancestors, parent._id];
+    }
+
+    try {
+      return await Location.create({
+        ...pickLocationFields(data),
+        type,
+        parentId: parentId || null,
+        ancestors
+      });
+    } catch (error) {
+      throw this.translateDuplicate(error);
+    }
+  }
+
+  /**
+   * Get a store or fail with 404; users and API keys are assigned to stores
+   */
+  async getStore(storeId) {
+    const store = await Location.findOne({ _id: storeId, type: 'store' });
+    if (!store) {
+      throw new HttpError(404, 'Store not found');
+    }
+    return store;
+  }
+
+  /**
+   * Rename or re-code a location. Its place in the tree is fixed.
+   */
+  async updateLocation(locationId, updates) {
+    const location = await this.getLocation(locationId);
+    const before = location.getLocationInfo();
+
+    location.set(pickLocationFields(updates));
+    try {
+      await location.save();
+    } catch (error) {
+      throw this.translateDuplicate(error);
+    }
+
+    return { location, before };
+  }
+
+  /**
+   * Deactivate an empty location; history keeps pointing at it
+   */
+  async deactivateLocation(locationId) {
+    const location = await this.getLocation(locationId);
+    const before = location.getLocationInfo();
+
+    const [children, shelves, cameras] = await Promise.all([
+      Location.countDocuments({ parentId: location._id, isActive: true }),
+      Shelf.countDocuments({ locationId: location._id, isActive: true }),
+      Camera.countDocuments({ locationId: location._id, isActive: true })
+    ]);
+    if (children || shelves || cameras) {
+      throw new HttpError(409, `Location still has ${children} active locations, ${shelves} shelves and ${cameras} cameras`);
+    }
+
+    location.isActive = false;
+    await location.save();
+
+    return { location, before };
+  }
+
+  /**
+   * Check a location that something is being attached to
+   */
+  async assertAssignable(locationId, allowedTypes = Location.LOCATION_TYPES) {
+    const location = await this.getLocation(locationId);
+    if (!allowedTypes.includes(location.type)) {
+      throw new HttpError(400, `Expected a location of type ${allowedTypes.join(' or ')}, got ${location.type}`);
+    }
+    if (!location.isActive) {
+      throw new HttpError(400, 'Location is inactive');
+    }
+    return location;
+  }
+
+  /**
+   * Refuse to attach a record of one store to a location of another
+   */
+  assertSameStore(location, storeId, label) {
+    if (String(location.storeId || null) !== String(storeId || null)) {
+      throw new HttpError(409, `${label} belongs to a different store than the ${location.type}`);
+    }
+  }
+
+  /**
+   * Place a shelf in an aisle of its own store (null removes it from the hierarchy)
+   */
+  async assignShelf(shelfId, locationId) {
+    const shelf = await Shelf.findById(shelfId);
+    if (!shelf) {
+      throw new HttpError(404, 'Shelf not found');
+    }
+    if (locationId) {
+      const aisle = await this.assertAssignable(locationId, ['aisle']);
+      this.assertSameStore(aisle, shelf.storeId, 'Shelf');
+    }
+
+    const before = shelf.getShelfInfo();
+    shelf.locationId = locationId || null;
+    await shelf.save();
+
+    return { shelf, before };
+  }
+
+  /**
+   * Everything needed to filter records by a location: the IDs of the
+   * location and its descendants, and the shelves placed in any of them
+   */
+  async resolveScope(locationId) {
+    const location = await this.getLocation(locationId);
+    const locationIds = await Location.findSubtreeIds(location._id);
+    const shelves = await Shelf.find({ locationId: { $in: locationIds } }, { _id: 1 });
+
+    return { location, locationIds, shelfIds: shelves.map(shelf => shelf._id) };
+  }
+
+  /**
+   * Group items under their ancestor at a level of the tree. Items without a
+   * location, or placed above that level, land in a group with no location.
+   */
+  async groupByLevel(items, level, locationIdOf) {
+    const locations = await Location.find({});
+    const byId = new Map(locations.map(location => [location._id.toString(), location]));
+    const depth = Location.LOCATION_TYPES.indexOf(level);
+
+    const groups = new Map();
+    for (const item of items) {
+      const locationId = locationIdOf(item);
+      const location = locationId ? byId.get(locationId.toString()) : null;
+
+      let target = null;
+      if (location) {
+        const path = [...location.ancestors.map(id => byId.get(id.toString())), location];
+        target = path[depth] || null;
+      }
+
+      const key = target ? target._id.toString() : null;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          location: target
+            ? { locationId: target._id, name: target.name, code: target.code || null, type: target.type }
+            : null,
+          items: []
+        });
+      }
+      groups.get(key).items.push(item);
+    }
+
+    return [...groups.values()];
+  }
+
+  translateDuplicate(error) {
+    if (error.code === 11000) {
+      return new HttpError(409, 'A location with this code already exists');
+    }
+    return error;
+  }
+}
+
+module.exports = new LocationService();
@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+const SEVERITY_COLORS = {
+  low: '#2eb886',
+  medium: '#daa038',
+  high: '#e8742c',
+  critical: '#d50200'
+};
+
+/**
+ * Sign a webhook body so receivers can verify it came from us and is fresh.
+ * Receivers recompute HMAC-SHA256 over `${timestamp}.${body}` with the shared secret.
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function describeHttpResponse(response) {
+  return `HTTP ${response.status}`;
+}
+
+// Each adapter sends one message and resolves with a short response summary,
+// or throws so the delivery is retried
+const adapters = {
+  /**
+   * Generic JSON webhook signed with HMAC-SHA256
+   */
+  webhook: {
+    async send(subscription, message) {
+      const body = JSON.stringify(message.payload);
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      const headers = {
+        'Content-Type': 'application/json',
+        'X-Stock-Event': message.event,
+        'X-Stock-Timestamp': timestamp
+      };
+      if (subscription.secret) {
+        headers['X-Stock-Signature'] = `sha256=${signPayload(subscription.secret, timestamp, body)}`;
+      }
+
+      const response = await axios.post(subscription.target, body, { headers, timeout: REQUEST_TIMEOUT_MS });
+      return describeHttpResponse(response);
+    }
+  },
+
+  /**
+   * Slack incoming webhook (also accepted by Mattermost and Rocket.Chat)
+   */
+  slack: {
+    async send(subscription, message) {
+      const response = await axios.post(subscription.target, {
+        text: message.title,
+        attachments: [{
+          color: SEVERITY_COLORS[message.severity],
+          text: message.text,
+          fields: message.facts.map(fact => ({ title: fact.name, value: String(fact.value), short: true }))
+        }]
+      }, { timeout: REQUEST_TIMEOUT_MS });
+      return describeHttpResponse(response);
+    }
+  },
+
+  /**
+   * Microsoft Teams incoming webhook (MessageCard)
+   */
+  teams: {
+    async send(subscription, message) {
+      const response = await axios.post(subscription.target, {
+        '@type': 'MessageCard',
+        '@context': 'https://schema.org/extensions',
+        summary: message.title,
+        themeColor: SEVERITY_COLORS[message.severity].slice(1),
+        title: message.title,
+        text: message.text,
+        sections: [{
+          facts: message.facts.map(fact => ({ name: fact.name, value: String(fact.value) }))
+        }]
+      }, { timeout: REQUEST_TIMEOUT_MS });
+      return describeHttpResponse(response);
+    }
+  },
+
+  /**
+   * Plain-text email over SMTP, configured through SMTP_* environment variables
+   */
+  email: {
+    async send(subscription, message) {
+      const transport = nodemailer.createTransport({
+        host: process.env.SMTP_HOST || 'localhost',
+        port: parseInt(process.env.SMTP_PORT) || 25,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+        connectionTimeout: REQUEST_TIMEOUT_MS
+      });
+
+      const facts = message.facts.map(fact => `${fact.name}: ${fact.value}`).join('\n');
+      const info = await transport.sendMail({
+        from: process.env.SMTP_FROM || 'alerts@stock-tracking.local',
+        to: subscription.target,
+        subject: message.title,
+        text: `${message.text}\n\n${facts}\n`
+      });
+      return info.response;
+    }
+  }
+};
+
+function getChannelAdapter(channel) {
+  const adapter = adapters[channel];
+  if (!adapter) {
+    throw new Error(`No notification channel adapter registered for '${channel}'`);
+  }
+  return adapter;
+}
+
+// Add or replace a channel adapter; the channel name must also be allowed by NotificationSubscription
+function registerChannelAdapter(channel, adapter) {
+  adapters[channel] = adapter;
+}
+
+module.exports = {
+  getChannelAdapter,
+  registerChannelAdapter,
+  signPayload
+};
@@ -0,0 +1,379 @@
+const crypto = require('crypto');
+const NotificationSubscription = require('../models/NotificationSubscription');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const User = require('../models/User');
+const HttpError = require('../utils/httpError');
+const escalationService = require('./escalationService');
+const { getChannelAdapter } = require('./notificationChannels');
+const { roleHasPermission } = require('../config/permissions');
+const { runInStore, runCrossStore } = require('../utils/tenantContext');
+
+// Deliveries stuck in "sending" this long are assumed lost with a crashed worker
+const STALE_SENDING_MS = 5 * 60 * 1000;
+
+class NotificationService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+
+    // Escalations notify the users each step was routed to
+    escalationService.on('escalated', ({ alert, escalation }) => {
+      this.notifyAlert(alert, 'alert.escalated', {
+        userIds: escalation.notifiedUserIds,
+        escalation
+      }).catch(error => console.error('Error queueing escalation notifications:', error.message));
+    });
+  }
+
+  /**
+   * Start delivering queued notifications on an interval
+   */
+  start(intervalSeconds = 10) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.runOnce(), intervalSeconds * 1000);
+    // Never keep the process alive just for the scheduler
+    this.timer.unref();
+    console.log(`📨 Notification dispatcher running every ${intervalSeconds}s`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * One dispatcher tick; skipped while the previous tick is still running
+   */
+  async runOnce() {
+    if (this.running) return null;
+
+    this.running = true;
+    try {
+      return await this.processDueDeliveries();
+    } catch (error) {
+      console.error('Error delivering notifications:', error.message);
+      return null;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Queue one delivery per matching subscription. With userIds only those
+   * users' subscriptions are considered.
+   */
+  async notifyAlert(alert, event, options = {}) {
+    // Only subscribers in the alert's store hear about it
+    return await runInStore(alert.storeId, () => this.queueDeliveries(alert, event, options));
+  }
+
+  async queueDeliveries(alert, event, { userIds, escalation } = {}) {
+    const filter = { isActive: true, events: event };
+    if (userIds) {
+      if (userIds.length === 0) return [];
+      filter.userId = { $in: userIds };
+    }
+
+    const subscriptions = await NotificationSubscription.find(filter);
+    const matching = subscriptions.filter(sub => sub.matches(event, alert.alertType, alert.severity));
+    if (matching.length === 0) return [];
+
+    // Deactivated users stop receiving notifications without losing their preferences
+    const activeUsers = await User.find({ _id: { $in: matching.map(sub => sub.userId) }, isActive: true }).select('_id');
+    const activeUserIds = new Set(activeUsers.map(user => user._id.toString()));
+
+    const payload = this.buildPayload(alert, event, escalation);
+    const deliveries = await NotificationDelivery.insertMany(
+      matching
+        .filter(sub => activeUserIds.has(sub.userId.toString()))
+        .map(sub => ({
+          alertId: alert._id,
+          subscriptionId: sub._id,
+          userId: sub.userId,
+          channel: sub.channel,
+          target: sub.target,
+          event,
+          payload,
+          maxAttempts: this.getMaxAttempts()
+        }))
+    );
+
+    // Deliver right away when the dispatcher is running instead of waiting for the next tick
+    if (this.timer && deliveries.length > 0) {
+      setImmediate(() => runCrossStore(() => this.runOnce()));
+    }
+
+    return deliveries;
+  }
+
+  /**
+   * Send every delivery that is due, retrying failures with exponential backoff
+   */
+  async processDueDeliveries(now = new Date()) {
+    await NotificationDelivery.updateMany(
+      { status: 'sending', updatedAt: { $lt: new Date(now.getTime() - STALE_SENDING_MS) } },
+      { $set: { status: 'pending', nextAttemptAt: now } }
+    );
+
+    const summary = { sent: 0, retried: 0, failed: 0 };
+
+    let delivery;
+    while ((delivery = await NotificationDelivery.claimNextDue(now))) {
+      const outcome = await this.attemptDelivery(delivery);
+      summary[outcome]++;
+    }
+
+    return summary;
+  }
+
+  async attemptDelivery(delivery) {
+    const subscription = await NotificationSubscription.findById(delivery.subscriptionId);
+
+    try {
+      if (!subscription) {
+        throw new Error('Subscription no longer exists');
+      }
+
+      const adapter = getChannelAdapter(delivery.channel);
+      const response = await adapter.send(subscription, this.buildMessage(delivery));
+
+      delivery.status = 'sent';
+      delivery.sentAt = new Date();
+      delivery.response = response;
+      delivery.lastError = null;
+      await delivery.save();
+      return 'sent';
+    } catch (error) {
+      delivery.lastError = error.message;
+      delivery.response = error.response ? `HTTP ${error.response.status}` : null;
+
+      if (!subscription || delivery.attempts >= delivery.maxAttempts) {
+        delivery.status = 'failed';
+        await delivery.save();
+        return 'failed';
+      }
+
+      delivery.status = 'pending';
+      delivery.nextAttemptAt = new Date(Date.now() + this.getBackoffMs(delivery.attempts));
+      await delivery.save();
+      return 'retried';
+    }
+  }
+
+  /**
+   * 30s, 60s, 120s, ... between attempts by default
+   */
+  getBackoffMs(attempts) {
+    const baseSeconds = parseInt(process.env.NOTIFICATION_RETRY_BASE_SECONDS) || 30;
+    return baseSeconds * 1000 * Math.pow(2, attempts - 1);
+  }
+
+  getMaxAttempts() {
+    return parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5;
+  }
+
+  buildPayload(alert, event, escalation) {
+    return {
+      event,
+      alert: alert.getAlertInfo(),
+      escalation: escalation || null,
+      sentAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Channel-neutral message the adapters render
+   */
+  buildMessage(delivery) {
+    const { alert, escalation } = delivery.payload;
+    const prefix = delivery.event === 'alert.escalated' ? 'Escalated' : 'New';
+
+    const facts = [
+      { name: 'Type', value: alert.alertType },
+      { name: 'Severity', value: alert.severity },
+      { name: 'Raised', value: new Date(alert.createdAt).toISOString() }
+    ];
+    if (escalation) {
+      facts.push({ name: 'Escalation step', value: escalation.step });
+      facts.push({ name: 'Open for', value: `${escalation.minutesOpen} minutes` });
+    }
+
+    return {
+      event: delivery.event,
+      severity: alert.severity,
+      title: `[${alert.severity.toUpperCase()}] ${prefix} ${alert.alertType.replace(/_/g, ' ')} alert`,
+      text: alert.message,
+      facts,
+      payload: delivery.payload
+    };
+  }
+
+  /**
+   * The current user's subscriptions; alert configurators may look up another user's
+   */
+  async listSubscriptions(user, { userId } = {}) {
+    const filter = { userId: user._id };
+    if (userId && userId !== user._id.toString()) {
+      this.requireConfigurator(user);
+      filter.userId = userId;
+    }
+
+    const subscriptions = await NotificationSubscription.find(filter).sort({ createdAt: -1 });
+    return subscriptions.map(sub => sub.getSubscriptionInfo());
+  }
+
+  async getOwnSubscription(user, subscriptionId) {
+    const subscription = await NotificationSubscription.findById(subscriptionId);
+    if (!subscription || !subscription.userId.equals(user._id)) {
+      throw new HttpError(404, 'Subscription not found');
+    }
+    return subscription;
+  }
+
+  /**
+   * Subscribe the current user. Email defaults to the user's own address;
+   * outbound HTTP integrations are limited to alert configurators.
+   */
+  async createSubscription(user, { channel, target, secret, severities, alertTypes, events }) {
+    if (channel !== 'email') {
+      this.requireConfigurator(user);
+      if (!target) {
+        throw new HttpError(400, `A URL is required for ${channel} subscriptions`);
+      }
+    }
+
+    const subscription = await NotificationSubscription.create({
+      userId: user._id,
+      channel,
+      target: target || user.email,
+      secret: channel === 'webhook' ? (secret || crypto.randomBytes(32).toString('hex')) : null,
+      severities,
+      alertTypes,
+      events
+    });
+
+    // The signing secret is only shown once, to the subscriber who created it
+    return { ...subscription.getSubscriptionInfo(), secret: subscription.secret };
+  }
+
+  async updateSubscription(user, subscriptionId, updates) {
+    const subscription = await this.getOwnSubscription(user, subscriptionId);
+
+    if (updates.target !== undefined && subscription.channel !== 'email') {
+      this.requireConfigurator(user);
+    }
+
+    for (const field of ['target', 'severities', 'alertTypes', 'events', 'isActive']) {
+      if (updates[field] !== undefined) {
+        subscription[field] = updates[field];
+      }
+    }
+    if (updates.secret !== undefined && subscription.channel === 'webhook') {
+      subscription.secret = updates.secret;
+    }
+
+    await subscription.save();
+    return subscription.getSubscriptionInfo();
+  }
+
+  async deleteSubscription(user, subscriptionId) {
+    const subscription = await this.getOwnSubscription(user, subscriptionId);
+    await subscription.deleteOne();
+    return subscription.getSubscriptionInfo();
+  }
+
+  /**
+   * Send a sample notification through one subscription right away
+   */
+  async sendTestNotification(user, subscriptionId) {
+    const subscription = await this.getOwnSubscription(user, subscriptionId);
+
+    const delivery = await NotificationDelivery.create({
+      alertId: null,
+      subscriptionId: subscription._id,
+      userId: user._id,
+      channel: subscription.channel,
+      target: subscription.target,
+      event: 'notification.test',
+      maxAttempts: 1,
+      attempts: 1,
+      status: 'sending',
+      payload: {
+        event: 'notification.test',
+        alert: {
+          alertType: 'system_error',
+          severity: 'low',
+          message: 'Test notification from the stock tracking system',
+          createdAt: new Date().toISOString()
+        },
+        escalation: null,
+        sentAt: new Date().toISOString()
+      }
+    });
+
+    await this.attemptDelivery(delivery);
+    return delivery.getDeliveryInfo();
+  }
+
+  /**
+   * Delivery log; users see their own deliveries, configurators see everyone's
+   */
+  async listDeliveries(user, { alertId, status, channel, page = 1, limit = 50 } = {}) {
+    const filter = {};
+    if (!roleHasPermission(user.role, 'alerts:configure')) filter.userId = user._id;
+    if (alertId) filter.alertId = alertId;
+    if (status) filter.status = status;
+    if (channel) filter.channel = channel;
+
+    const [deliveries, total] = await Promise.all([
+      NotificationDelivery.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      NotificationDelivery.countDocuments(filter)
+    ]);
+
+    return {
+      deliveries: deliveries.map(delivery => delivery.getDeliveryInfo()),
+      total,
+      page,
+      limit
+    };
+  }
+
+  /**
+   * Give a failed delivery a fresh set of attempts
+   */
+  async retryDelivery(deliveryId) {
+    const delivery = await NotificationDelivery.findById(deliveryId);
+    if (!delivery) {
+      throw new HttpError(404, 'Delivery not found');
+    }
+    if (delivery.status !== 'failed') {
+      throw new HttpError(409, 'Only failed deliveries can be retried');
+    }
+
+    delivery.status = 'pending';
+    delivery.maxAttempts = delivery.attempts + this.getMaxAttempts();
+    delivery.nextAttemptAt = new Date();
+    await delivery.save();
+
+    // Deliver right away; the dispatcher drains every store, not just the caller's
+    if (this.timer) {
+      setImmediate(() => runCrossStore(() => this.runOnce()));
+    }
+
+    return delivery.getDeliveryInfo();
+  }
+
+  requireConfigurator(user) {
+    if (!roleHasPermission(user.role, 'alerts:configure')) {
+      throw new HttpError(403, `Role '${user.role}' is not allowed to perform 'alerts:configure'`);
+    }
+  }
+}
+
+module.exports = new NotificationService();
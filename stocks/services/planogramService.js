@@ -0,0 +1,161 @@
+const Planogram = require('../models/Planogram');
+const Shelf = require('../models/Shelf');
+const Product = require('../models/Product');
+const HttpError = require('../utils/httpError');
+
+// Share of a slot that detections must cover for the product to count as present
+const MIN_SLOT_COVERAGE = 0.3;
+
+function intersectionArea(a, b) {
+  const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  return width > 0 && height > 0 ? width * height : 0;
+}
+
+function containsCenter(slot, box) {
+  const cx = box.x + box.width / 2;
+  const cy = box.y + box.height / 2;
+  return cx >= slot.x && cx < slot.x + slot.width && cy >= slot.y && cy < slot.y + slot.height;
+}
+
+class PlanogramService {
+
+  /**
+   * Every version for a shelf, newest first, with the date each stopped applying
+   */
+  async listVersions(shelfId) {
+    await this.getShelf(shelfId);
+    const planograms = await Planogram.find({ shelfId }).sort({ effectiveFrom: 1, version: 1 });
+
+    return planograms.map((planogram, index) => ({
+      ...planogram.getPlanogramInfo(),
+      effectiveTo: index + 1 < planograms.length ? planograms[index + 1].effectiveFrom : null
+    })).reverse();
+  }
+
+  async getEffective(shelfId, at = new Date()) {
+    await this.getShelf(shelfId);
+    const planogram = await Planogram.findEffective(shelfId, at);
+    if (!planogram) {
+      throw new HttpError(404, 'No planogram is in effect for this shelf');
+    }
+    return planogram;
+  }
+
+  /**
+   * Add a new version; it applies from effectiveFrom (default now)
+   */
+  async createVersion(user, shelfId, { name, notes, effectiveFrom, slots }) {
+    const shelf = await this.getShelf(shelfId);
+
+    const productIds = [...new Set(slots.map(slot => String(slot.productId)))];
+    const found = await Product.countDocuments({ _id: { $in: productIds } });
+    if (found !== productIds.length) {
+      throw new HttpError(404, 'One or more slot products were not found');
+    }
+
+    const latest = await Planogram.findOne({ shelfId }).sort({ version: -1 });
+
+    try {
+      return await Planogram.create({
+        storeId: shelf.storeId,
+        shelfId,
+        version: latest ? latest.version + 1 : 1,
+        name,
+        notes,
+        effectiveFrom: effectiveFrom || new Date(),
+        slots,
+        createdBy: user._id
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new HttpError(409, 'Another version was created at the same time; retry');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Only versions that have not taken effect yet can be withdrawn
+   */
+  async deleteVersion(shelfId, version) {
+    const planogram = await Planogram.findOne({ shelfId, version });
+    if (!planogram) {
+      throw new HttpError(404, 'Planogram version not found');
+    }
+    if (planogram.effectiveFrom <= new Date()) {
+      throw new HttpError(409, 'Versions that have taken effect are kept for history');
+    }
+
+    await planogram.deleteOne();
+    return planogram;
+  }
+
+  async getShelf(shelfId) {
+    const shelf = await Shelf.findById(shelfId);
+    if (!shelf) {
+      throw new HttpError(404, 'Shelf not found');
+    }
+    return shelf;
+  }
+
+  /**
+   * Compare a reading's detections with the planogram in effect when it was
+   * taken. Slots for the reading's product are `ok` or `missing`; other
+   * products' slots the product was found in are `misplaced`. Returns null
+   * when the shelf has no planogram or the image size is unknown.
+   */
+  async evaluateReading({ shelfId, productId, timestamp, boundingBoxes = [], dimensions }) {
+    if (!dimensions || !dimensions.width || !dimensions.height) return null;
+
+    const planogram = await Planogram.findEffective(shelfId, timestamp);
+    if (!planogram) return null;
+
+    // Detections are in pixels; slots are fractions of the image
+    const boxes = boundingBoxes.map(box => ({
+      x: box.x / dimensions.width,
+      y: box.y / dimensions.height,
+      width: box.width / dimensions.width,
+      height: box.height / dimensions.height
+    }));
+
+    const slots = [];
+    for (const slot of planogram.slots) {
+      const slotArea = slot.width * slot.height;
+      const covered = boxes.reduce((sum, box) => sum + intersectionArea(slot, box), 0);
+      const coverage = Math.min(1, covered / slotArea);
+      const expected = slot.productId.toString() === productId.toString();
+
+      let status;
+      if (expected) {
+        status = coverage >= MIN_SLOT_COVERAGE ? 'ok' : 'missing';
+      } else if (coverage >= MIN_SLOT_COVERAGE) {
+        status = 'misplaced';
+      } else {
+        continue; // Another product's slot; this reading says nothing about it
+      }
+
+      slots.push({
+        name: slot.name,
+        expectedProductId: slot.productId,
+        status,
+        coverage: Math.round(coverage * 1000) / 1000,
+        expectedFacings: slot.facings,
+        detectedFacings: boxes.filter(box => containsCenter(slot, box)).length
+      });
+    }
+
+    return {
+      planogramId: planogram._id,
+      version: planogram.version,
+      onPlanogram: planogram.slots.some(slot => slot.productId.toString() === productId.toString()),
+      slots,
+      missing: slots.filter(slot => slot.status === 'missing').length,
+      misplaced: slots.filter(slot => slot.status === 'misplaced').length,
+      // Detections that fall outside every slot
+      unplanned: boxes.filter(box => !planogram.slots.some(slot => containsCenter(slot, box))).length
+    };
+  }
+}
+
+module.exports = new PlanogramService();
@@ -0,0 +1,111 @@
+const Product = require('../models/Product');
+const HttpError = require('../utils/httpError');
+const { isCrossStore } = require('../utils/tenantContext');
+
+const PRODUCT_FIELDS = ['name', 'category', 'imageUrl', 'description', 'sku', 'barcode', 'unit', 'minStockLevel', 'maxStockLevel', 'metadata'];
+
+function pickProductFields(source) {
+  const fields = {};
+  for (const field of PRODUCT_FIELDS) {
+    if (source[field] !== undefined) {
+      fields[field] = source[field];
+    }
+  }
+  return fields;
+}
+
+class ProductService {
+
+  /**
+   * List the catalogue, optionally searched and filtered by category
+   */
+  async listProducts({ search, category, includeInactive = false } = {}) {
+    const products = search
+      ? await Product.searchProducts(search, { category, includeInactive }).sort({ name: 1 })
+      : await Product.find({
+        ...(includeInactive ? {} : { isActive: true }),
+        ...(category ? { category } : {})
+      }).sort({ name: 1 });
+
+    return products.map(product => product.getProductInfo());
+  }
+
+  /**
+   * Categories in use by active products, with how many products each has
+   */
+  async listCategories() {
+    const categories = await Product.aggregate([
+      { $match: { isActive: true, category: { $nin: [null, ''] } } },
+      { $group: { _id: '$category', products: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ]);
+    return categories.map(({ _id, products }) => ({ category: _id, products }));
+  }
+
+  async getProduct(productId) {
+    const product = await Product.findById(productId);
+    if (!product) {
+      throw new HttpError(404, 'Product not found');
+    }
+    return product;
+  }
+
+  async createProduct(data) {
+    this.assertCatalogueWritable();
+    try {
+      return await Product.create(pickProductFields(data));
+    } catch (error) {
+      throw this.translateDuplicate(error);
+    }
+  }
+
+  /**
+   * Update a product. The stock range is checked against the stored values
+   * for whichever bound is not being changed.
+   */
+  async updateProduct(productId, updates) {
+    this.assertCatalogueWritable();
+    const product = await this.getProduct(productId);
+    const before = product.getProductInfo();
+
+    product.set(pickProductFields(updates));
+    try {
+      await product.save();
+    } catch (error) {
+      throw this.translateDuplicate(error);
+    }
+
+    return { product, before };
+  }
+
+  /**
+   * Take a product out of the catalogue; its stock history is kept
+   */
+  async deactivateProduct(productId) {
+    this.assertCatalogueWritable();
+    const product = await this.getProduct(productId);
+    const before = product.getProductInfo();
+
+    product.isActive = false;
+    await product.save();
+
+    return { product, before };
+  }
+
+  // Every store shares one catalogue, so only cross-store admins may change it
+  assertCatalogueWritable() {
+    if (!isCrossStore()) {
+      throw new HttpError(403, 'Only cross-store admins can change the product catalogue');
+    }
+  }
+
+  // SKUs and barcodes are unique across the catalogue
+  translateDuplicate(error) {
+    if (error.code !== 11000) return error;
+    const field = Object.keys(error.keyPattern || {})[0] || 'sku';
+    const value = error.keyValue ? error.keyValue[field] : undefined;
+    return new HttpError(409, `A product with ${field} '${value}' already exists`);
+  }
+}
+
+module.exports = new ProductService();
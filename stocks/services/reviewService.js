@@ -0,0 +1,211 @@
+const StockLevel = require('../models/StockLevel');
+const Image = require('../models/Image');
+const HttpError = require('../utils/httpError');
+const alertEngineService = require('./alertEngineService');
+const planogramService = require('./planogramService');
+
+class ReviewService {
+
+  /**
+   * Computer vision readings below this confidence need a human review
+   */
+  getConfidenceThreshold() {
+    const threshold = parseFloat(process.env.CV_REVIEW_CONFIDENCE_THRESHOLD);
+    return Number.isFinite(threshold) ? threshold : 0.6;
+  }
+
+  needsReview(confidence) {
+    return confidence < this.getConfidenceThreshold();
+  }
+
+  /**
+   * Pending readings, least confident first, with the detector output to check
+   */
+  async listQueue({ shelfId, productId, page = 1, limit = 50 } = {}) {
+    const filter = { reviewStatus: 'pending', isActive: true };
+    if (shelfId) filter.shelfId = shelfId;
+    if (productId) filter.productId = productId;
+
+    const [readings, total] = await Promise.all([
+      StockLevel.find(filter)
+        .populate('shelfId', 'shelfName')
+        .populate('productId', 'name sku')
+        .populate('imageId')
+        .sort({ confidence: 1, timestamp: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      StockLevel.countDocuments(filter)
+    ]);
+
+    return {
+      reviews: readings.map(reading => this.toReview(reading)),
+      total,
+      page,
+      limit,
+      confidenceThreshold: this.getConfidenceThreshold()
+    };
+  }
+
+  async getReview(stockLevelId) {
+    const reading = await StockLevel.findById(stockLevelId)
+      .populate('shelfId', 'shelfName')
+      .populate('productId', 'name sku')
+      .populate('imageId');
+    if (!reading || reading.reviewStatus === 'not_required') {
+      throw new HttpError(404, 'Review not found');
+    }
+    return this.toReview(reading);
+  }
+
+  /**
+   * Accept the detector's reading as correct
+   */
+  async confirm(user, stockLevelId, { notes } = {}) {
+    const reading = await this.claimPending(stockLevelId, 'confirmed', user, notes);
+    const image = reading.imageId ? await Image.findById(reading.imageId) : null;
+
+    if (image) {
+      await this.labelImage(image, 'confirmed', user, {
+        stockPercentage: reading.stockPercentage,
+        boundingBoxes: image.processingResults ? image.processingResults.boundingBoxes : []
+      });
+    }
+
+    // Held back from alerting while it was pending
+    await alertEngineService.evaluateStockLevel(reading);
+
+    return { reading, correction: null };
+  }
+
+  /**
+   * Replace the detector's reading with a manual one. Bounding boxes default
+   * to the detector's when only the percentage was wrong.
+   */
+  async correct(user, stockLevelId, { stockPercentage, stockCount, boundingBoxes, notes }) {
+    const reading = await this.claimPending(stockLevelId, 'corrected', user, notes);
+
+    let image;
+    let correctedBoxes;
+    let correction;
+    try {
+      image = reading.imageId ? await Image.findById(reading.imageId) : null;
+      correctedBoxes = boundingBoxes || (image && image.processingResults ? image.processingResults.boundingBoxes : []);
+      correction = await this.createCorrection(user, reading, image, { stockPercentage, stockCount, correctedBoxes });
+    } catch (error) {
+      // Without a correction the reading still needs reviewing
+      await this.releaseClaim(reading);
+      throw error;
+    }
+
+    reading.review.correctionId = correction._id;
+    await reading.save();
+
+    if (image) {
+      await this.labelImage(image, 'corrected', user, { stockPercentage, boundingBoxes: correctedBoxes });
+    }
+
+    return { reading, correction };
+  }
+
+  async createCorrection(user, reading, image, { stockPercentage, stockCount, correctedBoxes }) {
+    // Re-check the planogram against the corrected boxes
+    const planogram = image ? await planogramService.evaluateReading({
+      shelfId: reading.shelfId,
+      productId: reading.productId,
+      timestamp: reading.timestamp,
+      boundingBoxes: correctedBoxes,
+      dimensions: image.dimensions
+    }) : reading.planogram;
+
+    return await StockLevel.create({
+      storeId: reading.storeId,
+      shelfId: reading.shelfId,
+      productId: reading.productId,
+      stockPercentage,
+      stockCount,
+      detectionMethod: 'manual',
+      confidence: 1,
+      imageId: reading.imageId,
+      timestamp: reading.timestamp,
+      metadata: {
+        correctionOf: reading._id,
+        detectedStockPercentage: reading.stockPercentage,
+        reviewedBy: user._id
+      },
+      planogram,
+      tags: ['review']
+    });
+  }
+
+  /**
+   * Move a pending reading to its reviewed state; only one reviewer wins
+   */
+  async claimPending(stockLevelId, reviewStatus, user, notes) {
+    const reading = await StockLevel.findOneAndUpdate(
+      { _id: stockLevelId, reviewStatus: 'pending' },
+      {
+        $set: {
+          reviewStatus,
+          'review.reviewedBy': user._id,
+          'review.reviewedAt': new Date(),
+          'review.notes': notes || null
+        }
+      },
+      { new: true }
+    );
+
+    if (!reading) {
+      const existing = await StockLevel.findById(stockLevelId);
+      if (!existing || existing.reviewStatus === 'not_required') {
+        throw new HttpError(404, 'Review not found');
+      }
+      throw new HttpError(409, `Reading has already been ${existing.reviewStatus}`);
+    }
+    return reading;
+  }
+
+  /**
+   * Put a claimed reading back in the queue when its review could not be recorded
+   */
+  async releaseClaim(reading) {
+    await StockLevel.updateOne(
+      { _id: reading._id, reviewStatus: reading.reviewStatus, 'review.correctionId': null },
+      {
+        $set: {
+          reviewStatus: 'pending',
+          'review.reviewedBy': null,
+          'review.reviewedAt': null,
+          'review.notes': null
+        }
+      }
+    );
+  }
+
+  async labelImage(image, status, user, { stockPercentage, boundingBoxes }) {
+    image.labels = {
+      status,
+      stockPercentage,
+      boundingBoxes: (boundingBoxes || []).map(({ x, y, width, height }) => ({ x, y, width, height })),
+      reviewedBy: user._id,
+      reviewedAt: new Date()
+    };
+    await image.save();
+    return image;
+  }
+
+  toReview(reading) {
+    const image = reading.imageId && reading.imageId._id ? reading.imageId : null;
+    return {
+      ...reading.getStockInfo(),
+      shelfId: reading.shelfId && reading.shelfId._id ? reading.shelfId._id : reading.shelfId,
+      productId: reading.productId && reading.productId._id ? reading.productId._id : reading.productId,
+      imageId: image ? image._id : reading.imageId,
+      shelfName: reading.shelfId ? reading.shelfId.shelfName : null,
+      productName: reading.productId ? reading.productId.name : null,
+      detection: image ? image.processingResults : null,
+      labels: image ? image.labels : null
+    };
+  }
+}
+
+module.exports = new ReviewService();
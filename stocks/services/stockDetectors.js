@@ -0,0 +1,232 @@
+const fs = require('fs/promises');
+const { PNG } = require('pngjs');
+const jpeg = require('jpeg-js');
+const Shelf = require('../models/Shelf');
+const imageUploadService = require('./imageUploadService');
+
+// Detector contract: detect(image, { options, readFile }) resolves with
+// { detectedStockLevel (0-100), confidence (0-1), boundingBoxes, annotations? },
+// the shape of Image.processingResults. readFile() loads the stored file.
+
+/**
+ * Decode a stored image into RGBA pixels
+ */
+function decodePixels(buffer, mimeType) {
+  if (mimeType === 'image/png') {
+    const png = PNG.sync.read(buffer);
+    return { width: png.width, height: png.height, data: png.data };
+  }
+  if (mimeType === 'image/jpeg') {
+    return jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true, maxMemoryUsageInMB: 512 });
+  }
+  throw new Error(`Cannot decode ${mimeType} images`);
+}
+
+function isNormalizedRegion(region) {
+  return region && ['x', 'y', 'width', 'height'].every(key => typeof region[key] === 'number') &&
+    region.x >= 0 && region.y >= 0 && region.width > 0 && region.height > 0 &&
+    region.x + region.width <= 1 && region.y + region.height <= 1;
+}
+
+function round(value, places) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+const detectors = {
+  /**
+   * Results computed on the camera and uploaded with the image as `detection`
+   */
+  edge: {
+    description: 'Use the detection the camera uploaded with the image',
+    async detect(image) {
+      const detection = image.metadata && image.metadata.detection;
+      if (!detection) {
+        throw new Error('No detection results were supplied with this image');
+      }
+      return detection;
+    }
+  },
+
+  /**
+   * Reference detector: share of pixels inside the shelf mask that differ
+   * from the empty-shelf background. Each mask region is split into vertical
+   * slots; slots at least half occupied become bounding boxes. Confidence
+   * drops as slots get close to half full, where the call is ambiguous.
+   *
+   * Options: regions ([{ x, y, width, height }] as fractions of the image,
+   * default the whole image), background (0-255 luma, default 255),
+   * threshold (luma difference, default 48), slots (per region, default 10).
+   */
+  occupancy: {
+    description: 'Pixel occupancy over a shelf mask (deterministic, no ML service)',
+    validateOptions(options = {}) {
+      const { regions, background, threshold, slots } = options;
+      if (regions !== undefined && (!Array.isArray(regions) || regions.length === 0 || !regions.every(isNormalizedRegion))) {
+        return 'regions must be a non-empty array of { x, y, width, height } fractions within the image';
+      }
+      if (background !== undefined && !(background >= 0 && background <= 255)) {
+        return 'background must be between 0 and 255';
+      }
+      if (threshold !== undefined && !(threshold > 0 && threshold <= 255)) {
+        return 'threshold must be between 1 and 255';
+      }
+      if (slots !== undefined && !(Number.isInteger(slots) && slots >= 1 && slots <= 100)) {
+        return 'slots must be an integer between 1 and 100';
+      }
+      return null;
+    },
+    async detect(image, { options = {}, readFile }) {
+      const {
+        regions = [{ x: 0, y: 0, width: 1, height: 1 }],
+        background = 255,
+        threshold = 48,
+        slots = 10
+      } = options;
+
+      const { width, height, data } = decodePixels(await readFile(), image.mimeType);
+
+      let occupiedPixels = 0;
+      let maskPixels = 0;
+      let certainty = 0;
+      let slotCount = 0;
+      const boundingBoxes = [];
+
+      for (const region of regions) {
+        const x0 = Math.round(region.x * width);
+        const x1 = Math.round((region.x + region.width) * width);
+        const y0 = Math.round(region.y * height);
+        const y1 = Math.round((region.y + region.height) * height);
+        const slotWidth = (x1 - x0) / slots;
+
+        for (let slot = 0; slot < slots; slot++) {
+          const sx0 = x0 + Math.floor(slot * slotWidth);
+          const sx1 = x0 + Math.floor((slot + 1) * slotWidth);
+          const pixels = (sx1 - sx0) * (y1 - y0);
+          if (pixels <= 0) continue;
+
+          let occupied = 0;
+          for (let y = y0; y < y1; y++) {
+            for (let x = sx0; x < sx1; x++) {
+              const offset = (y * width + x) * 4;
+              const luma = 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+              if (Math.abs(luma - background) > threshold) occupied++;
+            }
+          }
+
+          const fraction = occupied / pixels;
+          const slotCertainty = Math.abs(fraction - 0.5) * 2;
+          occupiedPixels += occupied;
+          maskPixels += pixels;
+          certainty += slotCertainty;
+          slotCount++;
+
+          if (fraction >= 0.5) {
+            boundingBoxes.push({
+              x: sx0,
+              y: y0,
+              width: sx1 - sx0,
+              height: y1 - y0,
+              confidence: round(slotCertainty, 3)
+            });
+          }
+        }
+      }
+
+      if (maskPixels === 0) {
+        throw new Error('Shelf mask does not cover any pixels');
+      }
+
+      return {
+        detectedStockLevel: round((occupiedPixels / maskPixels) * 100, 1),
+        confidence: round(certainty / slotCount, 3),
+        boundingBoxes,
+        annotations: [`occupancy:${boundingBoxes.length}/${slotCount} slots`]
+      };
+    }
+  }
+};
+
+function getDetector(name) {
+  const detector = detectors[name];
+  if (!detector) {
+    throw new Error(`No stock detector registered as '${name}'`);
+  }
+  return detector;
+}
+
+function registerDetector(name, detector) {
+  if (!detector || typeof detector.detect !== 'function') {
+    throw new Error('A stock detector must implement detect(image, context)');
+  }
+  detectors[name] = detector;
+}
+
+function listDetectors() {
+  return Object.entries(detectors).map(([name, detector]) => ({
+    name,
+    description: detector.description || null
+  }));
+}
+
+/**
+ * Check a detector assignment; returns an error message or null
+ */
+function validateAssignment({ name, options } = {}) {
+  if (!detectors[name]) {
+    return `Unknown detector '${name}'. Registered: ${Object.keys(detectors).join(', ')}`;
+  }
+  const { validateOptions } = detectors[name];
+  return validateOptions ? validateOptions(options || {}) : null;
+}
+
+function getDefaultDetectorName() {
+  return process.env.CV_DEFAULT_DETECTOR || 'edge';
+}
+
+/**
+ * Pick the detector for an image: the shelf's assignment, then the shelf
+ * camera's, then CV_DEFAULT_DETECTOR
+ */
+async function resolveDetector(image) {
+  const shelf = await Shelf.findById(image.shelfId).populate('cameraId');
+  const camera = shelf ? shelf.cameraId : null;
+
+  let assignment = { name: getDefaultDetectorName(), options: {} };
+  let source = 'default';
+  if (shelf && shelf.detector && shelf.detector.name) {
+    assignment = shelf.detector;
+    source = 'shelf';
+  } else if (camera && camera.detector && camera.detector.name) {
+    assignment = camera.detector;
+    source = 'camera';
+  }
+
+  return {
+    name: assignment.name,
+    source,
+    options: assignment.options || {},
+    detector: getDetector(assignment.name)
+  };
+}
+
+/**
+ * Run the detector resolved for an image
+ */
+async function detectStock(image) {
+  const { name, source, options, detector } = await resolveDetector(image);
+  const results = await detector.detect(image, {
+    options,
+    readFile: () => fs.readFile(imageUploadService.resolveStoredPath(image))
+  });
+  return { ...results, detector: name, detectorSource: source };
+}
+
+module.exports = {
+  detectStock,
+  resolveDetector,
+  getDetector,
+  registerDetector,
+  listDetectors,
+  validateAssignment
+};
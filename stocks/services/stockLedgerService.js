@@ -0,0 +1,920 @@
+const mongoose = require('mongoose');
+const StockBalance = require('../models/StockBalance');
+const StockHistory = require('../models/StockHistory');
+const StockTimeSeries = require('../models/StockTimeSeries');
+const alertEngineService = require('./alertEngineService');
+const locationService = require('./locationService');
+const HttpError = require('../utils/httpError');
+
+const REASONS = StockTimeSeries.schema.path('reason').enumValues;
+
+// Times a batch re-reads a product's balance that changed under it
+const MAX_BATCH_ATTEMPTS = 5;
+
+// Times a backdated change re-reads the ledger, waiting for changes in flight
+const MAX_REPLAY_ATTEMPTS = 20;
+
+// Oldest first; ties keep ledger order
+const CHRONOLOGICAL = { timestamp: 1, sequence: 1, _id: 1 };
+
+function groupKey(storeId, productId) {
+  return `${storeId || null}:${productId}`;
+}
+
+// Running-balance metrics stored on every entry: the change itself once there
+// is a previous entry, and how much it differs from the previous change
+function movementMetrics(change, previous) {
+  return {
+    velocity: previous ? change : 0,
+    acceleration: previous && previous.velocity !== undefined ? change - previous.velocity : 0
+  };
+}
+
+// Lay new events over the ledger entries that follow the opening position (an
+// event goes after entries with the same timestamp)
+function mergeTimeline(entries, events) {
+  const timeline = [];
+  let next = 0;
+  for (const event of events) {
+    while (next < entries.length && entries[next].timestamp <= event.timestamp) {
+      timeline.push(entries[next++]);
+    }
+    timeline.push(event);
+  }
+  return timeline.concat(entries.slice(next));
+}
+
+function replayTimeline({ stockLevel, previous }, timeline) {
+  return timeline.map(item => {
+    stockLevel += item.change;
+    const metrics = movementMetrics(item.change, previous);
+    previous = metrics;
+    return { item, stockLevel, ...metrics };
+  });
+}
+
+// Replay the running balance over existing entries with new events (sorted
+// by time) slotted in. A removal is rejected when its own level or any later
+// one would go below zero. Returns the accepted and rejected events, every
+// replayed step, and the existing entries whose values changed.
+function planReplay(opening, entries, events) {
+  const accepted = [];
+  const rejected = [];
+  for (const event of events) {
+    if (event.change < 0) {
+      const steps = replayTimeline(opening, mergeTimeline(entries, [...accepted, event]));
+      const position = steps.findIndex(step => step.item === event);
+      if (steps.slice(position).some(step => step.stockLevel < 0)) {
+        rejected.push({ event, error: 'Stock level cannot be negative' });
+        continue;
+      }
+    }
+    accepted.push(event);
+  }
+
+  const steps = replayTimeline(opening, mergeTimeline(entries, accepted));
+  const rewrites = steps
+    .filter(({ item, stockLevel, velocity, acceleration }) => item._id && (
+      item.stockLevel !== stockLevel || item.velocity !== velocity || item.acceleration !== acceleration
+    ))
+    .map(({ item, stockLevel, velocity, acceleration }) => ({ _id: item._id, stockLevel, velocity, acceleration }));
+
+  return { accepted, rejected, steps, rewrites };
+}
+
+// Why a batch event cannot be recorded, or null when it is well-formed
+function describeInvalidEvent(event) {
+  if (!event || typeof event !== 'object' || Array.isArray(event)) return 'Event must be an object';
+  if (typeof event.productId !== 'string' || !event.productId.trim()) return 'Product ID is required';
+  if (typeof event.change === 'boolean' || event.change === null || event.change === '' || !Number.isFinite(Number(event.change))) {
+    return 'Change must be a number';
+  }
+  if (!REASONS.includes(event.reason)) return 'Invalid reason';
+  if (event.timestamp !== undefined && (typeof event.timestamp !== 'string' || isNaN(Date.parse(event.timestamp)))) {
+    return 'Timestamp must be valid ISO8601 format';
+  }
+  if (event.locationId != null && !mongoose.isValidObjectId(event.locationId)) return 'Invalid location ID';
+  return null;
+}
+
+class StockLedgerService {
+
+  /**
+   * The ledger is StockTimeSeries: one entry per change carrying the running
+   * balance. Each entry is mirrored into StockHistory (linked by
+   * ledgerEntryId) so the /api/stocks history and analytics read the same
+   * balance.
+   */
+  async getLatestEntry(productId) {
+    return await StockTimeSeries.findOne({ productId }, {}, { sort: { timestamp: -1, sequence: -1, _id: -1 } });
+  }
+
+  /**
+   * Current balance of a product. Products whose history predates the ledger
+   * and has not been migrated yet fall back to their newest StockHistory record.
+   */
+  async getBalance(productId) {
+    const latestEntry = await this.getLatestEntry(productId);
+    if (latestEntry) {
+      return { productId, stockLevel: latestEntry.stockLevel, lastUpdated: latestEntry.timestamp, source: 'ledger' };
+    }
+
+    const latestHistory = await StockHistory.findOne({ productId }, {}, { sort: { timestamp: -1 } });
+    return {
+      productId,
+      stockLevel: latestHistory ? latestHistory.stockLevel : 0,
+      lastUpdated: latestHistory ? latestHistory.timestamp : null,
+      source: latestHistory ? 'history' : null
+    };
+  }
+
+  /**
+   * Append a change to the ledger and its StockHistory mirror. The balance may
+   * never go below zero. Concurrent changes to the same product are
+   * serialised by the product's StockBalance, so none of them is lost.
+   * Without a timestamp the change is dated when the balance moved.
+   *
+   * A change dated before the product's newest entry is slotted in by time and
+   * every later entry is recomputed (see recordReplay).
+   */
+  async recordChange({ productId, change, reason, timestamp = null, location = 'warehouse', locationId = null }) {
+    const amount = Number(change);
+    const at = timestamp ? new Date(timestamp) : null;
+
+    if (at && await StockTimeSeries.exists({ productId, timestamp: { $gt: at } })) {
+      const replay = await this.recordReplay(productId, [
+        { productId, change: amount, reason, timestamp: at, location, locationId }
+      ]);
+      if (replay.rejected.length > 0) {
+        const [rejection] = replay.rejected;
+        throw new HttpError(rejection.statusCode || 400, rejection.error);
+      }
+
+      await this.evaluateLatestEntry(productId);
+      const [{ entry, history }] = replay.accepted;
+      return {
+        entry,
+        history,
+        previousStockLevel: replay.previousStockLevel,
+        currentStockLevel: replay.stockLevel,
+        rewritten: replay.rewritten
+      };
+    }
+
+    const balance = await this.claimChange(productId, amount);
+    const { stockLevel, velocity, acceleration } = balance;
+
+    let entry;
+    try {
+      entry = await StockTimeSeries.create({
+        timestamp: at || balance.updatedAt,
+        productId,
+        location,
+        locationId,
+        stockLevel,
+        change: amount,
+        reason,
+        velocity,
+        acceleration,
+        sequence: balance.version
+      });
+    } catch (error) {
+      await this.releaseChange(productId, amount, balance.version);
+      throw error;
+    }
+
+    let history;
+    try {
+      history = await StockHistory.create({
+        productId,
+        timestamp: entry.timestamp,
+        change: amount,
+        stockLevel,
+        reason,
+        ledgerEntryId: entry._id
+      });
+    } catch (error) {
+      // Never leave a ledger entry without its mirror
+      await StockTimeSeries.deleteOne({ _id: entry._id });
+      await this.releaseChange(productId, amount, balance.version);
+      throw error;
+    }
+    await this.settleChange(productId);
+
+    return {
+      entry,
+      history,
+      previousStockLevel: stockLevel - amount,
+      currentStockLevel: stockLevel,
+      rewritten: 0
+    };
+  }
+
+  // Newest ledger entry dated at or before the given time
+  async getEntryAt(productId, at) {
+    return await StockTimeSeries.findOne(
+      { productId, timestamp: { $lte: at } },
+      {},
+      { sort: { timestamp: -1, sequence: -1, _id: -1 } }
+    );
+  }
+
+  /**
+   * Slot events dated before some of a product's ledger entries into the
+   * ledger and recompute every entry after them, with their history mirrors.
+   * Events that would take their own level, or any later one, below zero are
+   * rejected, oldest first. The plan is worked out from one snapshot of the
+   * ledger, taken while no other change to the product is being written, and
+   * only applied if the balance's version has not moved since.
+   */
+  async recordReplay(productId, events) {
+    for (let attempt = 0; attempt < MAX_REPLAY_ATTEMPTS; attempt++) {
+      const balance = await this.loadBalance(productId);
+      if (balance.pending > 0) {
+        // Let changes that were already claimed reach the ledger first
+        await new Promise(resolve => setTimeout(resolve, Math.min(25 * (attempt + 1), 200)));
+        continue;
+      }
+
+      const anchor = await this.getEntryAt(productId, events[0].timestamp);
+      const entries = await StockTimeSeries.find(
+        anchor ? { productId, timestamp: { $gte: anchor.timestamp } } : { productId }
+      ).sort(CHRONOLOGICAL);
+      const later = anchor ? entries.slice(entries.findIndex(entry => entry._id.equals(anchor._id)) + 1) : entries;
+
+      let opening;
+      if (later.length === 0) {
+        // The newer entries are gone; the events simply follow the balance
+        opening = { stockLevel: balance.stockLevel, previous: balance.velocity === null ? null : { velocity: balance.velocity } };
+      } else if (anchor) {
+        opening = { stockLevel: anchor.stockLevel, previous: { velocity: anchor.velocity } };
+      } else {
+        opening = { stockLevel: later[0].stockLevel - later[0].change, previous: null };
+      }
+      const plan = planReplay(opening, later, events);
+      if (plan.accepted.length === 0) {
+        return { accepted: [], rejected: plan.rejected, rewritten: 0, previousStockLevel: balance.stockLevel, stockLevel: balance.stockLevel };
+      }
+
+      const netChange = plan.accepted.reduce((sum, event) => sum + event.change, 0);
+      const newest = plan.steps[plan.steps.length - 1];
+      const claimed = await StockBalance.updateOne(
+        { _id: balance._id, version: balance.version, pending: { $not: { $gt: 0 } } },
+        {
+          $set: {
+            stockLevel: balance.stockLevel + netChange,
+            velocity: newest.velocity,
+            acceleration: newest.acceleration,
+            previousVelocity: balance.velocity,
+            previousAcceleration: balance.acceleration,
+            version: balance.version + plan.accepted.length,
+            updatedAt: new Date(),
+            pending: 1
+          }
+        }
+      );
+      if (claimed.modifiedCount === 1) {
+        return await this.writeReplay(productId, balance, plan, netChange);
+      }
+    }
+
+    return {
+      accepted: [],
+      rejected: events.map(event => ({ event, error: 'Stock level kept changing, please retry', statusCode: 409 })),
+      rewritten: 0
+    };
+  }
+
+  // Write a claimed replay plan: the new entries and mirrors, then the
+  // recomputed later entries and mirrors
+  async writeReplay(productId, balance, plan, netChange) {
+    const levels = new Map(plan.steps.map(step => [step.item, step]));
+    const entries = plan.accepted.map((event, offset) => {
+      const { stockLevel, velocity, acceleration } = levels.get(event);
+      return {
+        _id: new mongoose.Types.ObjectId(),
+        timestamp: event.timestamp,
+        productId,
+        location: event.location,
+        locationId: event.locationId,
+        change: event.change,
+        reason: event.reason,
+        stockLevel,
+        velocity,
+        acceleration,
+        sequence: balance.version + offset + 1
+      };
+    });
+
+    let inserted;
+    let history;
+    try {
+      // Bulk inserts skip the per-entry alert hook, which would judge the
+      // current stock by a past level
+      inserted = await StockTimeSeries.insertMany(entries);
+      history = await StockHistory.insertMany(inserted.map(entry => ({
+        productId,
+        timestamp: entry.timestamp,
+        change: entry.change,
+        stockLevel: entry.stockLevel,
+        reason: entry.reason,
+        ledgerEntryId: entry._id
+      })));
+    } catch (error) {
+      const entryIds = entries.map(entry => entry._id);
+      await StockTimeSeries.deleteMany({ _id: { $in: entryIds } });
+      await StockHistory.deleteMany({ ledgerEntryId: { $in: entryIds } });
+      await this.releaseChange(productId, netChange, balance.version + plan.accepted.length);
+      throw error;
+    }
+
+    try {
+      if (plan.rewrites.length > 0) {
+        await StockTimeSeries.bulkWrite(plan.rewrites.map(({ _id, ...fields }) => ({
+          updateOne: { filter: { _id }, update: { $set: fields } }
+        })));
+        await StockHistory.bulkWrite(plan.rewrites.map(({ _id, stockLevel }) => ({
+          updateMany: { filter: { ledgerEntryId: _id }, update: { $set: { stockLevel } } }
+        })));
+      }
+    } finally {
+      await this.settleChange(productId);
+    }
+
+    return {
+      accepted: plan.accepted.map((event, index) => ({ event, entry: inserted[index], history: history[index] })),
+      rejected: plan.rejected,
+      rewritten: plan.rewrites.length,
+      previousStockLevel: balance.stockLevel,
+      stockLevel: balance.stockLevel + netChange
+    };
+  }
+
+  // Alert rules judge the product's newest entry, whatever order changes
+  // arrive in. Resolves to that entry.
+  async evaluateLatestEntry(productId) {
+    const latestEntry = await this.getLatestEntry(productId);
+    try {
+      await alertEngineService.evaluateTimeSeriesRecord(latestEntry);
+    } catch (error) {
+      console.error('Error evaluating alert rules for stock ledger:', error.message);
+    }
+    return latestEntry;
+  }
+
+  /**
+   * Move a product's balance by amount in one atomic update, opening the
+   * balance from the ledger the first time. Resolves to the updated balance.
+   */
+  async claimChange(productId, amount) {
+    let balance = await StockBalance.applyChange(productId, amount);
+    if (!balance) {
+      // Either the stock is insufficient or this is the product's first change
+      if (!(await StockBalance.exists({ productId }))) {
+        await this.openBalance(productId);
+      }
+      balance = await StockBalance.applyChange(productId, amount);
+    }
+
+    if (!balance) {
+      throw new HttpError(400, 'Stock level cannot be negative');
+    }
+    return balance;
+  }
+
+  async openBalance(productId) {
+    const latestEntry = await this.getLatestEntry(productId);
+    const stockLevel = latestEntry
+      ? latestEntry.stockLevel
+      : (await this.getBalance(productId)).stockLevel;
+
+    try {
+      await StockBalance.create({
+        productId,
+        stockLevel,
+        velocity: latestEntry ? latestEntry.velocity : null,
+        acceleration: latestEntry ? latestEntry.acceleration : 0,
+        version: latestEntry ? latestEntry.sequence || 0 : 0
+      });
+    } catch (error) {
+      // Another writer opened it first
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  // Give back a claimed change whose ledger entry could not be written. The
+  // claim left the balance at version; while it still is, no later change has
+  // replaced the claim's velocity and acceleration, so the earlier ones return.
+  async releaseChange(productId, amount, version) {
+    const newest = { $eq: ['$version', version] };
+    await StockBalance.updateOne({ productId }, [{
+      $set: {
+        stockLevel: { $subtract: ['$stockLevel', amount] },
+        velocity: { $cond: [newest, '$previousVelocity', '$velocity'] },
+        acceleration: { $cond: [newest, '$previousAcceleration', '$acceleration'] },
+        version: { $add: ['$version', 1] },
+        pending: { $subtract: ['$pending', 1] }
+      }
+    }]);
+  }
+
+  // Mark a claimed change as written to the ledger
+  async settleChange(productId) {
+    await StockBalance.updateOne({ productId }, { $inc: { pending: -1 } });
+  }
+
+  async loadBalance(productId) {
+    const balance = await StockBalance.findOne({ productId });
+    if (balance) return balance;
+
+    await this.openBalance(productId);
+    return await StockBalance.findOne({ productId });
+  }
+
+  /**
+   * Record a batch of changes. Each product's events are applied in timestamp
+   * order (ties keep their batch order) on top of its balance, which moves
+   * once per batch under an optimistic version check. Invalid events, and
+   * events that would take a balance below zero, are rejected without
+   * affecting the rest. A product whose events start before its newest entry
+   * goes through recordReplay instead, so its later entries are recomputed
+   * and checked too. Alert rules are evaluated once per product, against its
+   * newest entry. Resolves to one result per event, in batch order.
+   */
+  async recordBatch(events) {
+    const receivedAt = new Date();
+    const results = new Array(events.length);
+    const reject = (index, error, productId = null) => {
+      results[index] = { index, productId, status: 'rejected', error };
+    };
+
+    const valid = [];
+    events.forEach((event, index) => {
+      const problem = describeInvalidEvent(event);
+      if (problem) return reject(index, problem, event && typeof event.productId === 'string' ? event.productId : null);
+      valid.push({
+        index,
+        productId: event.productId,
+        change: Number(event.change),
+        reason: event.reason,
+        timestamp: event.timestamp ? new Date(event.timestamp) : receivedAt,
+        location: event.location,
+        locationId: event.locationId || null
+      });
+    });
+
+    // The free-text location defaults to the hierarchy location's code or name
+    const places = new Map();
+    for (const locationId of new Set(valid.filter(event => event.locationId).map(event => String(event.locationId)))) {
+      try {
+        places.set(locationId, await locationService.assertAssignable(locationId));
+      } catch (error) {
+        places.set(locationId, error);
+      }
+    }
+
+    const byProduct = new Map();
+    for (const event of valid) {
+      const place = event.locationId ? places.get(String(event.locationId)) : null;
+      if (place instanceof Error) {
+        reject(event.index, place.message, event.productId);
+        continue;
+      }
+      event.location = event.location || (place ? place.code || place.name : 'warehouse');
+      byProduct.set(event.productId, [...(byProduct.get(event.productId) || []), event]);
+    }
+
+    const claims = [];
+    const backdated = [];
+    for (const [productId, productEvents] of byProduct) {
+      productEvents.sort((a, b) => a.timestamp - b.timestamp || a.index - b.index);
+      if (await StockTimeSeries.exists({ productId, timestamp: { $gt: productEvents[0].timestamp } })) {
+        backdated.push([productId, productEvents]);
+        continue;
+      }
+      const plan = await this.claimBatch(productId, productEvents);
+      for (const { event, error } of plan.rejected) reject(event.index, error, productId);
+      if (plan.accepted.length > 0) claims.push(plan);
+    }
+
+    const entries = claims.flatMap(plan => plan.accepted.map(({ event, entryId, ...balance }) => ({
+      _id: entryId,
+      timestamp: event.timestamp,
+      productId: event.productId,
+      location: event.location,
+      locationId: event.locationId,
+      change: event.change,
+      reason: event.reason,
+      ...balance
+    })));
+
+    let inserted;
+    try {
+      // Bulk inserts skip the per-entry alert hook; alerts are evaluated below
+      inserted = await StockTimeSeries.insertMany(entries);
+      await StockHistory.insertMany(inserted.map(entry => ({
+        productId: entry.productId,
+        timestamp: entry.timestamp,
+        change: entry.change,
+        stockLevel: entry.stockLevel,
+        reason: entry.reason,
+        ledgerEntryId: entry._id
+      })));
+    } catch (error) {
+      // Either insert may have stopped part way; remove what made it in
+      const entryIds = entries.map(entry => entry._id);
+      await StockTimeSeries.deleteMany({ _id: { $in: entryIds } });
+      await StockHistory.deleteMany({ ledgerEntryId: { $in: entryIds } });
+      for (const plan of claims) {
+        await this.releaseChange(plan.productId, plan.netChange, plan.version);
+      }
+      throw error;
+    }
+    for (const plan of claims) {
+      await this.settleChange(plan.productId);
+    }
+
+    const recordedProducts = [];
+    for (const plan of claims) {
+      for (const { event, entryId, stockLevel } of plan.accepted) {
+        results[event.index] = {
+          index: event.index,
+          productId: plan.productId,
+          status: 'recorded',
+          entryId,
+          stockLevel,
+          timestamp: event.timestamp
+        };
+      }
+      recordedProducts.push(plan.productId);
+    }
+
+    let rewritten = 0;
+    for (const [productId, productEvents] of backdated) {
+      const replay = await this.recordReplay(productId, productEvents);
+      for (const { event, error } of replay.rejected) reject(event.index, error, productId);
+      for (const { event, entry } of replay.accepted) {
+        results[event.index] = {
+          index: event.index,
+          productId,
+          status: 'recorded',
+          entryId: entry._id,
+          stockLevel: entry.stockLevel,
+          timestamp: event.timestamp
+        };
+      }
+      if (replay.accepted.length > 0) recordedProducts.push(productId);
+      rewritten += replay.rewritten;
+    }
+
+    const products = [];
+    for (const productId of recordedProducts) {
+      const latestEntry = await this.evaluateLatestEntry(productId);
+      products.push({
+        productId,
+        storeId: latestEntry.storeId,
+        stockLevel: latestEntry.stockLevel,
+        timestamp: latestEntry.timestamp
+      });
+    }
+
+    const recorded = results.filter(result => result.status === 'recorded').length;
+    return {
+      received: events.length,
+      recorded,
+      rejected: events.length - recorded,
+      rewritten,
+      results,
+      products
+    };
+  }
+
+  /**
+   * Work out a product's part of a batch on top of its balance and move the
+   * balance to the result, provided nothing else changed it meanwhile
+   */
+  async claimBatch(productId, events) {
+    for (let attempt = 0; attempt < MAX_BATCH_ATTEMPTS; attempt++) {
+      const balance = await this.loadBalance(productId);
+
+      const plan = { productId, accepted: [], rejected: [], netChange: 0 };
+      let { stockLevel, version } = balance;
+      let previous = balance.velocity === null ? null : { velocity: balance.velocity };
+      let metrics = { velocity: balance.velocity, acceleration: balance.acceleration };
+
+      for (const event of events) {
+        if (stockLevel + event.change < 0) {
+          plan.rejected.push({ event, error: 'Stock level cannot be negative' });
+          continue;
+        }
+        stockLevel += event.change;
+        version++;
+        metrics = movementMetrics(event.change, previous);
+        previous = metrics;
+        plan.netChange += event.change;
+        plan.accepted.push({ event, entryId: new mongoose.Types.ObjectId(), stockLevel, ...metrics, sequence: version });
+      }
+
+      if (plan.accepted.length === 0) return plan;
+
+      const updated = await StockBalance.updateOne(
+        { _id: balance._id, version: balance.version },
+        {
+          $set: {
+            stockLevel,
+            ...metrics,
+            previousVelocity: balance.velocity,
+            previousAcceleration: balance.acceleration,
+            version,
+            updatedAt: new Date()
+          },
+          $inc: { pending: 1 }
+        }
+      );
+      if (updated.modifiedCount === 1) return { ...plan, version };
+    }
+
+    return {
+      productId,
+      accepted: [],
+      rejected: events.map(event => ({ event, error: 'Stock level kept changing during the batch, please retry' })),
+      netChange: 0
+    };
+  }
+
+  /**
+   * Remove every ledger entry, history record and balance
+   */
+  async clear() {
+    const [history, ledger] = await Promise.all([
+      StockHistory.deleteMany({}),
+      StockTimeSeries.deleteMany({}),
+      StockBalance.deleteMany({})
+    ]);
+    return { history: history.deletedCount, ledger: ledger.deletedCount };
+  }
+
+  /**
+   * Merge StockHistory written before the ledger existed into it. For each
+   * product the history records and ledger entries are replayed oldest first
+   * from the opening balance of the earliest one: unlinked history records
+   * become ledger entries, ledger entries without a mirror get one, and every
+   * running balance is recomputed so both collections agree. The product's
+   * StockBalance is reset to the final balance, so run it while stock writes
+   * are paused. Safe to re-run.
+   */
+  async migrate({ dryRun = false } = {}) {
+    const summary = {
+      products: 0,
+      ledgerEntriesCreated: 0,
+      historyRecordsCreated: 0,
+      recordsRebalanced: 0,
+      balancesReset: 0,
+      negativeBalances: [],
+      dryRun
+    };
+
+    for (const { storeId, productId } of await this.listProducts()) {
+      const [entries, history, balance] = await Promise.all([
+        StockTimeSeries.find({ storeId, productId }).sort(CHRONOLOGICAL),
+        StockHistory.find({ storeId, productId }).sort(CHRONOLOGICAL),
+        StockBalance.findOne({ storeId, productId })
+      ]);
+      const plan = this.planProductMigration({ storeId, productId, entries, history, balance });
+
+      summary.products++;
+      summary.ledgerEntriesCreated += plan.newEntries.length;
+      summary.historyRecordsCreated += plan.newHistory.length;
+      summary.recordsRebalanced += plan.entryUpdates.length + plan.historyUpdates.length;
+      if (plan.balanceReset) summary.balancesReset++;
+      if (plan.lowestBalance < 0) {
+        summary.negativeBalances.push({ storeId, productId, lowestBalance: plan.lowestBalance });
+      }
+
+      if (!dryRun) {
+        await this.applyPlan(plan);
+      }
+    }
+
+    return summary;
+  }
+
+  async listProducts() {
+    const groups = [{ $group: { _id: { storeId: '$storeId', productId: '$productId' } } }];
+    const [ledger, history] = await Promise.all([
+      StockTimeSeries.aggregate(groups),
+      StockHistory.aggregate(groups)
+    ]);
+
+    const products = new Map();
+    for (const { _id } of [...ledger, ...history]) {
+      products.set(groupKey(_id.storeId, _id.productId), { storeId: _id.storeId || null, productId: _id.productId });
+    }
+    return [...products.values()];
+  }
+
+  planProductMigration({ storeId, productId, entries, history, balance: head = null }) {
+    const entryIds = new Set(entries.map(entry => String(entry._id)));
+    const mirrors = new Map();
+    const unlinked = [];
+    for (const record of history) {
+      if (record.ledgerEntryId && entryIds.has(String(record.ledgerEntryId))) {
+        const key = String(record.ledgerEntryId);
+        mirrors.set(key, [...(mirrors.get(key) || []), record]);
+      } else {
+        unlinked.push(record);
+      }
+    }
+
+    const timeline = [
+      ...entries.map(entry => ({ type: 'entry', doc: entry })),
+      ...unlinked.map(record => ({ type: 'history', doc: record }))
+    ].sort((a, b) => a.doc.timestamp - b.doc.timestamp ||
+      (a.doc.sequence || 0) - (b.doc.sequence || 0) ||
+      String(a.doc._id).localeCompare(String(b.doc._id)));
+
+    const plan = { newEntries: [], newHistory: [], entryUpdates: [], historyUpdates: [], balanceReset: null, lowestBalance: 0 };
+    if (timeline.length === 0) return plan;
+
+    let balance = timeline[0].doc.stockLevel - timeline[0].doc.change;
+    let previous = null;
+    plan.lowestBalance = balance;
+
+    for (const { type, doc } of timeline) {
+      balance += doc.change;
+      plan.lowestBalance = Math.min(plan.lowestBalance, balance);
+      const metrics = movementMetrics(doc.change, previous);
+
+      if (type === 'entry') {
+        if (doc.stockLevel !== balance || doc.velocity !== metrics.velocity || doc.acceleration !== metrics.acceleration) {
+          plan.entryUpdates.push({ _id: doc._id, stockLevel: balance, ...metrics });
+        }
+
+        const linked = mirrors.get(String(doc._id)) || [];
+        if (linked.length === 0) {
+          plan.newHistory.push({
+            storeId,
+            productId,
+            timestamp: doc.timestamp,
+            change: doc.change,
+            stockLevel: balance,
+            reason: doc.reason,
+            ledgerEntryId: doc._id
+          });
+        }
+        for (const mirror of linked.filter(mirror => mirror.stockLevel !== balance)) {
+          plan.historyUpdates.push({ _id: mirror._id, stockLevel: balance });
+        }
+      } else {
+        const entryId = new mongoose.Types.ObjectId();
+        plan.newEntries.push({
+          _id: entryId,
+          storeId,
+          productId,
+          timestamp: doc.timestamp,
+          stockLevel: balance,
+          change: doc.change,
+          reason: doc.reason,
+          ...metrics
+        });
+        plan.historyUpdates.push({ _id: doc._id, stockLevel: balance, ledgerEntryId: entryId });
+      }
+
+      previous = metrics;
+    }
+
+    if (!head || head.stockLevel !== balance || head.velocity !== previous.velocity || head.acceleration !== previous.acceleration || head.pending > 0) {
+      // Also clears changes left pending by a writer that stopped half-way
+      plan.balanceReset = { storeId, productId, stockLevel: balance, ...previous, pending: 0 };
+    }
+
+    return plan;
+  }
+
+  async applyPlan({ newEntries, newHistory, entryUpdates, historyUpdates, balanceReset }) {
+    // Inserted in bulk so replayed history does not raise alerts
+    if (newEntries.length > 0) await StockTimeSeries.insertMany(newEntries);
+    if (newHistory.length > 0) await StockHistory.insertMany(newHistory);
+
+    if (entryUpdates.length > 0) {
+      await StockTimeSeries.bulkWrite(entryUpdates.map(({ _id, ...fields }) => ({
+        updateOne: { filter: { _id }, update: { $set: fields } }
+      })));
+    }
+    if (historyUpdates.length > 0) {
+      await StockHistory.bulkWrite(historyUpdates.map(({ _id, ...fields }) => ({
+        updateOne: { filter: { _id }, update: { $set: fields } }
+      })));
+    }
+
+    if (balanceReset) {
+      const { storeId, productId, ...fields } = balanceReset;
+      await StockBalance.updateOne(
+        { storeId, productId },
+        { $set: { ...fields, updatedAt: new Date() }, $inc: { version: 1 } },
+        { upsert: true }
+      );
+    }
+  }
+
+  /**
+   * Report products whose ledger, StockHistory and StockBalance balances
+   * differ, whose records are not linked to each other, or whose ledger
+   * entries do not add up (stockLevel != previous stockLevel + change)
+   */
+  async checkConsistency({ productId } = {}) {
+    const match = productId ? [{ $match: { productId } }] : [];
+    const latestPerProduct = [
+      ...match,
+      { $sort: { timestamp: -1, _id: -1 } },
+      {
+        $group: {
+          _id: { storeId: '$storeId', productId: '$productId' },
+          stockLevel: { $first: '$stockLevel' },
+          records: { $sum: 1 },
+          unlinked: { $sum: { $cond: [{ $ifNull: ['$ledgerEntryId', false] }, 0, 1] } }
+        }
+      }
+    ];
+
+    const [ledger, history, balances, unmirroredEntries, brokenLinks] = await Promise.all([
+      StockTimeSeries.aggregate(latestPerProduct),
+      StockHistory.aggregate(latestPerProduct),
+      StockBalance.aggregate([
+        ...match,
+        { $project: { _id: { storeId: '$storeId', productId: '$productId' }, stockLevel: 1 } }
+      ]),
+      StockTimeSeries.aggregate([
+        ...match,
+        { $lookup: { from: StockHistory.collection.name, localField: '_id', foreignField: 'ledgerEntryId', as: 'mirrors' } },
+        { $match: { mirrors: { $size: 0 } } },
+        { $group: { _id: { storeId: '$storeId', productId: '$productId' }, count: { $sum: 1 } } }
+      ]),
+      StockTimeSeries.aggregate([
+        ...match,
+        {
+          $setWindowFields: {
+            partitionBy: { storeId: '$storeId', productId: '$productId' },
+            sortBy: CHRONOLOGICAL,
+            output: { previousStockLevel: { $shift: { output: '$stockLevel', by: -1 } } }
+          }
+        },
+        {
+          $match: {
+            previousStockLevel: { $ne: null },
+            $expr: { $ne: ['$stockLevel', { $add: ['$previousStockLevel', '$change'] }] }
+          }
+        },
+        { $group: { _id: { storeId: '$storeId', productId: '$productId' }, count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const products = new Map();
+    const productFor = ({ storeId, productId }) => {
+      const key = groupKey(storeId, productId);
+      if (!products.has(key)) {
+        products.set(key, {
+          storeId: storeId || null,
+          productId,
+          ledgerBalance: null,
+          historyBalance: null,
+          currentBalance: null,
+          unmirroredEntries: 0,
+          unlinkedHistory: 0,
+          brokenLinks: 0
+        });
+      }
+      return products.get(key);
+    };
+
+    for (const row of ledger) productFor(row._id).ledgerBalance = row.stockLevel;
+    for (const row of history) {
+      const product = productFor(row._id);
+      product.historyBalance = row.stockLevel;
+      product.unlinkedHistory = row.unlinked;
+    }
+    for (const row of balances) productFor(row._id).currentBalance = row.stockLevel;
+    for (const row of unmirroredEntries) productFor(row._id).unmirroredEntries = row.count;
+    for (const row of brokenLinks) productFor(row._id).brokenLinks = row.count;
+
+    const inconsistent = [...products.values()]
+      .map(product => ({
+        ...product,
+        difference: product.ledgerBalance !== null && product.historyBalance !== null
+          ? product.ledgerBalance - product.historyBalance
+          : null
+      }))
+      .filter(product => product.ledgerBalance !== product.historyBalance ||
+        (product.currentBalance !== null && product.currentBalance !== product.ledgerBalance) ||
+        product.unmirroredEntries > 0 || product.unlinkedHistory > 0 || product.brokenLinks > 0)
+      .sort((a, b) => a.productId.localeCompare(b.productId));
+
+    return {
+      checked: products.size,
+      consistent: products.size - inconsistent.length,
+      inconsistent
+    };
+  }
+}
+
+module.exports = new StockLedgerService();
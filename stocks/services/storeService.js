@@ -0,0 +1,154 @@
+const Alert = require('../models/Alert');
+const Camera = require('../models/Camera');
+const Image = require('../models/Image');
+const Location = require('../models/Location');
+const Shelf = require('../models/Shelf');
+const StockLevel = require('../models/StockLevel');
+const StockTimeSeries = require('../models/StockTimeSeries');
+
+// Readings below this count as low stock, matching StockLevel.detectLowStock
+const LOW_STOCK_PERCENTAGE = 20;
+
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+function emptyCounts() {
+  return {
+    shelves: 0,
+    cameras: { total: 0, online: 0, offline: 0 },
+    alerts: { open: 0, bySeverity: Object.fromEntries(SEVERITIES.map(severity => [severity, 0])) },
+    stock: { tracked: 0, lowStock: 0, outOfStock: 0 },
+    movements: { records: 0, netChange: 0 },
+    pendingImages: 0
+  };
+}
+
+function hasActivity(counts) {
+  return counts.shelves > 0 || counts.cameras.total > 0 || counts.alerts.open > 0 ||
+    counts.stock.tracked > 0 || counts.movements.records > 0 || counts.pendingImages > 0;
+}
+
+class StoreService {
+
+  /**
+   * Side-by-side counts for every store the caller can see. Records that
+   * belong to no store are reported as an unassigned row.
+   */
+  async getOverview({ since = new Date(Date.now() - 24 * 60 * 60 * 1000) } = {}) {
+    const [stores, shelves, cameras, alerts, stock, movements, images] = await Promise.all([
+      Location.find({ type: 'store' }).sort({ name: 1 }),
+      Shelf.aggregate([
+        { $match: { isActive: true } },
+        { $group: { _id: '$storeId', count: { $sum: 1 } } }
+      ]),
+      Camera.aggregate([
+        { $match: { isActive: true } },
+        { $group: { _id: { storeId: '$storeId', status: '$status' }, count: { $sum: 1 } } }
+      ]),
+      Alert.aggregate([
+        { $match: { resolved: false } },
+        { $group: { _id: { storeId: '$storeId', severity: '$severity' }, count: { $sum: 1 } } }
+      ]),
+      StockLevel.aggregate([
+        { $match: { isActive: true, reviewStatus: { $nin: StockLevel.UNTRUSTED_REVIEW_STATUSES } } },
+        { $sort: { timestamp: -1 } },
+        {
+          $group: {
+            _id: { storeId: '$storeId', shelfId: '$shelfId', productId: '$productId' },
+            stockPercentage: { $first: '$stockPercentage' }
+          }
+        },
+        {
+          $group: {
+            _id: '$_id.storeId',
+            tracked: { $sum: 1 },
+            lowStock: { $sum: { $cond: [{ $lt: ['$stockPercentage', LOW_STOCK_PERCENTAGE] }, 1, 0] } },
+            outOfStock: { $sum: { $cond: [{ $lte: ['$stockPercentage', 0] }, 1, 0] } }
+          }
+        }
+      ]),
+      StockTimeSeries.aggregate([
+        { $match: { timestamp: { $gte: since } } },
+        { $group: { _id: '$storeId', records: { $sum: 1 }, netChange: { $sum: '$change' } } }
+      ]),
+      Image.aggregate([
+        { $match: { isActive: true, processingStatus: { $in: ['pending', 'processing'] } } },
+        { $group: { _id: '$storeId', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const rows = new Map(stores.map(store => [String(store._id), emptyCounts()]));
+    const unassigned = emptyCounts();
+    const countsFor = storeId => rows.get(String(storeId)) || unassigned;
+
+    for (const row of shelves) {
+      countsFor(row._id).shelves += row.count;
+    }
+    for (const row of cameras) {
+      const counts = countsFor(row._id.storeId).cameras;
+      counts.total += row.count;
+      if (row._id.status === 'online') counts.online += row.count;
+      if (row._id.status === 'offline') counts.offline += row.count;
+    }
+    for (const row of alerts) {
+      const counts = countsFor(row._id.storeId).alerts;
+      counts.open += row.count;
+      counts.bySeverity[row._id.severity] += row.count;
+    }
+    for (const row of stock) {
+      const counts = countsFor(row._id).stock;
+      counts.tracked += row.tracked;
+      counts.lowStock += row.lowStock;
+      counts.outOfStock += row.outOfStock;
+    }
+    for (const row of movements) {
+      const counts = countsFor(row._id).movements;
+      counts.records += row.records;
+      counts.netChange += row.netChange;
+    }
+    for (const row of images) {
+      countsFor(row._id).pendingImages += row.count;
+    }
+
+    const overview = stores.map(store => ({
+      store: {
+        storeId: store._id,
+        name: store.name,
+        code: store.code || null,
+        isActive: store.isActive
+      },
+      ...rows.get(String(store._id))
+    }));
+    if (hasActivity(unassigned)) {
+      overview.push({ store: null, ...unassigned });
+    }
+
+    return {
+      since,
+      stores: overview,
+      totals: this.sumCounts(overview)
+    };
+  }
+
+  sumCounts(rows) {
+    const totals = emptyCounts();
+    for (const row of rows) {
+      totals.shelves += row.shelves;
+      for (const field of ['total', 'online', 'offline']) {
+        totals.cameras[field] += row.cameras[field];
+      }
+      totals.alerts.open += row.alerts.open;
+      for (const severity of SEVERITIES) {
+        totals.alerts.bySeverity[severity] += row.alerts.bySeverity[severity];
+      }
+      for (const field of ['tracked', 'lowStock', 'outOfStock']) {
+        totals.stock[field] += row.stock[field];
+      }
+      totals.movements.records += row.movements.records;
+      totals.movements.netChange += row.movements.netChange;
+      totals.pendingImages += row.pendingImages;
+    }
+    return totals;
+  }
+}
+
+module.exports = new StoreService();
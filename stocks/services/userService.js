@@ -0,0 +1,223 @@
+const User = require('../models/User');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const HttpError = require('../utils/httpError');
+const locationService = require('./locationService');
+
+// Turn a duplicate key error on username/email into a 409
+function toConflictError(error) {
+  if (error.code !== 11000) return error;
+  const field = Object.keys(error.keyPattern || {})[0] || 'username';
+  return new HttpError(409, `A user with this ${field} already exists`);
+}
+
+class UserService {
+
+  /**
+   * List users with optional role and active filters
+   */
+  async listUsers({ role, isActive } = {}) {
+    const filter = {};
+    if (role) filter.role = role;
+    if (isActive !== undefined) filter.isActive = isActive;
+
+    const users = await User.find(filter).sort({ username: 1 });
+    return users.map(user => user.getPublicProfile());
+  }
+
+  /**
+   * Get a single user or fail with 404
+   */
+  async getUser(userId) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new HttpError(404, 'User not found');
+    }
+    return user;
+  }
+
+  /**
+   * Create a user and record who created it
+   */
+  async createUser(actor, { username, email, password, role, storeId }, context = {}) {
+    if (storeId) await locationService.getStore(storeId);
+
+    let user;
+    try {
+      user = await User.createUser({ username, email, password_hash: password, role, storeId: storeId || null });
+    } catch (error) {
+      throw toConflictError(error);
+    }
+
+    await this.audit(actor, 'user.created', user, null, user.getPublicProfile(), context);
+    return user.getPublicProfile();
+  }
+
+  /**
+   * Update a user's username, email and/or store (null unassigns the user)
+   */
+  async updateUser(actor, userId, updates, context = {}) {
+    const user = await this.getUser(userId);
+    const before = user.getPublicProfile();
+
+    if (updates.username !== undefined) user.username = updates.username;
+    if (updates.email !== undefined) user.email = updates.email;
+    if (updates.storeId !== undefined) {
+      if (updates.storeId) await locationService.getStore(updates.storeId);
+      user.storeId = updates.storeId;
+    }
+
+    try {
+      await user.save();
+    } catch (error) {
+      throw toConflictError(error);
+    }
+
+    await this.audit(actor, 'user.updated', user, before, user.getPublicProfile(), context);
+    return user.getPublicProfile();
+  }
+
+  /**
+   * Change a user's role. Admins cannot change their own role.
+   */
+  async changeRole(actor, userId, role, context = {}) {
+    if (actor._id.equals(userId)) {
+      throw new HttpError(400, 'You cannot change your own role');
+    }
+
+    const user = await this.getUser(userId);
+    const previousRole = user.role;
+
+    if (previousRole === role) {
+      return user.getPublicProfile();
+    }
+
+    user.role = role;
+    await user.save();
+
+    // Tokens carry the role, so force the user to log in again
+    await Session.revokeAllForUser(user._id);
+
+    await this.audit(actor, 'user.role_changed', user, { role: previousRole }, { role }, context);
+    return user.getPublicProfile();
+  }
+
+  /**
+   * Activate or deactivate a user. Deactivation revokes every session.
+   */
+  async setActive(actor, userId, isActive, context = {}) {
+    if (!isActive && actor._id.equals(userId)) {
+      throw new HttpError(400, 'You cannot deactivate your own account');
+    }
+
+    const user = await this.getUser(userId);
+    const wasActive = user.isActive;
+
+    user.isActive = isActive;
+    await user.save();
+
+    if (!isActive) {
+      await Session.revokeAllForUser(user._id);
+    }
+
+    if (wasActive !== isActive) {
+      await this.audit(
+        actor,
+        isActive ? 'user.activated' : 'user.deactivated',
+        user,
+        { isActive: wasActive },
+        { isActive },
+        context
+      );
+    }
+
+    return user.getPublicProfile();
+  }
+
+  /**
+   * Self-service password change; keeps the caller's current session open
+   */
+  async changePassword(user, currentPassword, newPassword, currentSessionId, context = {}) {
+    if (!(await user.comparePassword(currentPassword))) {
+      throw new HttpError(401, 'Current password is incorrect');
+    }
+
+    user.setPassword(newPassword);
+    await user.save();
+
+    await Session.updateMany(
+      { userId: user._id, revokedAt: null, _id: { $ne: currentSessionId } },
+      { revokedAt: new Date() }
+    );
+
+    await this.audit(user, 'user.password_changed', user, null, null, context);
+    return user.getPublicProfile();
+  }
+
+  /**
+   * Issue a one-time password reset token for a user (admin only)
+   */
+  async issuePasswordReset(actor, userId, ttlMinutes = 60, context = {}) {
+    const user = await this.getUser(userId);
+    const token = user.createPasswordResetToken(ttlMinutes);
+    await user.save();
+
+    await this.audit(actor, 'user.password_reset_issued', user, null, { expiresAt: user.passwordResetExpiresAt }, context);
+
+    return {
+      userId: user._id,
+      resetToken: token,
+      expiresAt: user.passwordResetExpiresAt
+    };
+  }
+
+  /**
+   * Consume a password reset token and set the new password
+   */
+  async resetPassword(token, newPassword, context = {}) {
+    const user = await User.findByPasswordResetToken(token);
+    if (!user) {
+      throw new HttpError(400, 'Invalid or expired password reset token');
+    }
+
+    if (!user.isActive) {
+      throw new HttpError(403, 'User account is inactive');
+    }
+
+    user.setPassword(newPassword);
+    await user.save();
+    await Session.revokeAllForUser(user._id);
+
+    await this.audit(user, 'user.password_reset', user, null, null, context);
+    return user.getPublicProfile();
+  }
+
+  /**
+   * Audit trail of changes made to a user
+   */
+  async getUserAuditTrail(userId) {
+    const entries = await AuditLog.findByEntity('User', userId);
+    return entries.map(entry => ({
+      ...entry.getAuditInfo(),
+      actor: entry.actorId && entry.actorId.username ? {
+        userId: entry.actorId._id,
+        username: entry.actorId.username,
+        role: entry.actorId.role
+      } : null
+    }));
+  }
+
+  async audit(actor, action, user, before, after, context) {
+    return await AuditLog.record({
+      actorId: actor ? actor._id : null,
+      action,
+      entityType: 'User',
+      entityId: user._id,
+      changes: { before, after },
+      ipAddress: context.ipAddress,
+      userAgent: context.userAgent
+    });
+  }
+}
+
+module.exports = new UserService();
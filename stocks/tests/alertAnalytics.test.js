@@ -0,0 +1,151 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const Alert = require('../models/Alert');
+const Product = require('../models/Product');
+const Shelf = require('../models/Shelf');
+const User = require('../models/User');
+const { createAuthHeader } = require('./helpers/auth');
+
+// Test database setup
+const TEST_DB_URI = 'mongodb://localhost:27017/stock-tracking-test';
+
+const MINUTE = 60 * 1000;
+
+let managerHeader;
+let staffHeader;
+let manager;
+let product;
+let shelf;
+
+beforeAll(async () => {
+  await mongoose.connect(TEST_DB_URI);
+  managerHeader = await createAuthHeader('manager');
+  staffHeader = await createAuthHeader('staff');
+  manager = await User.findOne({ role: 'manager' });
+});
+
+afterAll(async () => {
+  await mongoose.connection.db.dropDatabase();
+  await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+  await Promise.all([
+    Alert.deleteMany({}),
+    Product.deleteMany({}),
+    Shelf.deleteMany({})
+  ]);
+
+  product = await Product.create({ name: 'Milk', category: 'Dairy', sku: 'MILK001' });
+  shelf = await Shelf.create({ shelfName: 'Shelf A1' });
+});
+
+// Insert directly so timestamps can be placed in the past
+async function insertAlert({ alertType = 'low_stock', severity = 'high', ackAfter, resolveAfter, autoResolved = false, occurrences = 1 }) {
+  const createdAt = new Date(Date.now() - 24 * 60 * MINUTE);
+  await Alert.collection.insertOne({
+    alertType,
+    severity,
+    message: 'Milk on Shelf A1 is low',
+    shelfId: shelf._id,
+    productId: product._id.toString(),
+    occurrences,
+    createdAt,
+    lastTriggeredAt: createdAt,
+    acknowledged: ackAfter !== undefined,
+    acknowledgedBy: ackAfter !== undefined ? manager._id : null,
+    acknowledgedAt: ackAfter !== undefined ? new Date(createdAt.getTime() + ackAfter * MINUTE) : null,
+    resolved: resolveAfter !== undefined,
+    resolvedBy: resolveAfter !== undefined && !autoResolved ? manager._id : null,
+    resolvedAt: resolveAfter !== undefined ? new Date(createdAt.getTime() + resolveAfter * MINUTE) : null,
+    reopenedAt: null,
+    metadata: autoResolved ? { autoResolved: true } : {}
+  });
+}
+
+describe('Alert Response Times', () => {
+  beforeEach(async () => {
+    await insertAlert({ ackAfter: 10, resolveAfter: 60 });
+    await insertAlert({ ackAfter: 20, resolveAfter: 120 });
+    await insertAlert({ ackAfter: 30 });
+    await insertAlert({ alertType: 'out_of_stock', severity: 'critical', resolveAfter: 5, autoResolved: true });
+  });
+
+  test('should calculate MTTA and MTTR by type', async () => {
+    const response = await request(app)
+      .get('/api/cv/alerts/analytics/response-times')
+      .set('Authorization', managerHeader)
+      .query({ groupBy: 'type' });
+
+    expect(response.status).toBe(200);
+    const lowStock = response.body.data.find(row => row.key === 'low_stock');
+    expect(lowStock).toMatchObject({ alerts: 3, acknowledged: 3, mttaMinutes: 20, resolved: 2, mttrMinutes: 90 });
+  });
+
+  test('should leave auto-resolved alerts out of MTTR by default', async () => {
+    const response = await request(app)
+      .get('/api/cv/alerts/analytics/response-times')
+      .set('Authorization', managerHeader)
+      .query({ groupBy: 'severity' });
+
+    const critical = response.body.data.find(row => row.key === 'critical');
+    expect(critical.alerts).toBe(1);
+    expect(critical.mttrMinutes).toBeNull();
+
+    const included = await request(app)
+      .get('/api/cv/alerts/analytics/response-times')
+      .set('Authorization', managerHeader)
+      .query({ groupBy: 'severity', includeAutoResolved: 'true' });
+    expect(included.body.data.find(row => row.key === 'critical').mttrMinutes).toBe(5);
+  });
+
+  test('should label shelf and user groups', async () => {
+    const byShelf = await request(app)
+      .get('/api/cv/alerts/analytics/response-times')
+      .set('Authorization', managerHeader)
+      .query({ groupBy: 'shelf' });
+    expect(byShelf.body.data[0].label).toBe('Shelf A1');
+
+    const byUser = await request(app)
+      .get('/api/cv/alerts/analytics/response-times')
+      .set('Authorization', managerHeader)
+      .query({ groupBy: 'user' });
+    const row = byUser.body.data.find(r => r.key === manager._id.toString());
+    expect(row.label).toBe(manager.username);
+    expect(row.acknowledged).toBe(3);
+  });
+
+  test('should forbid staff', async () => {
+    const response = await request(app)
+      .get('/api/cv/alerts/analytics/response-times')
+      .set('Authorization', staffHeader);
+
+    expect(response.status).toBe(403);
+  });
+});
+
+describe('Repeat Offenders', () => {
+  test('should report shelf/product pairs above the threshold', async () => {
+    await insertAlert({ resolveAfter: 10, autoResolved: true, occurrences: 4 });
+    await insertAlert({ resolveAfter: 10, autoResolved: true, occurrences: 2 });
+    await insertAlert({ occurrences: 1 });
+    await insertAlert({ alertType: 'high_stock', severity: 'low' });
+
+    const response = await request(app)
+      .get('/api/cv/alerts/analytics/repeat-offenders')
+      .set('Authorization', managerHeader)
+      .query({ minAlerts: 3 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toHaveLength(1);
+    expect(response.body.data[0]).toMatchObject({
+      alertType: 'low_stock',
+      alerts: 3,
+      triggers: 7,
+      open: 1,
+      shelfName: 'Shelf A1',
+      productName: 'Milk'
+    });
+  });
+});
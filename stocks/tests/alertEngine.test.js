@@ -0,0 +1,242 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const Alert = require('../models/Alert');
+const AlertRule = require('../models/AlertRule');
+const Product = require('../models/Product');
+const Shelf = require('../models/Shelf');
+const StockBalance = require('../models/StockBalance');
+const StockHistory = require('../models/StockHistory');
+const StockLevel = require('../models/StockLevel');
+const StockTimeSeries = require('../models/StockTimeSeries');
+const { createAuthHeader } = require('./helpers/auth');
+
+// Test database setup
+const TEST_DB_URI = 'mongodb://localhost:27017/stock-tracking-test';
+
+let managerHeader;
+let staffHeader;
+let product;
+let shelf;
+
+beforeAll(async () => {
+  await mongoose.connect(TEST_DB_URI);
+  // Concurrent readings are de-duplicated through the unique index
+  await Alert.init();
+  managerHeader = await createAuthHeader('manager');
+  staffHeader = await createAuthHeader('staff');
+});
+
+afterAll(async () => {
+  await mongoose.connection.db.dropDatabase();
+  await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+  await Promise.all([
+    Alert.deleteMany({}),
+    AlertRule.deleteMany({}),
+    Product.deleteMany({}),
+    Shelf.deleteMany({}),
+    StockBalance.deleteMany({}),
+    StockHistory.deleteMany({}),
+    StockLevel.deleteMany({}),
+    StockTimeSeries.deleteMany({})
+  ]);
+
+  product = await Product.create({
+    name: 'Milk',
+    category: 'Dairy',
+    sku: 'MILK001',
+    minStockLevel: 10,
+    maxStockLevel: 100
+  });
+  shelf = await Shelf.create({ shelfName: 'Shelf A1', capacity: 100 });
+});
+
+function recordReading(stockPercentage, stockCount) {
+  return StockLevel.create({
+    shelfId: shelf._id,
+    productId: product._id,
+    stockPercentage,
+    stockCount
+  });
+}
+
+describe('Alert Engine - Shelf Readings', () => {
+  test('should raise a low stock alert below the default percentage threshold', async () => {
+    await recordReading(15, 15);
+
+    const alerts = await Alert.find({ alertType: 'low_stock' });
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0].severity).toBe('high');
+    expect(alerts[0].productId).toBe(product._id.toString());
+    expect(alerts[0].message).toContain('Milk on Shelf A1');
+  });
+
+  test('should raise out of stock instead of low stock at zero', async () => {
+    await recordReading(0, 0);
+
+    const alerts = await Alert.find({});
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0].alertType).toBe('out_of_stock');
+    expect(alerts[0].severity).toBe('critical');
+  });
+
+  test('should de-duplicate repeated triggers into one open alert', async () => {
+    await recordReading(15, 15);
+    await recordReading(12, 12);
+    await recordReading(11, 11);
+
+    const alerts = await Alert.find({ alertType: 'low_stock' });
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0].occurrences).toBe(3);
+  });
+
+  test('should auto-resolve when the level recovers', async () => {
+    await recordReading(15, 15);
+    await recordReading(80, 80);
+
+    const alert = await Alert.findOne({ alertType: 'low_stock' });
+    expect(alert.resolved).toBe(true);
+    expect(alert.metadata.autoResolved).toBe(true);
+  });
+
+  test('should replace low stock with out of stock when the shelf empties', async () => {
+    await recordReading(15, 15);
+    await recordReading(0, 0);
+
+    const lowStock = await Alert.findOne({ alertType: 'low_stock' });
+    const outOfStock = await Alert.findOne({ alertType: 'out_of_stock' });
+    expect(lowStock.resolved).toBe(true);
+    expect(outOfStock.resolved).toBe(false);
+  });
+
+  test('should raise an anomaly for an unusual change', async () => {
+    const levels = [80, 78, 77, 75, 74, 72, 71, 69, 68, 66, 65, 63];
+    for (const level of levels) {
+      await recordReading(level, level);
+    }
+    await recordReading(95, 95);
+
+    const anomaly = await Alert.findOne({ alertType: 'anomaly' });
+    expect(anomaly).not.toBeNull();
+    expect(anomaly.severity).toBe('medium');
+  });
+
+  test('should resolve an anomaly once changes are back to normal', async () => {
+    const levels = [80, 78, 77, 75, 74, 72, 71, 69, 68, 66, 65, 63];
+    for (const level of levels) {
+      await recordReading(level, level);
+    }
+    await recordReading(95, 95);
+    await recordReading(94, 94);
+
+    const anomaly = await Alert.findOne({ alertType: 'anomaly' });
+    expect(anomaly.resolved).toBe(true);
+    expect(anomaly.metadata.autoResolved).toBe(true);
+  });
+
+  test('should open one alert for readings processed at the same time', async () => {
+    await Promise.all([recordReading(15, 15), recordReading(14, 14), recordReading(13, 13)]);
+
+    const alerts = await Alert.find({ alertType: 'low_stock' });
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0].occurrences).toBe(3);
+  });
+});
+
+describe('Alert Engine - Rules', () => {
+  test('should apply the most specific rule', async () => {
+    await AlertRule.create({ name: 'Dairy', category: 'Dairy', minStockPercentage: 30 });
+    await AlertRule.create({
+      name: 'Milk on A1',
+      productId: product._id,
+      shelfId: shelf._id,
+      minStockPercentage: 50,
+      severities: { low_stock: 'critical' }
+    });
+
+    await recordReading(45, 45);
+
+    const alert = await Alert.findOne({ alertType: 'low_stock' });
+    expect(alert).not.toBeNull();
+    expect(alert.severity).toBe('critical');
+  });
+
+  test('should skip alert types a rule disables', async () => {
+    await AlertRule.create({ name: 'No low stock', productId: product._id, alertTypes: ['out_of_stock'] });
+
+    await recordReading(15, 15);
+
+    expect(await Alert.countDocuments({})).toBe(0);
+  });
+
+  test('should evaluate time-series records using product thresholds', async () => {
+    await new StockTimeSeries({ productId: 'MILK001', stockLevel: 150, change: 150, reason: 'restock' }).save();
+
+    const alert = await Alert.findOne({ alertType: 'high_stock' });
+    expect(alert).not.toBeNull();
+    expect(alert.shelfId).toBeNull();
+    expect(alert.message).toContain('150 units');
+  });
+
+  test('should judge a backdated time-series record by the current level', async () => {
+    const record = (change, timestamp) => request(app)
+      .post('/api/timeseries/record')
+      .set('Authorization', staffHeader)
+      .send({ productId: 'MILK001', change, reason: change > 0 ? 'restock' : 'sale', timestamp });
+
+    await record(50, '2025-03-01T08:00:00Z');
+    await record(-35, '2025-03-01T12:00:00Z');
+    expect(await Alert.countDocuments({ alertType: 'low_stock' })).toBe(0);
+
+    // 42 units at 09:00, but only 7 left now
+    await record(-8, '2025-03-01T09:00:00Z');
+
+    const alert = await Alert.findOne({ alertType: 'low_stock' });
+    expect(alert).not.toBeNull();
+    expect(alert.message).toContain('7 units');
+  });
+});
+
+describe('Alert Rule API', () => {
+  test('POST /api/alert-rules - should create a rule', async () => {
+    const response = await request(app)
+      .post('/api/alert-rules')
+      .set('Authorization', managerHeader)
+      .send({ name: 'Dairy', category: 'Dairy', minStockPercentage: 30 });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.specificity).toBe(1);
+  });
+
+  test('POST /api/alert-rules - should reject min above max', async () => {
+    const response = await request(app)
+      .post('/api/alert-rules')
+      .set('Authorization', managerHeader)
+      .send({ name: 'Broken', minStockLevel: 50, maxStockLevel: 10 });
+
+    expect(response.status).toBe(400);
+  });
+
+  test('POST /api/alert-rules - should forbid staff', async () => {
+    const response = await request(app)
+      .post('/api/alert-rules')
+      .set('Authorization', staffHeader)
+      .send({ name: 'Dairy', category: 'Dairy' });
+
+    expect(response.status).toBe(403);
+  });
+
+  test('GET /api/alert-rules - should list rules for staff', async () => {
+    await AlertRule.create({ name: 'Global', minStockPercentage: 25 });
+
+    const response = await request(app)
+      .get('/api/alert-rules')
+      .set('Authorization', staffHeader);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toHaveLength(1);
+  });
+});
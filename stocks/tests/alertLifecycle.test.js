@@ -0,0 +1,216 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const Alert = require('../models/Alert');
+const User = require('../models/User');
+const { createAuthHeader } = require('./helpers/auth');
+
+// Test database setup
+const TEST_DB_URI = 'mongodb://localhost:27017/stock-tracking-test';
+
+let managerHeader;
+let staffHeader;
+let alert;
+
+beforeAll(async () => {
+  await mongoose.connect(TEST_DB_URI);
+  managerHeader = await createAuthHeader('manager');
+  staffHeader = await createAuthHeader('staff');
+});
+
+afterAll(async () => {
+  await mongoose.connection.db.dropDatabase();
+  await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+  await Alert.deleteMany({});
+  alert = await Alert.createAlert({
+    alertType: 'low_stock',
+    message: 'Milk on Shelf A1 is at 15%',
+    severity: 'high',
+    dedupKey: 'low_stock:-:MILK001'
+  });
+});
+
+function transition(action, header = managerHeader, payload = {}) {
+  return request(app)
+    .post(`/api/cv/alerts/${alert._id}/${action}`)
+    .set('Authorization', header)
+    .send(payload);
+}
+
+describe('Alert State Transitions', () => {
+  test('should resolve an open alert once', async () => {
+    const first = await transition('resolve');
+    expect(first.status).toBe(200);
+    expect(first.body.data.resolved).toBe(true);
+    expect(first.body.data.resolvedBy).toBeDefined();
+
+    const second = await transition('resolve');
+    expect(second.status).toBe(409);
+  });
+
+  test('should let only one of several concurrent resolves succeed', async () => {
+    const responses = await Promise.all([1, 2, 3].map(() => transition('resolve')));
+
+    expect(responses.map(response => response.status).sort()).toEqual([200, 409, 409]);
+  });
+
+  test('should let only one of several concurrent acknowledgements succeed', async () => {
+    const responses = await Promise.all([1, 2, 3].map(() => transition('acknowledge', staffHeader)));
+
+    expect(responses.map(response => response.status).sort()).toEqual([200, 409, 409]);
+  });
+
+  test('should not acknowledge a resolved alert', async () => {
+    await transition('resolve');
+
+    const response = await transition('acknowledge', staffHeader);
+    expect(response.status).toBe(409);
+  });
+
+  test('should not acknowledge twice', async () => {
+    expect((await transition('acknowledge', staffHeader)).status).toBe(200);
+    expect((await transition('acknowledge', staffHeader)).status).toBe(409);
+  });
+
+  test('should reopen a resolved alert and clear acknowledgement', async () => {
+    await transition('acknowledge');
+    await transition('resolve');
+
+    const response = await transition('reopen');
+    expect(response.status).toBe(200);
+    expect(response.body.data.resolved).toBe(false);
+    expect(response.body.data.acknowledged).toBe(false);
+    expect(response.body.data.reopenedAt).toBeDefined();
+  });
+
+  test('should let only one of several concurrent reopens succeed', async () => {
+    await transition('resolve');
+
+    const responses = await Promise.all([1, 2, 3].map(() => transition('reopen')));
+
+    expect(responses.map(response => response.status).sort()).toEqual([200, 409, 409]);
+  });
+
+  test('should keep metadata written by others when reopening', async () => {
+    await transition('resolve');
+    await Alert.updateOne({ _id: alert._id }, { $set: { 'metadata.escalationLevel': 2, 'metadata.lastEscalatedAt': new Date() } });
+
+    await transition('reopen');
+
+    const reopened = await Alert.findById(alert._id);
+    expect(reopened.metadata.escalationLevel).toBe(0);
+    expect(reopened.metadata.lastEscalatedAt).toBeDefined();
+  });
+
+  test('should not reopen an open alert', async () => {
+    const response = await transition('reopen');
+    expect(response.status).toBe(409);
+  });
+
+  test('should not reopen when a newer alert tracks the same problem', async () => {
+    await transition('resolve');
+    await Alert.createAlert({
+      alertType: 'low_stock',
+      message: 'Milk on Shelf A1 is at 12%',
+      dedupKey: 'low_stock:-:MILK001'
+    });
+
+    const response = await transition('reopen');
+    expect(response.status).toBe(409);
+  });
+
+  test('should forbid staff from resolving', async () => {
+    const response = await transition('resolve', staffHeader);
+    expect(response.status).toBe(403);
+  });
+});
+
+describe('Alert Snooze and Assignment', () => {
+  test('should snooze until a future time and wake up again', async () => {
+    const until = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+    const snoozed = await transition('snooze', staffHeader, { until });
+    expect(snoozed.status).toBe(200);
+    expect(snoozed.body.data.snoozed).toBe(true);
+
+    const listed = await request(app)
+      .get('/api/cv/alerts')
+      .set('Authorization', staffHeader)
+      .query({ snoozed: 'false' });
+    expect(listed.body.data).toHaveLength(0);
+
+    const woken = await transition('snooze', staffHeader, { until: null });
+    expect(woken.body.data.snoozed).toBe(false);
+  });
+
+  test('should reject snoozing into the past', async () => {
+    const response = await transition('snooze', staffHeader, { until: '2000-01-01T00:00:00Z' });
+    expect(response.status).toBe(400);
+  });
+
+  test('should assign to an active user', async () => {
+    const assignee = await User.findOne({ role: 'staff' });
+
+    const response = await transition('assign', managerHeader, { userId: assignee._id.toString() });
+    expect(response.status).toBe(200);
+    expect(response.body.data.assignedTo).toBe(assignee._id.toString());
+
+    const listed = await request(app)
+      .get('/api/cv/alerts')
+      .set('Authorization', staffHeader)
+      .query({ assignedTo: assignee._id.toString() });
+    expect(listed.body.data).toHaveLength(1);
+  });
+
+  test('should reject unknown assignees', async () => {
+    const response = await transition('assign', managerHeader, { userId: new mongoose.Types.ObjectId().toString() });
+    expect(response.status).toBe(400);
+  });
+});
+
+describe('Alert Comments', () => {
+  test('should nest replies under their parent comment', async () => {
+    const parent = await request(app)
+      .post(`/api/cv/alerts/${alert._id}/comments`)
+      .set('Authorization', staffHeader)
+      .send({ text: 'Checked the shelf, backroom is empty' });
+    expect(parent.status).toBe(201);
+
+    await request(app)
+      .post(`/api/cv/alerts/${alert._id}/comments`)
+      .set('Authorization', managerHeader)
+      .send({ text: 'Supplier delivery due tomorrow', parentId: parent.body.data.commentId });
+
+    const response = await request(app)
+      .get(`/api/cv/alerts/${alert._id}/comments`)
+      .set('Authorization', staffHeader);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toHaveLength(1);
+    expect(response.body.data[0].replies).toHaveLength(1);
+    expect(response.body.data[0].replies[0].text).toBe('Supplier delivery due tomorrow');
+  });
+
+  test('should keep every comment posted at the same time', async () => {
+    const responses = await Promise.all(['First', 'Second', 'Third'].map(text => request(app)
+      .post(`/api/cv/alerts/${alert._id}/comments`)
+      .set('Authorization', staffHeader)
+      .send({ text })));
+
+    expect(responses.map(response => response.status)).toEqual([201, 201, 201]);
+    const updated = await Alert.findById(alert._id);
+    expect(updated.comments.map(comment => comment.text).sort()).toEqual(['First', 'Second', 'Third']);
+  });
+
+  test('should reject replies to unknown comments', async () => {
+    const response = await request(app)
+      .post(`/api/cv/alerts/${alert._id}/comments`)
+      .set('Authorization', staffHeader)
+      .send({ text: 'Orphan', parentId: new mongoose.Types.ObjectId().toString() });
+
+    expect(response.status).toBe(400);
+  });
+});
@@ -0,0 +1,154 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const ApiKey = require('../models/ApiKey');
+const StockTimeSeries = require('../models/StockTimeSeries');
+const { createAuthHeader } = require('./helpers/auth');
+
+// Test database setup
+const TEST_DB_URI = 'mongodb://localhost:27017/stock-tracking-test';
+
+let adminHeader;
+
+beforeAll(async () => {
+  await mongoose.connect(TEST_DB_URI);
+  adminHeader = await createAuthHeader('admin');
+});
+
+afterAll(async () => {
+  await mongoose.connection.db.dropDatabase();
+  await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+  await Promise.all([
+    ApiKey.deleteMany({}),
+    StockTimeSeries.deleteMany({ productId: 'KEY001' })
+  ]);
+});
+
+async function issueKey(scopes = ['timeseries:write']) {
+  const response = await request(app)
+    .post('/api/api-keys')
+    .set('Authorization', adminHeader)
+    .send({ name: 'POS feed', scopes });
+  return response.body.data;
+}
+
+function recordWithKey(key) {
+  return request(app)
+    .post('/api/timeseries/record')
+    .set('X-API-Key', key)
+    .send({ productId: 'KEY001', change: 5, reason: 'restock' });
+}
+
+describe('API Key Model Tests', () => {
+  test('should store only a hash of the key', async () => {
+    const issued = await issueKey();
+    const stored = await ApiKey.findById(issued.apiKeyId);
+
+    expect(issued.key).toMatch(/^sk_[0-9a-f]{8}_[0-9a-f]{48}$/);
+    expect(stored.keyHash).toBe(ApiKey.hashKey(issued.key));
+    expect(JSON.stringify(stored.toObject())).not.toContain(issued.key);
+  });
+});
+
+describe('API Key Authentication Tests', () => {
+  test('should allow requests within scope and record last use', async () => {
+    const issued = await issueKey();
+
+    const response = await recordWithKey(issued.key);
+    expect(response.status).toBe(201);
+
+    const stored = await ApiKey.findById(issued.apiKeyId);
+    expect(stored.lastUsedAt).toBeInstanceOf(Date);
+  });
+
+  test('should reject requests outside the key scopes', async () => {
+    const issued = await issueKey();
+
+    const response = await request(app)
+      .get('/api/timeseries/trend')
+      .set('X-API-Key', issued.key)
+      .query({ productId: 'KEY001' });
+
+    expect(response.status).toBe(403);
+  });
+
+  test('should reject unknown keys', async () => {
+    const response = await recordWithKey('sk_00000000_not-a-real-key');
+    expect(response.status).toBe(401);
+  });
+
+  test('should not allow keys to reach user-only routes', async () => {
+    const issued = await issueKey();
+
+    const response = await request(app)
+      .get('/api/api-keys')
+      .set('X-API-Key', issued.key);
+
+    expect(response.status).toBe(401);
+  });
+
+  test('should refuse scopes reserved for users', async () => {
+    const response = await request(app)
+      .post('/api/api-keys')
+      .set('Authorization', adminHeader)
+      .send({ name: 'Too powerful', scopes: ['data:admin'] });
+
+    expect(response.status).toBe(400);
+  });
+});
+
+describe('API Key Lifecycle Tests', () => {
+  test('should stop accepting a revoked key', async () => {
+    const issued = await issueKey();
+
+    await request(app)
+      .delete(`/api/api-keys/${issued.apiKeyId}`)
+      .set('Authorization', adminHeader);
+
+    const response = await recordWithKey(issued.key);
+    expect(response.status).toBe(401);
+  });
+
+  test('should rotate a key immediately without a grace period', async () => {
+    const issued = await issueKey();
+
+    const rotated = await request(app)
+      .post(`/api/api-keys/${issued.apiKeyId}/rotate`)
+      .set('Authorization', adminHeader);
+    expect(rotated.status).toBe(200);
+    expect(rotated.body.data.key).not.toBe(issued.key);
+
+    expect((await recordWithKey(issued.key)).status).toBe(401);
+    expect((await recordWithKey(rotated.body.data.key)).status).toBe(201);
+  });
+
+  test('should keep the old key working during the grace period', async () => {
+    const issued = await issueKey();
+
+    const rotated = await request(app)
+      .post(`/api/api-keys/${issued.apiKeyId}/rotate`)
+      .set('Authorization', adminHeader)
+      .send({ gracePeriodMinutes: 30 });
+
+    expect((await recordWithKey(issued.key)).status).toBe(201);
+    expect((await recordWithKey(rotated.body.data.key)).status).toBe(201);
+  });
+
+  test('GET /api/api-keys - should list stale keys', async () => {
+    const issued = await issueKey();
+    const longAgo = new Date(Date.now() - 90 * 24 * 60 * 60 * 1000);
+    await ApiKey.updateOne({ _id: issued.apiKeyId }, { createdAt: longAgo, lastUsedAt: longAgo });
+
+    const response = await request(app)
+      .get('/api/api-keys')
+      .set('Authorization', adminHeader)
+      .query({ unusedForDays: 30 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.map(k => k.prefix)).toContain(issued.prefix);
+    expect(response.body.data[0].keyHash).toBeUndefined();
+  });
+});
@@ -0,0 +1,140 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const AuditLog = require('../models/AuditLog');
+const StockBalance = require('../models/StockBalance');
+const StockHistory = require('../models/StockHistory');
+const StockTimeSeries = require('../models/StockTimeSeries');
+const { createAuthHeader } = require('./helpers/auth');
+
+// Test database setup
+const TEST_DB_URI = 'mongodb://localhost:27017/stock-tracking-test';
+
+let staffHeader;
+let managerHeader;
+
+beforeAll(async () => {
+  await mongoose.connect(TEST_DB_URI);
+  staffHeader = await createAuthHeader('staff');
+  managerHeader = await createAuthHeader('manager');
+});
+
+afterAll(async () => {
+  await mongoose.connection.db.dropDatabase();
+  await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+  await Promise.all([
+    AuditLog.deleteMany({ entityType: 'Product' }),
+    StockBalance.deleteMany({ productId: 'AUDIT001' }),
+    StockHistory.deleteMany({ productId: 'AUDIT001' }),
+    StockTimeSeries.deleteMany({ productId: 'AUDIT001' })
+  ]);
+});
+
+// Audit entries are written once the response has finished, so poll briefly
+async function waitForAuditEntry(filter, attempts = 20) {
+  for (let i = 0; i < attempts; i++) {
+    const entry = await AuditLog.findOne(filter);
+    if (entry) return entry;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  return null;
+}
+
+describe('Audit Middleware Tests', () => {
+  test('should audit stock updates with actor, route and diff', async () => {
+    await request(app)
+      .post('/api/stocks/update')
+      .set('Authorization', staffHeader)
+      .send({ productId: 'AUDIT001', change: 30, reason: 'restock' });
+
+    const entry = await waitForAuditEntry({ entityType: 'Product', entityId: 'AUDIT001' });
+
+    expect(entry).not.toBeNull();
+    expect(entry.actorId).not.toBeNull();
+    expect(entry.method).toBe('POST');
+    expect(entry.route).toBe('/api/stocks/update');
+    expect(entry.statusCode).toBe(201);
+    expect(entry.payload.change).toBe(30);
+    expect(entry.changes.before).toEqual({ stockLevel: 0 });
+    expect(entry.changes.after).toEqual({ stockLevel: 30 });
+    expect(entry.ipAddress).toBeDefined();
+  });
+
+  test('should audit time-series records', async () => {
+    await request(app)
+      .post('/api/timeseries/record')
+      .set('Authorization', staffHeader)
+      .send({ productId: 'AUDIT001', change: 12, reason: 'restock' });
+
+    const entry = await waitForAuditEntry({ route: '/api/timeseries/record', entityId: 'AUDIT001' });
+
+    expect(entry).not.toBeNull();
+    expect(entry.changes.after).toEqual({ stockLevel: 12 });
+  });
+
+  test('should not audit read-only requests', async () => {
+    const before = await AuditLog.countDocuments({ method: { $exists: true } });
+
+    await request(app)
+      .get('/api/stocks/current')
+      .set('Authorization', staffHeader)
+      .query({ productId: 'AUDIT001' });
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+    const after = await AuditLog.countDocuments({ method: { $exists: true } });
+    expect(after).toBe(before);
+  });
+
+  test('should redact secrets from payloads', async () => {
+    await request(app)
+      .post('/api/users/me/password')
+      .set('Authorization', staffHeader)
+      .send({ currentPassword: 'wrong-password', newPassword: 'new-password-1' });
+
+    const entry = await waitForAuditEntry({ route: '/api/users/me/password' });
+
+    expect(entry.payload.currentPassword).toBe('[REDACTED]');
+    expect(entry.payload.newPassword).toBe('[REDACTED]');
+    expect(entry.statusCode).toBe(401);
+  });
+});
+
+describe('Audit Query API Tests', () => {
+  test('GET /api/audit - should filter by entity', async () => {
+    await request(app)
+      .post('/api/stocks/update')
+      .set('Authorization', staffHeader)
+      .send({ productId: 'AUDIT001', change: 5, reason: 'restock' });
+    await waitForAuditEntry({ entityId: 'AUDIT001' });
+
+    const response = await request(app)
+      .get('/api/audit')
+      .set('Authorization', managerHeader)
+      .query({ entityType: 'Product', entityId: 'AUDIT001' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.length).toBe(1);
+    expect(response.body.pagination.total).toBe(1);
+  });
+
+  test('GET /api/audit - should filter by date range', async () => {
+    const response = await request(app)
+      .get('/api/audit')
+      .set('Authorization', managerHeader)
+      .query({ from: '2000-01-01', to: '2000-12-31' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual([]);
+  });
+
+  test('GET /api/audit - should be forbidden for staff', async () => {
+    const response = await request(app)
+      .get('/api/audit')
+      .set('Authorization', staffHeader);
+
+    expect(response.status).toBe(403);
+  });
+});
@@ -0,0 +1,180 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const authService = require('../services/authService');
+
+// Test database setup
+const TEST_DB_URI = 'mongodb://localhost:27017/stock-tracking-test';
+
+beforeAll(async () => {
+  await mongoose.connect(TEST_DB_URI);
+});
+
+afterAll(async () => {
+  await mongoose.connection.db.dropDatabase();
+  await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+  await Promise.all([
+    User.deleteMany({}),
+    Session.deleteMany({})
+  ]);
+
+  await User.createUser({
+    username: 'staff1',
+    email: 'staff@stocktracking.com',
+    password_hash: 'staff123',
+    role: 'staff'
+  });
+});
+
+async function login(identifier = 'staff1', password = 'staff123') {
+  return await request(app)
+    .post('/api/auth/login')
+    .send({ identifier, password });
+}
+
+describe('Login Tests', () => {
+  test('POST /api/auth/login - should issue a token pair', async () => {
+    const response = await login();
+
+    expect(response.status).toBe(200);
+    expect(response.body.success).toBe(true);
+    expect(response.body.data.accessToken).toBeDefined();
+    expect(response.body.data.refreshToken).toBeDefined();
+    expect(response.body.data.user.username).toBe('staff1');
+    expect(response.body.data.user.password_hash).toBeUndefined();
+  });
+
+  test('should accept email as identifier and update lastLogin', async () => {
+    const response = await login('staff@stocktracking.com');
+    expect(response.status).toBe(200);
+
+    const user = await User.findOne({ username: 'staff1' });
+    expect(user.lastLogin).toBeInstanceOf(Date);
+  });
+
+  test('should reject a wrong password', async () => {
+    const response = await login('staff1', 'wrong-password');
+
+    expect(response.status).toBe(401);
+    expect(response.body.success).toBe(false);
+  });
+
+  test('should reject inactive users', async () => {
+    await User.updateOne({ username: 'staff1' }, { isActive: false });
+
+    const response = await login();
+
+    expect(response.status).toBe(403);
+    expect(response.body.error).toBe('User account is inactive');
+  });
+
+  test('should validate required fields', async () => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ identifier: 'staff1' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors).toBeDefined();
+  });
+});
+
+describe('Token Lifecycle Tests', () => {
+  test('GET /api/auth/me - should return the authenticated profile', async () => {
+    const { body } = await login();
+
+    const response = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${body.data.accessToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.username).toBe('staff1');
+  });
+
+  test('GET /api/auth/me - should require a token', async () => {
+    const response = await request(app).get('/api/auth/me');
+    expect(response.status).toBe(401);
+  });
+
+  test('POST /api/auth/refresh - should rotate the refresh token', async () => {
+    const { body } = await login();
+    const { refreshToken } = body.data;
+
+    const response = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.refreshToken).not.toBe(refreshToken);
+
+    // The old refresh token cannot be replayed
+    const replay = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken });
+    expect(replay.status).toBe(401);
+  });
+
+  test('POST /api/auth/logout - should revoke the session', async () => {
+    const { body } = await login();
+    const { accessToken, refreshToken } = body.data;
+
+    const response = await request(app)
+      .post('/api/auth/logout')
+      .send({ refreshToken });
+    expect(response.status).toBe(200);
+
+    const me = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${accessToken}`);
+    expect(me.status).toBe(401);
+  });
+
+  test('should reject tokens of users deactivated after login', async () => {
+    const { body } = await login();
+    await User.updateOne({ username: 'staff1' }, { isActive: false });
+
+    const me = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${body.data.accessToken}`);
+    expect(me.status).toBe(403);
+
+    const refresh = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: body.data.refreshToken });
+    expect(refresh.status).toBe(403);
+  });
+});
+
+describe('JWT Secret', () => {
+  const { NODE_ENV, JWT_SECRET } = process.env;
+
+  // Assigning undefined would store the string "undefined"
+  function restore(name, value) {
+    if (value === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = value;
+    }
+  }
+
+  afterEach(() => {
+    restore('NODE_ENV', NODE_ENV);
+    restore('JWT_SECRET', JWT_SECRET);
+  });
+
+  test('should refuse a missing or published secret outside development and test', () => {
+    process.env.NODE_ENV = 'production';
+    delete process.env.JWT_SECRET;
+    expect(() => authService.assertConfigured()).toThrow('JWT_SECRET');
+
+    process.env.JWT_SECRET = 'change-this-secret-in-production';
+    expect(() => authService.assertConfigured()).toThrow('JWT_SECRET');
+
+    process.env.JWT_SECRET = 'a-private-production-secret';
+    expect(() => authService.assertConfigured()).not.toThrow();
+  });
+});
@@ -0,0 +1,114 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const StockBalance = require('../models/StockBalance');
+const StockHistory = require('../models/StockHistory');
+const StockTimeSeries = require('../models/StockTimeSeries');
+const { createAuthHeader } = require('./helpers/auth');
+const { roleHasPermission, getRolePermissions } = require('../config/permissions');
+
+// Test database setup
+const TEST_DB_URI = 'mongodb://localhost:27017/stock-tracking-test';
+
+const headers = {};
+
+beforeAll(async () => {
+  await mongoose.connect(TEST_DB_URI);
+  headers.admin = await createAuthHeader('admin');
+  headers.manager = await createAuthHeader('manager');
+  headers.staff = await createAuthHeader('staff');
+});
+
+afterAll(async () => {
+  await mongoose.connection.db.dropDatabase();
+  await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+  await Promise.all([
+    StockBalance.deleteMany({}),
+    StockHistory.deleteMany({}),
+    StockTimeSeries.deleteMany({})
+  ]);
+});
+
+describe('Permission Matrix Tests', () => {
+  test('should grant admins every permission', () => {
+    const staffPermissions = getRolePermissions('staff');
+    const managerPermissions = getRolePermissions('manager');
+    const adminPermissions = getRolePermissions('admin');
+
+    expect(adminPermissions).toEqual(expect.arrayContaining(managerPermissions));
+    expect(managerPermissions).toEqual(expect.arrayContaining(staffPermissions));
+  });
+
+  test('should reserve destructive permissions for admins', () => {
+    expect(roleHasPermission('admin', 'data:admin')).toBe(true);
+    expect(roleHasPermission('manager', 'data:admin')).toBe(false);
+    expect(roleHasPermission('staff', 'data:admin')).toBe(false);
+  });
+
+  test('should deny unknown permissions', () => {
+    expect(roleHasPermission('admin', 'unknown:permission')).toBe(false);
+  });
+});
+
+describe('Route Authorization Tests', () => {
+  test('should reject unauthenticated requests', async () => {
+    const response = await request(app)
+      .get('/api/stocks/current')
+      .query({ productId: 'PROD001' });
+
+    expect(response.status).toBe(401);
+  });
+
+  test('staff can record sales', async () => {
+    await StockHistory.recordStockChange('PROD001', 20, 'restock');
+
+    const response = await request(app)
+      .post('/api/stocks/update')
+      .set('Authorization', headers.staff)
+      .send({ productId: 'PROD001', change: -5, reason: 'sale' });
+
+    expect(response.status).toBe(201);
+  });
+
+  test('staff cannot run analytics', async () => {
+    const response = await request(app)
+      .get('/api/timeseries/trend')
+      .set('Authorization', headers.staff)
+      .query({ productId: 'PROD001' });
+
+    expect(response.status).toBe(403);
+    expect(response.body.success).toBe(false);
+  });
+
+  test('managers can run analytics', async () => {
+    const response = await request(app)
+      .get('/api/stocks/restock-pattern')
+      .set('Authorization', headers.manager)
+      .query({ productId: 'PROD001' });
+
+    expect(response.status).toBe(200);
+  });
+
+  test('only admins can clear stock history', async () => {
+    const managerResponse = await request(app)
+      .delete('/api/stocks/clear')
+      .set('Authorization', headers.manager);
+    expect(managerResponse.status).toBe(403);
+
+    const adminResponse = await request(app)
+      .delete('/api/stocks/clear')
+      .set('Authorization', headers.admin);
+    expect(adminResponse.status).toBe(200);
+  });
+
+  test('only admins can seed computer vision data', async () => {
+    const response = await request(app)
+      .post('/api/cv/seed')
+      .set('Authorization', headers.staff);
+
+    expect(response.status).toBe(403);
+  });
+});
@@ -0,0 +1,201 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const Alert = require('../models/Alert');
+const AuditLog = require('../models/AuditLog');
+const Camera = require('../models/Camera');
+const cameraService = require('../services/cameraService');
+const { createAuthHeader } = require('./helpers/auth');
+
+// Test database setup
+const TEST_DB_URI = 'mongodb://localhost:27017/stock-tracking-test';
+
+let managerHeader;
+let staffHeader;
+let workerKey;
+
+beforeAll(async () => {
+  await mongoose.connect(TEST_DB_URI);
+  managerHeader = await createAuthHeader('manager');
+  staffHeader = await createAuthHeader('staff');
+
+  const adminHeader = await createAuthHeader('admin');
+  const issued = await request(app)
+    .post('/api/api-keys')
+    .set('Authorization', adminHeader)
+    .send({ name: 'Camera worker', scopes: ['cameras:heartbeat'] });
+  workerKey = issued.body.data.key;
+});
+
+afterAll(async () => {
+  await mongoose.connection.db.dropDatabase();
+  await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+  await Promise.all([
+    Alert.deleteMany({}),
+    Camera.deleteMany({})
+  ]);
+});
+
+async function registerCamera(fields = {}) {
+  const response = await request(app)
+    .post('/api/cv/cameras')
+    .set('Authorization', managerHeader)
+    .send({ name: 'Camera A1', location: 'Aisle 1', rtspUrl: 'rtsp://10.0.0.5/stream', ...fields });
+  return response.body.data;
+}
+
+function heartbeat(cameraId, health) {
+  return request(app)
+    .post(`/api/cv/cameras/${cameraId}/heartbeat`)
+    .set('X-API-Key', workerKey)
+    .send({ health });
+}
+
+describe('Camera CRUD', () => {
+  test('POST /api/cv/cameras - should register a camera', async () => {
+    const camera = await registerCamera();
+
+    expect(camera.cameraId).toBeDefined();
+    expect(camera.status).toBe('offline');
+  });
+
+  test('POST /api/cv/cameras - should validate the RTSP URL', async () => {
+    const response = await request(app)
+      .post('/api/cv/cameras')
+      .set('Authorization', managerHeader)
+      .send({ name: 'Camera A2', rtspUrl: 'http://10.0.0.5/stream' });
+
+    expect(response.status).toBe(400);
+  });
+
+  test('POST /api/cv/cameras - should forbid staff', async () => {
+    const response = await request(app)
+      .post('/api/cv/cameras')
+      .set('Authorization', staffHeader)
+      .send({ name: 'Camera A2' });
+
+    expect(response.status).toBe(403);
+  });
+
+  test('PATCH /api/cv/cameras/:id - should update a camera', async () => {
+    const camera = await registerCamera();
+
+    const response = await request(app)
+      .patch(`/api/cv/cameras/${camera.cameraId}`)
+      .set('Authorization', managerHeader)
+      .send({ location: 'Aisle 2', heartbeatTimeoutSeconds: 300 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.location).toBe('Aisle 2');
+    expect(response.body.data.heartbeatTimeoutSeconds).toBe(300);
+  });
+
+  test('DELETE /api/cv/cameras/:id - should hide deactivated cameras from the list', async () => {
+    const camera = await registerCamera();
+
+    await request(app)
+      .delete(`/api/cv/cameras/${camera.cameraId}`)
+      .set('Authorization', managerHeader);
+
+    const listed = await request(app)
+      .get('/api/cv/cameras')
+      .set('Authorization', staffHeader);
+    expect(listed.body.data).toHaveLength(0);
+
+    const all = await request(app)
+      .get('/api/cv/cameras')
+      .set('Authorization', staffHeader)
+      .query({ includeInactive: 'true' });
+    expect(all.body.data).toHaveLength(1);
+  });
+});
+
+describe('Camera Heartbeats and Watchdog', () => {
+  test('should bring a camera online on its first heartbeat', async () => {
+    const camera = await registerCamera();
+
+    const response = await heartbeat(camera.cameraId, { fps: 29.7 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.status).toBe('online');
+    const stored = await Camera.findById(camera.cameraId);
+    expect(stored.health.fps).toBe(29.7);
+  });
+
+  test('should mark silent cameras offline and raise one alert', async () => {
+    const camera = await registerCamera();
+    await heartbeat(camera.cameraId);
+
+    const later = new Date(Date.now() + 10 * 60 * 1000);
+    const result = await cameraService.detectOfflineCameras(later);
+    await cameraService.detectOfflineCameras(later);
+
+    expect(result.wentOffline).toHaveLength(1);
+    expect((await Camera.findById(camera.cameraId)).status).toBe('offline');
+
+    const alerts = await Alert.find({ alertType: 'camera_offline' });
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0].cameraId.toString()).toBe(camera.cameraId);
+  });
+
+  test('should honour per-camera timeouts', async () => {
+    const camera = await registerCamera({ heartbeatTimeoutSeconds: 3600 });
+    await heartbeat(camera.cameraId);
+
+    const result = await cameraService.detectOfflineCameras(new Date(Date.now() + 10 * 60 * 1000));
+
+    expect(result.wentOffline).toHaveLength(0);
+  });
+
+  test('should auto-resolve the offline alert when heartbeats return', async () => {
+    const camera = await registerCamera();
+    await heartbeat(camera.cameraId);
+    await cameraService.detectOfflineCameras(new Date(Date.now() + 10 * 60 * 1000));
+
+    const response = await heartbeat(camera.cameraId);
+
+    expect(response.body.data.status).toBe('online');
+    const alert = await Alert.findOne({ alertType: 'camera_offline' });
+    expect(alert.resolved).toBe(true);
+    expect(alert.metadata.autoResolved).toBe(true);
+  });
+
+  test('should leave a camera online when a heartbeat races the watchdog', async () => {
+    const camera = await registerCamera();
+    await heartbeat(camera.cameraId);
+
+    await Promise.all([
+      cameraService.detectOfflineCameras(new Date(Date.now() + 10 * 60 * 1000)),
+      heartbeat(camera.cameraId),
+      heartbeat(camera.cameraId)
+    ]);
+
+    expect((await Camera.findById(camera.cameraId)).status).toBe('online');
+    expect(await Alert.countDocuments({ alertType: 'camera_offline', resolved: false })).toBe(0);
+  });
+
+  test('should not watch cameras in maintenance', async () => {
+    const camera = await registerCamera({ status: 'maintenance' });
+
+    const result = await cameraService.detectOfflineCameras(new Date(Date.now() + 10 * 60 * 1000));
+
+    expect(result.checked).toBe(0);
+    expect((await heartbeat(camera.cameraId)).body.data.status).toBe('maintenance');
+  });
+
+  test('should only audit heartbeats that change the status', async () => {
+    const camera = await registerCamera();
+    await heartbeat(camera.cameraId);
+    await heartbeat(camera.cameraId);
+    await heartbeat(camera.cameraId);
+
+    // Audit entries are written after the response finishes
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    const entries = await AuditLog.countDocuments({ route: '/api/cv/cameras/:id/heartbeat' });
+    expect(entries).toBe(1);
+  });
+});
@@ -0,0 +1,217 @@
+const request = require('supertest');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const app = require('../server');
+const Image = require('../models/Image');
+const ImageJob = require('../models/ImageJob');
+const Product = require('../models/Product');
+const Shelf = require('../models/Shelf');
+const StockLevel = require('../models/StockLevel');
+const imageJobService = require('../services/imageJobService');
+const reviewService = require('../services/reviewService');
+const { createAuthHeader } = require('./helpers/auth');
+const { createPng } = require('./helpers/images');
+
+// Test database setup
+const TEST_DB_URI = 'mongodb://localhost:27017/stock-tracking-test';
+
+let managerHeader;
+let staffHeader;
+let uploadRoot;
+let exportRoot;
+let images;
+
+beforeAll(async () => {
+  await mongoose.connect(TEST_DB_URI);
+  managerHeader = await createAuthHeader('manager');
+  staffHeader = await createAuthHeader('staff');
+
+  uploadRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'stock-uploads-'));
+  exportRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'stock-exports-'));
+  process.env.IMAGE_UPLOAD_ROOT = uploadRoot;
+  process.env.DATASET_EXPORT_ROOT = exportRoot;
+
+  await Promise.all([
+    Image.deleteMany({}),
+    ImageJob.deleteMany({}),
+    Product.deleteMany({}),
+    Shelf.deleteMany({}),
+    StockLevel.deleteMany({})
+  ]);
+
+  const shelf = await Shelf.create({ shelfName: 'Shelf A1', detector: { name: 'occupancy', options: {} } });
+  const product = await Product.create({ name: 'Milk', sku: 'MILK001', category: 'dairy' });
+
+  // Two photos with 3 and 5 occupied slots
+  for (const filledColumns of [30, 50]) {
+    await request(app)
+      .post(`/api/cv/shelves/${shelf._id}/images`)
+      .set('Authorization', staffHeader)
+      .field('productId', product._id.toString())
+      .attach('image', createPng(100, 40, x => (x < filledColumns ? 20 : 255)), {
+        filename: 'shelf.png',
+        contentType: 'image/png'
+      });
+  }
+  await imageJobService.processQueue();
+
+  images = await Image.find({}).sort({ uploadTime: 1, _id: 1 });
+  await reviewService.labelImage(images[1], 'corrected', { _id: new mongoose.Types.ObjectId() }, {
+    stockPercentage: 45,
+    boundingBoxes: [{ x: 0, y: 0, width: 45, height: 40 }]
+  });
+});
+
+afterAll(async () => {
+  fs.rmSync(uploadRoot, { recursive: true, force: true });
+  fs.rmSync(exportRoot, { recursive: true, force: true });
+  await mongoose.connection.db.dropDatabase();
+  await mongoose.connection.close();
+});
+
+function createExport(body) {
+  return request(app)
+    .post('/api/cv/exports')
+    .set('Authorization', managerHeader)
+    .send(body);
+}
+
+function readExportFile(exportId, file) {
+  return fs.readFileSync(path.join(exportRoot, exportId, file), 'utf8');
+}
+
+describe('COCO Export', () => {
+  test('should export every processed image with its boxes', async () => {
+    const response = await createExport({ format: 'coco' });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.imageCount).toBe(2);
+
+    const dataset = JSON.parse(readExportFile(response.body.data.exportId, 'annotations/instances.json'));
+    expect(dataset.categories).toEqual([{ id: 1, name: 'MILK001', supercategory: 'dairy' }]);
+    expect(dataset.images).toHaveLength(2);
+    expect(dataset.images[0]).toMatchObject({ width: 100, height: 40, review_status: 'unreviewed' });
+    // Referenced in place unless copies were asked for
+    expect(fs.existsSync(dataset.images[0].file_name)).toBe(true);
+
+    // 3 detector boxes, then the single reviewed box
+    expect(dataset.annotations).toHaveLength(4);
+    expect(dataset.annotations[3]).toMatchObject({ image_id: 2, category_id: 1, bbox: [0, 0, 45, 40], area: 1800 });
+  });
+
+  test('should filter by review status', async () => {
+    const response = await createExport({ format: 'coco', reviewStatus: 'reviewed' });
+
+    const dataset = JSON.parse(readExportFile(response.body.data.exportId, 'annotations/instances.json'));
+    expect(dataset.images).toHaveLength(1);
+    expect(dataset.images[0]).toMatchObject({ asset_id: images[1]._id.toString(), stock_percentage: 45 });
+  });
+
+  test('should skip images stored outside the upload root', async () => {
+    // As written by the seed script
+    const seeded = await Image.create({
+      shelfId: images[0].shelfId,
+      productId: images[0].productId,
+      filename: 'image_1.jpg',
+      filePath: '/uploads/images/image_1.jpg',
+      mimeType: 'image/jpeg',
+      processingStatus: 'completed'
+    });
+
+    try {
+      const response = await createExport({ format: 'coco' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.imageCount).toBe(2);
+      expect(response.body.data.missingFiles).toEqual([
+        { imageId: seeded._id.toString(), filePath: '/uploads/images/image_1.jpg' }
+      ]);
+    } finally {
+      await Image.deleteOne({ _id: seeded._id });
+    }
+  });
+
+  test('should filter by date range', async () => {
+    const response = await createExport({ format: 'coco', from: new Date(Date.now() + 60000).toISOString() });
+
+    expect(response.body.data.imageCount).toBe(0);
+  });
+});
+
+describe('Pascal VOC Export', () => {
+  test('should write one XML file per image and copy the images', async () => {
+    const response = await createExport({ format: 'voc', copyImages: true });
+    const { exportId } = response.body.data;
+
+    const name = images[0]._id.toString();
+    const xml = readExportFile(exportId, `Annotations/${name}.xml`);
+    expect(xml).toContain('<filename>' + name + '.png</filename>');
+    expect(xml).toContain('<name>MILK001</name>');
+    expect(xml).toContain('<xmin>1</xmin>');
+    expect(xml).toContain('<xmax>10</xmax>');
+    expect((xml.match(/<object>/g) || [])).toHaveLength(3);
+
+    expect(fs.existsSync(path.join(exportRoot, exportId, 'JPEGImages', `${name}.png`))).toBe(true);
+    expect(readExportFile(exportId, 'ImageSets/Main/default.txt').trim().split('\n')).toHaveLength(2);
+  });
+});
+
+describe('Export Endpoints', () => {
+  test('should list exports and serve their files', async () => {
+    const created = await createExport({ format: 'coco' });
+
+    const listed = await request(app)
+      .get('/api/cv/exports')
+      .set('Authorization', managerHeader);
+    expect(listed.body.data.map(item => item.exportId)).toContain(created.body.data.exportId);
+
+    const file = await request(app)
+      .get(`/api/cv/exports/${created.body.data.exportId}/file`)
+      .set('Authorization', managerHeader)
+      .query({ path: 'annotations/instances.json' });
+    expect(file.status).toBe(200);
+  });
+
+  test('should keep exports to the store that made them', async () => {
+    const created = await createExport({ format: 'coco', copyImages: true });
+    const otherStoreManager = await createAuthHeader('manager', { storeId: new mongoose.Types.ObjectId() });
+
+    const listed = await request(app)
+      .get('/api/cv/exports')
+      .set('Authorization', otherStoreManager);
+    expect(listed.body.data.map(item => item.exportId)).not.toContain(created.body.data.exportId);
+
+    const file = await request(app)
+      .get(`/api/cv/exports/${created.body.data.exportId}/file`)
+      .set('Authorization', otherStoreManager)
+      .query({ path: 'annotations/instances.json' });
+    expect(file.status).toBe(404);
+  });
+
+  test('should not serve files outside the export', async () => {
+    const created = await createExport({ format: 'coco' });
+
+    const response = await request(app)
+      .get(`/api/cv/exports/${created.body.data.exportId}/file`)
+      .set('Authorization', managerHeader)
+      .query({ path: '../../etc/passwd' });
+
+    expect(response.status).toBe(404);
+  });
+
+  test('should validate the format', async () => {
+    const response = await createExport({ format: 'yolo' });
+    expect(response.status).toBe(400);
+  });
+
+  test('should forbid staff', async () => {
+    const response = await request(app)
+      .post('/api/cv/exports')
+      .set('Authorization', staffHeader)
+      .send({ format: 'coco' });
+
+    expect(response.status).toBe(403);
+  });
+});
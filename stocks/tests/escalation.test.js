@@ -0,0 +1,146 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const Alert = require('../models/Alert');
+const EscalationPolicy = require('../models/EscalationPolicy');
+const escalationService = require('../services/escalationService');
+const { createAuthHeader } = require('./helpers/auth');
+
+// Test database setup
+const TEST_DB_URI = 'mongodb://localhost:27017/stock-tracking-test';
+
+const MINUTE = 60 * 1000;
+
+let managerHeader;
+let staffHeader;
+let alert;
+
+beforeAll(async () => {
+  await mongoose.connect(TEST_DB_URI);
+  managerHeader = await createAuthHeader('manager');
+  staffHeader = await createAuthHeader('staff');
+  await createAuthHeader('admin');
+});
+
+afterAll(async () => {
+  await mongoose.connection.db.dropDatabase();
+  await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+  await Promise.all([
+    Alert.deleteMany({}),
+    EscalationPolicy.deleteMany({})
+  ]);
+
+  await EscalationPolicy.create({
+    name: 'High alerts',
+    severities: ['high'],
+    steps: [
+      { afterMinutes: 60, notifyRoles: ['admin'], bumpSeverity: true },
+      { afterMinutes: 15, notifyRoles: ['manager'] }
+    ]
+  });
+
+  alert = await Alert.createAlert({
+    alertType: 'low_stock',
+    message: 'Milk on Shelf A1 is at 15%',
+    severity: 'high'
+  });
+});
+
+function minutesLater(minutes) {
+  return new Date(alert.createdAt.getTime() + minutes * MINUTE);
+}
+
+describe('Escalation Scheduler', () => {
+  test('should not escalate before the first step is due', async () => {
+    const result = await escalationService.evaluateOpenAlerts(minutesLater(10));
+    expect(result.escalations).toHaveLength(0);
+  });
+
+  test('should escalate to managers after 15 minutes', async () => {
+    const result = await escalationService.evaluateOpenAlerts(minutesLater(16));
+    expect(result.escalations).toHaveLength(1);
+
+    const stored = await Alert.findById(alert._id);
+    expect(stored.severity).toBe('high');
+    expect(stored.metadata.escalationLevel).toBe(1);
+    expect(stored.metadata.escalationHistory[0].notifyRoles).toEqual(['manager']);
+    expect(stored.metadata.escalationHistory[0].notifiedUserIds).toHaveLength(1);
+  });
+
+  test('should record each step once and bump severity at the last step', async () => {
+    await escalationService.evaluateOpenAlerts(minutesLater(16));
+    await escalationService.evaluateOpenAlerts(minutesLater(30));
+    await escalationService.evaluateOpenAlerts(minutesLater(61));
+
+    const stored = await Alert.findById(alert._id);
+    expect(stored.severity).toBe('critical');
+    expect(stored.metadata.escalationLevel).toBe(2);
+    expect(stored.metadata.escalationHistory.map(h => h.step)).toEqual([1, 2]);
+    expect(stored.metadata.escalationHistory[1]).toMatchObject({ fromSeverity: 'high', toSeverity: 'critical' });
+  });
+
+  test('should keep the policy after the severity is bumped', async () => {
+    await escalationService.evaluateOpenAlerts(minutesLater(61));
+    const result = await escalationService.evaluateOpenAlerts(minutesLater(120));
+
+    expect(result.escalations).toHaveLength(0);
+  });
+
+  test('should stop escalating once acknowledged', async () => {
+    await alert.acknowledge(new mongoose.Types.ObjectId());
+
+    const result = await escalationService.evaluateOpenAlerts(minutesLater(61));
+    expect(result.escalations).toHaveLength(0);
+  });
+
+  test('should skip snoozed alerts', async () => {
+    await alert.snooze(new mongoose.Types.ObjectId(), minutesLater(90));
+
+    const result = await escalationService.evaluateOpenAlerts(minutesLater(61));
+    expect(result.escalations).toHaveLength(0);
+  });
+
+  test('should ignore alerts no policy matches', async () => {
+    await Alert.updateOne({ _id: alert._id }, { severity: 'low' });
+
+    const result = await escalationService.evaluateOpenAlerts(minutesLater(61));
+    expect(result.escalations).toHaveLength(0);
+  });
+});
+
+describe('Escalation Policy API', () => {
+  test('POST /api/escalation-policies - should create a policy with sorted steps', async () => {
+    const response = await request(app)
+      .post('/api/escalation-policies')
+      .set('Authorization', managerHeader)
+      .send({
+        name: 'Critical alerts',
+        severities: ['critical'],
+        steps: [{ afterMinutes: 60, notifyRoles: ['admin'] }, { afterMinutes: 15, notifyRoles: ['manager'] }]
+      });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.steps.map(s => s.afterMinutes)).toEqual([15, 60]);
+  });
+
+  test('POST /api/escalation-policies - should require steps', async () => {
+    const response = await request(app)
+      .post('/api/escalation-policies')
+      .set('Authorization', managerHeader)
+      .send({ name: 'Empty', steps: [] });
+
+    expect(response.status).toBe(400);
+  });
+
+  test('POST /api/escalation-policies - should forbid staff', async () => {
+    const response = await request(app)
+      .post('/api/escalation-policies')
+      .set('Authorization', staffHeader)
+      .send({ name: 'Staff policy', steps: [{ afterMinutes: 5 }] });
+
+    expect(response.status).toBe(403);
+  });
+});
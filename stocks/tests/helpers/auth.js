@@ -0,0 +1,25 @@
+const User = require('../../models/User');
+const authService = require('../../services/authService');
+
+// Create a throwaway user with the given role and return a ready-to-use
+// Authorization header. Usernames are unique so test files can share a database.
+// Users belong to no store unless one is given; an admin without a store sees every store.
+async function createAuthHeader(role = 'admin', { storeId = null } = {}) {
+  const username = `${role}_${Date.now()}_${Math.floor(Math.random() * 1000000)}`;
+  const password = 'password123';
+
+  await User.createUser({
+    username,
+    email: `${username}@stocktracking.com`,
+    password_hash: password,
+    role,
+    storeId
+  });
+
+  const { accessToken } = await authService.login(username, password);
+  return `Bearer ${accessToken}`;
+}
+
+module.exports = {
+  createAuthHeader
+};
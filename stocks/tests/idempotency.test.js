@@ -0,0 +1,166 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const StockBalance = require('../models/StockBalance');
+const StockHistory = require('../models/StockHistory');
+const StockTimeSeries = require('../models/StockTimeSeries');
+const { createAuthHeader } = require('./helpers/auth');
+
+// Test database setup
+const TEST_DB_URI = 'mongodb://localhost:27017/stock-tracking-test';
+
+let staffHeader;
+let managerHeader;
+
+beforeAll(async () => {
+  await mongoose.connect(TEST_DB_URI);
+  // Duplicate keys are detected through the unique index
+  await IdempotencyKey.init();
+  staffHeader = await createAuthHeader('staff');
+  managerHeader = await createAuthHeader('manager');
+});
+
+afterAll(async () => {
+  await mongoose.connection.db.dropDatabase();
+  await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+  await Promise.all([
+    IdempotencyKey.deleteMany({}),
+    StockBalance.deleteMany({}),
+    StockHistory.deleteMany({}),
+    StockTimeSeries.deleteMany({})
+  ]);
+});
+
+function recordSale(key, change = -2, authHeader = staffHeader) {
+  return request(app)
+    .post('/api/timeseries/record')
+    .set('Authorization', authHeader)
+    .set('Idempotency-Key', key)
+    .send({ productId: 'IDEM001', change, reason: 'sale' });
+}
+
+async function restock(amount) {
+  await request(app)
+    .post('/api/stocks/update')
+    .set('Authorization', staffHeader)
+    .send({ productId: 'IDEM001', change: amount, reason: 'restock' });
+}
+
+describe('Idempotency Keys', () => {
+  test('should replay the first response for a retried request', async () => {
+    await restock(10);
+
+    const first = await recordSale('sale-1');
+    const retry = await recordSale('sale-1');
+
+    expect(first.status).toBe(201);
+    expect(retry.status).toBe(201);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body).toEqual(first.body);
+    expect(await StockTimeSeries.countDocuments({ productId: 'IDEM001' })).toBe(2);
+  });
+
+  test('should record requests with different keys separately', async () => {
+    await restock(10);
+
+    await recordSale('sale-1');
+    const second = await recordSale('sale-2');
+
+    expect(second.headers['idempotent-replayed']).toBeUndefined();
+    expect(second.body.data.stockLevel).toBe(6);
+  });
+
+  test('should reject a key reused with a different payload', async () => {
+    await restock(10);
+    await recordSale('sale-1', -2);
+
+    const response = await recordSale('sale-1', -3);
+
+    expect(response.status).toBe(409);
+    expect(await StockTimeSeries.countDocuments({ productId: 'IDEM001' })).toBe(2);
+  });
+
+  test('should reject a key reused on another endpoint', async () => {
+    await restock(10);
+    await recordSale('sale-1');
+
+    const response = await request(app)
+      .post('/api/stocks/update')
+      .set('Authorization', staffHeader)
+      .set('Idempotency-Key', 'sale-1')
+      .send({ productId: 'IDEM001', change: -2, reason: 'sale' });
+
+    expect(response.status).toBe(409);
+  });
+
+  test('should replay refused changes too', async () => {
+    const first = await recordSale('sale-1', -5);
+    await restock(10);
+    const retry = await recordSale('sale-1', -5);
+
+    expect(first.status).toBe(400);
+    expect(retry.status).toBe(400);
+    expect(retry.body.error).toBe('Stock level cannot be negative');
+  });
+
+  test('should keep each caller\'s keys apart', async () => {
+    await restock(10);
+
+    await recordSale('sale-1');
+    const response = await recordSale('sale-1', -2, managerHeader);
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.stockLevel).toBe(6);
+  });
+
+  test('should treat a key past its retention window as new', async () => {
+    await restock(10);
+    await recordSale('sale-1');
+    await IdempotencyKey.updateOne({ key: 'sale-1' }, { expiresAt: new Date(Date.now() - 1000) });
+
+    const response = await recordSale('sale-1');
+
+    expect(response.headers['idempotent-replayed']).toBeUndefined();
+    expect(response.body.data.stockLevel).toBe(6);
+  });
+
+  test('should let a retry take over a key abandoned while processing', async () => {
+    await restock(10);
+    await recordSale('sale-1');
+    const abandoned = new Date(Date.now() - 5 * 60 * 1000);
+    await IdempotencyKey.updateOne({ key: 'sale-1' }, {
+      status: 'processing', responseStatus: null, responseBody: null, lockedAt: abandoned
+    });
+
+    const [retry, duplicate] = await Promise.all([recordSale('sale-1'), recordSale('sale-1')]);
+
+    // One retry wins the key; the other replays its response or finds it processing
+    expect([retry.status, duplicate.status]).toContain(201);
+    expect([201, 409]).toEqual(expect.arrayContaining([retry.status, duplicate.status]));
+    // The abandoned sale runs once more, and only once
+    expect(await StockTimeSeries.countDocuments({ productId: 'IDEM001' })).toBe(3);
+    const stored = await IdempotencyKey.findOne({ key: 'sale-1' });
+    expect(stored.status).toBe('completed');
+    expect(stored.lockedAt.getTime()).toBeGreaterThan(abandoned.getTime());
+  });
+
+  test('should keep rejecting retries while the first request is recent', async () => {
+    await restock(10);
+    await recordSale('sale-1');
+    await IdempotencyKey.updateOne({ key: 'sale-1' }, { status: 'processing', lockedAt: new Date() });
+
+    const retry = await recordSale('sale-1');
+
+    expect(retry.status).toBe(409);
+  });
+
+  test('should reject keys that are too long', async () => {
+    const response = await recordSale('k'.repeat(256));
+
+    expect(response.status).toBe(400);
+  });
+});
@@ -0,0 +1,203 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const Image = require('../models/Image');
+const ImageJob = require('../models/ImageJob');
+const Product = require('../models/Product');
+const Shelf = require('../models/Shelf');
+const StockLevel = require('../models/StockLevel');
+const imageJobService = require('../services/imageJobService');
+const { createAuthHeader } = require('./helpers/auth');
+
+// Test database setup
+const TEST_DB_URI = 'mongodb://localhost:27017/stock-tracking-test';
+
+let managerHeader;
+let staffHeader;
+let shelf;
+let product;
+
+beforeAll(async () => {
+  await mongoose.connect(TEST_DB_URI);
+  managerHeader = await createAuthHeader('manager');
+  staffHeader = await createAuthHeader('staff');
+});
+
+afterAll(async () => {
+  await mongoose.connection.db.dropDatabase();
+  await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+  imageJobService.setProcessor(null);
+  await Promise.all([
+    Image.deleteMany({}),
+    ImageJob.deleteMany({}),
+    Product.deleteMany({}),
+    Shelf.deleteMany({}),
+    StockLevel.deleteMany({})
+  ]);
+
+  shelf = await Shelf.create({ shelfName: 'Shelf A1' });
+  product = await Product.create({ name: 'Milk', sku: 'MILK001' });
+});
+
+function createImage(detection, index = 1) {
+  return Image.create({
+    shelfId: shelf._id,
+    productId: product._id,
+    filename: `image_${index}.jpg`,
+    filePath: `${shelf._id}/image_${index}.jpg`,
+    mimeType: 'image/jpeg',
+    metadata: detection ? { detection } : {}
+  });
+}
+
+describe('Image Processing Queue', () => {
+  test('should queue new pending images', async () => {
+    const image = await createImage();
+
+    const job = await ImageJob.findOne({ imageId: image._id });
+    expect(job.status).toBe('queued');
+    expect(job.attempts).toBe(0);
+  });
+
+  test('should complete jobs and write a StockLevel linked to the image', async () => {
+    const image = await createImage({ detectedStockLevel: 42, confidence: 0.8 });
+
+    const summary = await imageJobService.processQueue();
+
+    expect(summary.completed).toBe(1);
+    const stockLevel = await StockLevel.findOne({ imageId: image._id });
+    expect(stockLevel.stockPercentage).toBe(42);
+    expect(stockLevel.confidence).toBe(0.8);
+    expect(stockLevel.detectionMethod).toBe('computer_vision');
+
+    const processed = await Image.findById(image._id);
+    expect(processed.processingStatus).toBe('completed');
+    expect(processed.processed).toBe(true);
+    expect(processed.processingResults.detectedStockLevel).toBe(42);
+
+    const job = await ImageJob.findOne({ imageId: image._id });
+    expect(job.status).toBe('completed');
+    expect(job.stockLevelId.toString()).toBe(stockLevel._id.toString());
+  });
+
+  test('should retry failures with backoff and fail after the last attempt', async () => {
+    const image = await createImage();
+    imageJobService.setProcessor(async () => { throw new Error('Detector unavailable'); });
+
+    const first = await imageJobService.processQueue();
+    expect(first.retried).toBe(1);
+
+    let job = await ImageJob.findOne({ imageId: image._id });
+    expect(job.status).toBe('queued');
+    expect(job.availableAt.getTime()).toBeGreaterThan(Date.now());
+    expect((await Image.findById(image._id)).processingStatus).toBe('pending');
+
+    // Skip past each backoff
+    await imageJobService.processQueue(new Date(Date.now() + 60 * 60 * 1000));
+    const last = await imageJobService.processQueue(new Date(Date.now() + 2 * 60 * 60 * 1000));
+    expect(last.failed).toBe(1);
+
+    job = await ImageJob.findOne({ imageId: image._id });
+    expect(job.status).toBe('failed');
+    expect(job.attempts).toBe(3);
+    expect(job.lastError).toBe('Detector unavailable');
+    expect((await Image.findById(image._id)).processingStatus).toBe('failed');
+    expect(await StockLevel.countDocuments({})).toBe(0);
+  });
+
+  test('should reject out-of-range results', async () => {
+    const image = await createImage({ detectedStockLevel: 140 });
+
+    await imageJobService.processQueue();
+
+    const job = await ImageJob.findOne({ imageId: image._id });
+    expect(job.lastError).toMatch(/detectedStockLevel/);
+  });
+
+  test('should lock each job from the moment it is claimed', async () => {
+    await createImage({ detectedStockLevel: 10 }, 1);
+    await createImage({ detectedStockLevel: 20 }, 2);
+    const detect = imageJobService.processor;
+    const locks = [];
+    imageJobService.setProcessor(async image => {
+      const job = await ImageJob.findOne({ imageId: image._id });
+      locks.push(job.lockedAt.getTime());
+      await new Promise(resolve => setTimeout(resolve, 100));
+      return detect(image);
+    });
+
+    const tickStartedAt = Date.now();
+    const summary = await imageJobService.processQueue();
+
+    expect(summary.completed).toBe(2);
+    // The second job was claimed after the first had run
+    expect(locks[1]).toBeGreaterThanOrEqual(tickStartedAt + 100);
+  });
+
+  test('should hand each job to exactly one worker', async () => {
+    await createImage({ detectedStockLevel: 10 }, 1);
+    await createImage({ detectedStockLevel: 20 }, 2);
+
+    const claims = await Promise.all(['worker-a', 'worker-b', 'worker-c'].map(workerId =>
+      ImageJob.claimNext(workerId, { timeoutMs: 60000 })
+    ));
+
+    const claimed = claims.filter(Boolean);
+    expect(claimed).toHaveLength(2);
+    expect(new Set(claimed.map(job => job._id.toString())).size).toBe(2);
+  });
+
+  test('should release jobs whose worker timed out', async () => {
+    const image = await createImage({ detectedStockLevel: 55 });
+    await ImageJob.claimNext('crashed-worker', { timeoutMs: 1000 });
+
+    const summary = await imageJobService.processQueue(new Date(Date.now() + 5000));
+    expect(summary.timedOut).toBe(1);
+
+    const job = await ImageJob.findOne({ imageId: image._id });
+    expect(job.status).toBe('queued');
+    expect(job.lastError).toMatch(/Timed out on worker crashed-worker/);
+
+    // Picked up again once the backoff has passed
+    await imageJobService.processQueue(new Date(Date.now() + 60 * 60 * 1000));
+    expect((await ImageJob.findById(job._id)).status).toBe('completed');
+  });
+
+  test('should queue pending images that have no job', async () => {
+    const image = await createImage({ detectedStockLevel: 30 });
+    await ImageJob.deleteMany({});
+
+    const queued = await imageJobService.enqueueUnprocessedImages();
+
+    expect(queued).toBe(1);
+    expect(await ImageJob.countDocuments({ imageId: image._id })).toBe(1);
+  });
+});
+
+describe('GET /api/cv/images/queue/stats', () => {
+  test('should report queue depth and throughput', async () => {
+    await createImage({ detectedStockLevel: 10 }, 1);
+    await imageJobService.processQueue();
+    await createImage(null, 2);
+
+    const response = await request(app)
+      .get('/api/cv/images/queue/stats')
+      .set('Authorization', managerHeader);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.counts).toMatchObject({ queued: 1, completed: 1, total: 2 });
+    expect(response.body.data.lastHour.completed).toBe(1);
+    expect(response.body.data.oldestQueuedAt).toBeDefined();
+  });
+
+  test('should forbid staff', async () => {
+    const response = await request(app)
+      .get('/api/cv/images/queue/stats')
+      .set('Authorization', staffHeader);
+
+    expect(response.status).toBe(403);
+  });
+});
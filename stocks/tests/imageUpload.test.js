@@ -0,0 +1,123 @@
+const request = require('supertest');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const app = require('../server');
+const Image = require('../models/Image');
+const Product = require('../models/Product');
+const Shelf = require('../models/Shelf');
+const { createAuthHeader } = require('./helpers/auth');
+const { createPng } = require('./helpers/images');
+
+// Test database setup
+const TEST_DB_URI = 'mongodb://localhost:27017/stock-tracking-test';
+
+let staffHeader;
+let uploadRoot;
+let shelf;
+let product;
+
+beforeAll(async () => {
+  await mongoose.connect(TEST_DB_URI);
+  staffHeader = await createAuthHeader('staff');
+
+  uploadRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'stock-uploads-'));
+  process.env.IMAGE_UPLOAD_ROOT = uploadRoot;
+  process.env.IMAGE_MAX_UPLOAD_MB = '0.01';
+});
+
+afterAll(async () => {
+  fs.rmSync(uploadRoot, { recursive: true, force: true });
+  await mongoose.connection.db.dropDatabase();
+  await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+  await Promise.all([
+    Image.deleteMany({}),
+    Product.deleteMany({}),
+    Shelf.deleteMany({})
+  ]);
+
+  shelf = await Shelf.create({ shelfName: 'Shelf A1' });
+  product = await Product.create({ name: 'Milk', sku: 'MILK001' });
+});
+
+function upload(buffer, { filename = 'shelf.png', contentType = 'image/png', productId = product._id.toString() } = {}) {
+  return request(app)
+    .post(`/api/cv/shelves/${shelf._id}/images`)
+    .set('Authorization', staffHeader)
+    .field('productId', productId)
+    .field('tags', 'morning, aisle-1')
+    .attach('image', buffer, { filename, contentType });
+}
+
+describe('Shelf Image Upload', () => {
+  test('should store the file and create a pending Image', async () => {
+    const response = await upload(createPng(4, 3, 100));
+
+    expect(response.status).toBe(201);
+    expect(response.body.data).toMatchObject({
+      processingStatus: 'pending',
+      processed: false,
+      mimeType: 'image/png',
+      dimensions: { width: 4, height: 3 },
+      originalFilename: 'shelf.png',
+      tags: ['morning', 'aisle-1']
+    });
+    expect(response.body.data.contentHash).toMatch(/^[0-9a-f]{64}$/);
+    expect(fs.existsSync(path.join(uploadRoot, response.body.data.filePath))).toBe(true);
+  });
+
+  test('should reject duplicate content with the existing image ID', async () => {
+    const first = await upload(createPng(4, 3, 100));
+    const second = await upload(createPng(4, 3, 100), { filename: 'again.png' });
+
+    expect(second.status).toBe(409);
+    expect(second.body.existingImageId).toBe(first.body.data.assetId);
+    expect(await Image.countDocuments({})).toBe(1);
+  });
+
+  test('should reject unsupported MIME types', async () => {
+    const response = await upload(Buffer.from('not an image'), { filename: 'notes.txt', contentType: 'text/plain' });
+    expect(response.status).toBe(415);
+  });
+
+  test('should reject files whose content does not match the declared type', async () => {
+    const response = await upload(createPng(), { filename: 'shelf.jpg', contentType: 'image/jpeg' });
+    expect(response.status).toBe(415);
+  });
+
+  test('should reject files over the size limit', async () => {
+    const oversized = Buffer.concat([createPng(), crypto.randomBytes(20 * 1024)]);
+    const response = await upload(oversized);
+    expect(response.status).toBe(413);
+  });
+
+  test('should require the image field', async () => {
+    const response = await request(app)
+      .post(`/api/cv/shelves/${shelf._id}/images`)
+      .set('Authorization', staffHeader)
+      .field('productId', product._id.toString());
+
+    expect(response.status).toBe(400);
+  });
+
+  test('should return 404 for unknown products', async () => {
+    const response = await upload(createPng(), { productId: new mongoose.Types.ObjectId().toString() });
+    expect(response.status).toBe(404);
+  });
+
+  test('GET /api/cv/images/:id/file - should serve the stored file', async () => {
+    const uploaded = await upload(createPng(4, 3, 50));
+
+    const response = await request(app)
+      .get(`/api/cv/images/${uploaded.body.data.assetId}/file`)
+      .set('Authorization', staffHeader);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('image/png');
+  });
+});
@@ -0,0 +1,268 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const Alert = require('../models/Alert');
+const Camera = require('../models/Camera');
+const Location = require('../models/Location');
+const Product = require('../models/Product');
+const Shelf = require('../models/Shelf');
+const StockLevel = require('../models/StockLevel');
+const StockTimeSeries = require('../models/StockTimeSeries');
+const { createAuthHeader } = require('./helpers/auth');
+
+// Test database setup
+const TEST_DB_URI = 'mongodb://localhost:27017/stock-tracking-test';
+
+let adminHeader;
+let managerHeader;
+let staffHeader;
+let store;
+let dairy;
+let bakery;
+let dairyAisle;
+let dairyAisle2;
+let bakeryAisle;
+
+beforeAll(async () => {
+  await mongoose.connect(TEST_DB_URI);
+  adminHeader = await createAuthHeader('admin');
+});
+
+afterAll(async () => {
+  await mongoose.connection.db.dropDatabase();
+  await mongoose.connection.close();
+});
+
+async function createLocation(body, authHeader = managerHeader) {
+  const response = await request(app)
+    .post('/api/locations')
+    .set('Authorization', authHeader)
+    .send(body);
+  return response.body.data;
+}
+
+// Store > Dairy (aisles 1, 2) and Bakery (aisle 3), run by the store's own manager and staff
+beforeEach(async () => {
+  await Promise.all([
+    Alert.deleteMany({}),
+    Camera.deleteMany({}),
+    Location.deleteMany({}),
+    Product.deleteMany({}),
+    Shelf.deleteMany({}),
+    StockLevel.deleteMany({}),
+    StockTimeSeries.deleteMany({})
+  ]);
+
+  store = await createLocation({ name: 'Downtown', code: 'S01', type: 'store' }, adminHeader);
+  managerHeader = await createAuthHeader('manager', { storeId: store.locationId });
+  staffHeader = await createAuthHeader('staff', { storeId: store.locationId });
+
+  dairy = await createLocation({ name: 'Dairy', code: 'S01-Z1', type: 'zone', parentId: store.locationId });
+  bakery = await createLocation({ name: 'Bakery', code: 'S01-Z2', type: 'zone', parentId: store.locationId });
+  dairyAisle = await createLocation({ name: 'Aisle 1', type: 'aisle', parentId: dairy.locationId });
+  dairyAisle2 = await createLocation({ name: 'Aisle 2', type: 'aisle', parentId: dairy.locationId });
+  bakeryAisle = await createLocation({ name: 'Aisle 3', type: 'aisle', parentId: bakery.locationId });
+});
+
+describe('Location Hierarchy', () => {
+  test('POST /api/locations - should record the ancestors of each level', async () => {
+    expect(dairyAisle.ancestors.map(String)).toEqual([store.locationId, dairy.locationId].map(String));
+
+    const response = await request(app)
+      .get(`/api/locations/${dairyAisle.locationId}`)
+      .set('Authorization', staffHeader);
+
+    expect(response.body.data.path.map(level => level.name)).toEqual(['Downtown', 'Dairy', 'Aisle 1']);
+  });
+
+  test('should only place each level under the one above it', async () => {
+    const aisleInStore = await request(app)
+      .post('/api/locations')
+      .set('Authorization', managerHeader)
+      .send({ name: 'Aisle 9', type: 'aisle', parentId: store.locationId });
+    expect(aisleInStore.status).toBe(400);
+
+    const orphanZone = await request(app)
+      .post('/api/locations')
+      .set('Authorization', managerHeader)
+      .send({ name: 'Frozen', type: 'zone' });
+    expect(orphanZone.status).toBe(400);
+  });
+
+  test('should reject duplicate codes', async () => {
+    const response = await request(app)
+      .post('/api/locations')
+      .set('Authorization', adminHeader)
+      .send({ name: 'Uptown', code: 'S01', type: 'store' });
+
+    expect(response.status).toBe(409);
+  });
+
+  test('GET /api/locations/tree - should nest zones and aisles under the store', async () => {
+    const response = await request(app)
+      .get('/api/locations/tree')
+      .set('Authorization', staffHeader);
+
+    expect(response.body.data).toHaveLength(1);
+    const zones = response.body.data[0].children;
+    expect(zones.map(zone => zone.name)).toEqual(['Bakery', 'Dairy']);
+    expect(zones[1].children.map(aisle => aisle.name)).toEqual(['Aisle 1', 'Aisle 2']);
+  });
+
+  test('DELETE /api/locations/:id - should refuse while the location is in use', async () => {
+    const inUse = await request(app)
+      .delete(`/api/locations/${bakery.locationId}`)
+      .set('Authorization', managerHeader);
+    expect(inUse.status).toBe(409);
+
+    const empty = await request(app)
+      .delete(`/api/locations/${dairyAisle2.locationId}`)
+      .set('Authorization', managerHeader);
+    expect(empty.status).toBe(200);
+  });
+
+  test('should forbid staff from changing the hierarchy', async () => {
+    const response = await request(app)
+      .post('/api/locations')
+      .set('Authorization', staffHeader)
+      .send({ name: 'Uptown', type: 'store' });
+
+    expect(response.status).toBe(403);
+  });
+});
+
+describe('Placing Shelves and Cameras', () => {
+  test('PUT /api/cv/shelves/:id/location - should only accept aisles', async () => {
+    const shelf = await Shelf.create({ shelfName: 'Shelf A1', storeId: store.locationId });
+
+    const zone = await request(app)
+      .put(`/api/cv/shelves/${shelf._id}/location`)
+      .set('Authorization', managerHeader)
+      .send({ locationId: dairy.locationId });
+    expect(zone.status).toBe(400);
+
+    const aisle = await request(app)
+      .put(`/api/cv/shelves/${shelf._id}/location`)
+      .set('Authorization', managerHeader)
+      .send({ locationId: dairyAisle.locationId });
+    expect(aisle.status).toBe(200);
+    expect(aisle.body.data.locationId).toBe(String(dairyAisle.locationId));
+  });
+
+  test('GET /api/cv/cameras - should filter by any level', async () => {
+    for (const [name, locationId] of [['Dairy cam', dairy.locationId], ['Bakery cam', bakeryAisle.locationId]]) {
+      await request(app)
+        .post('/api/cv/cameras')
+        .set('Authorization', managerHeader)
+        .send({ name, locationId });
+    }
+
+    const response = await request(app)
+      .get('/api/cv/cameras')
+      .set('Authorization', staffHeader)
+      .query({ locationId: bakery.locationId });
+
+    expect(response.body.data.map(camera => camera.name)).toEqual(['Bakery cam']);
+  });
+
+  test('should reject unknown locations', async () => {
+    const response = await request(app)
+      .post('/api/cv/cameras')
+      .set('Authorization', managerHeader)
+      .send({ name: 'Lost cam', locationId: new mongoose.Types.ObjectId().toString() });
+
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('Filtering and Rollups', () => {
+  beforeEach(async () => {
+    const milk = await Product.create({ name: 'Milk', sku: 'MILK001' });
+    const bread = await Product.create({ name: 'Bread', sku: 'BREAD001' });
+    const milkShelf = await Shelf.create({ shelfName: 'Shelf A1', locationId: dairyAisle.locationId, storeId: store.locationId });
+    const breadShelf = await Shelf.create({ shelfName: 'Shelf C1', locationId: bakeryAisle.locationId, storeId: store.locationId });
+
+    // The low milk reading raises an alert stamped with its aisle
+    await StockLevel.create({ shelfId: milkShelf._id, productId: milk._id, stockPercentage: 10, storeId: store.locationId });
+    await StockLevel.create({ shelfId: breadShelf._id, productId: bread._id, stockPercentage: 80, storeId: store.locationId });
+  });
+
+  test('GET /api/cv/stock/current - should filter by zone', async () => {
+    const response = await request(app)
+      .get('/api/cv/stock/current')
+      .set('Authorization', staffHeader)
+      .query({ locationId: dairy.locationId });
+
+    expect(response.body.data.map(stock => stock.productName)).toEqual(['Milk']);
+    expect(response.body.data[0].locationId).toBe(String(dairyAisle.locationId));
+  });
+
+  test('GET /api/cv/stock/current?rollup=zone - should summarise each zone', async () => {
+    const response = await request(app)
+      .get('/api/cv/stock/current')
+      .set('Authorization', staffHeader)
+      .query({ rollup: 'zone' });
+
+    const byZone = Object.fromEntries(response.body.data.map(row => [row.location.name, row]));
+    expect(byZone.Dairy).toMatchObject({ shelves: 1, readings: 1, avgStockPercentage: 10, lowStock: 1 });
+    expect(byZone.Bakery).toMatchObject({ shelves: 1, avgStockPercentage: 80, lowStock: 0 });
+  });
+
+  test('GET /api/cv/alerts - should filter by location', async () => {
+    const inDairy = await request(app)
+      .get('/api/cv/alerts')
+      .set('Authorization', staffHeader)
+      .query({ locationId: dairy.locationId });
+    expect(inDairy.body.data).toHaveLength(1);
+    expect(inDairy.body.data[0].locationId).toBe(String(dairyAisle.locationId));
+
+    const inBakery = await request(app)
+      .get('/api/cv/alerts')
+      .set('Authorization', staffHeader)
+      .query({ locationId: bakery.locationId });
+    expect(inBakery.body.data).toHaveLength(0);
+  });
+
+  test('GET /api/cv/alerts/rollup - should count open alerts per store', async () => {
+    const response = await request(app)
+      .get('/api/cv/alerts/rollup')
+      .set('Authorization', staffHeader)
+      .query({ level: 'store' });
+
+    expect(response.body.data).toEqual([{
+      location: { locationId: String(store.locationId), name: 'Downtown', code: 'S01', type: 'store' },
+      alerts: 1,
+      bySeverity: { critical: 0, high: 1, medium: 0, low: 0 }
+    }]);
+  });
+
+  test('GET /api/timeseries/rollup - should roll up movements by aisle', async () => {
+    for (const [change, reason] of [[50, 'restock'], [-5, 'sale'], [-3, 'sale']]) {
+      await request(app)
+        .post('/api/timeseries/record')
+        .set('Authorization', staffHeader)
+        .send({ productId: 'BREAD001', change, reason, locationId: bakeryAisle.locationId });
+    }
+    await request(app)
+      .post('/api/timeseries/record')
+      .set('Authorization', staffHeader)
+      .send({ productId: 'BREAD001', change: 10, reason: 'restock' });
+
+    const record = await StockTimeSeries.findOne({ locationId: bakeryAisle.locationId });
+    expect(record.location).toBe('Aisle 3');
+
+    const response = await request(app)
+      .get('/api/timeseries/rollup')
+      .set('Authorization', staffHeader)
+      .query({ level: 'aisle', locationId: store.locationId });
+
+    expect(response.body.data).toHaveLength(1);
+    expect(response.body.data[0]).toMatchObject({
+      location: { name: 'Aisle 3' },
+      records: 3,
+      netChange: 42,
+      products: 1,
+      byReason: { sale: { records: 2, netChange: -8 } }
+    });
+  });
+});
@@ -0,0 +1,244 @@
+const request = require('supertest');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const app = require('../server');
+const Alert = require('../models/Alert');
+const User = require('../models/User');
+const NotificationSubscription = require('../models/NotificationSubscription');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const notificationService = require('../services/notificationService');
+const { createAuthHeader } = require('./helpers/auth');
+const { startHttpStandIn, startSmtpStandIn } = require('./helpers/notificationStandIns');
+
+// Test database setup
+const TEST_DB_URI = 'mongodb://localhost:27017/stock-tracking-test';
+
+let managerHeader;
+let staffHeader;
+let smtp;
+
+beforeAll(async () => {
+  await mongoose.connect(TEST_DB_URI);
+  managerHeader = await createAuthHeader('manager');
+  staffHeader = await createAuthHeader('staff');
+
+  smtp = await startSmtpStandIn();
+  process.env.SMTP_HOST = smtp.host;
+  process.env.SMTP_PORT = String(smtp.port);
+});
+
+afterAll(async () => {
+  await smtp.close();
+  await mongoose.connection.db.dropDatabase();
+  await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+  smtp.messages.length = 0;
+  await Promise.all([
+    Alert.deleteMany({}),
+    NotificationSubscription.deleteMany({}),
+    NotificationDelivery.deleteMany({})
+  ]);
+});
+
+function subscribe(header, subscription) {
+  return request(app)
+    .post('/api/notifications/subscriptions')
+    .set('Authorization', header)
+    .send(subscription);
+}
+
+function raiseAlert(severity = 'critical', alertType = 'out_of_stock') {
+  return Alert.createAlert({ alertType, severity, message: 'Milk on Shelf A1 is at 0% (0 units)' });
+}
+
+describe('Notification Subscriptions', () => {
+  test('should default email subscriptions to the user address', async () => {
+    const response = await subscribe(staffHeader, { channel: 'email', severities: ['critical'] });
+
+    expect(response.status).toBe(201);
+    const staff = await User.findById(response.body.data.userId);
+    expect(response.body.data.target).toBe(staff.email);
+  });
+
+  test('should limit webhook subscriptions to alert configurators', async () => {
+    const response = await subscribe(staffHeader, { channel: 'webhook', target: 'http://127.0.0.1:9/hook' });
+    expect(response.status).toBe(403);
+  });
+
+  test('should validate updated targets against the stored channel', async () => {
+    const email = await subscribe(staffHeader, { channel: 'email' });
+    const webhook = await subscribe(managerHeader, { channel: 'webhook', target: 'http://127.0.0.1:9/hook' });
+
+    const badEmail = await request(app)
+      .patch(`/api/notifications/subscriptions/${email.body.data.subscriptionId}`)
+      .set('Authorization', staffHeader)
+      .send({ target: 'not-an-address' });
+    expect(badEmail.status).toBe(400);
+
+    const badUrl = await request(app)
+      .patch(`/api/notifications/subscriptions/${webhook.body.data.subscriptionId}`)
+      .set('Authorization', managerHeader)
+      .send({ target: 'ftp://example.com/hook' });
+    expect(badUrl.status).toBe(400);
+
+    const moved = await request(app)
+      .patch(`/api/notifications/subscriptions/${webhook.body.data.subscriptionId}`)
+      .set('Authorization', managerHeader)
+      .send({ target: 'https://hooks.example.com/stock' });
+    expect(moved.status).toBe(200);
+    expect(moved.body.data.target).toBe('https://hooks.example.com/stock');
+  });
+
+  test('should only return the webhook secret when the subscription is created', async () => {
+    const created = await subscribe(managerHeader, { channel: 'webhook', target: 'http://127.0.0.1:9/hook' });
+    expect(created.body.data.secret).toMatch(/^[0-9a-f]{64}$/);
+
+    const listed = await request(app)
+      .get('/api/notifications/subscriptions')
+      .set('Authorization', managerHeader);
+    expect(listed.body.data[0]).not.toHaveProperty('secret');
+
+    const updated = await request(app)
+      .patch(`/api/notifications/subscriptions/${created.body.data.subscriptionId}`)
+      .set('Authorization', managerHeader)
+      .send({ isActive: false });
+    expect(updated.body.data).not.toHaveProperty('secret');
+  });
+
+  test('should only queue deliveries matching severity and alert type', async () => {
+    await subscribe(staffHeader, { channel: 'email', severities: ['critical'], alertTypes: ['out_of_stock'] });
+
+    await raiseAlert('high', 'low_stock');
+    await raiseAlert('critical', 'out_of_stock');
+
+    expect(await NotificationDelivery.countDocuments({})).toBe(1);
+  });
+});
+
+describe('Notification Delivery', () => {
+  test('should deliver email through SMTP', async () => {
+    await subscribe(staffHeader, { channel: 'email' });
+    await raiseAlert();
+
+    const summary = await notificationService.processDueDeliveries();
+
+    expect(summary.sent).toBe(1);
+    expect(smtp.messages).toHaveLength(1);
+    expect(smtp.messages[0].data).toContain('Milk on Shelf A1 is at 0%');
+  });
+
+  test('should sign webhook payloads with HMAC', async () => {
+    const receiver = await startHttpStandIn([200]);
+    try {
+      const created = await subscribe(managerHeader, { channel: 'webhook', target: receiver.url });
+      const { secret } = created.body.data;
+
+      await raiseAlert();
+      await notificationService.processDueDeliveries();
+
+      expect(receiver.requests).toHaveLength(1);
+      const { headers, body, json } = receiver.requests[0];
+      const expected = crypto.createHmac('sha256', secret)
+        .update(`${headers['x-stock-timestamp']}.${body}`)
+        .digest('hex');
+      expect(headers['x-stock-signature']).toBe(`sha256=${expected}`);
+      expect(json.event).toBe('alert.created');
+    } finally {
+      await receiver.close();
+    }
+  });
+
+  test('should send Slack and Teams formatted messages', async () => {
+    const slack = await startHttpStandIn([200]);
+    const teams = await startHttpStandIn([200]);
+    try {
+      await subscribe(managerHeader, { channel: 'slack', target: slack.url });
+      await subscribe(managerHeader, { channel: 'teams', target: teams.url });
+
+      await raiseAlert();
+      await notificationService.processDueDeliveries();
+
+      expect(slack.requests[0].json.attachments[0].text).toContain('Milk on Shelf A1');
+      expect(teams.requests[0].json['@type']).toBe('MessageCard');
+    } finally {
+      await slack.close();
+      await teams.close();
+    }
+  });
+
+  test('should retry failed deliveries with backoff and log each attempt', async () => {
+    const receiver = await startHttpStandIn([500, 200]);
+    try {
+      await subscribe(managerHeader, { channel: 'webhook', target: receiver.url });
+      await raiseAlert();
+
+      const first = await notificationService.processDueDeliveries();
+      expect(first.retried).toBe(1);
+
+      const delivery = await NotificationDelivery.findOne({});
+      expect(delivery.status).toBe('pending');
+      expect(delivery.lastError).toBeTruthy();
+      expect(delivery.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+
+      const later = new Date(delivery.nextAttemptAt.getTime() + 1000);
+      const second = await notificationService.processDueDeliveries(later);
+      expect(second.sent).toBe(1);
+
+      const sent = await NotificationDelivery.findById(delivery._id);
+      expect(sent.status).toBe('sent');
+      expect(sent.attempts).toBe(2);
+    } finally {
+      await receiver.close();
+    }
+  });
+
+  test('should give up after the maximum attempts', async () => {
+    const receiver = await startHttpStandIn([500]);
+    try {
+      await subscribe(managerHeader, { channel: 'webhook', target: receiver.url });
+      await raiseAlert();
+      await NotificationDelivery.updateMany({}, { maxAttempts: 2 });
+
+      await notificationService.processDueDeliveries();
+      await notificationService.processDueDeliveries(new Date(Date.now() + 60 * 60 * 1000));
+
+      const delivery = await NotificationDelivery.findOne({});
+      expect(delivery.status).toBe('failed');
+      expect(delivery.attempts).toBe(2);
+    } finally {
+      await receiver.close();
+    }
+  });
+});
+
+describe('Notification API', () => {
+  test('GET /api/notifications/deliveries - should only show own deliveries to staff', async () => {
+    await subscribe(staffHeader, { channel: 'email' });
+    await subscribe(managerHeader, { channel: 'email' });
+    await raiseAlert();
+
+    const staffView = await request(app)
+      .get('/api/notifications/deliveries')
+      .set('Authorization', staffHeader);
+    const managerView = await request(app)
+      .get('/api/notifications/deliveries')
+      .set('Authorization', managerHeader);
+
+    expect(staffView.body.data).toHaveLength(1);
+    expect(managerView.body.data).toHaveLength(2);
+  });
+
+  test('POST /api/notifications/subscriptions/:id/test - should send immediately', async () => {
+    const created = await subscribe(staffHeader, { channel: 'email' });
+
+    const response = await request(app)
+      .post(`/api/notifications/subscriptions/${created.body.data.subscriptionId}/test`)
+      .set('Authorization', staffHeader);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.status).toBe('sent');
+    expect(smtp.messages).toHaveLength(1);
+  });
+});
@@ -0,0 +1,191 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const Image = require('../models/Image');
+const ImageJob = require('../models/ImageJob');
+const Planogram = require('../models/Planogram');
+const Product = require('../models/Product');
+const Shelf = require('../models/Shelf');
+const StockLevel = require('../models/StockLevel');
+const imageJobService = require('../services/imageJobService');
+const { createAuthHeader } = require('./helpers/auth');
+
+// Test database setup
+const TEST_DB_URI = 'mongodb://localhost:27017/stock-tracking-test';
+
+let managerHeader;
+let staffHeader;
+let shelf;
+let milk;
+let bread;
+
+beforeAll(async () => {
+  await mongoose.connect(TEST_DB_URI);
+  managerHeader = await createAuthHeader('manager');
+  staffHeader = await createAuthHeader('staff');
+});
+
+afterAll(async () => {
+  await mongoose.connection.db.dropDatabase();
+  await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+  await Promise.all([
+    Image.deleteMany({}),
+    ImageJob.deleteMany({}),
+    Planogram.deleteMany({}),
+    Product.deleteMany({}),
+    Shelf.deleteMany({}),
+    StockLevel.deleteMany({})
+  ]);
+
+  shelf = await Shelf.create({ shelfName: 'Shelf A1' });
+  milk = await Product.create({ name: 'Milk', sku: 'MILK001' });
+  bread = await Product.create({ name: 'Bread', sku: 'BREAD001' });
+});
+
+// Milk in the left 60% (two slots), bread in the rest
+function layout() {
+  return [
+    { name: 'A1', x: 0, y: 0, width: 0.3, height: 1, productId: milk._id.toString(), facings: 3 },
+    { name: 'A2', x: 0.3, y: 0, width: 0.3, height: 1, productId: milk._id.toString(), facings: 3 },
+    { name: 'A3', x: 0.6, y: 0, width: 0.4, height: 1, productId: bread._id.toString(), facings: 4 }
+  ];
+}
+
+function createVersion(body) {
+  return request(app)
+    .post(`/api/cv/shelves/${shelf._id}/planograms`)
+    .set('Authorization', managerHeader)
+    .send(body);
+}
+
+// Process a 100x40 milk photo whose camera detected boxes at these x offsets
+async function detectMilkAt(xs) {
+  await Image.create({
+    shelfId: shelf._id,
+    productId: milk._id,
+    filename: 'milk.jpg',
+    filePath: `${shelf._id}/milk.jpg`,
+    mimeType: 'image/jpeg',
+    dimensions: { width: 100, height: 40 },
+    uploadTime: new Date(),
+    metadata: {
+      detection: {
+        detectedStockLevel: 50,
+        confidence: 0.95,
+        boundingBoxes: xs.map(x => ({ x, y: 0, width: 10, height: 40, confidence: 0.95 }))
+      }
+    }
+  });
+  await imageJobService.processQueue();
+}
+
+describe('Planogram Versions', () => {
+  test('POST /api/cv/shelves/:id/planograms - should create version 1', async () => {
+    const response = await createVersion({ name: 'Spring layout', slots: layout() });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.version).toBe(1);
+    expect(response.body.data.slots).toHaveLength(3);
+  });
+
+  test('should apply each version from its effective date', async () => {
+    await createVersion({ slots: layout(), effectiveFrom: new Date(Date.now() - 60000).toISOString() });
+    const nextWeek = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+    await createVersion({ slots: layout().slice(0, 2), effectiveFrom: nextWeek.toISOString() });
+
+    const now = await request(app)
+      .get(`/api/cv/shelves/${shelf._id}/planogram`)
+      .set('Authorization', staffHeader);
+    expect(now.body.data.version).toBe(1);
+
+    const later = await request(app)
+      .get(`/api/cv/shelves/${shelf._id}/planogram`)
+      .set('Authorization', staffHeader)
+      .query({ at: new Date(nextWeek.getTime() + 1000).toISOString() });
+    expect(later.body.data.version).toBe(2);
+
+    const versions = await request(app)
+      .get(`/api/cv/shelves/${shelf._id}/planograms`)
+      .set('Authorization', staffHeader);
+    expect(versions.body.data.map(version => version.version)).toEqual([2, 1]);
+    expect(new Date(versions.body.data[1].effectiveTo).getTime()).toBe(nextWeek.getTime());
+  });
+
+  test('should reject overlapping slots', async () => {
+    const slots = layout();
+    slots[1].x = 0.2;
+
+    const response = await createVersion({ slots });
+    expect(response.status).toBe(400);
+  });
+
+  test('should reject unknown products', async () => {
+    const slots = layout();
+    slots[0].productId = new mongoose.Types.ObjectId().toString();
+
+    const response = await createVersion({ slots });
+    expect(response.status).toBe(404);
+  });
+
+  test('should forbid staff from creating versions', async () => {
+    const response = await request(app)
+      .post(`/api/cv/shelves/${shelf._id}/planograms`)
+      .set('Authorization', staffHeader)
+      .send({ slots: layout() });
+
+    expect(response.status).toBe(403);
+  });
+
+  test('should only delete versions that have not taken effect', async () => {
+    await createVersion({ slots: layout() });
+    await createVersion({ slots: layout(), effectiveFrom: new Date(Date.now() + 60 * 60 * 1000).toISOString() });
+
+    const current = await request(app)
+      .delete(`/api/cv/shelves/${shelf._id}/planograms/1`)
+      .set('Authorization', managerHeader);
+    expect(current.status).toBe(409);
+
+    const future = await request(app)
+      .delete(`/api/cv/shelves/${shelf._id}/planograms/2`)
+      .set('Authorization', managerHeader);
+    expect(future.status).toBe(200);
+  });
+});
+
+describe('Planogram Compliance', () => {
+  test('should report ok, missing and misplaced slots on the reading', async () => {
+    await createVersion({ slots: layout() });
+
+    // Three facings in A1, none in A2, two in bread's slot A3
+    await detectMilkAt([0, 10, 20, 70, 80]);
+
+    const reading = await StockLevel.findOne({ productId: milk._id });
+    expect(reading.planogram).toMatchObject({ version: 1, onPlanogram: true, missing: 1, misplaced: 1 });
+
+    const slots = Object.fromEntries(reading.planogram.slots.map(slot => [slot.name, slot]));
+    expect(slots.A1).toMatchObject({ status: 'ok', detectedFacings: 3 });
+    expect(slots.A2.status).toBe('missing');
+    expect(slots.A3.status).toBe('misplaced');
+  });
+
+  test('GET /api/cv/stock/current - should include the planogram check', async () => {
+    await createVersion({ slots: layout() });
+    await detectMilkAt([0, 10, 20, 30, 40, 50]);
+
+    const response = await request(app)
+      .get('/api/cv/stock/current')
+      .set('Authorization', staffHeader);
+
+    expect(response.body.data[0].planogram).toMatchObject({ missing: 0, misplaced: 0 });
+  });
+
+  test('should skip the check for shelves without a planogram', async () => {
+    await detectMilkAt([0]);
+
+    const reading = await StockLevel.findOne({ productId: milk._id });
+    expect(reading.planogram).toBeNull();
+  });
+});
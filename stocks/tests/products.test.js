@@ -0,0 +1,202 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const Product = require('../models/Product');
+const { createAuthHeader } = require('./helpers/auth');
+
+// Test database setup
+const TEST_DB_URI = 'mongodb://localhost:27017/stock-tracking-test';
+
+let adminHeader;
+let managerHeader;
+let staffHeader;
+
+beforeAll(async () => {
+  await mongoose.connect(TEST_DB_URI);
+  // The SKU and barcode checks rely on the unique indexes being built
+  await Product.init();
+  adminHeader = await createAuthHeader('admin');
+  managerHeader = await createAuthHeader('manager');
+  staffHeader = await createAuthHeader('staff');
+});
+
+afterAll(async () => {
+  await mongoose.connection.db.dropDatabase();
+  await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+  await Product.deleteMany({});
+});
+
+function createProduct(body) {
+  return request(app)
+    .post('/api/cv/products')
+    .set('Authorization', adminHeader)
+    .send(body);
+}
+
+describe('Product Catalogue', () => {
+  test('POST /api/cv/products - should create a product', async () => {
+    const response = await createProduct({
+      name: 'Whole Milk 1L',
+      sku: 'MILK001',
+      barcode: '5000112637922',
+      category: 'Dairy',
+      minStockLevel: 10,
+      maxStockLevel: 80
+    });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data).toMatchObject({ name: 'Whole Milk 1L', sku: 'MILK001', unit: 'piece', isActive: true });
+  });
+
+  test('should reject a duplicate SKU or barcode with 409', async () => {
+    await createProduct({ name: 'Whole Milk 1L', sku: 'MILK001', barcode: '5000112637922' });
+
+    const sku = await createProduct({ name: 'Skimmed Milk 1L', sku: 'MILK001' });
+    expect(sku.status).toBe(409);
+    expect(sku.body.error).toMatch(/sku 'MILK001'/);
+
+    const barcode = await createProduct({ name: 'Skimmed Milk 1L', sku: 'MILK002', barcode: '5000112637922' });
+    expect(barcode.status).toBe(409);
+    expect(barcode.body.error).toMatch(/barcode/);
+  });
+
+  test('should reject a minimum above the maximum', async () => {
+    const response = await createProduct({ name: 'Butter', minStockLevel: 50, maxStockLevel: 20 });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatch(/maxStockLevel/);
+  });
+
+  test('PATCH /api/cv/products/:id - should check the range against the stored bound', async () => {
+    const created = await createProduct({ name: 'Butter', minStockLevel: 5, maxStockLevel: 40 });
+    const productId = created.body.data.productId;
+
+    const inverted = await request(app)
+      .patch(`/api/cv/products/${productId}`)
+      .set('Authorization', adminHeader)
+      .send({ minStockLevel: 60 });
+    expect(inverted.status).toBe(400);
+
+    const widened = await request(app)
+      .patch(`/api/cv/products/${productId}`)
+      .set('Authorization', adminHeader)
+      .send({ minStockLevel: 60, maxStockLevel: 120 });
+    expect(widened.status).toBe(200);
+    expect(widened.body.data).toMatchObject({ minStockLevel: 60, maxStockLevel: 120 });
+  });
+
+  test('DELETE /api/cv/products/:id - should hide the product from the catalogue', async () => {
+    const created = await createProduct({ name: 'Butter', sku: 'BUT001' });
+
+    const response = await request(app)
+      .delete(`/api/cv/products/${created.body.data.productId}`)
+      .set('Authorization', adminHeader);
+    expect(response.status).toBe(200);
+
+    const active = await request(app)
+      .get('/api/cv/products')
+      .set('Authorization', staffHeader);
+    expect(active.body.data).toHaveLength(0);
+
+    const all = await request(app)
+      .get('/api/cv/products')
+      .set('Authorization', staffHeader)
+      .query({ includeInactive: true });
+    expect(all.body.data.map(product => product.isActive)).toEqual([false]);
+  });
+
+  test('should forbid staff from changing the catalogue', async () => {
+    const response = await request(app)
+      .post('/api/cv/products')
+      .set('Authorization', staffHeader)
+      .send({ name: 'Butter' });
+
+    expect(response.status).toBe(403);
+  });
+
+  test('should keep store managers and store admins out of the shared catalogue', async () => {
+    const storeAdminHeader = await createAuthHeader('admin', { storeId: new mongoose.Types.ObjectId() });
+
+    for (const authHeader of [managerHeader, storeAdminHeader]) {
+      const response = await request(app)
+        .post('/api/cv/products')
+        .set('Authorization', authHeader)
+        .send({ name: 'Butter', sku: 'BUTTER001' });
+
+      expect(response.status).toBe(403);
+    }
+    expect(await Product.countDocuments({})).toBe(0);
+  });
+
+  test('GET /api/cv/products/:id - should 404 for unknown products', async () => {
+    const response = await request(app)
+      .get(`/api/cv/products/${new mongoose.Types.ObjectId()}`)
+      .set('Authorization', staffHeader);
+
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('Product Search', () => {
+  beforeEach(async () => {
+    await Product.create([
+      { name: 'Whole Milk 1L', sku: 'MILK001', category: 'Dairy', description: 'Fresh pasteurised milk' },
+      { name: 'Oat Drink', sku: 'OAT001', category: 'Dairy Alternatives', description: 'Plant-based milk alternative' },
+      { name: 'Sourdough Loaf', sku: 'BREAD001', category: 'Bakery' }
+    ]);
+  });
+
+  test('should match every word across name, description and SKU', async () => {
+    const milk = await request(app)
+      .get('/api/cv/products')
+      .set('Authorization', staffHeader)
+      .query({ search: 'milk' });
+    expect(milk.body.data.map(product => product.name)).toEqual(['Oat Drink', 'Whole Milk 1L']);
+
+    const plantMilk = await request(app)
+      .get('/api/cv/products')
+      .set('Authorization', staffHeader)
+      .query({ search: 'plant milk' });
+    expect(plantMilk.body.data.map(product => product.name)).toEqual(['Oat Drink']);
+
+    const bySku = await request(app)
+      .get('/api/cv/products')
+      .set('Authorization', staffHeader)
+      .query({ search: 'bread0' });
+    expect(bySku.body.data.map(product => product.name)).toEqual(['Sourdough Loaf']);
+  });
+
+  test('should treat search input literally', async () => {
+    const response = await request(app)
+      .get('/api/cv/products')
+      .set('Authorization', staffHeader)
+      .query({ search: '.*' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toHaveLength(0);
+  });
+
+  test('should filter by category', async () => {
+    const response = await request(app)
+      .get('/api/cv/products')
+      .set('Authorization', staffHeader)
+      .query({ category: 'Dairy', search: 'milk' });
+
+    expect(response.body.data.map(product => product.name)).toEqual(['Whole Milk 1L']);
+  });
+
+  test('GET /api/cv/products/categories - should count products per category', async () => {
+    const response = await request(app)
+      .get('/api/cv/products/categories')
+      .set('Authorization', staffHeader);
+
+    expect(response.body.data).toEqual([
+      { category: 'Bakery', products: 1 },
+      { category: 'Dairy', products: 1 },
+      { category: 'Dairy Alternatives', products: 1 }
+    ]);
+  });
+});
@@ -0,0 +1,216 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const Alert = require('../models/Alert');
+const Image = require('../models/Image');
+const ImageJob = require('../models/ImageJob');
+const Product = require('../models/Product');
+const Shelf = require('../models/Shelf');
+const StockLevel = require('../models/StockLevel');
+const User = require('../models/User');
+const imageJobService = require('../services/imageJobService');
+const reviewService = require('../services/reviewService');
+const { createAuthHeader } = require('./helpers/auth');
+
+// Test database setup
+const TEST_DB_URI = 'mongodb://localhost:27017/stock-tracking-test';
+
+let staffHeader;
+let shelf;
+let product;
+let imageCount = 0;
+
+beforeAll(async () => {
+  await mongoose.connect(TEST_DB_URI);
+  staffHeader = await createAuthHeader('staff');
+});
+
+afterAll(async () => {
+  await mongoose.connection.db.dropDatabase();
+  await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+  process.env.CV_REVIEW_CONFIDENCE_THRESHOLD = '0.6';
+  await Promise.all([
+    Alert.deleteMany({}),
+    Image.deleteMany({}),
+    ImageJob.deleteMany({}),
+    Product.deleteMany({}),
+    Shelf.deleteMany({}),
+    StockLevel.deleteMany({})
+  ]);
+
+  shelf = await Shelf.create({ shelfName: 'Shelf A1' });
+  product = await Product.create({ name: 'Milk', sku: 'MILK001' });
+});
+
+// Process an image whose camera reported the given detection
+async function detect(detectedStockLevel, confidence) {
+  imageCount++;
+  const image = await Image.create({
+    shelfId: shelf._id,
+    productId: product._id,
+    filename: `image_${imageCount}.jpg`,
+    filePath: `${shelf._id}/image_${imageCount}.jpg`,
+    mimeType: 'image/jpeg',
+    metadata: {
+      detection: {
+        detectedStockLevel,
+        confidence,
+        boundingBoxes: [{ x: 0, y: 0, width: 10, height: 40, confidence }]
+      }
+    }
+  });
+  await imageJobService.processQueue();
+  return await StockLevel.findOne({ imageId: image._id });
+}
+
+function currentStock(query = {}) {
+  return request(app)
+    .get('/api/cv/stock/current')
+    .set('Authorization', staffHeader)
+    .query(query);
+}
+
+describe('Review Queue', () => {
+  test('should queue readings below the confidence threshold', async () => {
+    const uncertain = await detect(50, 0.4);
+    const certain = await detect(60, 0.9);
+
+    expect(uncertain.reviewStatus).toBe('pending');
+    expect(certain.reviewStatus).toBe('not_required');
+
+    const response = await request(app)
+      .get('/api/cv/reviews')
+      .set('Authorization', staffHeader);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toHaveLength(1);
+    expect(response.body.data[0]).toMatchObject({
+      stockId: uncertain._id.toString(),
+      shelfName: 'Shelf A1',
+      productName: 'Milk'
+    });
+    expect(response.body.data[0].detection.boundingBoxes).toHaveLength(1);
+  });
+
+  test('should honour the configured threshold', async () => {
+    process.env.CV_REVIEW_CONFIDENCE_THRESHOLD = '0.3';
+
+    const reading = await detect(50, 0.4);
+
+    expect(reading.reviewStatus).toBe('not_required');
+  });
+
+  test('should leave pending readings out of current stock and low-stock detection', async () => {
+    await detect(60, 0.9);
+    await detect(5, 0.2);
+
+    const trusted = await currentStock();
+    expect(trusted.body.data[0].stockPercentage).toBe(60);
+
+    const everything = await currentStock({ includeUnreviewed: 'true' });
+    expect(everything.body.data[0]).toMatchObject({ stockPercentage: 5, reviewStatus: 'pending' });
+
+    expect(await StockLevel.detectLowStock(20)).toHaveLength(0);
+    expect(await Alert.countDocuments({ alertType: { $in: ['low_stock', 'out_of_stock'] } })).toBe(0);
+  });
+
+  test('should raise alerts and label the image once a reading is confirmed', async () => {
+    const reading = await detect(5, 0.4);
+
+    const response = await request(app)
+      .post(`/api/cv/reviews/${reading._id}/confirm`)
+      .set('Authorization', staffHeader)
+      .send({ notes: 'Shelf really is almost empty' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.reading.reviewStatus).toBe('confirmed');
+    expect(await Alert.countDocuments({ alertType: 'low_stock' })).toBe(1);
+
+    const image = await Image.findById(reading.imageId);
+    expect(image.labels.status).toBe('confirmed');
+    expect(image.labels.stockPercentage).toBe(5);
+    expect(image.labels.boundingBoxes).toHaveLength(1);
+  });
+
+  test('should record corrections as manual readings and labelled data', async () => {
+    const reading = await detect(50, 0.4);
+
+    const response = await request(app)
+      .post(`/api/cv/reviews/${reading._id}/correct`)
+      .set('Authorization', staffHeader)
+      .send({
+        stockPercentage: 80,
+        boundingBoxes: [{ x: 0, y: 0, width: 80, height: 40 }]
+      });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.correction).toMatchObject({
+      stockPercentage: 80,
+      detectionMethod: 'manual',
+      confidence: 1
+    });
+
+    const original = await StockLevel.findById(reading._id);
+    expect(original.reviewStatus).toBe('corrected');
+    expect(original.review.correctionId.toString()).toBe(response.body.data.correction.stockId);
+
+    const image = await Image.findById(reading.imageId);
+    expect(image.labels.status).toBe('corrected');
+    expect(image.labels.boundingBoxes[0].width).toBe(80);
+
+    const current = await currentStock({ includeUnreviewed: 'true' });
+    expect(current.body.data[0]).toMatchObject({ stockPercentage: 80, detectionMethod: 'manual' });
+  });
+
+  test('should reject a second review of the same reading', async () => {
+    const reading = await detect(50, 0.4);
+
+    await request(app)
+      .post(`/api/cv/reviews/${reading._id}/confirm`)
+      .set('Authorization', staffHeader);
+
+    const response = await request(app)
+      .post(`/api/cv/reviews/${reading._id}/correct`)
+      .set('Authorization', staffHeader)
+      .send({ stockPercentage: 10 });
+
+    expect(response.status).toBe(409);
+  });
+
+  test('should return the reading to the queue when its correction cannot be saved', async () => {
+    const reading = await detect(50, 0.4);
+    const reviewer = await User.findOne({ role: 'staff' });
+
+    await expect(reviewService.correct(reviewer, reading._id, { stockPercentage: 150 }))
+      .rejects.toMatchObject({ name: 'ValidationError' });
+
+    const unchanged = await StockLevel.findById(reading._id);
+    expect(unchanged.reviewStatus).toBe('pending');
+    expect(unchanged.review.reviewedBy).toBeNull();
+    expect(await StockLevel.countDocuments({ 'metadata.correctionOf': reading._id })).toBe(0);
+  });
+
+  test('should validate corrections', async () => {
+    const reading = await detect(50, 0.4);
+
+    const response = await request(app)
+      .post(`/api/cv/reviews/${reading._id}/correct`)
+      .set('Authorization', staffHeader)
+      .send({ stockPercentage: 120, boundingBoxes: [{ x: 0, y: 0, width: 0, height: 10 }] });
+
+    expect(response.status).toBe(400);
+  });
+
+  test('should return 404 for readings that never needed review', async () => {
+    const reading = await detect(60, 0.9);
+
+    const response = await request(app)
+      .post(`/api/cv/reviews/${reading._id}/confirm`)
+      .set('Authorization', staffHeader);
+
+    expect(response.status).toBe(404);
+  });
+});
@@ -0,0 +1,198 @@
+const request = require('supertest');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const app = require('../server');
+const Camera = require('../models/Camera');
+const Image = require('../models/Image');
+const ImageJob = require('../models/ImageJob');
+const Product = require('../models/Product');
+const Shelf = require('../models/Shelf');
+const StockLevel = require('../models/StockLevel');
+const imageJobService = require('../services/imageJobService');
+const stockDetectors = require('../services/stockDetectors');
+const { createAuthHeader } = require('./helpers/auth');
+const { createPng } = require('./helpers/images');
+
+// Test database setup
+const TEST_DB_URI = 'mongodb://localhost:27017/stock-tracking-test';
+
+let managerHeader;
+let staffHeader;
+let uploadRoot;
+let camera;
+let shelf;
+let product;
+
+beforeAll(async () => {
+  await mongoose.connect(TEST_DB_URI);
+  managerHeader = await createAuthHeader('manager');
+  staffHeader = await createAuthHeader('staff');
+
+  uploadRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'stock-uploads-'));
+  process.env.IMAGE_UPLOAD_ROOT = uploadRoot;
+
+  stockDetectors.registerDetector('fixed', {
+    description: 'Always reports 75%',
+    async detect() {
+      return { detectedStockLevel: 75, confidence: 0.5, boundingBoxes: [] };
+    }
+  });
+});
+
+afterAll(async () => {
+  fs.rmSync(uploadRoot, { recursive: true, force: true });
+  await mongoose.connection.db.dropDatabase();
+  await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+  await Promise.all([
+    Camera.deleteMany({}),
+    Image.deleteMany({}),
+    ImageJob.deleteMany({}),
+    Product.deleteMany({}),
+    Shelf.deleteMany({}),
+    StockLevel.deleteMany({})
+  ]);
+
+  camera = await Camera.create({ name: 'Camera A1' });
+  shelf = await Shelf.create({ shelfName: 'Shelf A1', cameraId: camera._id });
+  product = await Product.create({ name: 'Milk', sku: 'MILK001' });
+});
+
+// 30% of the columns are dark product against a white shelf back
+function uploadShelfPhoto(shade = 20) {
+  return request(app)
+    .post(`/api/cv/shelves/${shelf._id}/images`)
+    .set('Authorization', staffHeader)
+    .field('productId', product._id.toString())
+    .attach('image', createPng(100, 40, x => (x < 30 ? shade : 255)), { filename: 'shelf.png', contentType: 'image/png' });
+}
+
+function assignDetector(kind, id, body) {
+  return request(app)
+    .put(`/api/cv/${kind}/${id}/detector`)
+    .set('Authorization', managerHeader)
+    .send(body);
+}
+
+describe('Occupancy Reference Detector', () => {
+  test('should measure occupancy over the whole image', async () => {
+    await assignDetector('shelves', shelf._id, { name: 'occupancy' });
+    const uploaded = await uploadShelfPhoto();
+
+    const summary = await imageJobService.processQueue();
+
+    expect(summary.completed).toBe(1);
+    const stockLevel = await StockLevel.findOne({ imageId: uploaded.body.data.assetId });
+    expect(stockLevel.stockPercentage).toBe(30);
+    expect(stockLevel.confidence).toBe(1);
+    expect(stockLevel.metadata.detector).toBe('occupancy');
+
+    const image = await Image.findById(uploaded.body.data.assetId);
+    expect(image.processingResults.boundingBoxes).toHaveLength(3);
+    expect(image.processingResults.boundingBoxes[0]).toMatchObject({ x: 0, y: 0, width: 10, height: 40 });
+  });
+
+  test('should only look inside the shelf mask', async () => {
+    await assignDetector('shelves', shelf._id, {
+      name: 'occupancy',
+      options: { regions: [{ x: 0, y: 0, width: 0.5, height: 1 }], slots: 5 }
+    });
+    const uploaded = await uploadShelfPhoto();
+
+    await imageJobService.processQueue();
+
+    const stockLevel = await StockLevel.findOne({ imageId: uploaded.body.data.assetId });
+    expect(stockLevel.stockPercentage).toBe(60);
+  });
+
+  test('should be deterministic', async () => {
+    const image = { mimeType: 'image/png' };
+    const buffer = createPng(50, 20, x => (x % 7 < 3 ? 40 : 250));
+    const detector = stockDetectors.getDetector('occupancy');
+
+    const first = await detector.detect(image, { options: {}, readFile: async () => buffer });
+    const second = await detector.detect(image, { options: {}, readFile: async () => buffer });
+
+    expect(second).toEqual(first);
+  });
+});
+
+describe('Detector Registry', () => {
+  test('should fall back to the default edge detector', async () => {
+    const image = await Image.create({
+      shelfId: shelf._id,
+      productId: product._id,
+      filename: 'edge.jpg',
+      filePath: 'edge.jpg',
+      mimeType: 'image/jpeg',
+      metadata: { detection: { detectedStockLevel: 12, confidence: 0.9 } }
+    });
+
+    const resolved = await stockDetectors.resolveDetector(image);
+    expect(resolved).toMatchObject({ name: 'edge', source: 'default' });
+
+    await imageJobService.processQueue();
+    expect((await StockLevel.findOne({ imageId: image._id })).stockPercentage).toBe(12);
+  });
+
+  test('should use the camera detector when the shelf has none', async () => {
+    await assignDetector('cameras', camera._id, { name: 'fixed' });
+
+    const resolved = await stockDetectors.resolveDetector({ shelfId: shelf._id });
+
+    expect(resolved).toMatchObject({ name: 'fixed', source: 'camera' });
+  });
+
+  test('should prefer the shelf detector over the camera detector', async () => {
+    await assignDetector('cameras', camera._id, { name: 'fixed' });
+    await assignDetector('shelves', shelf._id, { name: 'occupancy' });
+
+    const resolved = await stockDetectors.resolveDetector({ shelfId: shelf._id });
+
+    expect(resolved).toMatchObject({ name: 'occupancy', source: 'shelf' });
+  });
+
+  test('should clear an assignment with a null name', async () => {
+    await assignDetector('shelves', shelf._id, { name: 'occupancy' });
+
+    const response = await assignDetector('shelves', shelf._id, { name: null });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.detector.name).toBeNull();
+  });
+
+  test('should reject unknown detectors and invalid options', async () => {
+    const unknown = await assignDetector('shelves', shelf._id, { name: 'yolo' });
+    expect(unknown.status).toBe(400);
+
+    const badMask = await assignDetector('shelves', shelf._id, {
+      name: 'occupancy',
+      options: { regions: [{ x: 0.8, y: 0, width: 0.5, height: 1 }] }
+    });
+    expect(badMask.status).toBe(400);
+  });
+
+  test('should forbid staff from assigning detectors', async () => {
+    const response = await request(app)
+      .put(`/api/cv/shelves/${shelf._id}/detector`)
+      .set('Authorization', staffHeader)
+      .send({ name: 'occupancy' });
+
+    expect(response.status).toBe(403);
+  });
+
+  test('GET /api/cv/detectors - should list registered detectors', async () => {
+    const response = await request(app)
+      .get('/api/cv/detectors')
+      .set('Authorization', staffHeader);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.detectors.map(detector => detector.name)).toEqual(
+      expect.arrayContaining(['edge', 'occupancy', 'fixed'])
+    );
+  });
+});
@@ -0,0 +1,317 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const StockBalance = require('../models/StockBalance');
+const StockHistory = require('../models/StockHistory');
+const StockTimeSeries = require('../models/StockTimeSeries');
+const { createAuthHeader } = require('./helpers/auth');
+
+// Test database setup
+const TEST_DB_URI = 'mongodb://localhost:27017/stock-tracking-test';
+
+let adminHeader;
+let staffHeader;
+
+beforeAll(async () => {
+  await mongoose.connect(TEST_DB_URI);
+  // Racing first writes rely on the unique balance index being built
+  await StockBalance.init();
+  adminHeader = await createAuthHeader('admin');
+  staffHeader = await createAuthHeader('staff');
+});
+
+afterAll(async () => {
+  await mongoose.connection.db.dropDatabase();
+  await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+  await Promise.all([
+    StockBalance.deleteMany({}),
+    StockHistory.deleteMany({}),
+    StockTimeSeries.deleteMany({})
+  ]);
+});
+
+function checkConsistency() {
+  return request(app)
+    .get('/api/stocks/ledger/consistency')
+    .set('Authorization', adminHeader);
+}
+
+function migrate(body = {}) {
+  return request(app)
+    .post('/api/stocks/ledger/migrate')
+    .set('Authorization', adminHeader)
+    .send(body);
+}
+
+describe('Stock Ledger', () => {
+  test('should keep one balance across both write endpoints', async () => {
+    await request(app)
+      .post('/api/stocks/update')
+      .set('Authorization', staffHeader)
+      .send({ productId: 'LEDGER001', change: 30, reason: 'restock' });
+    const sale = await request(app)
+      .post('/api/timeseries/record')
+      .set('Authorization', staffHeader)
+      .send({ productId: 'LEDGER001', change: -12, reason: 'sale' });
+    expect(sale.body.data.stockLevel).toBe(18);
+
+    const current = await request(app)
+      .get('/api/stocks/current')
+      .set('Authorization', staffHeader)
+      .query({ productId: 'LEDGER001' });
+    expect(current.body.data.currentStockLevel).toBe(18);
+
+    const history = await StockHistory.find({ productId: 'LEDGER001' }).sort({ timestamp: 1 });
+    expect(history.map(record => record.stockLevel)).toEqual([30, 18]);
+    expect(String(history[1].ledgerEntryId)).toBe(sale.body.data._id);
+
+    const report = await checkConsistency();
+    expect(report.body.data).toMatchObject({ checked: 1, consistent: 1, inconsistent: [] });
+  });
+
+  test('should reject negative balances on both endpoints', async () => {
+    await request(app)
+      .post('/api/timeseries/record')
+      .set('Authorization', staffHeader)
+      .send({ productId: 'LEDGER001', change: 5, reason: 'restock' });
+
+    for (const path of ['/api/stocks/update', '/api/timeseries/record']) {
+      const response = await request(app)
+        .post(path)
+        .set('Authorization', staffHeader)
+        .send({ productId: 'LEDGER001', change: -8, reason: 'sale' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Stock level cannot be negative');
+    }
+    expect(await StockTimeSeries.countDocuments({ productId: 'LEDGER001' })).toBe(1);
+  });
+
+  test('should put the balance back as it was when a change cannot be written', async () => {
+    const record = change => request(app)
+      .post('/api/timeseries/record')
+      .set('Authorization', staffHeader)
+      .send({ productId: 'LEDGER001', change, reason: change > 0 ? 'restock' : 'sale' });
+    await record(20);
+    await record(-5);
+
+    // The database refuses the next ledger entry after the balance has moved
+    await mongoose.connection.db.command({ collMod: StockTimeSeries.collection.collectionName, validator: { change: { $ne: -7 } } });
+    try {
+      expect((await record(-7)).status).toBe(500);
+    } finally {
+      await mongoose.connection.db.command({ collMod: StockTimeSeries.collection.collectionName, validator: {} });
+    }
+
+    const balance = await StockBalance.findOne({ productId: 'LEDGER001' });
+    expect(balance).toMatchObject({ stockLevel: 15, velocity: -5, acceleration: -5, pending: 0 });
+
+    const next = await record(-3);
+    expect(next.body.data).toMatchObject({ stockLevel: 12, velocity: -3, acceleration: 2 });
+  });
+});
+
+describe('Concurrent Changes', () => {
+  function sell(productId) {
+    return request(app)
+      .post('/api/stocks/update')
+      .set('Authorization', staffHeader)
+      .send({ productId, change: -1, reason: 'sale' });
+  }
+
+  test('should not lose updates when sales race each other', async () => {
+    await request(app)
+      .post('/api/timeseries/record')
+      .set('Authorization', staffHeader)
+      .send({ productId: 'RACE001', change: 20, reason: 'restock' });
+
+    const sales = await Promise.all(Array.from({ length: 20 }, () => sell('RACE001')));
+
+    expect(sales.map(response => response.status)).toEqual(Array(20).fill(201));
+    const levels = sales.map(response => response.body.data.stockLevel).sort((a, b) => a - b);
+    expect(levels).toEqual(Array.from({ length: 20 }, (_, level) => level));
+
+    const oversold = await sell('RACE001');
+    expect(oversold.status).toBe(400);
+
+    const report = await checkConsistency();
+    expect(report.body.data).toMatchObject({ consistent: 1, inconsistent: [] });
+  });
+
+  test('should not lose updates when backdated changes race other writes', async () => {
+    for (const [change, timestamp] of [[50, '2025-03-01T08:00:00Z'], [-10, '2025-03-01T12:00:00Z']]) {
+      await request(app)
+        .post('/api/timeseries/record')
+        .set('Authorization', staffHeader)
+        .send({ productId: 'RACE003', change, reason: change > 0 ? 'restock' : 'sale', timestamp });
+    }
+
+    const writes = await Promise.all([
+      ...Array.from({ length: 5 }, (_, minute) => request(app)
+        .post('/api/timeseries/record')
+        .set('Authorization', staffHeader)
+        .send({ productId: 'RACE003', change: -2, reason: 'sale', timestamp: `2025-03-01T09:0${minute}:00Z` })),
+      ...Array.from({ length: 5 }, () => sell('RACE003'))
+    ]);
+
+    expect(writes.map(response => response.status)).toEqual(Array(10).fill(201));
+    expect(await StockBalance.findOne({ productId: 'RACE003' })).toMatchObject({ stockLevel: 25, pending: 0 });
+
+    const entries = await StockTimeSeries.find({ productId: 'RACE003' }).sort({ timestamp: 1, sequence: 1 });
+    expect(entries).toHaveLength(12);
+    entries.slice(1).forEach((entry, index) => {
+      expect(entry.stockLevel).toBe(entries[index].stockLevel + entry.change);
+    });
+    expect(entries[entries.length - 1].stockLevel).toBe(25);
+
+    const report = await checkConsistency();
+    expect(report.body.data).toMatchObject({ consistent: 1, inconsistent: [] });
+  });
+
+  test('should open a new product\'s balance only once', async () => {
+    await Promise.all(Array.from({ length: 10 }, () => request(app)
+      .post('/api/timeseries/record')
+      .set('Authorization', staffHeader)
+      .send({ productId: 'RACE002', change: 3, reason: 'restock' })));
+
+    const balance = await StockBalance.findOne({ productId: 'RACE002' });
+    expect(balance).toMatchObject({ stockLevel: 30, version: 10 });
+    expect(await StockBalance.countDocuments({ productId: 'RACE002' })).toBe(1);
+  });
+});
+
+describe('Backdated Changes', () => {
+  function record(change, reason, timestamp) {
+    return request(app)
+      .post('/api/timeseries/record')
+      .set('Authorization', staffHeader)
+      .send({ productId: 'BACK001', change, reason, timestamp });
+  }
+
+  beforeEach(async () => {
+    await record(20, 'restock', '2025-03-01T08:00:00Z');
+    await record(-5, 'sale', '2025-03-01T10:00:00Z');
+    await record(-3, 'sale', '2025-03-01T12:00:00Z');
+  });
+
+  test('should recompute every later entry', async () => {
+    const response = await record(-4, 'sale', '2025-03-01T09:00:00Z');
+
+    expect(response.status).toBe(201);
+    expect(response.body.rewrittenRecords).toBe(2);
+    expect(response.body.data).toMatchObject({ stockLevel: 16, velocity: -4, acceleration: -4 });
+
+    const entries = await StockTimeSeries.find({ productId: 'BACK001' }).sort({ timestamp: 1 });
+    expect(entries.map(entry => [entry.stockLevel, entry.velocity, entry.acceleration])).toEqual([
+      [20, 0, 0],
+      [16, -4, -4],
+      [11, -5, -1],
+      [8, -3, 2]
+    ]);
+
+    const history = await StockHistory.find({ productId: 'BACK001' }).sort({ timestamp: 1 });
+    expect(history.map(record => record.stockLevel)).toEqual([20, 16, 11, 8]);
+    expect(await StockBalance.findOne({ productId: 'BACK001' })).toMatchObject({ stockLevel: 8, velocity: -3, acceleration: 2 });
+
+    const report = await checkConsistency();
+    expect(report.body.data).toMatchObject({ consistent: 1, inconsistent: [] });
+  });
+
+  test('should recompute from the opening balance when dated before every entry', async () => {
+    const response = await record(5, 'restock', '2025-02-28T08:00:00Z');
+
+    expect(response.body.rewrittenRecords).toBe(3);
+    const entries = await StockTimeSeries.find({ productId: 'BACK001' }).sort({ timestamp: 1 });
+    expect(entries.map(entry => entry.stockLevel)).toEqual([5, 25, 20, 17]);
+  });
+
+  test('should not rewrite anything for a change dated after every entry', async () => {
+    const response = await record(-2, 'sale', '2025-03-01T13:00:00Z');
+
+    expect(response.body.rewrittenRecords).toBe(0);
+    expect(response.body.data.stockLevel).toBe(10);
+  });
+
+  test('should refuse a change that would take a later level below zero', async () => {
+    await record(-12, 'sale', '2025-03-01T11:00:00Z');
+
+    // The level is 3 by 11:00 although 20 units were in stock at 09:00
+    const response = await record(-4, 'sale', '2025-03-01T09:00:00Z');
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Stock level cannot be negative');
+    expect(await StockTimeSeries.countDocuments({ productId: 'BACK001' })).toBe(4);
+    expect(await StockBalance.findOne({ productId: 'BACK001' })).toMatchObject({ stockLevel: 0 });
+  });
+});
+
+describe('Ledger Migration', () => {
+  beforeEach(async () => {
+    // History recorded before the ledger existed
+    await StockHistory.insertMany([
+      { productId: 'LEGACY001', timestamp: new Date('2025-01-01'), change: 50, stockLevel: 50, reason: 'restock' },
+      { productId: 'LEGACY001', timestamp: new Date('2025-01-02'), change: -10, stockLevel: 40, reason: 'sale' }
+    ]);
+  });
+
+  test('should continue from the legacy balance before migrating', async () => {
+    const response = await request(app)
+      .post('/api/timeseries/record')
+      .set('Authorization', staffHeader)
+      .send({ productId: 'LEGACY001', change: 5, reason: 'restock' });
+
+    expect(response.body.data.stockLevel).toBe(45);
+  });
+
+  test('should fold legacy history into the ledger once', async () => {
+    await request(app)
+      .post('/api/stocks/update')
+      .set('Authorization', staffHeader)
+      .send({ productId: 'LEGACY001', change: 5, reason: 'restock' });
+
+    const before = await checkConsistency();
+    expect(before.body.data.inconsistent).toEqual([
+      expect.objectContaining({ productId: 'LEGACY001', unlinkedHistory: 2 })
+    ]);
+
+    const dryRun = await migrate({ dryRun: true });
+    expect(dryRun.body.data).toMatchObject({ products: 1, ledgerEntriesCreated: 2, dryRun: true });
+    expect(await StockTimeSeries.countDocuments()).toBe(1);
+
+    const migrated = await migrate();
+    expect(migrated.status).toBe(200);
+    expect(migrated.body.data).toMatchObject({ ledgerEntriesCreated: 2, historyRecordsCreated: 0, negativeBalances: [] });
+
+    const entries = await StockTimeSeries.find({ productId: 'LEGACY001' }).sort({ timestamp: 1 });
+    expect(entries.map(entry => entry.stockLevel)).toEqual([50, 40, 45]);
+    expect(entries.map(entry => entry.velocity)).toEqual([0, -10, 5]);
+
+    const after = await checkConsistency();
+    expect(after.body.data).toMatchObject({ consistent: 1, inconsistent: [] });
+
+    const rerun = await migrate();
+    expect(rerun.body.data).toMatchObject({ ledgerEntriesCreated: 0, historyRecordsCreated: 0, recordsRebalanced: 0, balancesReset: 0 });
+  });
+
+  test('should report balances that drift apart', async () => {
+    await migrate();
+    await StockHistory.updateOne({ productId: 'LEGACY001', stockLevel: 40 }, { $set: { stockLevel: 38 } });
+
+    const response = await checkConsistency();
+
+    expect(response.body.data.inconsistent).toEqual([
+      expect.objectContaining({ productId: 'LEGACY001', ledgerBalance: 40, historyBalance: 38, difference: 2 })
+    ]);
+  });
+
+  test('should forbid non-admins from migrating', async () => {
+    const response = await request(app)
+      .post('/api/stocks/ledger/migrate')
+      .set('Authorization', staffHeader);
+
+    expect(response.status).toBe(403);
+  });
+});
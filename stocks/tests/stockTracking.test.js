@@ -1,14 +1,23 @@
 const request = require('supertest');
 const mongoose = require('mongoose');
 const app = require('../server');
+const { createAuthHeader } = require('./helpers/auth');
+const StockBalance = require('../models/StockBalance');
 const StockHistory = require('../models/StockHistory');
+const StockTimeSeries = require('../models/StockTimeSeries');
 const stockAnalysisService = require('../services/stockAnalysisService');
 
 // Test database setup
 const TEST_DB_URI = 'mongodb://localhost:27017/stock-tracking-test';
 
+let authHeader;
+// Stock balances are per store; a staff user without one acts for the unassigned store
+let staffHeader;
+
 beforeAll(async () => {
   await mongoose.connect(TEST_DB_URI);
+  authHeader = await createAuthHeader('admin');
+  staffHeader = await createAuthHeader('staff');
 });
 
 afterAll(async () => {
@@ -17,7 +26,11 @@ afterAll(async () => {
 });
 
 beforeEach(async () => {
-  await StockHistory.deleteMany({});
+  await Promise.all([
+    StockBalance.deleteMany({}),
+    StockHistory.deleteMany({}),
+    StockTimeSeries.deleteMany({})
+  ]);
 });
 
 describe('StockHistory Model Tests', () => {
@@ -83,6 +96,7 @@ describe('API Endpoints Tests', () => {
   test('POST /api/stocks/update - should record stock change', async () => {
     const response = await request(app)
       .post('/api/stocks/update')
+      .set('Authorization', staffHeader)
       .send({
         productId: 'PROD001',
         change: 50,
@@ -98,6 +112,7 @@ describe('API Endpoints Tests', () => {
   test('POST /api/stocks/update - should validate required fields', async () => {
     const response = await request(app)
       .post('/api/stocks/update')
+      .set('Authorization', staffHeader)
       .send({
         productId: 'PROD001',
         change: 'invalid',
@@ -114,6 +129,7 @@ describe('API Endpoints Tests', () => {
 
     const response = await request(app)
       .get('/api/stocks/current')
+      .set('Authorization', staffHeader)
       .query({ productId: 'PROD001' });
 
     expect(response.status).toBe(200);
@@ -136,6 +152,7 @@ describe('API Endpoints Tests', () => {
 
     const response = await request(app)
       .get('/api/stocks/history')
+      .set('Authorization', authHeader)
       .query({
         productId: 'PROD001',
         from: '2025-01-01',
@@ -289,6 +306,7 @@ describe('Edge Cases and Error Handling', () => {
   test('should validate date formats', async () => {
     const response = await request(app)
       .get('/api/stocks/history')
+      .set('Authorization', authHeader)
       .query({
         productId: 'PROD001',
         from: 'invalid-date',
@@ -0,0 +1,347 @@
+const request = require('supertest');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const app = require('../server');
+const Alert = require('../models/Alert');
+const ApiKey = require('../models/ApiKey');
+const Camera = require('../models/Camera');
+const Image = require('../models/Image');
+const Location = require('../models/Location');
+const Planogram = require('../models/Planogram');
+const Product = require('../models/Product');
+const Shelf = require('../models/Shelf');
+const StockBalance = require('../models/StockBalance');
+const StockHistory = require('../models/StockHistory');
+const StockTimeSeries = require('../models/StockTimeSeries');
+const { runInStore } = require('../utils/tenantContext');
+const { createAuthHeader } = require('./helpers/auth');
+const { createPng } = require('./helpers/images');
+
+// Test database setup
+const TEST_DB_URI = 'mongodb://localhost:27017/stock-tracking-test';
+
+let adminHeader;
+let downtown;
+let uptown;
+let downtownManager;
+let downtownStaff;
+let uptownStaff;
+let uploadRoot;
+
+beforeAll(async () => {
+  await mongoose.connect(TEST_DB_URI);
+  adminHeader = await createAuthHeader('admin');
+
+  uploadRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'stock-uploads-'));
+  process.env.IMAGE_UPLOAD_ROOT = uploadRoot;
+});
+
+afterAll(async () => {
+  fs.rmSync(uploadRoot, { recursive: true, force: true });
+  await mongoose.connection.db.dropDatabase();
+  await mongoose.connection.close();
+});
+
+async function openStore(name, code) {
+  const response = await request(app)
+    .post('/api/locations')
+    .set('Authorization', adminHeader)
+    .send({ name, code, type: 'store' });
+  return response.body.data;
+}
+
+// Add up the hourly buckets of GET /api/timeseries/data
+function summarise(response) {
+  return response.body.data.timeSeries.reduce((totals, bucket) => ({
+    records: totals.records + bucket.recordCount,
+    netChange: totals.netChange + bucket.totalChange
+  }), { records: 0, netChange: 0 });
+}
+
+function recordChange(authHeader, change) {
+  return request(app)
+    .post('/api/timeseries/record')
+    .set('Authorization', authHeader)
+    .send({ productId: 'TENANT001', change, reason: change > 0 ? 'restock' : 'sale' });
+}
+
+beforeEach(async () => {
+  await Promise.all([
+    Alert.deleteMany({}),
+    ApiKey.deleteMany({}),
+    Camera.deleteMany({}),
+    Image.deleteMany({}),
+    Location.deleteMany({}),
+    Planogram.deleteMany({}),
+    Product.deleteMany({}),
+    Shelf.deleteMany({}),
+    StockBalance.deleteMany({}),
+    StockHistory.deleteMany({}),
+    StockTimeSeries.deleteMany({})
+  ]);
+
+  downtown = await openStore('Downtown', 'S01');
+  uptown = await openStore('Uptown', 'S02');
+  downtownManager = await createAuthHeader('manager', { storeId: downtown.locationId });
+  downtownStaff = await createAuthHeader('staff', { storeId: downtown.locationId });
+  uptownStaff = await createAuthHeader('staff', { storeId: uptown.locationId });
+});
+
+describe('Store Isolation', () => {
+  test('should keep a separate stock level per store', async () => {
+    await recordChange(downtownStaff, 40);
+    await recordChange(uptownStaff, 15);
+    const sale = await recordChange(downtownStaff, -10);
+
+    expect(sale.status).toBe(201);
+    expect(sale.body.data.stockLevel).toBe(30);
+    expect(sale.body.data.storeId).toBe(String(downtown.locationId));
+
+    const uptownData = await request(app)
+      .get('/api/timeseries/data')
+      .set('Authorization', uptownStaff)
+      .query({ productId: 'TENANT001' });
+    expect(summarise(uptownData)).toEqual({ records: 1, netChange: 15 });
+  });
+
+  test('should only list the caller\'s own store', async () => {
+    const response = await request(app)
+      .get('/api/locations')
+      .set('Authorization', downtownStaff);
+
+    expect(response.body.data.map(location => location.name)).toEqual(['Downtown']);
+  });
+
+  test('should not let one store change another store\'s records', async () => {
+    const uptownShelf = await Shelf.create({ shelfName: 'Shelf U1', storeId: uptown.locationId });
+    const uptownAlert = await Alert.createAlert({
+      alertType: 'system_error',
+      message: 'Scale offline',
+      storeId: uptown.locationId
+    });
+
+    const acknowledge = await request(app)
+      .post(`/api/cv/alerts/${uptownAlert._id}/acknowledge`)
+      .set('Authorization', downtownStaff);
+    expect(acknowledge.status).toBe(404);
+
+    const camera = await request(app)
+      .post('/api/cv/cameras')
+      .set('Authorization', downtownManager)
+      .send({ name: 'Sneaky cam', locationId: uptown.locationId });
+    expect(camera.status).toBe(404);
+
+    const detector = await request(app)
+      .put(`/api/cv/shelves/${uptownShelf._id}/detector`)
+      .set('Authorization', downtownManager)
+      .send({ name: 'occupancy' });
+    expect(detector.status).toBe(404);
+
+    const unchanged = await Alert.findById(uptownAlert._id);
+    expect(unchanged.acknowledged).toBe(false);
+  });
+
+  test('should refuse to save a record into another store', async () => {
+    const uptownShelf = await Shelf.create({ shelfName: 'Shelf U1', storeId: uptown.locationId });
+
+    await expect(runInStore(downtown.locationId, async () => {
+      uptownShelf.shelfName = 'Renamed';
+      await uptownShelf.save();
+    })).rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  test('should not place a shelf in another store\'s aisle', async () => {
+    const zone = await request(app)
+      .post('/api/locations')
+      .set('Authorization', adminHeader)
+      .send({ name: 'Dairy', type: 'zone', parentId: downtown.locationId });
+    const aisle = await request(app)
+      .post('/api/locations')
+      .set('Authorization', adminHeader)
+      .send({ name: 'Aisle 1', type: 'aisle', parentId: zone.body.data.locationId });
+    const uptownShelf = await Shelf.create({ shelfName: 'Shelf U1', storeId: uptown.locationId });
+
+    const response = await request(app)
+      .put(`/api/cv/shelves/${uptownShelf._id}/location`)
+      .set('Authorization', adminHeader)
+      .send({ locationId: aisle.body.data.locationId });
+
+    expect(response.status).toBe(409);
+    const unchanged = await Shelf.findById(uptownShelf._id);
+    expect(unchanged.locationId).toBeNull();
+  });
+
+  test('should only let cross-store admins open stores', async () => {
+    const response = await request(app)
+      .post('/api/locations')
+      .set('Authorization', downtownManager)
+      .send({ name: 'Midtown', type: 'store' });
+
+    expect(response.status).toBe(403);
+  });
+});
+
+describe('X-Store-Id', () => {
+  test('should narrow a cross-store admin to one store', async () => {
+    await recordChange(downtownStaff, 40);
+    await recordChange(uptownStaff, 15);
+
+    const everyStore = await request(app)
+      .get('/api/timeseries/data')
+      .set('Authorization', adminHeader)
+      .query({ productId: 'TENANT001' });
+    expect(summarise(everyStore)).toEqual({ records: 2, netChange: 55 });
+
+    const uptownOnly = await request(app)
+      .get('/api/timeseries/data')
+      .set('Authorization', adminHeader)
+      .set('X-Store-Id', String(uptown.locationId))
+      .query({ productId: 'TENANT001' });
+    expect(summarise(uptownOnly)).toEqual({ records: 1, netChange: 15 });
+  });
+
+  test('should require a store for a cross-store admin\'s stock reads and writes', async () => {
+    await recordChange(uptownStaff, 15);
+
+    const unscoped = await recordChange(adminHeader, 5);
+    expect(unscoped.status).toBe(400);
+    const current = await request(app)
+      .get('/api/stocks/current')
+      .set('Authorization', adminHeader)
+      .query({ productId: 'TENANT001' });
+    expect(current.status).toBe(400);
+    expect(await StockTimeSeries.countDocuments({ productId: 'TENANT001' })).toBe(1);
+
+    const scoped = await request(app)
+      .post('/api/timeseries/record')
+      .set('Authorization', adminHeader)
+      .set('X-Store-Id', String(uptown.locationId))
+      .send({ productId: 'TENANT001', change: 5, reason: 'restock' });
+    expect(scoped.status).toBe(201);
+    expect(scoped.body.data.stockLevel).toBe(20);
+    expect(String(scoped.body.data.storeId)).toBe(String(uptown.locationId));
+  });
+
+  test('should reject other stores for users tied to a store', async () => {
+    const response = await request(app)
+      .get('/api/locations')
+      .set('Authorization', downtownStaff)
+      .set('X-Store-Id', String(uptown.locationId));
+
+    expect(response.status).toBe(403);
+  });
+
+  test('should reject IDs that are not stores', async () => {
+    const response = await request(app)
+      .get('/api/locations')
+      .set('Authorization', adminHeader)
+      .set('X-Store-Id', new mongoose.Types.ObjectId().toString());
+
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('Cross-store Admin Writes', () => {
+  test('should file an uploaded image under its shelf\'s store', async () => {
+    const shelf = await Shelf.create({ shelfName: 'Shelf U1', storeId: uptown.locationId });
+    const product = await Product.create({ name: 'Milk', sku: 'MILK001' });
+
+    const response = await request(app)
+      .post(`/api/cv/shelves/${shelf._id}/images`)
+      .set('Authorization', adminHeader)
+      .field('productId', product._id.toString())
+      .attach('image', createPng(4, 3, 100), { filename: 'shelf.png', contentType: 'image/png' });
+
+    expect(response.status).toBe(201);
+    const image = await Image.findById(response.body.data.assetId);
+    expect(String(image.storeId)).toBe(String(uptown.locationId));
+  });
+
+  test('should file a planogram under its shelf\'s store', async () => {
+    const shelf = await Shelf.create({ shelfName: 'Shelf U1', storeId: uptown.locationId });
+    const product = await Product.create({ name: 'Milk', sku: 'MILK001' });
+
+    const response = await request(app)
+      .post(`/api/cv/shelves/${shelf._id}/planograms`)
+      .set('Authorization', adminHeader)
+      .send({ slots: [{ name: 'A1', x: 0, y: 0, width: 1, height: 1, productId: product._id.toString(), facings: 2 }] });
+
+    expect(response.status).toBe(201);
+    const planogram = await Planogram.findOne({ shelfId: shelf._id });
+    expect(String(planogram.storeId)).toBe(String(uptown.locationId));
+  });
+
+  test('should file a camera under its location\'s store', async () => {
+    const response = await request(app)
+      .post('/api/cv/cameras')
+      .set('Authorization', adminHeader)
+      .send({ name: 'Uptown entrance', locationId: uptown.locationId });
+
+    expect(response.status).toBe(201);
+    const camera = await Camera.findOne({ name: 'Uptown entrance' });
+    expect(String(camera.storeId)).toBe(String(uptown.locationId));
+  });
+});
+
+describe('Users and API Keys', () => {
+  test('POST /api/users - should assign the user to a store', async () => {
+    const response = await request(app)
+      .post('/api/users')
+      .set('Authorization', adminHeader)
+      .send({
+        username: `uptown_${Date.now()}`,
+        email: `uptown_${Date.now()}@stocktracking.com`,
+        password: 'password123',
+        role: 'staff',
+        storeId: uptown.locationId
+      });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.storeId).toBe(String(uptown.locationId));
+  });
+
+  test('POST /api/api-keys - should confine a store\'s key to that store', async () => {
+    const issued = await request(app)
+      .post('/api/api-keys')
+      .set('Authorization', adminHeader)
+      .send({ name: 'Uptown POS', scopes: ['timeseries:write'], storeId: uptown.locationId });
+    expect(issued.body.data.storeId).toBe(String(uptown.locationId));
+
+    await request(app)
+      .post('/api/timeseries/record')
+      .set('X-API-Key', issued.body.data.key)
+      .send({ productId: 'TENANT001', change: 5, reason: 'restock' });
+
+    const record = await StockTimeSeries.findOne({ productId: 'TENANT001' });
+    expect(String(record.storeId)).toBe(String(uptown.locationId));
+  });
+});
+
+describe('Cross-store Overview', () => {
+  test('GET /api/stores/overview - should count each store side by side', async () => {
+    await recordChange(downtownStaff, 40);
+    await recordChange(downtownStaff, -5);
+    await recordChange(uptownStaff, 15);
+    await Shelf.create({ shelfName: 'Shelf U1', storeId: uptown.locationId });
+
+    const response = await request(app)
+      .get('/api/stores/overview')
+      .set('Authorization', adminHeader);
+
+    expect(response.status).toBe(200);
+    const byStore = Object.fromEntries(response.body.data.stores.map(row => [row.store.name, row]));
+    expect(byStore.Downtown.movements).toEqual({ records: 2, netChange: 35 });
+    expect(byStore.Uptown).toMatchObject({ shelves: 1, movements: { records: 1, netChange: 15 } });
+    expect(response.body.data.totals.movements).toEqual({ records: 3, netChange: 50 });
+  });
+
+  test('should forbid non-admins', async () => {
+    const response = await request(app)
+      .get('/api/stores/overview')
+      .set('Authorization', downtownManager);
+
+    expect(response.status).toBe(403);
+  });
+});
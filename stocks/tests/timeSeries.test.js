@@ -1,14 +1,23 @@
 const request = require('supertest');
 const mongoose = require('mongoose');
 const app = require('../server');
+const { createAuthHeader } = require('./helpers/auth');
+const StockBalance = require('../models/StockBalance');
+const StockHistory = require('../models/StockHistory');
 const StockTimeSeries = require('../models/StockTimeSeries');
 const timeSeriesAnalysisService = require('../services/timeSeriesAnalysisService');
 
 // Test database setup
 const TEST_DB_URI = 'mongodb://localhost:27017/stock-tracking-test';
 
+let authHeader;
+// Stock balances are per store; a staff user without one acts for the unassigned store
+let staffHeader;
+
 beforeAll(async () => {
   await mongoose.connect(TEST_DB_URI);
+  authHeader = await createAuthHeader('admin');
+  staffHeader = await createAuthHeader('staff');
 });
 
 afterAll(async () => {
@@ -17,7 +26,11 @@ afterAll(async () => {
 });
 
 beforeEach(async () => {
-  await StockTimeSeries.deleteMany({});
+  await Promise.all([
+    StockBalance.deleteMany({}),
+    StockHistory.deleteMany({}),
+    StockTimeSeries.deleteMany({})
+  ]);
 });
 
 describe('Time-Series Database Schema Tests', () => {
@@ -73,6 +86,7 @@ describe('Time-Series API Endpoints Tests', () => {
   test('POST /api/timeseries/record - should record time-series data', async () => {
     const response = await request(app)
       .post('/api/timeseries/record')
+      .set('Authorization', staffHeader)
       .send({
         productId: 'PROD001',
         change: 50,
@@ -104,6 +118,7 @@ describe('Time-Series API Endpoints Tests', () => {
 
     const response = await request(app)
       .get('/api/timeseries/data')
+      .set('Authorization', authHeader)
       .query({
         productId: 'PROD001',
         granularity: '1h',
@@ -134,6 +149,7 @@ describe('Time-Series API Endpoints Tests', () => {
 
     const response = await request(app)
       .get('/api/timeseries/trend')
+      .set('Authorization', authHeader)
       .query({
         productId: 'PROD001',
         method: 'linear'
@@ -166,6 +182,7 @@ describe('Time-Series API Endpoints Tests', () => {
 
     const response = await request(app)
       .get('/api/timeseries/cycles')
+      .set('Authorization', authHeader)
       .query({
         productId: 'PROD001',
         maxPeriod: 10
@@ -199,6 +216,7 @@ describe('Time-Series API Endpoints Tests', () => {
 
     const response = await request(app)
       .get('/api/timeseries/anomalies')
+      .set('Authorization', authHeader)
       .query({
         productId: 'PROD001',
         threshold: 2
@@ -228,6 +246,7 @@ describe('Time-Series API Endpoints Tests', () => {
 
     const response = await request(app)
       .get('/api/timeseries/forecast')
+      .set('Authorization', authHeader)
       .query({
         productId: 'PROD001',
         horizon: 7,
@@ -480,6 +499,7 @@ describe('Performance and Edge Cases', () => {
   test('should handle invalid parameters gracefully', async () => {
     const response = await request(app)
       .get('/api/timeseries/trend')
+      .set('Authorization', authHeader)
       .query({
         productId: 'PROD001',
         method: 'invalid_method'
@@ -493,6 +513,7 @@ describe('Performance and Edge Cases', () => {
   test('should validate input parameters', async () => {
     const response = await request(app)
       .post('/api/timeseries/record')
+      .set('Authorization', staffHeader)
       .send({
         productId: 'PROD001',
         change: 'invalid_number',
@@ -512,6 +533,7 @@ describe('Real-time Updates Tests', () => {
     
     const response = await request(app)
       .post('/api/timeseries/record')
+      .set('Authorization', staffHeader)
       .send({
         productId: 'PROD001',
         change: 50,
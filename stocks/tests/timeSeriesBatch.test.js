@@ -0,0 +1,216 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const StockBalance = require('../models/StockBalance');
+const StockHistory = require('../models/StockHistory');
+const StockTimeSeries = require('../models/StockTimeSeries');
+const { createAuthHeader } = require('./helpers/auth');
+
+// Test database setup
+const TEST_DB_URI = 'mongodb://localhost:27017/stock-tracking-test';
+
+let staffHeader;
+
+beforeAll(async () => {
+  await mongoose.connect(TEST_DB_URI);
+  staffHeader = await createAuthHeader('staff');
+});
+
+afterAll(async () => {
+  await mongoose.connection.db.dropDatabase();
+  await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+  await Promise.all([
+    StockBalance.deleteMany({}),
+    StockHistory.deleteMany({}),
+    StockTimeSeries.deleteMany({})
+  ]);
+});
+
+function sendBatch(events) {
+  return request(app)
+    .post('/api/timeseries/batch')
+    .set('Authorization', staffHeader)
+    .send(events);
+}
+
+function sendNdjson(body) {
+  return request(app)
+    .post('/api/timeseries/batch')
+    .set('Authorization', staffHeader)
+    .set('Content-Type', 'application/x-ndjson')
+    .send(body);
+}
+
+describe('Batch Ingestion', () => {
+  test('POST /api/timeseries/batch - should apply each product\'s events in time order', async () => {
+    const response = await sendBatch([
+      { productId: 'BATCH001', change: -5, reason: 'sale', timestamp: '2025-03-01T10:00:00Z' },
+      { productId: 'BATCH002', change: 8, reason: 'restock', timestamp: '2025-03-01T09:00:00Z' },
+      { productId: 'BATCH001', change: 20, reason: 'restock', timestamp: '2025-03-01T08:00:00Z' },
+      { productId: 'BATCH001', change: -3, reason: 'sale', timestamp: '2025-03-01T11:00:00Z' }
+    ]);
+
+    expect(response.status).toBe(201);
+    expect(response.body.data).toMatchObject({ received: 4, recorded: 4, rejected: 0 });
+    expect(response.body.data.results.map(result => result.stockLevel)).toEqual([15, 8, 20, 12]);
+
+    const entries = await StockTimeSeries.find({ productId: 'BATCH001' }).sort({ timestamp: 1 });
+    expect(entries.map(entry => [entry.stockLevel, entry.velocity, entry.acceleration])).toEqual([
+      [20, 0, 0],
+      [15, -5, -5],
+      [12, -3, 2]
+    ]);
+    expect(await StockHistory.countDocuments({ ledgerEntryId: { $ne: null } })).toBe(4);
+  });
+
+  test('should continue from the current balance', async () => {
+    await request(app)
+      .post('/api/timeseries/record')
+      .set('Authorization', staffHeader)
+      .send({ productId: 'BATCH001', change: 10, reason: 'restock' });
+
+    const response = await sendBatch([
+      { productId: 'BATCH001', change: -4, reason: 'sale' },
+      { productId: 'BATCH001', change: -1, reason: 'sale' }
+    ]);
+    expect(response.body.data.results.map(result => result.stockLevel)).toEqual([6, 5]);
+
+    const current = await request(app)
+      .get('/api/stocks/current')
+      .set('Authorization', staffHeader)
+      .query({ productId: 'BATCH001' });
+    expect(current.body.data.currentStockLevel).toBe(5);
+
+    const balance = await StockBalance.findOne({ productId: 'BATCH001' });
+    expect(balance).toMatchObject({ stockLevel: 5, version: 3 });
+  });
+
+  test('should slot older events in before existing entries', async () => {
+    await request(app)
+      .post('/api/timeseries/record')
+      .set('Authorization', staffHeader)
+      .send({ productId: 'BATCH001', change: 10, reason: 'restock', timestamp: '2025-03-01T08:00:00Z' });
+    await request(app)
+      .post('/api/timeseries/record')
+      .set('Authorization', staffHeader)
+      .send({ productId: 'BATCH001', change: -2, reason: 'sale', timestamp: '2025-03-01T12:00:00Z' });
+
+    const response = await sendBatch([
+      { productId: 'BATCH001', change: -3, reason: 'sale', timestamp: '2025-03-01T09:00:00Z' },
+      { productId: 'BATCH001', change: -1, reason: 'sale', timestamp: '2025-03-01T13:00:00Z' }
+    ]);
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.rewrittenRecords).toBe(1);
+    expect(response.body.data.results.map(result => result.stockLevel)).toEqual([7, 4]);
+
+    const entries = await StockTimeSeries.find({ productId: 'BATCH001' }).sort({ timestamp: 1 });
+    expect(entries.map(entry => [entry.stockLevel, entry.velocity])).toEqual([
+      [10, 0],
+      [7, -3],
+      [5, -2],
+      [4, -1]
+    ]);
+    const history = await StockHistory.find({ productId: 'BATCH001' }).sort({ timestamp: 1 });
+    expect(history.map(record => record.stockLevel)).toEqual([10, 7, 5, 4]);
+  });
+
+  test('should reject older events that would take a later level below zero', async () => {
+    for (const [change, timestamp] of [[5, '2025-03-01T08:00:00Z'], [-4, '2025-03-01T12:00:00Z']]) {
+      await request(app)
+        .post('/api/timeseries/record')
+        .set('Authorization', staffHeader)
+        .send({ productId: 'BATCH001', change, reason: change > 0 ? 'restock' : 'sale', timestamp });
+    }
+
+    // 09:00 leaves 2 units, too few for the sale already recorded at 12:00
+    const response = await sendBatch([
+      { productId: 'BATCH001', change: -3, reason: 'sale', timestamp: '2025-03-01T09:00:00Z' },
+      { productId: 'BATCH001', change: -1, reason: 'sale', timestamp: '2025-03-01T10:00:00Z' }
+    ]);
+
+    expect(response.status).toBe(207);
+    expect(response.body.data.results.map(result => result.status)).toEqual(['rejected', 'recorded']);
+    expect(response.body.data.results[0].error).toBe('Stock level cannot be negative');
+    expect(response.body.data.results[1].stockLevel).toBe(4);
+
+    const entries = await StockTimeSeries.find({ productId: 'BATCH001' }).sort({ timestamp: 1 });
+    expect(entries.map(entry => entry.stockLevel)).toEqual([5, 4, 0]);
+  });
+
+  test('should report rejected events and record the rest', async () => {
+    const response = await sendBatch([
+      { productId: 'BATCH001', change: 5, reason: 'restock' },
+      { productId: 'BATCH001', change: -9, reason: 'sale' },
+      { productId: 'BATCH001', change: 2, reason: 'stolen' },
+      { change: 1, reason: 'restock' },
+      { productId: 'BATCH001', change: -5, reason: 'sale' }
+    ]);
+
+    expect(response.status).toBe(207);
+    expect(response.body.data.results.map(result => result.status)).toEqual([
+      'recorded', 'rejected', 'rejected', 'rejected', 'recorded'
+    ]);
+    expect(response.body.data.results[1].error).toBe('Stock level cannot be negative');
+    expect(response.body.data.results[2].error).toBe('Invalid reason');
+    expect(response.body.data.results[4].stockLevel).toBe(0);
+  });
+
+  test('should roll back every entry and mirror when a write fails part way', async () => {
+    // The database refuses BATCH002's history row, after BATCH001's went in
+    await StockHistory.createCollection();
+    await mongoose.connection.db.command({ collMod: 'stockhistories', validator: { productId: { $ne: 'BATCH002' } } });
+    try {
+      const response = await sendBatch([
+        { productId: 'BATCH001', change: 10, reason: 'restock' },
+        { productId: 'BATCH002', change: 5, reason: 'restock' }
+      ]);
+      expect(response.status).toBe(500);
+    } finally {
+      await mongoose.connection.db.command({ collMod: 'stockhistories', validator: {} });
+    }
+
+    expect(await StockTimeSeries.countDocuments({})).toBe(0);
+    expect(await StockHistory.countDocuments({})).toBe(0);
+    const balances = await StockBalance.find({}).sort({ productId: 1 });
+    expect(balances.map(balance => [balance.productId, balance.stockLevel, balance.pending])).toEqual([
+      ['BATCH001', 0, 0],
+      ['BATCH002', 0, 0]
+    ]);
+    expect(balances.map(balance => [balance.velocity, balance.acceleration])).toEqual([[null, 0], [null, 0]]);
+  });
+
+  test('should answer 400 when no event could be recorded', async () => {
+    const response = await sendBatch([{ productId: 'BATCH001', change: -1, reason: 'sale' }]);
+
+    expect(response.status).toBe(400);
+    expect(response.body.data.rejected).toBe(1);
+  });
+
+  test('should accept NDJSON', async () => {
+    const response = await sendNdjson([
+      JSON.stringify({ productId: 'BATCH001', change: 7, reason: 'restock' }),
+      '',
+      JSON.stringify({ productId: 'BATCH001', change: -2, reason: 'sale' })
+    ].join('\n'));
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.results.map(result => result.stockLevel)).toEqual([7, 5]);
+  });
+
+  test('should reject unparsable NDJSON and empty batches', async () => {
+    const malformed = await sendNdjson('{"productId":"BATCH001","change":1,"reason":"restock"}\n{oops');
+    expect(malformed.status).toBe(400);
+    expect(malformed.body.error).toBe('Line 2 is not valid JSON');
+
+    const empty = await sendBatch([]);
+    expect(empty.status).toBe(400);
+
+    const notAList = await sendBatch({ productId: 'BATCH001', change: 1, reason: 'restock' });
+    expect(notAList.status).toBe(400);
+    expect(await StockTimeSeries.countDocuments()).toBe(0);
+  });
+});
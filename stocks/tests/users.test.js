@@ -0,0 +1,160 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { createAuthHeader } = require('./helpers/auth');
+
+// Test database setup
+const TEST_DB_URI = 'mongodb://localhost:27017/stock-tracking-test';
+
+let adminHeader;
+let staffHeader;
+
+beforeAll(async () => {
+  await mongoose.connect(TEST_DB_URI);
+  adminHeader = await createAuthHeader('admin');
+  staffHeader = await createAuthHeader('staff');
+});
+
+afterAll(async () => {
+  await mongoose.connection.db.dropDatabase();
+  await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+  await User.deleteMany({ username: /^cashier/ });
+});
+
+async function createCashier(overrides = {}) {
+  return await request(app)
+    .post('/api/users')
+    .set('Authorization', adminHeader)
+    .send({
+      username: 'cashier1',
+      email: 'cashier1@stocktracking.com',
+      password: 'cashier123',
+      ...overrides
+    });
+}
+
+describe('User Management API Tests', () => {
+  test('POST /api/users - should create a staff user by default', async () => {
+    const response = await createCashier();
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.role).toBe('staff');
+    expect(response.body.data.password_hash).toBeUndefined();
+
+    const user = await User.findOne({ username: 'cashier1' });
+    expect(await user.comparePassword('cashier123')).toBe(true);
+  });
+
+  test('POST /api/users - should reject duplicate usernames with 409', async () => {
+    await createCashier();
+    const response = await createCashier({ email: 'other@stocktracking.com' });
+
+    expect(response.status).toBe(409);
+    expect(response.body.success).toBe(false);
+  });
+
+  test('GET /api/users - should be admin only', async () => {
+    const response = await request(app)
+      .get('/api/users')
+      .set('Authorization', staffHeader);
+
+    expect(response.status).toBe(403);
+  });
+
+  test('PUT /api/users/:id/role - should change role and audit it', async () => {
+    const { body } = await createCashier();
+    const userId = body.data.userId;
+
+    const response = await request(app)
+      .put(`/api/users/${userId}/role`)
+      .set('Authorization', adminHeader)
+      .send({ role: 'manager' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.role).toBe('manager');
+
+    const entry = await AuditLog.findOne({ entityId: userId, action: 'user.role_changed' });
+    expect(entry).not.toBeNull();
+    expect(entry.changes.before).toEqual({ role: 'staff' });
+    expect(entry.changes.after).toEqual({ role: 'manager' });
+    expect(entry.actorId).toBeDefined();
+
+    const trail = await request(app)
+      .get(`/api/users/${userId}/audit`)
+      .set('Authorization', adminHeader);
+    expect(trail.body.data.map(e => e.action)).toContain('user.role_changed');
+  });
+
+  test('POST /api/users/:id/deactivate - should block login', async () => {
+    const { body } = await createCashier();
+
+    const response = await request(app)
+      .post(`/api/users/${body.data.userId}/deactivate`)
+      .set('Authorization', adminHeader);
+    expect(response.status).toBe(200);
+    expect(response.body.data.isActive).toBe(false);
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ identifier: 'cashier1', password: 'cashier123' });
+    expect(login.status).toBe(403);
+  });
+});
+
+describe('Password Management Tests', () => {
+  test('POST /api/users/me/password - should change own password', async () => {
+    await createCashier();
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ identifier: 'cashier1', password: 'cashier123' });
+
+    const response = await request(app)
+      .post('/api/users/me/password')
+      .set('Authorization', `Bearer ${login.body.data.accessToken}`)
+      .send({ currentPassword: 'cashier123', newPassword: 'new-password-1' });
+    expect(response.status).toBe(200);
+
+    const user = await User.findOne({ username: 'cashier1' });
+    expect(await user.comparePassword('new-password-1')).toBe(true);
+  });
+
+  test('POST /api/users/me/password - should reject a wrong current password', async () => {
+    const response = await request(app)
+      .post('/api/users/me/password')
+      .set('Authorization', staffHeader)
+      .send({ currentPassword: 'not-my-password', newPassword: 'new-password-1' });
+
+    expect(response.status).toBe(401);
+  });
+
+  test('should reset a password with an admin-issued token exactly once', async () => {
+    const { body } = await createCashier();
+
+    const issued = await request(app)
+      .post(`/api/users/${body.data.userId}/password-reset`)
+      .set('Authorization', adminHeader);
+    expect(issued.status).toBe(201);
+
+    const { resetToken } = issued.body.data;
+
+    const reset = await request(app)
+      .post('/api/auth/password-reset')
+      .send({ resetToken, newPassword: 'reset-password-1' });
+    expect(reset.status).toBe(200);
+
+    const reuse = await request(app)
+      .post('/api/auth/password-reset')
+      .send({ resetToken, newPassword: 'reset-password-2' });
+    expect(reuse.status).toBe(400);
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ identifier: 'cashier1', password: 'reset-password-1' });
+    expect(login.status).toBe(200);
+  });
+});
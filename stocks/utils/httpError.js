@@ -0,0 +1,10 @@
+// Error carrying the HTTP status code a route should respond with
+class HttpError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+  }
+}
+
+module.exports = HttpError;
@@ -0,0 +1,9 @@
+// Where a request came from, for audit entries and session records
+function getRequestContext(req) {
+  return {
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  };
+}
+
+module.exports = getRequestContext;
@@ -0,0 +1,46 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// The store the current request or job acts for. Outside any scope (workers
+// picking up work, scripts) queries see every store.
+const storage = new AsyncLocalStorage();
+
+// Run fn scoped to one store; a null storeId is the unassigned store
+function runInStore(storeId, fn) {
+  return storage.run({ storeId: storeId || null, crossStore: false }, fn);
+}
+
+// Run fn with access to every store, for cross-store admins
+function runCrossStore(fn) {
+  return storage.run({ storeId: null, crossStore: true }, fn);
+}
+
+// The active scope, or null when queries are not restricted
+function getStoreScope() {
+  const scope = storage.getStore();
+  return scope && !scope.crossStore ? scope : null;
+}
+
+function isCrossStore() {
+  const scope = storage.getStore();
+  return !scope || scope.crossStore;
+}
+
+// Keep the active scope for a callback fired from outside it (stream and
+// parser callbacks run in the context of the socket, not the request)
+function bindStoreScope(fn) {
+  return AsyncLocalStorage.bind(fn);
+}
+
+// Whether a scope captured earlier (e.g. for an event stream) may see a record of storeId
+function canSeeStore(scope, storeId) {
+  return !scope || scope.crossStore || String(scope.storeId || null) === String(storeId || null);
+}
+
+module.exports = {
+  runInStore,
+  runCrossStore,
+  getStoreScope,
+  isCrossStore,
+  bindStoreScope,
+  canSeeStore
+};